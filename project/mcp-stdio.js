@@ -0,0 +1,33 @@
+// MCP over stdio, for IDE assistants and other MCP clients that start the server as a subprocess.
+// stdout carries the protocol, so logs must go to stderr; this has to be set before the logger loads.
+process.env.LOG_TO_STDERR = 'true';
+require('dotenv').config();
+
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const mcpServer = require('./src/services/mcpServer');
+const rbac = require('./src/config/rbac');
+const logger = require('./src/utils/logger');
+
+// The local user running the client; operations are attributed to MCP_STDIO_USER_ID in the audit log
+// and checked against MCP_STDIO_ROLE like a token's role
+const role = process.env.MCP_STDIO_ROLE || rbac.defaultRole;
+if (!rbac.roles.includes(role)) {
+  throw new Error(`Invalid MCP_STDIO_ROLE "${role}": expected one of ${rbac.roles.join(', ')}`);
+}
+
+const user = {
+  id: process.env.MCP_STDIO_USER_ID || 'mcp-stdio',
+  role,
+  team: process.env.MCP_STDIO_TEAM || null
+};
+
+async function main() {
+  const server = mcpServer.create({ user, transport: 'stdio' });
+  await server.connect(new StdioServerTransport());
+  logger.info('MCP DevOps Server listening on stdio', { user_id: user.id, role: user.role });
+}
+
+main().catch(error => {
+  logger.error('MCP stdio server error:', error);
+  process.exit(1);
+});
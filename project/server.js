@@ -6,6 +6,9 @@ require('dotenv').config();
 
 const logger = require('./src/utils/logger');
 const authMiddleware = require('./src/middleware/auth');
+const { apiKeyAuth } = require('./src/middleware/apiKeyAuth');
+const callbackMiddleware = require('./src/middleware/callback');
+const requestContextMiddleware = require('./src/middleware/requestContext');
 const errorHandler = require('./src/middleware/errorHandler');
 
 // Import route handlers
@@ -14,6 +17,11 @@ const llmRoutes = require('./src/routes/llm');
 const monitoringRoutes = require('./src/routes/monitoring');
 const notificationRoutes = require('./src/routes/notifications');
 const loggingRoutes = require('./src/routes/logging');
+const jobRoutes = require('./src/routes/jobs');
+const mcpRoutes = require('./src/routes/mcp');
+const authRoutes = require('./src/routes/auth');
+const webhookRoutes = require('./src/routes/webhooks');
+const jobQueue = require('./src/services/jobQueue');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -33,6 +41,9 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// Webhooks authenticate with a signature over the raw body, so they are mounted before it is parsed
+app.use('/webhooks', webhookRoutes);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -52,11 +63,15 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
-app.use('/agent', authMiddleware, agentRoutes);
-app.use('/llm', authMiddleware, llmRoutes);
+app.use('/agent', authMiddleware, requestContextMiddleware, callbackMiddleware, agentRoutes);
+app.use('/llm', authMiddleware, requestContextMiddleware, llmRoutes);
 app.use('/monitoring', authMiddleware, monitoringRoutes);
-app.use('/notifications', notificationRoutes);
-app.use('/logging', loggingRoutes);
+app.use('/jobs', authMiddleware, jobRoutes);
+app.use('/mcp', authMiddleware, mcpRoutes);
+app.use('/auth', authMiddleware, authRoutes);
+// n8n can call these with a scoped API key instead of a JWT
+app.use('/notifications', apiKeyAuth, notificationRoutes);
+app.use('/logging', apiKeyAuth, loggingRoutes);
 
 // Error handling
 app.use(errorHandler);
@@ -81,6 +96,13 @@ app.listen(PORT, () => {
   logger.info('  - /monitoring/* - Monitoring endpoints');
   logger.info('  - /notifications/* - Notification endpoints');
   logger.info('  - /logging/* - Logging endpoints');
+  logger.info('  - /jobs/* - Async job status');
+  logger.info('  - /mcp - Model Context Protocol (streamable HTTP)');
+  logger.info('  - /auth/api-keys - Service API key management');
+  logger.info('  - /webhooks/github - GitHub webhook receiver');
+
+  // Workers also pick up jobs queued by other instances when the queue is in Redis
+  jobQueue.start();
 });
 
 // Graceful shutdown
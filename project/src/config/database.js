@@ -20,10 +20,14 @@ class DatabaseService {
 
       logger.info('Database connection pool initialized');
     } else {
-      logger.warn('DATABASE_URL not provided, database features disabled');
+      logger.warn('DATABASE_URL not provided, falling back to in-memory storage');
     }
   }
 
+  isEnabled() {
+    return this.pool !== null;
+  }
+
   async query(text, params) {
     if (!this.pool) {
       throw new Error('Database not configured');
@@ -0,0 +1,42 @@
+// Where each environment deploys to.
+//
+// KUBERNETES_ENVIRONMENTS (JSON) maps an environment to its namespace and kubeconfig context, e.g.
+// {"production": {"namespace": "prod", "context": "prod-cluster"}}. Environments not listed deploy to the
+// namespace named after them in the current context. RBAC checks the environment, so requests can't
+// pick a different namespace or context than their environment's.
+
+function parseEnvironments(value) {
+  if (!value) {
+    return {};
+  }
+
+  let environments;
+  try {
+    environments = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid KUBERNETES_ENVIRONMENTS: ${error.message}`);
+  }
+  if (!environments || typeof environments !== 'object' || Array.isArray(environments)) {
+    throw new Error('Invalid KUBERNETES_ENVIRONMENTS: expected a JSON object of environments');
+  }
+  for (const [environment, target] of Object.entries(environments)) {
+    if (!target || typeof target !== 'object' || Object.keys(target).some(key => !['namespace', 'context'].includes(key))) {
+      throw new Error(`Invalid KUBERNETES_ENVIRONMENTS entry for "${environment}": expected {"namespace", "context"}`);
+    }
+  }
+  return environments;
+}
+
+const environments = parseEnvironments(process.env.KUBERNETES_ENVIRONMENTS);
+
+// context null is the kubeconfig's current context
+function targetFor(environment, configured = environments) {
+  const target = configured[environment] || {};
+  return { namespace: target.namespace || environment, context: target.context || null };
+}
+
+module.exports = {
+  environments,
+  parseEnvironments,
+  targetFor
+};
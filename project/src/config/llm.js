@@ -0,0 +1,145 @@
+// LLM provider chain and retry policy.
+//
+// LLM_PROVIDER_CHAIN lists "provider:model" entries in the order they are tried, e.g.
+// "anthropic:claude-3-5-sonnet-20240620,openai:gpt-4o". A request for a specific model tries
+// that model first and falls back to the chain after it.
+//
+// LLM_MODEL_ROUTES picks the provider for a model name, as "pattern=provider" entries with * wildcards,
+// e.g. "llama*=local,qwen*=local". They are checked before the built-in claude/gpt rules.
+//
+// LLM_JSON_SCHEMA_MODELS lists the OpenAI-compatible models (patterns with * wildcards) that accept
+// response_format json_schema. Other OpenAI models get structured output through a forced function call and
+// local models through json_object mode, since e.g. gpt-4 answers json_schema with a 400.
+
+const PROVIDERS = ['anthropic', 'openai', 'local'];
+
+// USD per million tokens, matched on the longest model-name prefix. LLM_PRICING (same shape, JSON)
+// adds or overrides entries; the local provider is always free.
+const DEFAULT_PRICING = {
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+};
+
+const BUDGET_SCOPES = ['user', 'team'];
+const BUDGET_PERIODS = ['daily', 'monthly'];
+
+const DEFAULT_JSON_SCHEMA_MODELS = 'gpt-4o,gpt-4o-mini*,gpt-4o-2024-08-06,gpt-4o-2024-11-20,gpt-4.1*,gpt-5*,o1,o1-2024*,o3*,o4*';
+
+const DEFAULT_MODEL_ROUTES = '*claude*=anthropic,*anthropic*=anthropic,*gpt*=openai,*openai*=openai';
+
+function parseProviderChain(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      if (separator === -1) {
+        throw new Error(`Invalid LLM_PROVIDER_CHAIN entry "${entry}": expected provider:model`);
+      }
+      return { provider: entry.slice(0, separator), model: entry.slice(separator + 1) };
+    });
+}
+
+function parseModelRoutes(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [pattern, provider] = entry.split('=').map(part => part.trim());
+      if (!pattern || !PROVIDERS.includes(provider)) {
+        throw new Error(`Invalid LLM_MODEL_ROUTES entry "${entry}": expected pattern=${PROVIDERS.join('|')}`);
+      }
+      const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      return { pattern, provider, regex: new RegExp(`^${source}$`, 'i') };
+    });
+}
+
+function parseModelPatterns(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(pattern => {
+      const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      return new RegExp(`^${source}$`, 'i');
+    });
+}
+
+function parseJson(name, value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid ${name}: ${error.message}`);
+  }
+}
+
+// LLM_BUDGETS is a JSON list of {scope: user|team, id, period: daily|monthly, limit_usd}; id "*" applies
+// the limit to every user or team without a rule of its own
+function parseBudgets(value) {
+  const budgets = parseJson('LLM_BUDGETS', value, []);
+  for (const budget of budgets) {
+    if (!BUDGET_SCOPES.includes(budget.scope) || !BUDGET_PERIODS.includes(budget.period) ||
+        !budget.id || !(budget.limit_usd >= 0)) {
+      throw new Error(`Invalid LLM_BUDGETS entry ${JSON.stringify(budget)}`);
+    }
+  }
+  return budgets;
+}
+
+module.exports = {
+  defaultModel: process.env.DEFAULT_LLM_MODEL || 'claude-3-sonnet-20240229',
+  providerChain: parseProviderChain(process.env.LLM_PROVIDER_CHAIN),
+  modelRoutes: [
+    ...parseModelRoutes(process.env.LLM_MODEL_ROUTES),
+    ...parseModelRoutes(DEFAULT_MODEL_ROUTES)
+  ],
+  jsonSchemaModels: parseModelPatterns(process.env.LLM_JSON_SCHEMA_MODELS || DEFAULT_JSON_SCHEMA_MODELS),
+  // Any OpenAI-compatible server (Ollama, vLLM, llama.cpp); most ignore the API key
+  local: {
+    baseURL: process.env.LOCAL_LLM_BASE_URL,
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed'
+  },
+  // Per request to a single provider; the SDKs' own retries are turned off in favour of this policy
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 120000,
+  pricing: { ...DEFAULT_PRICING, ...parseJson('LLM_PRICING', process.env.LLM_PRICING, {}) },
+  budgets: parseBudgets(process.env.LLM_BUDGETS),
+  cache: {
+    ttlSeconds: parseInt(process.env.LLM_CACHE_TTL_SECONDS) || 24 * 60 * 60,
+    // Only used by the in-memory fallback; Redis evicts by TTL
+    maxEntries: parseInt(process.env.LLM_CACHE_MAX_ENTRIES) || 500
+  },
+  conversation: {
+    // Once a session's turns (plus its summary) exceed this many estimated tokens, older turns are summarised
+    tokenWindow: parseInt(process.env.CONVERSATION_TOKEN_WINDOW) || 4000
+  },
+  agent: {
+    // Model calls per /agent/chat request before the loop stops and answers with what it has
+    maxSteps: parseInt(process.env.AGENT_CHAT_MAX_STEPS) || 8,
+    // How long a destructive tool call waits for the user's confirmation
+    confirmationTtlSeconds: parseInt(process.env.AGENT_CONFIRMATION_TTL_SECONDS) || 600
+  },
+  retry: {
+    maxAttempts: parseInt(process.env.LLM_MAX_ATTEMPTS) || 3,
+    baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS) || 1000,
+    // A provider asking us to wait longer than this (retry-after) is skipped for the next one instead
+    maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS) || 30000
+  },
+  PROVIDERS,
+  parseProviderChain,
+  parseModelRoutes,
+  parseModelPatterns,
+  parseBudgets
+};
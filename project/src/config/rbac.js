@@ -0,0 +1,63 @@
+// Role-based access control.
+//
+// Roles come from the JWT's `role` claim (or the highest of a `roles` list) and are ordered: each role
+// has every permission of the roles before it. Tokens without a known role get RBAC_DEFAULT_ROLE.
+//
+// Each permission names the minimum role it needs, either for every environment or per environment
+// with a `default` for the rest. RBAC_PERMISSIONS (same shape, JSON) adds or overrides permissions,
+// e.g. {"deploy": {"production": "admin", "default": "developer"}}.
+
+const ROLES = ['viewer', 'developer', 'operator', 'admin'];
+
+const DEFAULT_PERMISSIONS = {
+  deploy: { production: 'operator', default: 'developer' },
+  rollback: { production: 'operator', default: 'developer' },
+  // Building runs the caller's Dockerfile on the Docker host and pushes to the registry deploys pull from
+  'images:push': { production: 'operator', default: 'developer' },
+  remediate: 'operator',
+  'deployments:update': 'operator',
+  'prompts:write': 'admin',
+  'api_keys:manage': 'admin',
+  // Everyone's conversations and the audit trail under /logging, and recording audit events there
+  'audit:read': 'operator',
+  'audit:write': 'operator',
+  // Reading other users' jobs and LLM usage
+  'usage:read_all': 'admin',
+  'jobs:read_all': 'admin'
+};
+
+function parsePermissions(value) {
+  let overrides = {};
+  if (value) {
+    try {
+      overrides = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid RBAC_PERMISSIONS: ${error.message}`);
+    }
+  }
+
+  const permissions = { ...DEFAULT_PERMISSIONS, ...overrides };
+  for (const [permission, rule] of Object.entries(permissions)) {
+    const roles = typeof rule === 'string' ? [rule] : Object.values(rule || {});
+    if (roles.length === 0 || roles.some(role => !ROLES.includes(role))) {
+      throw new Error(`Invalid RBAC rule for "${permission}": roles must be one of ${ROLES.join(', ')}`);
+    }
+  }
+  return permissions;
+}
+
+function parseDefaultRole(value) {
+  const role = value || 'viewer';
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid RBAC_DEFAULT_ROLE "${role}": expected one of ${ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+module.exports = {
+  roles: ROLES,
+  defaultRole: parseDefaultRole(process.env.RBAC_DEFAULT_ROLE),
+  permissions: parsePermissions(process.env.RBAC_PERMISSIONS),
+  parsePermissions,
+  parseDefaultRole
+};
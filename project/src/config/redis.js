@@ -0,0 +1,50 @@
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+
+class RedisService {
+  constructor() {
+    this.client = null;
+    this.initializeClient();
+  }
+
+  initializeClient() {
+    if (process.env.REDIS_URL) {
+      this.client = new Redis(process.env.REDIS_URL, {
+        maxRetriesPerRequest: 3
+      });
+
+      this.client.on('error', (err) => {
+        logger.error('Redis connection error', err);
+      });
+
+      logger.info('Redis client initialized');
+    } else {
+      logger.warn('REDIS_URL not provided, falling back to in-memory storage');
+    }
+  }
+
+  isEnabled() {
+    return this.client !== null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      throw new Error('Redis not configured');
+    }
+    return this.client;
+  }
+
+  // Blocking commands (BLMOVE) hold their connection, so they need one of their own
+  duplicate() {
+    return this.getClient().duplicate();
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.quit();
+      logger.info('Redis connection closed');
+    }
+  }
+}
+
+module.exports = new RedisService();
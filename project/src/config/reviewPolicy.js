@@ -0,0 +1,45 @@
+// When /agent/code-review approves a pull request.
+//
+// Every finding has a severity (info, low, medium, high or critical). Thresholds give, per severity, the
+// most findings a pull request may have and still be approved; severities left out are not limited. The
+// default requests changes for any high or critical finding.
+//
+// CODE_REVIEW_THRESHOLDS is a JSON object of "owner/name" repository patterns (with * wildcards) to
+// thresholds, e.g. {"acme/payments-*": {"critical": 0, "high": 0, "medium": 0}, "acme/docs": {"critical": 0}}.
+// A repository uses the first pattern that matches, in the order given; "*" replaces the default.
+
+const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+
+const DEFAULT_THRESHOLDS = { critical: 0, high: 0 };
+
+function parseThresholds(value) {
+  if (!value) {
+    return [];
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid CODE_REVIEW_THRESHOLDS: ${error.message}`);
+  }
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error('Invalid CODE_REVIEW_THRESHOLDS: expected a JSON object of repository patterns to thresholds');
+  }
+
+  return Object.entries(entries).map(([pattern, thresholds]) => {
+    if (!thresholds || typeof thresholds !== 'object' || Object.entries(thresholds).some(([severity, allowed]) =>
+      !SEVERITIES.includes(severity) || !Number.isInteger(allowed) || allowed < 0)) {
+      throw new Error(`Invalid CODE_REVIEW_THRESHOLDS entry "${pattern}": expected {${SEVERITIES.join('|')}: allowed findings (integer >= 0)}`);
+    }
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return { pattern, thresholds, regex: new RegExp(`^${source}$`, 'i') };
+  });
+}
+
+module.exports = {
+  thresholds: parseThresholds(process.env.CODE_REVIEW_THRESHOLDS),
+  SEVERITIES,
+  DEFAULT_THRESHOLDS,
+  parseThresholds
+};
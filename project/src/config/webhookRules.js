@@ -0,0 +1,90 @@
+// Which agent runs for which GitHub webhook event.
+//
+// A rule matches an `event` (pull_request, push, check_suite or issue_comment) and, when given:
+//   actions       - the payload's action, e.g. ["opened", "synchronize"]
+//   repositories  - "owner/name" patterns with * wildcards
+//   branches      - head branch (or pushed branch) patterns with * wildcards
+//   conclusions   - check suite conclusions, e.g. ["failure"]
+//   comment       - a regular expression the comment body must match (issue_comment)
+//   drafts        - true to also run for draft pull requests
+// and queues a job for its `agent` (code_review, test_writer or build_predictor) with the event's fields
+// plus the rule's `params` (e.g. {"analysis_type": "security", "llm_model": "..."}). Every matching rule runs.
+//
+// GITHUB_WEBHOOK_RULES (a JSON list of rules) replaces the defaults below.
+//
+// Comments only dispatch anything when the commenter's author_association is listed in
+// GITHUB_WEBHOOK_COMMENT_ASSOCIATIONS (default OWNER,MEMBER,COLLABORATOR), so on a public
+// repository a passer-by can't run agents.
+
+const EVENTS = ['pull_request', 'push', 'check_suite', 'issue_comment'];
+
+// Agent name in a rule -> job type (see JOB_TYPES in src/services/agentOperations.js)
+const AGENTS = {
+  code_review: 'code_review',
+  test_writer: 'test_generation',
+  build_predictor: 'build_prediction'
+};
+
+const DEFAULT_RULES = [
+  { event: 'pull_request', actions: ['opened', 'synchronize', 'reopened', 'ready_for_review'], agent: 'code_review' },
+  { event: 'pull_request', actions: ['opened', 'ready_for_review'], agent: 'test_writer' },
+  { event: 'push', branches: ['main', 'master'], agent: 'build_predictor' },
+  { event: 'check_suite', actions: ['requested', 'rerequested'], agent: 'build_predictor' },
+  { event: 'issue_comment', actions: ['created'], comment: '^/review\\b', agent: 'code_review' },
+  { event: 'issue_comment', actions: ['created'], comment: '^/tests\\b', agent: 'test_writer' }
+];
+
+// GitHub's author_association values
+const ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR', 'CONTRIBUTOR', 'FIRST_TIME_CONTRIBUTOR', 'FIRST_TIMER', 'MANNEQUIN', 'NONE'];
+const DEFAULT_COMMENT_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
+function parseCommentAssociations(value) {
+  if (!value) {
+    return DEFAULT_COMMENT_ASSOCIATIONS;
+  }
+
+  const associations = value.split(',').map(a => a.trim().toUpperCase()).filter(Boolean);
+  const unknown = associations.filter(a => !ASSOCIATIONS.includes(a));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid GITHUB_WEBHOOK_COMMENT_ASSOCIATIONS: ${unknown.join(', ')} (expected ${ASSOCIATIONS.join(', ')})`);
+  }
+  return associations;
+}
+
+function parseRules(value) {
+  let rules = DEFAULT_RULES;
+  if (value) {
+    try {
+      rules = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid GITHUB_WEBHOOK_RULES: ${error.message}`);
+    }
+    if (!Array.isArray(rules)) {
+      throw new Error('Invalid GITHUB_WEBHOOK_RULES: expected a JSON list of rules');
+    }
+  }
+
+  for (const rule of rules) {
+    if (!EVENTS.includes(rule.event) || !AGENTS[rule.agent]) {
+      throw new Error(`Invalid webhook rule ${JSON.stringify(rule)}: event must be one of ${EVENTS.join(', ')} and agent one of ${Object.keys(AGENTS).join(', ')}`);
+    }
+    if (rule.comment) {
+      try {
+        new RegExp(rule.comment);
+      } catch (error) {
+        throw new Error(`Invalid webhook rule ${JSON.stringify(rule)}: ${error.message}`);
+      }
+    }
+  }
+  return rules;
+}
+
+module.exports = {
+  rules: parseRules(process.env.GITHUB_WEBHOOK_RULES),
+  commentAssociations: parseCommentAssociations(process.env.GITHUB_WEBHOOK_COMMENT_ASSOCIATIONS),
+  EVENTS,
+  AGENTS,
+  ASSOCIATIONS,
+  parseRules,
+  parseCommentAssociations
+};
@@ -0,0 +1,49 @@
+const authMiddleware = require('./auth');
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+// Accepts a service API key (Authorization: Bearer mcp_… or X-API-Key: mcp_…) and otherwise falls back
+// to the JWT check of authMiddleware. Only mounted on routers whose routes declare a scope.
+const apiKeyAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const key = req.headers['x-api-key'] || (authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null);
+
+  if (!apiKeyService.isApiKey(key)) {
+    return authMiddleware(req, res, next);
+  }
+
+  try {
+    const apiKey = await apiKeyService.authenticate(key, `${req.method} ${req.baseUrl}${req.path}`);
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'Invalid API key',
+        message: 'The API key is unknown, revoked or expired'
+      });
+    }
+
+    req.apiKey = apiKey;
+    req.user = { id: `api-key:${apiKey.key_id}`, name: apiKey.name, scopes: apiKey.scopes };
+    next();
+  } catch (error) {
+    logger.error('API key authentication error:', error);
+    res.status(500).json({
+      error: 'Authentication failed',
+      message: error.message
+    });
+  }
+};
+
+// The scope an API key needs for a route; JWT users are not limited by scopes
+const requireScope = scope => (req, res, next) => {
+  if (!req.apiKey || req.apiKey.scopes.includes(scope)) {
+    return next();
+  }
+
+  res.status(403).json({
+    error: 'Forbidden',
+    message: `This API key does not have the ${scope} scope`,
+    required_scope: scope
+  });
+};
+
+module.exports = { apiKeyAuth, requireScope };
@@ -0,0 +1,37 @@
+const accessControl = require('../services/accessControl');
+const logger = require('../utils/logger');
+
+// Declares the permission a route needs, e.g. authorize('deploy', { environment: req => req.body.environment }).
+// `environment` and `deploymentId` read the target from the request; with only a deployment id, the
+// deployment's environment is used. A body kubernetes_config must stay within the environment.
+const authorize = (permission, { environment, deploymentId } = {}) => async (req, res, next) => {
+  // Service API keys have no role; requireScope limits them instead
+  if (req.apiKey) {
+    return next();
+  }
+
+  try {
+    await accessControl.authorize(req.user, permission, {
+      environment: environment?.(req),
+      deployment_id: deploymentId?.(req),
+      kubernetes_config: req.body?.kubernetes_config,
+      source: `${req.method} ${req.baseUrl}${req.path}`
+    });
+    next();
+  } catch (error) {
+    if (error.statusCode === 403) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: error.message,
+        ...error.details
+      });
+    }
+    logger.error('Authorization error:', error);
+    res.status(500).json({
+      error: 'Authorization failed',
+      message: error.message
+    });
+  }
+};
+
+module.exports = authorize;
@@ -0,0 +1,51 @@
+const callbackService = require('../services/callbackService');
+const logger = require('../utils/logger');
+const { wantsStream } = require('../utils/sse');
+
+// Accepts a callback_url on any request. Routes that can run as a job queue one and the job
+// posts its result when it finishes (see runOperation in routes/agents.js); every other route
+// still answers the request and also posts the same response body to the callback. Streamed
+// responses (SSE or NDJSON logs) have no single body to post, so a callback is refused for them.
+const callbackMiddleware = (req, res, next) => {
+  const callbackUrl = req.body?.callback_url;
+  if (!callbackUrl) {
+    return next();
+  }
+
+  try {
+    callbackService.validate(callbackUrl);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      error: 'Invalid callback',
+      message: error.message
+    });
+  }
+
+  if (wantsStream(req) || req.body.stream_logs) {
+    return res.status(400).json({
+      error: 'Invalid callback',
+      message: 'callback_url cannot be combined with a streamed response'
+    });
+  }
+
+  req.callbackUrl = callbackUrl;
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (!res.locals.callbackQueued) {
+      callbackService.deliver(callbackUrl, {
+        event: 'request.completed',
+        request_path: req.originalUrl,
+        status: res.statusCode < 400 ? 'completed' : 'failed',
+        status_code: res.statusCode,
+        result: body,
+        timestamp: new Date().toISOString()
+      }).catch(error => logger.error('Callback error:', error));
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = callbackMiddleware;
@@ -0,0 +1,12 @@
+const requestContext = require('../utils/requestContext');
+
+// Mounted after authMiddleware so the user is known
+const requestContextMiddleware = (req, res, next) => {
+  requestContext.run({
+    userId: req.user?.id || null,
+    team: req.user?.team || null,
+    route: `${req.baseUrl}${req.path}`
+  }, next);
+};
+
+module.exports = requestContextMiddleware;
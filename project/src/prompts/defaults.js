@@ -0,0 +1,292 @@
+// Built-in prompt templates (version 0 of each prompt). `{{name}}` placeholders are filled in when the
+// prompt is rendered; objects are inserted as pretty-printed JSON. Newer versions are saved through
+// PUT /llm/prompts/:name and may only use the variables listed here.
+
+const CODE_ANALYSIS_TEMPLATE = `Please analyze the following code:
+
+\`\`\`
+{{code}}
+\`\`\`
+
+Provide detailed analysis and recommendations.`;
+
+const codeAnalysis = system => ({
+  variables: ['code'],
+  system,
+  template: CODE_ANALYSIS_TEMPLATE
+});
+
+module.exports = {
+  'code_analysis.security': codeAnalysis('You are a security expert. Analyze the provided code for security vulnerabilities, potential exploits, and security best practices.'),
+  'code_analysis.performance': codeAnalysis('You are a performance optimization expert. Analyze the code for performance issues, bottlenecks, and optimization opportunities.'),
+  'code_analysis.quality': codeAnalysis('You are a code quality expert. Review the code for maintainability, readability, design patterns, and best practices.'),
+  'code_analysis.testing': codeAnalysis('You are a testing expert. Analyze the code and suggest comprehensive test cases, edge cases, and testing strategies.'),
+  'code_analysis.general': codeAnalysis('You are a senior software engineer. Provide a comprehensive code review covering security, performance, quality, and testing aspects.'),
+  'code_analysis.comprehensive': codeAnalysis('You are a senior software engineer and security expert. Provide a detailed analysis covering security vulnerabilities, performance issues, code quality, maintainability, and testing recommendations.'),
+
+  code_review_findings: {
+    variables: ['analysis', 'diff'],
+    system: 'You are a senior software engineer turning a code review into findings on a pull request.',
+    template: `List the issues in this review of the pull request diff below as findings.
+
+For each issue give its category, a severity, a short title, the file and line range, why it is a problem
+(rationale) and a concrete suggested fix. Severity is about the impact of the issue, not its topic: use
+critical for exploitable vulnerabilities or data loss, high for bugs that will break behaviour, medium for
+likely bugs or notable risks, low for minor problems and info for remarks. Locate issues with the file path
+after "+++ b/" and the line numbers in the new version of the file, or null when an issue has no location.
+Only list real issues: statements that something is fine (e.g. "no security issues found") are not
+findings. Return an empty list when there is nothing to flag.
+
+Review:
+{{analysis}}
+
+Diff:
+{{diff}}`
+  },
+
+  test_generation: {
+    variables: ['code', 'test_framework'],
+    system: 'You are a test automation expert. Generate comprehensive unit tests for the provided code using {{test_framework}}. Include edge cases, error scenarios, and integration test suggestions.',
+    template: `Generate comprehensive tests for this code:
+
+\`\`\`
+{{code}}
+\`\`\`
+
+Requirements:
+- Use {{test_framework}} framework
+- Include unit tests with good coverage
+- Test edge cases and error scenarios
+- Provide clear test descriptions
+- Include setup and teardown if needed`
+  },
+
+  build_prediction: {
+    variables: ['changes', 'build_history', 'dependency_analysis'],
+    system: 'You are a DevOps expert specializing in build prediction and CI/CD optimization. Analyze code changes and build history to predict build outcomes and suggest optimizations.',
+    template: `Analyze these code changes and predict the build outcome:
+
+Changes:
+{{changes}}
+
+Recent build history:
+{{build_history}}
+
+Dependency Analysis:
+{{dependency_analysis}}
+
+Provide:
+1. Build success probability (0-100%)
+2. Potential failure points
+3. Estimated build time
+4. Resource requirements
+5. Optimization suggestions
+6. Confidence score (0.0-1.0)
+
+Respond in JSON format.`
+  },
+
+  vulnerability_scan: {
+    variables: ['scan_type', 'files'],
+    system: 'You are a cybersecurity expert specializing in code vulnerability analysis. Analyze the provided code for security vulnerabilities, potential exploits, and security best practices.',
+    template: `Perform a {{scan_type}} security vulnerability scan on this repository content:
+
+{{files}}
+
+Analyze for:
+1. SQL injection vulnerabilities
+2. Cross-site scripting (XSS) issues
+3. Authentication and authorization flaws
+4. Insecure data handling
+5. Dependency vulnerabilities
+6. Configuration security issues
+7. Input validation problems
+8. Cryptographic issues
+
+Respond in JSON format with:
+{
+  "risk_level": "low|medium|high|critical",
+  "vulnerabilities": [
+    {
+      "title": "Vulnerability name",
+      "severity": "low|medium|high|critical",
+      "description": "Description",
+      "file": "affected file",
+      "line": "line number if applicable",
+      "recommendation": "how to fix"
+    }
+  ],
+  "summary": "Overall security assessment"
+}`
+  },
+
+  intent_analysis: {
+    variables: ['user_message', 'context', 'conversation', 'known_entities'],
+    system: 'You are an intent analysis expert for DevOps operations. Analyze user messages to determine their intent and extract relevant entities for automation workflows.',
+    template: `Analyze this user message and extract intent and entities:
+
+Message: "{{user_message}}"
+Context: {{context}}
+
+Conversation so far:
+{{conversation}}
+
+Entities already established in this conversation:
+{{known_entities}}
+
+Resolve references such as "that service", "it" or "the same branch" using the conversation, and carry
+over established entities the message does not change.
+
+Return a JSON response with:
+{
+  "intent": "deploy|monitor|rollback|build|test|security|general",
+  "confidence": 0.0-1.0,
+  "entities": {
+    "repository": "repo name if mentioned",
+    "environment": "staging|production|development",
+    "service": "service name if mentioned",
+    "branch": "branch name if mentioned",
+    "deployment_id": "deployment id if mentioned",
+    "action": "specific action requested"
+  },
+  "parameters": {},
+  "suggested_workflow": "workflow recommendation"
+}`
+  },
+
+  health_analysis: {
+    variables: ['health_data'],
+    system: 'You are a monitoring expert. Analyze service health metrics and determine overall health status.',
+    template: `Analyze this service health data and determine if the service is healthy:
+
+{{health_data}}
+
+Respond in JSON format with health_status (healthy/degraded/unhealthy) and analysis.`
+  },
+
+  conversational_response: {
+    variables: ['user_message', 'intent', 'agent_response', 'conversation'],
+    system: 'You are a helpful DevOps assistant. Convert technical agent responses into natural, conversational language that is easy to understand while maintaining technical accuracy.',
+    template: `Convert this technical response into a conversational format:
+
+Conversation so far:
+{{conversation}}
+
+Original user message: "{{user_message}}"
+Intent: {{intent}}
+Agent response: {{agent_response}}
+
+Generate a natural, helpful response that:
+1. Acknowledges the user's request
+2. Explains what was done in simple terms
+3. Provides key results or status
+4. Suggests next steps if applicable
+5. Maintains a friendly, professional tone`
+  },
+
+  conversation_summary: {
+    variables: ['summary', 'turns'],
+    system: 'You summarise DevOps chat conversations so they can be continued later.',
+    template: `Summarise this conversation in a few sentences. Keep every repository, service, environment,
+branch, deployment id and decision that was mentioned, and what the user asked for last.
+
+Earlier summary:
+{{summary}}
+
+Messages:
+{{turns}}`
+  },
+
+  agent_chat: {
+    variables: ['message', 'conversation', 'known_entities'],
+    system: `You are a DevOps assistant that carries out requests by calling the available tools.
+Work step by step: gather what you need (look deployments up instead of guessing their ids), check the
+results, and only then act. Tools that change running systems, such as rollbacks, are confirmed by the user
+before they run, so call them directly when the request calls for it rather than asking first. When you are
+done, answer briefly with what you found and what you did, quoting the numbers you based decisions on.
+
+Conversation so far:
+{{conversation}}
+
+Entities already established in this conversation:
+{{known_entities}}`,
+    template: '{{message}}'
+  },
+
+  compliance_insights: {
+    variables: ['compliance_result'],
+    system: null,
+    template: 'Analyze this compliance assessment and provide insights:\n\n{{compliance_result}}'
+  },
+
+  cost_optimization: {
+    variables: ['cloud_provider', 'cost_analysis'],
+    system: 'You are a cloud cost optimization expert. Provide specific, actionable recommendations to reduce costs while maintaining performance.',
+    template: 'Analyze this cloud cost breakdown and provide optimization recommendations for {{cloud_provider}}:\n\n{{cost_analysis}}'
+  },
+
+  reliability_assessment: {
+    variables: ['service_architecture', 'slo_targets', 'assessment'],
+    system: 'You are a Site Reliability Engineering expert. Provide detailed analysis of system reliability, potential failure points, and improvement recommendations.',
+    template: 'As an SRE expert, analyze this service architecture and provide reliability insights:\n\nArchitecture: {{service_architecture}}\nSLO Targets: {{slo_targets}}\nAssessment: {{assessment}}'
+  },
+
+  vulnerability_fix: {
+    variables: ['vulnerability'],
+    system: 'You are a security expert. Generate safe, minimal code fixes for vulnerabilities. Only provide the specific code changes needed.',
+    template: 'Generate a code fix for this vulnerability:\n\n{{vulnerability}}'
+  },
+
+  metrics_summary: {
+    variables: ['service', 'metrics'],
+    system: 'You are a helpful DevOps assistant. Provide clear, conversational summaries of service metrics that are easy to understand.',
+    template: 'Provide a conversational summary of these service metrics for {{service}}:\n\n{{metrics}}'
+  },
+
+  rollback_plan: {
+    variables: ['deployment_id', 'rollback_strategy', 'reason'],
+    system: 'You are a deployment expert. Create detailed, safe rollback plans with step-by-step instructions.',
+    template: 'Create a rollback plan for deployment {{deployment_id}} with strategy "{{rollback_strategy}}" due to: {{reason}}'
+  },
+
+  rollback_confirmation: {
+    variables: ['service', 'deployment_id', 'rollback_version'],
+    system: 'Generate clear, professional confirmation messages for rollback operations. Include risks and next steps.',
+    template: 'Generate a confirmation message for rolling back {{service}} (deployment: {{deployment_id}}) to {{rollback_version}} version.'
+  },
+
+  incident_response: {
+    variables: ['severity', 'incident_type', 'deployment_id'],
+    system: 'You are an incident response expert. Create detailed incident response plans with clear steps, timelines, and escalation procedures.',
+    template: 'Create an incident response plan for a {{severity}} severity {{incident_type}} incident affecting deployment {{deployment_id}}'
+  },
+
+  security_report: {
+    variables: ['vulnerability_data', 'compliance_data', 'cost_analysis', 'sre_assessment', 'report_format'],
+    system: 'You are a cybersecurity expert generating executive security reports. Create comprehensive, actionable reports that are suitable for both technical and executive audiences.',
+    template: `Generate a comprehensive security report based on this data:
+
+Vulnerability Assessment:
+{{vulnerability_data}}
+
+Compliance Analysis:
+{{compliance_data}}
+
+Cost Analysis:
+{{cost_analysis}}
+
+SRE Assessment:
+{{sre_assessment}}
+
+Format: {{report_format}}
+
+Include:
+1. Executive Summary
+2. Risk Assessment
+3. Key Findings
+4. Recommendations
+5. Action Items with priorities
+6. Cost implications
+7. Compliance status`
+  }
+};
@@ -0,0 +1,64 @@
+const BaseRepository = require('./baseRepository');
+const database = require('../config/database');
+const memoryStore = require('./memoryStore');
+
+class ApiKeyRepository extends BaseRepository {
+  constructor() {
+    super('api_keys', [
+      'key_id',
+      'name',
+      'key_prefix',
+      'key_hash',
+      'scopes',
+      'created_by',
+      'expires_at',
+      'revoked_at',
+      'rotated_to',
+      'usage_count',
+      'last_used_at',
+      'last_used_route',
+      'created_at',
+      'updated_at'
+    ], { jsonColumns: ['scopes'], hasUpdatedAt: true });
+  }
+
+  async create(key) {
+    return this.insert({ ...key, usage_count: 0, updated_at: new Date() });
+  }
+
+  async findByKeyId(keyId) {
+    return this.findOneBy('key_id', keyId);
+  }
+
+  async findByHash(keyHash) {
+    return this.findOneBy('key_hash', keyHash);
+  }
+
+  async update(keyId, changes) {
+    return this.updateBy('key_id', keyId, changes);
+  }
+
+  // Counted in the database so concurrent requests with the same key don't lose updates
+  async recordUsage(keyId, route) {
+    const usedAt = new Date();
+
+    if (!database.isEnabled()) {
+      const [row] = memoryStore.find(this.table, r => r.key_id === keyId);
+      if (row) {
+        memoryStore.update(this.table, r => r.key_id === keyId, {
+          usage_count: (row.usage_count || 0) + 1,
+          last_used_at: usedAt,
+          last_used_route: route
+        });
+      }
+      return;
+    }
+
+    await database.query(
+      `UPDATE ${this.table} SET usage_count = usage_count + 1, last_used_at = $2, last_used_route = $3 WHERE key_id = $1`,
+      [keyId, usedAt, route]
+    );
+  }
+}
+
+module.exports = new ApiKeyRepository();
@@ -0,0 +1,28 @@
+const BaseRepository = require('./baseRepository');
+
+class AuditRepository extends BaseRepository {
+  constructor() {
+    super('audit_logs', [
+      'event_type',
+      'deployment_id',
+      'user_id',
+      'details',
+      'created_at'
+    ], { jsonColumns: ['details'] });
+  }
+
+  async record(eventType, { deployment_id, user_id, details = {} } = {}) {
+    return this.insert({
+      event_type: eventType,
+      deployment_id,
+      user_id,
+      details
+    });
+  }
+
+  async findById(id) {
+    return this.findOneBy('id', Number(id));
+  }
+}
+
+module.exports = new AuditRepository();
@@ -0,0 +1,155 @@
+const database = require('../config/database');
+const memoryStore = require('./memoryStore');
+
+const MAX_PAGE_SIZE = 500;
+
+function encodeCursor(id) {
+  return Buffer.from(JSON.stringify({ id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(id)) {
+      throw new Error('cursor id must be an integer');
+    }
+    return id;
+  } catch (error) {
+    const validationError = new Error(`Invalid cursor: ${cursor}`);
+    validationError.name = 'ValidationError';
+    throw validationError;
+  }
+}
+
+// Shared persistence logic: Postgres when DATABASE_URL is set, in-memory store otherwise
+class BaseRepository {
+  constructor(table, columns, options = {}) {
+    this.table = table;
+    this.columns = columns;
+    this.jsonColumns = options.jsonColumns || [];
+    this.hasUpdatedAt = options.hasUpdatedAt || false;
+  }
+
+  pick(record) {
+    const values = {};
+    for (const column of this.columns) {
+      if (record[column] !== undefined) {
+        values[column] = record[column];
+      }
+    }
+    return values;
+  }
+
+  serialize(column, value) {
+    // pg would turn JS arrays into Postgres arrays, so JSONB columns are stringified explicitly
+    if (this.jsonColumns.includes(column) && value !== null) {
+      return JSON.stringify(value);
+    }
+    return value;
+  }
+
+  async insert(record) {
+    const values = this.pick(record);
+
+    if (!database.isEnabled()) {
+      return memoryStore.insert(this.table, values);
+    }
+
+    const columns = Object.keys(values);
+    const placeholders = columns.map((_, index) => `$${index + 1}`);
+    const result = await database.query(
+      `INSERT INTO ${this.table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+      columns.map(column => this.serialize(column, values[column]))
+    );
+
+    return result.rows[0];
+  }
+
+  async findOneBy(field, value) {
+    if (!database.isEnabled()) {
+      const [row] = memoryStore.find(this.table, r => r[field] === value);
+      return row || null;
+    }
+
+    const result = await database.query(
+      `SELECT * FROM ${this.table} WHERE ${field} = $1 LIMIT 1`,
+      [value]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Newest-first listing with equality (or IN, for arrays) filters, a created_at range and keyset pagination on id
+  async list({ where = {}, since, until, cursor, limit = 50 } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+    const filters = this.pick(where);
+    const beforeId = cursor ? decodeCursor(cursor) : null;
+
+    let rows;
+    if (!database.isEnabled()) {
+      rows = memoryStore
+        .find(this.table, row =>
+          Object.entries(filters).every(([field, value]) => Array.isArray(value)
+            ? value.map(String).includes(String(row[field]))
+            : String(row[field]) === String(value)) &&
+          (!since || row.created_at >= since) &&
+          (!until || row.created_at <= until) &&
+          (beforeId === null || row.id < beforeId)
+        )
+        .sort((a, b) => b.id - a.id)
+        .slice(0, pageSize + 1);
+    } else {
+      const conditions = [];
+      const params = [];
+      const addCondition = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+      };
+
+      for (const [field, value] of Object.entries(filters)) {
+        addCondition(Array.isArray(value) ? `${field} = ANY(?)` : `${field} = ?`, value);
+      }
+      if (since) addCondition('created_at >= ?', since);
+      if (until) addCondition('created_at <= ?', until);
+      if (beforeId !== null) addCondition('id < ?', beforeId);
+
+      params.push(pageSize + 1);
+      const result = await database.query(
+        `SELECT * FROM ${this.table}${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''} ORDER BY id DESC LIMIT $${params.length}`,
+        params
+      );
+      rows = result.rows;
+    }
+
+    const hasMore = rows.length > pageSize;
+    const page = rows.slice(0, pageSize);
+
+    return {
+      rows: page,
+      next_cursor: hasMore ? encodeCursor(page[page.length - 1].id) : null
+    };
+  }
+
+  async updateBy(field, value, changes) {
+    const values = this.pick(changes);
+    if (this.hasUpdatedAt) {
+      values.updated_at = new Date();
+    }
+
+    if (!database.isEnabled()) {
+      const [row] = memoryStore.update(this.table, r => r[field] === value, values);
+      return row || null;
+    }
+
+    const columns = Object.keys(values);
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+    const result = await database.query(
+      `UPDATE ${this.table} SET ${assignments.join(', ')} WHERE ${field} = $1 RETURNING *`,
+      [value, ...columns.map(column => this.serialize(column, values[column]))]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = BaseRepository;
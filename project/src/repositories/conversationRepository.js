@@ -0,0 +1,31 @@
+const BaseRepository = require('./baseRepository');
+
+class ConversationRepository extends BaseRepository {
+  constructor() {
+    super('conversations', [
+      'user_id',
+      'user_message',
+      'intent',
+      'agent_response',
+      'model_used',
+      'created_at'
+    ]);
+  }
+
+  async record(conversation) {
+    const { agent_response } = conversation;
+
+    return this.insert({
+      ...conversation,
+      agent_response: agent_response && typeof agent_response !== 'string'
+        ? JSON.stringify(agent_response)
+        : agent_response
+    });
+  }
+
+  async findById(id) {
+    return this.findOneBy('id', Number(id));
+  }
+}
+
+module.exports = new ConversationRepository();
@@ -0,0 +1,31 @@
+const BaseRepository = require('./baseRepository');
+
+class ConversationSessionRepository extends BaseRepository {
+  constructor() {
+    super('conversation_sessions', [
+      'session_id',
+      'user_id',
+      'summary',
+      'entities',
+      'turns',
+      'token_count',
+      'pending_action',
+      'created_at',
+      'updated_at'
+    ], { jsonColumns: ['entities', 'turns', 'pending_action'], hasUpdatedAt: true });
+  }
+
+  async create(session) {
+    return this.insert({ ...session, updated_at: new Date() });
+  }
+
+  async findBySessionId(sessionId) {
+    return this.findOneBy('session_id', sessionId);
+  }
+
+  async update(sessionId, changes) {
+    return this.updateBy('session_id', sessionId, changes);
+  }
+}
+
+module.exports = new ConversationSessionRepository();
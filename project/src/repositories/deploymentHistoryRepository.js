@@ -0,0 +1,33 @@
+const BaseRepository = require('./baseRepository');
+
+class DeploymentHistoryRepository extends BaseRepository {
+  constructor() {
+    super('deployment_history', [
+      'deployment_id',
+      'event',
+      'status',
+      'image_tag',
+      'user_id',
+      'details',
+      'created_at'
+    ], { jsonColumns: ['details'] });
+  }
+
+  async record(deploymentId, event, { status, image_tag, user_id, details = {} } = {}) {
+    return this.insert({
+      deployment_id: deploymentId,
+      event,
+      status,
+      image_tag,
+      user_id,
+      details
+    });
+  }
+
+  async forDeployment(deploymentId, limit = 100) {
+    const { rows } = await this.list({ where: { deployment_id: deploymentId }, limit });
+    return rows;
+  }
+}
+
+module.exports = new DeploymentHistoryRepository();
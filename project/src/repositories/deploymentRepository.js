@@ -0,0 +1,41 @@
+const BaseRepository = require('./baseRepository');
+
+class DeploymentRepository extends BaseRepository {
+  constructor() {
+    super('deployments', [
+      'deployment_id',
+      'repository',
+      'environment',
+      'status',
+      'image_tag',
+      'deployment_url',
+      'service_name',
+      'service_url',
+      'branch',
+      'health_status',
+      'last_check_at',
+      'created_by',
+      'metadata',
+      'created_at',
+      'updated_at'
+    ], { jsonColumns: ['metadata'], hasUpdatedAt: true });
+  }
+
+  async create(deployment) {
+    return this.insert({ metadata: {}, ...deployment, updated_at: new Date() });
+  }
+
+  async findByDeploymentId(deploymentId) {
+    return this.findOneBy('deployment_id', deploymentId);
+  }
+
+  async update(deploymentId, changes) {
+    return this.updateBy('deployment_id', deploymentId, changes);
+  }
+
+  async updateStatus(deploymentId, status, changes = {}) {
+    return this.update(deploymentId, { ...changes, status });
+  }
+}
+
+module.exports = new DeploymentRepository();
@@ -0,0 +1,102 @@
+const BaseRepository = require('./baseRepository');
+const database = require('../config/database');
+const memoryStore = require('./memoryStore');
+
+// Columns a usage report can be grouped by; "day" buckets by UTC date
+const GROUP_COLUMNS = {
+  user_id: 'user_id',
+  team: 'team',
+  route: 'route',
+  provider: 'provider',
+  model: 'model',
+  day: "to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD')"
+};
+
+class LlmUsageRepository extends BaseRepository {
+  constructor() {
+    super('llm_usage', [
+      'user_id',
+      'team',
+      'route',
+      'provider',
+      'model',
+      'input_tokens',
+      'output_tokens',
+      'cost_usd',
+      'created_at'
+    ]);
+  }
+
+  async record(usage) {
+    return this.insert(usage);
+  }
+
+  // Request count, tokens and cost per group, with equality filters and a created_at range
+  async totals({ where = {}, since, until, groupBy = [] } = {}) {
+    const filters = this.pick(where);
+
+    if (!database.isEnabled()) {
+      const groups = new Map();
+      const rows = memoryStore.find(this.table, row =>
+        Object.entries(filters).every(([field, value]) => String(row[field]) === String(value)) &&
+        (!since || row.created_at >= since) &&
+        (!until || row.created_at <= until)
+      );
+
+      for (const row of rows) {
+        const group = {};
+        for (const column of groupBy) {
+          group[column] = column === 'day' ? row.created_at.toISOString().slice(0, 10) : row[column];
+        }
+        const key = JSON.stringify(group);
+        if (!groups.has(key)) {
+          groups.set(key, { ...group, requests: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 });
+        }
+        const totals = groups.get(key);
+        totals.requests++;
+        totals.input_tokens += row.input_tokens;
+        totals.output_tokens += row.output_tokens;
+        totals.cost_usd += row.cost_usd;
+      }
+
+      return [...groups.values()].sort((a, b) => b.cost_usd - a.cost_usd);
+    }
+
+    const conditions = [];
+    const params = [];
+    for (const [field, value] of Object.entries(filters)) {
+      params.push(value);
+      conditions.push(`${field} = $${params.length}`);
+    }
+    if (since) {
+      params.push(since);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (until) {
+      params.push(until);
+      conditions.push(`created_at <= $${params.length}`);
+    }
+
+    const groupColumns = groupBy.map(column => `${GROUP_COLUMNS[column]} AS ${column}`);
+    const result = await database.query(
+      `SELECT ${[...groupColumns, 'COUNT(*) AS requests', 'COALESCE(SUM(input_tokens), 0) AS input_tokens',
+        'COALESCE(SUM(output_tokens), 0) AS output_tokens', 'COALESCE(SUM(cost_usd), 0) AS cost_usd'].join(', ')}
+       FROM ${this.table}${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''}
+       ${groupBy.length ? `GROUP BY ${groupBy.map(column => GROUP_COLUMNS[column]).join(', ')}` : ''}
+       ORDER BY cost_usd DESC`,
+      params
+    );
+
+    // COUNT and SUM come back from pg as strings
+    return result.rows.map(row => ({
+      ...row,
+      requests: Number(row.requests),
+      input_tokens: Number(row.input_tokens),
+      output_tokens: Number(row.output_tokens),
+      cost_usd: Number(row.cost_usd)
+    }));
+  }
+}
+
+module.exports = new LlmUsageRepository();
+module.exports.GROUP_COLUMNS = Object.keys(GROUP_COLUMNS);
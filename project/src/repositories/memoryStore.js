@@ -0,0 +1,47 @@
+// In-memory table store used when DATABASE_URL is not configured (local dev and tests)
+class MemoryStore {
+  constructor() {
+    this.tables = new Map();
+    this.sequences = new Map();
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, []);
+      this.sequences.set(name, 0);
+    }
+    return this.tables.get(name);
+  }
+
+  insert(name, record) {
+    const rows = this.table(name);
+    const id = this.sequences.get(name) + 1;
+    this.sequences.set(name, id);
+
+    const row = { id, ...record, created_at: record.created_at || new Date() };
+    rows.push(row);
+    return { ...row };
+  }
+
+  find(name, predicate = () => true) {
+    return this.table(name).filter(predicate).map(row => ({ ...row }));
+  }
+
+  update(name, predicate, changes) {
+    const updated = [];
+    for (const row of this.table(name)) {
+      if (predicate(row)) {
+        Object.assign(row, changes);
+        updated.push({ ...row });
+      }
+    }
+    return updated;
+  }
+
+  reset() {
+    this.tables.clear();
+    this.sequences.clear();
+  }
+}
+
+module.exports = new MemoryStore();
@@ -0,0 +1,30 @@
+const BaseRepository = require('./baseRepository');
+
+class PromptTemplateRepository extends BaseRepository {
+  constructor() {
+    super('prompt_templates', [
+      'name',
+      'version',
+      'system_prompt',
+      'template',
+      'created_by',
+      'created_at'
+    ]);
+  }
+
+  async record(prompt) {
+    return this.insert(prompt);
+  }
+
+  // Versions only ever increase, so the newest row is the active one
+  async latest(name) {
+    const { rows } = await this.list({ where: { name }, limit: 1 });
+    return rows[0] || null;
+  }
+
+  async history(name, options = {}) {
+    return this.list({ ...options, where: { name } });
+  }
+}
+
+module.exports = new PromptTemplateRepository();
@@ -0,0 +1,25 @@
+const BaseRepository = require('./baseRepository');
+
+class SecurityScanRepository extends BaseRepository {
+  constructor() {
+    super('security_scans', [
+      'repository',
+      'branch',
+      'commit_sha',
+      'scan_type',
+      'risk_level',
+      'vulnerabilities',
+      'created_at'
+    ], { jsonColumns: ['vulnerabilities'] });
+  }
+
+  async record(scan) {
+    return this.insert(scan);
+  }
+
+  async findById(id) {
+    return this.findOneBy('id', Number(id));
+  }
+}
+
+module.exports = new SecurityScanRepository();
@@ -0,0 +1,25 @@
+const BaseRepository = require('./baseRepository');
+
+class WebhookDeliveryRepository extends BaseRepository {
+  constructor() {
+    super('webhook_deliveries', [
+      'delivery_id',
+      'event',
+      'action',
+      'repository',
+      'status',
+      'jobs',
+      'created_at'
+    ], { jsonColumns: ['jobs'] });
+  }
+
+  async record(delivery) {
+    return this.insert(delivery);
+  }
+
+  async findByDeliveryId(deliveryId) {
+    return this.findOneBy('delivery_id', deliveryId);
+  }
+}
+
+module.exports = new WebhookDeliveryRepository();
@@ -2,59 +2,59 @@ const express = require('express');
 const router = express.Router();
 const llmService = require('../services/llmService');
 const devopsService = require('../services/devopsService');
+const manifestGenerator = require('../services/manifestGenerator');
+const deploymentRegistry = require('../services/deploymentRegistry');
+const deploymentStrategies = require('../services/deploymentStrategies');
+const agentOperations = require('../services/agentOperations');
+const chatAgent = require('../services/chatAgent');
+const conversationMemory = require('../services/conversationMemory');
+const authorize = require('../middleware/authorize');
+const { JOB_TYPES } = require('../services/agentOperations');
+const jobQueue = require('../services/jobQueue');
+const auditRepository = require('../repositories/auditRepository');
+const securityScanRepository = require('../repositories/securityScanRepository');
+const { wantsStream, openStream } = require('../utils/sse');
 const logger = require('../utils/logger');
 
+// Targets for the per-route permission checks (see src/config/rbac.js)
+const bodyEnvironment = req => req.body.environment;
+const bodyDeploymentId = req => req.body.deployment_id;
+
+function jobAccepted(job) {
+  return {
+    job_id: job.job_id,
+    status: job.status,
+    status_url: `/jobs/${job.job_id}`,
+    events_url: `/jobs/${job.job_id}/events`,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Long-running operations run as a job when the request sets "async": true or gives a callback_url,
+// answering 202 with a job_id; the job itself posts the result to the callback when it finishes
+async function enqueueOperation(req, res, jobType, payload = req.body) {
+  const job = await jobQueue.enqueue(jobType, payload, { userId: req.user?.id, callbackUrl: req.callbackUrl });
+  res.locals.callbackQueued = Boolean(req.callbackUrl);
+  return job;
+}
+
+async function runOperation(req, res, jobType) {
+  if (req.body.async || req.callbackUrl) {
+    const job = await enqueueOperation(req, res, jobType);
+    return res.status(202).json(jobAccepted(job));
+  }
+
+  res.json(await agentOperations[JOB_TYPES[jobType]](req.body, { userId: req.user?.id }));
+}
+
 // Enhanced Code Review Agent with multiple analysis types
 // Code Review Agent
 router.post('/code-review', async (req, res) => {
   try {
-    const { repository, pr_number, diff_url, llm_model, analysis_type = 'comprehensive' } = req.body;
-
-    logger.info('Starting code review', { repository, pr_number });
-
-    // Fetch PR diff
-    const diffContent = await devopsService.fetchPRDiff(repository, pr_number, diff_url);
-    
-    // Analyze code with LLM
-    const analysis = await llmService.analyzeCode(diffContent, analysis_type, { model: llm_model });
-    
-    // Determine approval status based on analysis
-    const riskKeywords = ['security', 'vulnerability', 'critical', 'dangerous', 'unsafe'];
-    const hasHighRisk = riskKeywords.some(keyword => 
-      analysis.content.toLowerCase().includes(keyword)
-    );
-
-    // Extract suggestions using LLM
-    const suggestionsPrompt = `Based on this code analysis, extract 3-5 specific, actionable suggestions:\n\n${analysis.content}`;
-    const suggestionsResponse = await llmService.generateResponse(suggestionsPrompt, {
-      model: llm_model,
-      maxTokens: 1000
-    });
-
-    let suggestions = [];
-    try {
-      suggestions = suggestionsResponse.content.split('\n').filter(s => s.trim().length > 0).slice(0, 5);
-    } catch (e) {
-      suggestions = ['Review the analysis for detailed recommendations'];
-    }
-
-    const result = {
-      status: hasHighRisk ? 'changes_requested' : 'approved',
-      analysis: analysis.content,
-      risk_level: hasHighRisk ? 'high' : 'low',
-      suggestions: suggestions,
-      model_used: analysis.model,
-      provider: analysis.provider,
-      timestamp: new Date().toISOString()
-    };
-
-    // Post review comment to GitHub
-    await devopsService.postReviewComment(repository, pr_number, result);
-
-    res.json(result);
+    res.json(await agentOperations.codeReview(req.body));
   } catch (error) {
     logger.error('Code review error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'Code review failed',
       message: error.message
     });
@@ -65,46 +65,10 @@ router.post('/code-review', async (req, res) => {
 // Test Writer Agent
 router.post('/test-writer', async (req, res) => {
   try {
-    const { repository, pr_number, changed_files, llm_model, test_framework } = req.body;
-
-    logger.info('Generating tests', { repository, pr_number });
-
-    // Fetch changed files content
-    const filesContent = await devopsService.fetchChangedFiles(repository, changed_files);
-    
-    let totalTestsGenerated = 0;
-    const generatedTests = [];
-
-    for (const file of filesContent) {
-      if (file.content && file.filename.match(/\.(js|ts|py|java|go)$/)) {
-        // Detect framework if not specified
-        const detectedFramework = test_framework || await this.detectTestFramework(file.content, file.filename);
-        
-        const tests = await llmService.generateTests(file.content, detectedFramework, { model: llm_model });
-        generatedTests.push({
-          filename: file.filename,
-          test_file: this.generateTestFileName(file.filename, detectedFramework),
-          tests: tests.content,
-          framework: detectedFramework
-        });
-        totalTestsGenerated++;
-      }
-    }
-
-    // Create test files in repository
-    for (const test of generatedTests) {
-      await devopsService.createTestFile(repository, test.test_file, test.tests);
-    }
-
-    res.json({
-      tests_generated: totalTestsGenerated,
-      test_files: generatedTests.map(t => t.test_file),
-      coverage_estimate: Math.min(85 + Math.random() * 10, 95), // Simulated coverage
-      timestamp: new Date().toISOString()
-    });
+    await runOperation(req, res, 'test_generation');
   } catch (error) {
     logger.error('Test generation error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'Test generation failed',
       message: error.message,
       tests_generated: 0
@@ -116,56 +80,13 @@ router.post('/test-writer', async (req, res) => {
 // Build Predictor Agent
 router.post('/build-predictor', async (req, res) => {
   try {
-    const { repository, branch, commit_sha, llm_model, include_dependencies = true } = req.body;
-
-    logger.info('Predicting build outcome', { repository, branch, commit_sha });
-
-    // Fetch recent changes and build history
-    const changes = await devopsService.getRecentChanges(repository, commit_sha);
-    const buildHistory = await devopsService.getBuildHistory(repository, branch);
-    
-    let dependencyAnalysis = null;
-    if (include_dependencies) {
-      dependencyAnalysis = await devopsService.analyzeDependencies(repository, commit_sha);
-    }
-
-    // Use LLM to predict build outcome
-    const prediction = await llmService.predictBuildOutcome(
-      changes, 
-      buildHistory, 
-      dependencyAnalysis,
-      { model: llm_model }
-    );
-
-    // Parse prediction response
-    let buildPrediction;
-    try {
-      buildPrediction = JSON.parse(prediction.content);
-    } catch {
-      buildPrediction = {
-        success_probability: 75,
-        estimated_duration: '5-8 minutes',
-        potential_issues: ['Dependency conflicts possible'],
-        resource_requirements: { cpu: 'medium', memory: 'medium' },
-        confidence_score: 0.7
-      };
-    }
-
-    res.json({
-      ...buildPrediction,
-      commit_sha,
-      branch,
-      model_used: prediction.model,
-      provider: prediction.provider,
-      dependency_analysis: dependencyAnalysis,
-      timestamp: new Date().toISOString()
-    });
+    res.json(await agentOperations.predictBuild(req.body));
   } catch (error) {
     logger.error('Build prediction error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'Build prediction failed',
       message: error.message,
-      success_probability: 50
+      details: error.details
     });
   }
 });
@@ -173,54 +94,13 @@ router.post('/build-predictor', async (req, res) => {
 // Enhanced Security Agents
 router.post('/security/vulnerability-scan', async (req, res) => {
   try {
-    const { repository, branch = 'main', scan_type = 'comprehensive', llm_model } = req.body;
-
-    logger.info('Starting vulnerability scan', { repository, branch, scan_type });
-
-    // Fetch repository content for analysis
-    const repoContent = await devopsService.fetchRepositoryContent(repository, branch);
-    
-    // Perform vulnerability analysis with LLM
-    const vulnerabilityAnalysis = await llmService.analyzeVulnerabilities(
-      repoContent, 
-      scan_type,
-      { model: llm_model }
-    );
-
-    // Parse vulnerabilities
-    let vulnerabilities = [];
-    let riskLevel = 'low';
-    
-    try {
-      const analysis = JSON.parse(vulnerabilityAnalysis.content);
-      vulnerabilities = analysis.vulnerabilities || [];
-      riskLevel = analysis.risk_level || 'low';
-    } catch (e) {
-      // Fallback parsing
-      const content = vulnerabilityAnalysis.content.toLowerCase();
-      if (content.includes('critical') || content.includes('high risk')) {
-        riskLevel = 'high';
-      } else if (content.includes('medium') || content.includes('moderate')) {
-        riskLevel = 'medium';
-      }
-    }
-
-    res.json({
-      repository,
-      branch,
-      scan_type,
-      risk_level: riskLevel,
-      vulnerabilities,
-      total_issues: vulnerabilities.length,
-      model_used: vulnerabilityAnalysis.model,
-      provider: vulnerabilityAnalysis.provider,
-      timestamp: new Date().toISOString()
-    });
+    await runOperation(req, res, 'vulnerability_scan');
   } catch (error) {
     logger.error('Vulnerability scan error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'Vulnerability scan failed',
       message: error.message,
+      details: error.details,
       risk_level: 'unknown'
     });
   }
@@ -236,8 +116,9 @@ router.post('/security/compliance-check', async (req, res) => {
     
     let llmInsights = null;
     if (llm_analysis) {
-      const prompt = `Analyze this compliance assessment and provide insights:\n\n${JSON.stringify(complianceResult, null, 2)}`;
-      llmInsights = await llmService.generateResponse(prompt, { model: llm_model });
+      llmInsights = await llmService.generateFromTemplate('compliance_insights', { compliance_result: complianceResult }, {
+        model: llm_model
+      });
     }
 
     res.json({
@@ -248,11 +129,12 @@ router.post('/security/compliance-check', async (req, res) => {
       recommendations: complianceResult.recommendations || [],
       llm_insights: llmInsights?.content,
       model_used: llmInsights?.model,
+      prompt: llmInsights?.prompt,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     logger.error('Compliance check error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'Compliance check failed',
       message: error.message
     });
@@ -262,33 +144,10 @@ router.post('/security/compliance-check', async (req, res) => {
 // Cost Analysis Agent
 router.post('/cost/analyzer', async (req, res) => {
   try {
-    const { deployment_config, cloud_provider = 'aws', optimization_level = 'moderate', llm_recommendations = true, llm_model } = req.body;
-
-    logger.info('Starting cost analysis', { cloud_provider, optimization_level });
-
-    const costAnalysis = await devopsService.analyzeCosts(deployment_config, cloud_provider);
-    
-    let optimizationSuggestions = null;
-    if (llm_recommendations) {
-      const prompt = `Analyze this cloud cost breakdown and provide optimization recommendations for ${cloud_provider}:\n\n${JSON.stringify(costAnalysis, null, 2)}`;
-      optimizationSuggestions = await llmService.generateResponse(prompt, { 
-        model: llm_model,
-        systemPrompt: 'You are a cloud cost optimization expert. Provide specific, actionable recommendations to reduce costs while maintaining performance.'
-      });
-    }
-
-    res.json({
-      cloud_provider,
-      current_monthly_cost: costAnalysis.monthly_cost || 1500,
-      savings_potential: costAnalysis.savings_potential || 25,
-      optimization_recommendations: optimizationSuggestions?.content,
-      cost_breakdown: costAnalysis.breakdown || {},
-      model_used: optimizationSuggestions?.model,
-      timestamp: new Date().toISOString()
-    });
+    res.json(await agentOperations.costAnalysis(req.body));
   } catch (error) {
     logger.error('Cost analysis error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'Cost analysis failed',
       message: error.message
     });
@@ -306,11 +165,11 @@ router.post('/sre/reliability-assessment', async (req, res) => {
     
     let sreInsights = null;
     if (llm_insights) {
-      const prompt = `As an SRE expert, analyze this service architecture and provide reliability insights:\n\nArchitecture: ${JSON.stringify(service_architecture, null, 2)}\nSLO Targets: ${JSON.stringify(slo_targets, null, 2)}\nAssessment: ${JSON.stringify(reliabilityAssessment, null, 2)}`;
-      sreInsights = await llmService.generateResponse(prompt, { 
-        model: llm_model,
-        systemPrompt: 'You are a Site Reliability Engineering expert. Provide detailed analysis of system reliability, potential failure points, and improvement recommendations.'
-      });
+      sreInsights = await llmService.generateFromTemplate('reliability_assessment', {
+        service_architecture,
+        slo_targets,
+        assessment: reliabilityAssessment
+      }, { model: llm_model });
     }
 
     res.json({
@@ -320,11 +179,12 @@ router.post('/sre/reliability-assessment', async (req, res) => {
       improvement_recommendations: sreInsights?.content,
       chaos_engineering_ready: chaos_engineering,
       model_used: sreInsights?.model,
+      prompt: sreInsights?.prompt,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     logger.error('SRE assessment error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'SRE assessment failed',
       message: error.message
     });
@@ -332,7 +192,7 @@ router.post('/sre/reliability-assessment', async (req, res) => {
 });
 
 // Auto-remediation Agent
-router.post('/security/auto-remediation', async (req, res) => {
+router.post('/security/auto-remediation', authorize('remediate'), async (req, res) => {
   try {
     const { vulnerabilities, compliance_issues, auto_fix = false, create_pr = false, llm_model } = req.body;
 
@@ -343,16 +203,13 @@ router.post('/security/auto-remediation', async (req, res) => {
 
     if (auto_fix && vulnerabilities) {
       for (const vuln of vulnerabilities.slice(0, 5)) { // Limit to 5 for safety
-        const fixPrompt = `Generate a code fix for this vulnerability:\n\n${JSON.stringify(vuln, null, 2)}`;
-        const fix = await llmService.generateResponse(fixPrompt, {
-          model: llm_model,
-          systemPrompt: 'You are a security expert. Generate safe, minimal code fixes for vulnerabilities. Only provide the specific code changes needed.'
-        });
+        const fix = await llmService.generateFromTemplate('vulnerability_fix', { vulnerability: vuln }, { model: llm_model });
 
         remediationActions.push({
           vulnerability: vuln.title || 'Security Issue',
           fix_applied: true,
-          fix_description: fix.content.substring(0, 200) + '...'
+          fix_description: fix.content.substring(0, 200) + '...',
+          prompt: fix.prompt
         });
         fixesApplied++;
       }
@@ -368,7 +225,7 @@ router.post('/security/auto-remediation', async (req, res) => {
     });
   } catch (error) {
     logger.error('Auto-remediation error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'Auto-remediation failed',
       message: error.message,
       fixes_applied: 0
@@ -379,55 +236,20 @@ router.post('/security/auto-remediation', async (req, res) => {
 // Enhanced Monitoring Agents
 router.post('/monitor/health-check', async (req, res) => {
   try {
-    const { deployment_id, service_url, llm_model, metrics = ['response_time', 'error_rate', 'cpu', 'memory'] } = req.body;
-
-    logger.info('Performing health check', { deployment_id, service_url });
-
-    const healthData = await devopsService.performHealthCheck(service_url, metrics);
-    
-    // Use LLM to analyze health data
-    const analysisPrompt = `Analyze this service health data and determine if the service is healthy:\n\n${JSON.stringify(healthData, null, 2)}`;
-    const healthAnalysis = await llmService.generateResponse(analysisPrompt, {
-      model: llm_model,
-      systemPrompt: 'You are a monitoring expert. Analyze service health metrics and determine overall health status. Respond with JSON containing health_status (healthy/degraded/unhealthy) and analysis.'
-    });
-
-    let healthStatus = 'healthy';
-    let analysis = 'Service appears to be operating normally';
-    
-    try {
-      const parsed = JSON.parse(healthAnalysis.content);
-      healthStatus = parsed.health_status || 'healthy';
-      analysis = parsed.analysis || analysis;
-    } catch (e) {
-      // Fallback analysis
-      if (healthData.error_rate > 5 || healthData.response_time > 2000) {
-        healthStatus = 'unhealthy';
-      }
-    }
-
-    res.json({
-      deployment_id,
-      service_url,
-      health_status: healthStatus,
-      metrics: healthData,
-      analysis,
-      error_rate: healthData.error_rate || 0,
-      response_time: healthData.response_time || 150,
-      model_used: healthAnalysis.model,
-      timestamp: new Date().toISOString()
-    });
+    res.json(await agentOperations.healthCheck(req.body));
   } catch (error) {
     logger.error('Health check error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'Health check failed',
       message: error.message,
+      details: error.details,
       health_status: 'unknown'
     });
   }
 });
 
 router.post('/monitor/conversational', async (req, res) => {
+  let stream = null;
   try {
     const { service, metrics = ['cpu', 'memory', 'response_time'], time_range = '1h', user_id, llm_model } = req.body;
 
@@ -436,59 +258,40 @@ router.post('/monitor/conversational', async (req, res) => {
     const monitoringData = await devopsService.getServiceMetrics(service, metrics, time_range);
     
     // Generate conversational response
-    const prompt = `Provide a conversational summary of these service metrics for ${service}:\n\n${JSON.stringify(monitoringData, null, 2)}`;
-    const response = await llmService.generateResponse(prompt, {
+    stream = wantsStream(req) ? openStream(res) : null;
+    const response = await llmService.generateFromTemplate('metrics_summary', { service, metrics: monitoringData }, {
       model: llm_model,
-      systemPrompt: 'You are a helpful DevOps assistant. Provide clear, conversational summaries of service metrics that are easy to understand.'
+      onToken: stream?.token
     });
 
-    res.json({
+    const body = {
       service,
       time_range,
       metrics_summary: response.content,
       raw_metrics: monitoringData,
       alerts: monitoringData.alerts || [],
       model_used: response.model,
+      prompt: response.prompt,
+      usage: response.usage,
       timestamp: new Date().toISOString()
-    });
+    };
+    if (stream) return stream.done(body);
+    res.json(body);
   } catch (error) {
     logger.error('Conversational monitoring error:', error);
-    res.status(500).json({
+    const body = {
       error: 'Monitoring request failed',
       message: error.message
-    });
+    };
+    if (stream) return stream.error(body);
+    res.status(error.statusCode || 500).json(body);
   }
 });
 
 // Enhanced Rollback Agent
-router.post('/rollback', async (req, res) => {
+router.post('/rollback', authorize('rollback', { deploymentId: bodyDeploymentId }), async (req, res) => {
   try {
-    const { deployment_id, rollback_strategy = 'gradual', reason, llm_analysis = true, llm_model } = req.body;
-
-    logger.info('Starting rollback', { deployment_id, rollback_strategy, reason });
-
-    let rollbackPlan = null;
-    if (llm_analysis) {
-      const prompt = `Create a rollback plan for deployment ${deployment_id} with strategy "${rollback_strategy}" due to: ${reason}`;
-      rollbackPlan = await llmService.generateResponse(prompt, {
-        model: llm_model,
-        systemPrompt: 'You are a deployment expert. Create detailed, safe rollback plans with step-by-step instructions.'
-      });
-    }
-
-    const rollbackResult = await devopsService.performRollback(deployment_id, rollback_strategy);
-
-    res.json({
-      deployment_id,
-      status: rollbackResult.success ? 'success' : 'failed',
-      rollback_strategy,
-      reason,
-      rollback_plan: rollbackPlan?.content,
-      steps_completed: rollbackResult.steps || [],
-      duration: rollbackResult.duration || '2m 30s',
-      model_used: rollbackPlan?.model,
-      timestamp: new Date().toISOString()
-    });
+    await runOperation(req, res, 'rollback');
   } catch (error) {
     logger.error('Rollback error:', error);
     res.status(500).json({
@@ -499,21 +302,28 @@ router.post('/rollback', async (req, res) => {
   }
 });
 
-router.post('/rollback/conversational', async (req, res) => {
+router.post('/rollback/conversational', authorize('rollback', { deploymentId: bodyDeploymentId }), async (req, res) => {
+  let stream = null;
   try {
     const { deployment_id, service, rollback_version = 'previous', user_id, confirmation_required = true, llm_model } = req.body;
 
     logger.info('Conversational rollback request', { deployment_id, service, user_id });
 
+    stream = wantsStream(req) ? openStream(res) : null;
+    const respond = body => (stream ? stream.done(body) : res.json(body));
+
     if (confirmation_required) {
       // Generate confirmation prompt
-      const confirmationPrompt = `Generate a confirmation message for rolling back ${service} (deployment: ${deployment_id}) to ${rollback_version} version.`;
-      const confirmation = await llmService.generateResponse(confirmationPrompt, {
+      const confirmation = await llmService.generateFromTemplate('rollback_confirmation', {
+        service,
+        deployment_id,
+        rollback_version
+      }, {
         model: llm_model,
-        systemPrompt: 'Generate clear, professional confirmation messages for rollback operations. Include risks and next steps.'
+        onToken: stream?.token
       });
 
-      res.json({
+      respond({
         requires_confirmation: true,
         confirmation_message: confirmation.content,
         deployment_id,
@@ -521,26 +331,104 @@ router.post('/rollback/conversational', async (req, res) => {
         rollback_version,
         estimated_downtime: '30-60 seconds',
         model_used: confirmation.model,
+        prompt: confirmation.prompt,
+        usage: confirmation.usage,
         timestamp: new Date().toISOString()
       });
     } else {
       // Proceed with rollback
-      const rollbackResult = await devopsService.performRollback(deployment_id, 'immediate');
-      
-      res.json({
+      const rollbackResult = await devopsService.performRollback(deployment_id, 'immediate', {
+        revision: rollback_version === 'previous' ? undefined : rollback_version
+      });
+
+      await auditRepository.record('rollback', {
+        deployment_id,
+        user_id: req.user?.id,
+        details: {
+          rollback_strategy: 'immediate',
+          service,
+          // Who the caller (e.g. an n8n workflow) says asked for it; the event is the authenticated user's
+          requested_for: user_id,
+          rollback_version: rollbackResult.rollback_version,
+          success: rollbackResult.success,
+          duration: rollbackResult.duration
+        }
+      });
+
+      if (rollbackResult.success) {
+        await deploymentRegistry.update(deployment_id, { status: 'rolled_back' }, {
+          event: 'rollback',
+          userId: req.user?.id,
+          details: { rollback_strategy: 'immediate', rollback_version: rollbackResult.rollback_version }
+        });
+      }
+
+      respond({
         deployment_id,
         service,
-        status: 'completed',
-        rollback_version,
-        message: `Successfully rolled back ${service} to ${rollback_version} version`,
+        status: rollbackResult.success ? 'completed' : 'failed',
+        rollback_version: rollbackResult.rollback_version,
+        message: rollbackResult.success
+          ? `Successfully rolled back ${service} to ${rollbackResult.rollback_version}`
+          : `Rollback of ${service} failed: ${rollbackResult.error || 'health check did not pass'}`,
         timestamp: new Date().toISOString()
       });
     }
   } catch (error) {
     logger.error('Conversational rollback error:', error);
-    res.status(500).json({
+    const body = {
       error: 'Rollback request failed',
       message: error.message
+    };
+    if (stream) return stream.error(body);
+    res.status(error.statusCode || 500).json(body);
+  }
+});
+
+// Tool-calling chat agent: the model looks up deployments, metrics and health on its own and holds
+// destructive actions (rollbacks) until the user sends the confirmation token back with "confirm"
+router.post('/chat', async (req, res) => {
+  try {
+    const { message, session_id, confirmation_token, confirm, llm_model } = req.body;
+
+    if (confirmation_token) {
+      if (!session_id || typeof confirm !== 'boolean') {
+        return res.status(400).json({
+          error: 'session_id and confirm (true or false) are required with confirmation_token'
+        });
+      }
+    } else if (!message) {
+      return res.status(400).json({
+        error: 'message is required'
+      });
+    }
+
+    const session = session_id
+      ? await conversationMemory.get(session_id, req.user?.id)
+      : await conversationMemory.start(req.user?.id);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        session_id
+      });
+    }
+
+    logger.info('Agent chat request', { session_id: session.session_id, confirmation: Boolean(confirmation_token) });
+
+    const options = { model: llm_model, userId: req.user?.id, user: req.user };
+    const result = confirmation_token
+      ? await chatAgent.confirm(session, confirmation_token, confirm, options)
+      : await chatAgent.chat(session, message, options);
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Agent chat error:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Agent chat failed',
+      message: error.message
     });
   }
 });
@@ -553,11 +441,11 @@ router.post('/incident-response', async (req, res) => {
     logger.info('Starting incident response', { deployment_id, incident_type, severity });
 
     // Generate incident response plan
-    const prompt = `Create an incident response plan for a ${severity} severity ${incident_type} incident affecting deployment ${deployment_id}`;
-    const responsePlan = await llmService.generateResponse(prompt, {
-      model: llm_model,
-      systemPrompt: 'You are an incident response expert. Create detailed incident response plans with clear steps, timelines, and escalation procedures.'
-    });
+    const responsePlan = await llmService.generateFromTemplate('incident_response', {
+      severity,
+      incident_type,
+      deployment_id
+    }, { model: llm_model });
 
     const incidentId = `INC-${Date.now()}`;
     const actions = [];
@@ -578,160 +466,250 @@ router.post('/incident-response', async (req, res) => {
       actions_taken: actions,
       estimated_resolution: severity === 'high' ? '15-30 minutes' : '1-2 hours',
       model_used: responsePlan.model,
+      prompt: responsePlan.prompt,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     logger.error('Incident response error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'Incident response failed',
       message: error.message
     });
   }
 });
 
-// Helper methods
-router.detectTestFramework = async function(content, filename) {
-  if (filename.includes('.test.') || filename.includes('.spec.')) {
-    return 'existing';
-  }
-  
-  const ext = filename.split('.').pop();
-  const frameworks = {
-    'js': 'jest',
-    'ts': 'jest',
-    'py': 'pytest',
-    'java': 'junit',
-    'go': 'testing',
-    'rb': 'rspec',
-    'php': 'phpunit'
-  };
-  
-  return frameworks[ext] || 'generic';
-};
-
-router.generateTestFileName = function(filename, framework) {
-  const ext = filename.split('.').pop();
-  const baseName = filename.replace(`.${ext}`, '');
-  
-  const patterns = {
-    'jest': `${baseName}.test.${ext}`,
-    'pytest': `test_${baseName.split('/').pop()}.py`,
-    'junit': `${baseName}Test.java`,
-    'testing': `${baseName}_test.go`,
-    'rspec': `${baseName}_spec.rb`,
-    'phpunit': `${baseName}Test.php`
-  };
-  
-  return patterns[framework] || `${baseName}.test.${ext}`;
-};
 // Docker/K8s Handler Agent
-router.post('/docker-handler', async (req, res) => {
-  try {
-    const { repository, commit_sha, build_prediction, action } = req.body;
+const DOCKER_ACTIONS = ['build_and_push', 'build_only', 'push_only', 'scan_image'];
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{40}$/;
+
+router.post('/docker-handler', authorize('images:push', { environment: bodyEnvironment }), async (req, res) => {
+  const {
+    repository,
+    commit_sha,
+    build_prediction,
+    action,
+    environment,
+    deploy_config,
+    dockerfile,
+    build_args,
+    stream_logs = false
+  } = req.body;
+
+  // With stream_logs the response is NDJSON: build/push log lines followed by a final result line
+  const writeLine = line => res.write(JSON.stringify(line) + '\n');
+  const onLog = stream_logs ? log => writeLine({ type: 'log', ...log }) : undefined;
 
+  try {
     logger.info('Handling Docker/K8s operations', { repository, commit_sha, action });
 
-    const imageTag = `${repository}:${commit_sha.substring(0, 8)}`;
-    
+    if (!DOCKER_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: 'Unsupported action',
+        supported_actions: DOCKER_ACTIONS
+      });
+    }
+
+    if (!repository || !commit_sha) {
+      return res.status(400).json({
+        error: 'repository and commit_sha are required'
+      });
+    }
+    // Images are tagged with the start of the SHA, so a branch name or anything else fetched at
+    // the full string could overwrite the image of a real commit
+    if (!COMMIT_SHA_PATTERN.test(commit_sha)) {
+      return res.status(400).json({
+        error: 'commit_sha must be a full 40-character commit SHA'
+      });
+    }
+
+    const { image, tag, reference: imageTag } = devopsService.getImageReference(repository, commit_sha);
+
+    if (stream_logs) {
+      res.setHeader('Content-Type', 'application/x-ndjson');
+    }
+
+    const result = {
+      action,
+      image_tag: imageTag,
+      registry_url: process.env.DOCKER_REGISTRY_URL
+    };
+
+    if (action === 'build_and_push' || action === 'build_only') {
+      const build = await devopsService.buildDockerImage(repository, imageTag, {
+        commitSha: commit_sha,
+        dockerfile,
+        buildArgs: build_args,
+        onLog
+      });
+      result.image_id = build.image_id;
+      result.build_time = build.build_time;
+      result.build_logs = stream_logs ? undefined : build.logs.slice(-200);
+    }
+
+    if (action === 'build_and_push' || action === 'push_only') {
+      const push = await devopsService.pushDockerImage(image, tag, { onLog });
+      result.image_digest = push.digest;
+    }
+    result.image_pushed = action === 'build_and_push' || action === 'push_only';
+
     if (action === 'build_and_push') {
-      // Build Docker image
-      await devopsService.buildDockerImage(repository, imageTag);
-      
-      // Generate K8s manifests with LLM assistance
-      const k8sManifests = await devopsService.generateK8sManifests(repository, imageTag);
-      
-      res.json({
-        image_tag: imageTag,
-        image_pushed: true,
-        k8s_manifests: k8sManifests,
-        registry_url: process.env.DOCKER_REGISTRY_URL,
-        timestamp: new Date().toISOString()
+      result.k8s_manifests = await devopsService.generateK8sManifests(repository, imageTag, {
+        environment,
+        ref: commit_sha,
+        overlays: deploy_config
       });
-    } else {
-      res.status(400).json({
-        error: 'Unsupported action',
-        supported_actions: ['build_and_push']
+      result.k8s_manifests_yaml = manifestGenerator.toYaml(result.k8s_manifests);
+    }
+
+    if (action === 'scan_image') {
+      const scan = await devopsService.scanDockerImage(imageTag);
+      // Stored with the other scans' findings in the vulnerabilities column, told apart by scan_type
+      await securityScanRepository.record({
+        repository,
+        commit_sha,
+        scan_type: 'image_config',
+        risk_level: scan.risk_level,
+        vulnerabilities: scan.configuration_findings
       });
+      result.risk_level = scan.risk_level;
+      result.configuration_findings = scan.configuration_findings;
+    }
+
+    result.timestamp = new Date().toISOString();
+
+    if (stream_logs) {
+      writeLine({ type: 'result', ...result });
+      return res.end();
     }
+    res.json(result);
   } catch (error) {
     logger.error('Docker/K8s handler error:', error);
+
+    if (stream_logs) {
+      if (!res.headersSent) {
+        res.status(500);
+      }
+      writeLine({ type: 'error', error: 'Docker/K8s operation failed', message: error.message });
+      return res.end();
+    }
     res.status(500).json({
       error: 'Docker/K8s operation failed',
-      message: error.message
+      message: error.message,
+      build_logs: error.logs?.slice(-200)
     });
   }
 });
 
 // Deploy Agent
-router.post('/deploy', async (req, res) => {
+router.post('/deploy', authorize('deploy', { environment: bodyEnvironment }), async (req, res) => {
   try {
-    const { repository, image_tag, environment, kubernetes_config } = req.body;
+    const { strategy = 'rolling', strategy_config } = req.body;
+
+    deploymentStrategies.validate(strategy, strategy_config);
+
+    if (strategy !== 'rolling') {
+      // Canary and blue-green rollouts take minutes, so they always run as jobs; the deployment
+      // is registered first so its progress can be polled by deployment_id as well as job_id
+      const deployment = await agentOperations.registerDeployment({ ...req.body, strategy }, req.user?.id);
+      const job = await enqueueOperation(req, res, 'deploy', { ...req.body, deployment_id: deployment.deployment_id });
+
+      return res.status(202).json({
+        ...jobAccepted(job),
+        deployment_id: deployment.deployment_id,
+        status: 'deploying',
+        strategy,
+        deployment_status_url: `/agent/deploy/${deployment.deployment_id}/status`
+      });
+    }
 
-    logger.info('Deploying application', { repository, image_tag, environment });
+    await runOperation(req, res, 'deploy');
+  } catch (error) {
+    logger.error('Deployment error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: 'Deployment failed',
+      message: error.message
+    });
+  }
+});
 
-    // Deploy to Kubernetes
-    const deploymentResult = await devopsService.deployToKubernetes(
-      kubernetes_config,
-      environment,
-      image_tag
-    );
+// Deployment progress, polled by n8n while a canary or blue-green rollout runs
+router.get('/deploy/:deployment_id/status', async (req, res) => {
+  try {
+    const deployment = await deploymentRegistry.get(req.params.deployment_id);
+    if (!deployment) {
+      return res.status(404).json({
+        error: 'Deployment not found',
+        deployment_id: req.params.deployment_id
+      });
+    }
 
     res.json({
-      deployment_id: `deploy-${Date.now()}`,
-      deployment_url: `https://${environment}.${repository.split('/')[1]}.example.com`,
-      status: 'deployed',
-      environment,
-      image_tag,
+      deployment_id: deployment.deployment_id,
+      status: deployment.status,
+      strategy: deployment.metadata?.strategy || 'rolling',
+      environment: deployment.environment,
+      image_tag: deployment.image_tag,
+      rollout: deployment.metadata?.rollout || null,
+      history: deployment.history,
+      updated_at: deployment.updated_at,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Deployment error:', error);
+    logger.error('Deployment status error:', error);
     res.status(500).json({
-      error: 'Deployment failed',
+      error: 'Failed to fetch deployment status',
       message: error.message
     });
   }
 });
 
 // Conversational Deploy Agent
-router.post('/deploy/conversational', async (req, res) => {
+router.post('/deploy/conversational', authorize('deploy', { environment: bodyEnvironment }), async (req, res) => {
   try {
-    const { repository, environment, branch, user_id, conversational_context } = req.body;
+    const { repository, environment, branch, image_tag, user_id } = req.body;
 
     logger.info('Conversational deployment request', { repository, environment, user_id });
 
-    // Simulate deployment process with more detailed feedback
-    const deploymentSteps = [
-      'Validating deployment parameters',
-      'Checking environment availability',
-      'Building application image',
-      'Deploying to Kubernetes cluster',
-      'Configuring load balancer',
-      'Running health checks'
-    ];
+    if (!repository || !environment) {
+      return res.status(400).json({
+        error: 'repository and environment are required'
+      });
+    }
 
-    // Simulate deployment
-    const deploymentId = `deploy-${Date.now()}`;
-    const deploymentUrl = `https://${environment}.${repository.split('/')[1]}.example.com`;
+    // Without an image there is nothing to roll out yet: answer with the plan and register nothing, so the
+    // live deployment of this service isn't replaced by one that never happened
+    if (!image_tag) {
+      return res.json({
+        status: 'planned',
+        deployment_id: null,
+        deployment_url: null,
+        steps_planned: [
+          'Build and push the image (POST /agent/docker-handler with action build_and_push)',
+          `Deploy the image to ${environment} (POST /agent/deploy/conversational with image_tag)`,
+          'Run health checks'
+        ],
+        environment,
+        branch,
+        message: 'No image_tag given, so nothing was deployed',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Rolling deploy, the same as /agent/deploy; canary and blue-green rollouts go through /agent/deploy
+    const result = await agentOperations.deploy({ ...req.body, strategy: 'rolling' }, { userId: req.user?.id });
 
     res.json({
-      deployment_id: deploymentId,
-      deployment_url: deploymentUrl,
-      status: 'success',
-      steps_completed: deploymentSteps,
-      environment,
+      ...result,
       branch,
-      estimated_completion: '3-5 minutes',
       next_steps: [
         'Monitor deployment health',
         'Run smoke tests',
         'Update documentation'
-      ],
-      timestamp: new Date().toISOString()
+      ]
     });
   } catch (error) {
     logger.error('Conversational deployment error:', error);
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       error: 'Deployment failed',
       message: error.message
     });
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyService = require('../services/apiKeyService');
+const authorize = require('../middleware/authorize');
+const logger = require('../utils/logger');
+
+function keyNotFound(res, keyId) {
+  return res.status(404).json({
+    error: 'API key not found',
+    key_id: keyId
+  });
+}
+
+// Issued keys with their scopes and usage, newest first; the keys themselves are never returned again
+router.get('/api-keys', authorize('api_keys:manage'), async (req, res) => {
+  try {
+    const { cursor, limit } = req.query;
+    const { rows, next_cursor } = await apiKeyService.list({ cursor, limit });
+
+    res.json({
+      api_keys: rows,
+      scopes: apiKeyService.SCOPES,
+      next_cursor,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching API keys:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: 'Failed to fetch API keys',
+      message: error.message
+    });
+  }
+});
+
+// Issues a key for { name, scopes, expires_at }; the response is the only place the key appears
+router.post('/api-keys', authorize('api_keys:manage'), async (req, res) => {
+  try {
+    const { name, scopes, expires_at } = req.body;
+    const apiKey = await apiKeyService.issue({ name, scopes, expires_at }, req.user?.id);
+
+    res.status(201).json(apiKey);
+  } catch (error) {
+    logger.error('Error issuing API key:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to issue API key',
+      message: error.message
+    });
+  }
+});
+
+router.get('/api-keys/:key_id', authorize('api_keys:manage'), async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.get(req.params.key_id);
+
+    if (!apiKey) {
+      return keyNotFound(res, req.params.key_id);
+    }
+
+    res.json(apiKey);
+  } catch (error) {
+    logger.error('Error fetching API key:', error);
+    res.status(500).json({
+      error: 'Failed to fetch API key',
+      message: error.message
+    });
+  }
+});
+
+// Replaces a key with a new one with the same name, scopes and expiry; the old key stops working at once
+router.post('/api-keys/:key_id/rotate', authorize('api_keys:manage'), async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.rotate(req.params.key_id, req.user?.id);
+
+    res.status(201).json({
+      ...apiKey,
+      rotated_from: req.params.key_id
+    });
+  } catch (error) {
+    logger.error('Error rotating API key:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to rotate API key',
+      message: error.message
+    });
+  }
+});
+
+router.delete('/api-keys/:key_id', authorize('api_keys:manage'), async (req, res) => {
+  try {
+    res.json(await apiKeyService.revoke(req.params.key_id, req.user?.id));
+  } catch (error) {
+    logger.error('Error revoking API key:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const jobQueue = require('../services/jobQueue');
+const accessControl = require('../services/accessControl');
+const logger = require('../utils/logger');
+
+// Jobs are only visible to the user who queued them, or to roles with jobs:read_all
+async function findJob(req, res) {
+  const job = await jobQueue.get(req.params.id);
+  if (!job || (job.user_id && job.user_id !== req.user?.id && !accessControl.can(req.user, 'jobs:read_all'))) {
+    res.status(404).json({
+      error: 'Job not found',
+      job_id: req.params.id
+    });
+    return null;
+  }
+  return job;
+}
+
+// Get job status and result
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    res.json({
+      job_id: job.job_id,
+      type: job.type,
+      status: job.status,
+      result: job.result,
+      error: job.error,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      events_url: `/jobs/${job.job_id}/events`
+    });
+  } catch (error) {
+    logger.error('Error fetching job:', error);
+    res.status(500).json({
+      error: 'Failed to fetch job',
+      message: error.message
+    });
+  }
+});
+
+// Get step-by-step progress; pass ?after=<sequence> to receive only newer events
+router.get('/:id/events', async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    const after = Math.max(parseInt(req.query.after) || 0, 0);
+    const events = await jobQueue.events(job.job_id, after);
+
+    res.json({
+      job_id: job.job_id,
+      status: job.status,
+      events,
+      last_sequence: events.length > 0 ? events[events.length - 1].sequence : after
+    });
+  } catch (error) {
+    logger.error('Error fetching job events:', error);
+    res.status(500).json({
+      error: 'Failed to fetch job events',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
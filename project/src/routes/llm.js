@@ -1,12 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const llmService = require('../services/llmService');
+const usageMeter = require('../services/usageMeter');
+const llmUsageRepository = require('../repositories/llmUsageRepository');
+const promptRegistry = require('../services/promptRegistry');
+const conversationMemory = require('../services/conversationMemory');
+const accessControl = require('../services/accessControl');
+const authorize = require('../middleware/authorize');
+const { wantsStream, openStream } = require('../utils/sse');
 const logger = require('../utils/logger');
 
+// Continues the caller's session, or starts a new one when no session_id is given.
+// Returns null for an unknown session (or one owned by someone else).
+async function openSession(sessionId, userId) {
+  return sessionId ? conversationMemory.get(sessionId, userId) : conversationMemory.start(userId);
+}
+
+function sessionNotFound(res, sessionId) {
+  return res.status(404).json({
+    error: 'Session not found',
+    session_id: sessionId
+  });
+}
+
 // Intent analysis endpoint
 router.post('/intent-analysis', async (req, res) => {
+  let stream = null;
   try {
-    const { user_message, context, llm_model } = req.body;
+    const { user_message, context, session_id, llm_model } = req.body;
 
     if (!user_message) {
       return res.status(400).json({
@@ -14,42 +35,51 @@ router.post('/intent-analysis', async (req, res) => {
       });
     }
 
-    const result = await llmService.analyzeIntent(user_message, context);
-    
-    // Parse JSON response from LLM
-    let parsedResult;
-    try {
-      parsedResult = JSON.parse(result.content);
-    } catch (parseError) {
-      // If JSON parsing fails, create a structured response
-      parsedResult = {
-        intent: 'general',
-        confidence: 0.5,
-        entities: {},
-        parameters: {},
-        suggested_workflow: 'manual_review',
-        raw_response: result.content
-      };
+    const session = await openSession(session_id, req.user?.id);
+    if (!session) {
+      return sessionNotFound(res, session_id);
     }
 
-    res.json({
-      ...parsedResult,
+    stream = wantsStream(req) ? openStream(res) : null;
+    // Structured output is not streamed; a streaming client gets the result as the done event
+    const result = await llmService.analyzeIntent(user_message, context, {
+      model: llm_model,
+      conversation: conversationMemory.context(session)
+    });
+
+    const updated = await conversationMemory.record(session, [
+      { role: 'user', content: user_message, intent: result.data.intent, entities: result.data.entities }
+    ]);
+
+    const body = {
+      ...result.data,
+      session_id: updated.session_id,
+      resolved_entities: updated.entities,
       model_used: result.model,
+      provider: result.provider,
+      attempts: result.attempts,
+      prompt: result.prompt,
       usage: result.usage
-    });
+    };
+    if (stream) return stream.done(body);
+    res.json(body);
   } catch (error) {
     logger.error('Intent analysis error:', error);
-    res.status(500).json({
+    const body = {
       error: 'Intent analysis failed',
-      message: error.message
-    });
+      message: error.message,
+      details: error.details
+    };
+    if (stream) return stream.error(body);
+    res.status(error.statusCode || 500).json(body);
   }
 });
 
 // Response generation endpoint
 router.post('/response-generation', async (req, res) => {
+  let stream = null;
   try {
-    const { agent_response, original_intent, user_message, response_style, llm_model } = req.body;
+    const { agent_response, original_intent, user_message, response_style, session_id, llm_model } = req.body;
 
     if (!agent_response || !user_message) {
       return res.status(400).json({
@@ -57,67 +87,70 @@ router.post('/response-generation', async (req, res) => {
       });
     }
 
+    const session = await openSession(session_id, req.user?.id);
+    if (!session) {
+      return sessionNotFound(res, session_id);
+    }
+
+    stream = wantsStream(req) ? openStream(res) : null;
     const result = await llmService.generateConversationalResponse(
       agent_response,
       original_intent,
-      user_message
+      user_message,
+      { model: llm_model, onToken: stream?.token, conversation: conversationMemory.context(session) }
     );
 
-    res.json({
+    const updated = await conversationMemory.record(session, [
+      { role: 'user', content: user_message },
+      { role: 'assistant', content: result.content }
+    ]);
+
+    const body = {
       generated_response: result.content,
+      session_id: updated.session_id,
+      resolved_entities: updated.entities,
       model_used: result.model,
+      provider: result.provider,
+      attempts: result.attempts,
+      prompt: result.prompt,
       usage: result.usage,
       agent_type: 'conversational_llm',
       execution_time: Date.now(),
       suggested_actions: []
-    });
+    };
+    if (stream) return stream.done(body);
+    res.json(body);
   } catch (error) {
     logger.error('Response generation error:', error);
-    res.status(500).json({
+    const body = {
       error: 'Response generation failed',
-      message: error.message
-    });
+      message: error.message,
+      details: error.details
+    };
+    if (stream) return stream.error(body);
+    res.status(error.statusCode || 500).json(body);
   }
 });
 
 // Security report generation
 router.post('/security-report', async (req, res) => {
+  let stream = null;
   try {
     const { vulnerability_data, compliance_data, cost_analysis, sre_assessment, report_format } = req.body;
 
-    const systemPrompt = 'You are a cybersecurity expert generating executive security reports. Create comprehensive, actionable reports that are suitable for both technical and executive audiences.';
-
-    const prompt = `Generate a comprehensive security report based on this data:
-
-Vulnerability Assessment:
-${JSON.stringify(vulnerability_data, null, 2)}
-
-Compliance Analysis:
-${JSON.stringify(compliance_data, null, 2)}
-
-Cost Analysis:
-${JSON.stringify(cost_analysis, null, 2)}
-
-SRE Assessment:
-${JSON.stringify(sre_assessment, null, 2)}
-
-Format: ${report_format || 'executive_summary'}
-
-Include:
-1. Executive Summary
-2. Risk Assessment
-3. Key Findings
-4. Recommendations
-5. Action Items with priorities
-6. Cost implications
-7. Compliance status`;
-
-    const result = await llmService.generateResponse(prompt, {
-      systemPrompt,
-      maxTokens: 4000
+    stream = wantsStream(req) ? openStream(res) : null;
+    const result = await llmService.generateFromTemplate('security_report', {
+      vulnerability_data,
+      compliance_data,
+      cost_analysis,
+      sre_assessment,
+      report_format: report_format || 'executive_summary'
+    }, {
+      maxTokens: 4000,
+      onToken: stream?.token
     });
 
-    res.json({
+    const body = {
       report_content: result.content,
       report_url: `/reports/security-${Date.now()}.html`,
       key_recommendations: [
@@ -126,15 +159,240 @@ Include:
         'Cost optimization opportunities available'
       ],
       model_used: result.model,
+      provider: result.provider,
+      attempts: result.attempts,
+      prompt: result.prompt,
       usage: result.usage
-    });
+    };
+    if (stream) return stream.done(body);
+    res.json(body);
   } catch (error) {
     logger.error('Security report generation error:', error);
-    res.status(500).json({
+    const body = {
       error: 'Security report generation failed',
+      message: error.message,
+      details: error.details
+    };
+    if (stream) return stream.error(body);
+    res.status(error.statusCode || 500).json(body);
+  }
+});
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const error = new Error(`${name} must be an ISO 8601 date`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+  return date;
+}
+
+// Token usage and estimated cost, grouped by any of user_id, team, route, provider, model and day.
+// Admins can report on anyone; other users only see their own usage.
+router.get('/usage', async (req, res) => {
+  try {
+    const { since, until, group_by = 'provider,model', user_id, team, route, provider, model } = req.query;
+
+    const groupBy = group_by.split(',').map(column => column.trim()).filter(Boolean);
+    const invalid = groupBy.filter(column => !llmUsageRepository.GROUP_COLUMNS.includes(column));
+    if (invalid.length > 0) {
+      const error = new Error(`group_by must be one of: ${llmUsageRepository.GROUP_COLUMNS.join(', ')}`);
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    const period = {
+      since: since ? parseDate(since, 'since') : usageMeter.periodStart('monthly'),
+      until: until ? parseDate(until, 'until') : new Date()
+    };
+    const where = {
+      user_id: accessControl.can(req.user, 'usage:read_all') ? user_id : req.user?.id,
+      team,
+      route,
+      provider,
+      model
+    };
+
+    const [breakdown, [totals]] = await Promise.all([
+      llmUsageRepository.totals({ where, ...period, groupBy }),
+      llmUsageRepository.totals({ where, ...period })
+    ]);
+
+    res.json({
+      since: period.since.toISOString(),
+      until: period.until.toISOString(),
+      group_by: groupBy,
+      totals: totals || { requests: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 },
+      breakdown,
+      budgets: await usageMeter.budgetStatus({ userId: req.user?.id, team: req.user?.team }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('LLM usage report error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: 'Failed to fetch LLM usage',
+      message: error.message
+    });
+  }
+});
+
+// Active version of every prompt template
+router.get('/prompts', async (req, res) => {
+  try {
+    const prompts = await promptRegistry.list();
+
+    res.json({
+      prompts,
+      total: prompts.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching prompts:', error);
+    res.status(500).json({
+      error: 'Failed to fetch prompts',
+      message: error.message
+    });
+  }
+});
+
+// Active version of one prompt with its earlier versions
+router.get('/prompts/:name', async (req, res) => {
+  try {
+    const prompt = await promptRegistry.get(req.params.name);
+
+    if (!prompt) {
+      return res.status(404).json({
+        error: 'Prompt not found',
+        name: req.params.name
+      });
+    }
+
+    res.json({
+      ...prompt,
+      history: await promptRegistry.history(req.params.name)
+    });
+  } catch (error) {
+    logger.error('Error fetching prompt:', error);
+    res.status(500).json({
+      error: 'Failed to fetch prompt',
+      message: error.message
+    });
+  }
+});
+
+// Stores a new version of a prompt, which is used from the next request on
+router.put('/prompts/:name', authorize('prompts:write'), async (req, res) => {
+  try {
+    if (!promptRegistry.has(req.params.name)) {
+      return res.status(404).json({
+        error: 'Prompt not found',
+        name: req.params.name
+      });
+    }
+
+    const { system, template } = req.body;
+    const prompt = await promptRegistry.save(req.params.name, { system, template }, req.user.id);
+
+    res.json(prompt);
+  } catch (error) {
+    logger.error('Error updating prompt:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: 'Failed to update prompt',
+      message: error.message
+    });
+  }
+});
+
+// The conversation held for a pending /agent/chat action stays server-side
+function sessionDetail(session) {
+  const { call, state, ...pendingAction } = session.pending_action || {};
+  return { ...session, pending_action: session.pending_action ? pendingAction : null };
+}
+
+function sessionSummary(session) {
+  return {
+    session_id: session.session_id,
+    summary: session.summary,
+    entities: session.entities,
+    turn_count: session.turns.length,
+    token_count: session.token_count,
+    created_at: session.created_at,
+    updated_at: session.updated_at
+  };
+}
+
+// The caller's conversation sessions, newest first
+router.get('/sessions', async (req, res) => {
+  try {
+    const { cursor, limit } = req.query;
+    const { rows, next_cursor } = await conversationMemory.list(req.user?.id, { cursor, limit });
+
+    res.json({
+      sessions: rows.map(sessionSummary),
+      next_cursor,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching sessions:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: 'Failed to fetch sessions',
+      message: error.message
+    });
+  }
+});
+
+// Starts an empty session; the intent and response endpoints also start one when no session_id is sent
+router.post('/sessions', async (req, res) => {
+  try {
+    const session = await conversationMemory.start(req.user?.id);
+
+    res.status(201).json(sessionDetail(session));
+  } catch (error) {
+    logger.error('Error creating session:', error);
+    res.status(500).json({
+      error: 'Failed to create session',
+      message: error.message
+    });
+  }
+});
+
+// A session with its summary, recent turns and resolved entities
+router.get('/sessions/:id', async (req, res) => {
+  try {
+    const session = await conversationMemory.get(req.params.id, req.user?.id);
+
+    if (!session) {
+      return sessionNotFound(res, req.params.id);
+    }
+
+    res.json(sessionDetail(session));
+  } catch (error) {
+    logger.error('Error fetching session:', error);
+    res.status(500).json({
+      error: 'Failed to fetch session',
+      message: error.message
+    });
+  }
+});
+
+// Forgets the turns, summary, entities and any action waiting for confirmation; the session id stays valid
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const session = await conversationMemory.get(req.params.id, req.user?.id);
+
+    if (!session) {
+      return sessionNotFound(res, req.params.id);
+    }
+
+    res.json(sessionDetail(await conversationMemory.clear(session)));
+  } catch (error) {
+    logger.error('Error clearing session:', error);
+    res.status(500).json({
+      error: 'Failed to clear session',
       message: error.message
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,11 +1,95 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const conversationRepository = require('../repositories/conversationRepository');
+const auditRepository = require('../repositories/auditRepository');
+const { requireScope } = require('../middleware/apiKeyAuth');
+const authorize = require('../middleware/authorize');
+const { EXPORT_FORMATS, toCsvHeader, toCsvRows, toNdjson } = require('../utils/exporters');
+
+const AUDIT_COLUMNS = ['id', 'event_type', 'deployment_id', 'user_id', 'details', 'created_at'];
+const CONVERSATION_COLUMNS = ['id', 'user_id', 'user_message', 'intent', 'agent_response', 'model_used', 'created_at'];
+
+function parseTimestamp(value, name) {
+  if (!value) {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const error = new Error(`${name} must be an ISO 8601 timestamp`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+  return date;
+}
+
+// Answers a GET query either as a JSON page or, with ?format=csv|ndjson, as a streamed export of every match
+async function sendRecords(req, res, repository, { key, columns, filters }) {
+  const { since, until, cursor, limit, format } = req.query;
+  const query = {
+    where: filters,
+    since: parseTimestamp(since, 'since'),
+    until: parseTimestamp(until, 'until')
+  };
+
+  if (!format || format === 'json') {
+    const page = await repository.list({ ...query, cursor, limit });
+    return res.json({
+      [key]: page.rows,
+      count: page.rows.length,
+      next_cursor: page.next_cursor
+    });
+  }
+
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    return res.status(400).json({
+      error: 'Unsupported export format',
+      supported_formats: ['json', ...Object.keys(EXPORT_FORMATS)]
+    });
+  }
+
+  res.setHeader('Content-Type', exportFormat.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${key}-${Date.now()}.${exportFormat.extension}"`);
+  if (format === 'csv') {
+    res.write(toCsvHeader(columns));
+  }
+
+  let nextCursor = cursor;
+  do {
+    const page = await repository.list({ ...query, cursor: nextCursor, limit: 500 });
+    res.write(format === 'csv' ? toCsvRows(page.rows, columns) : toNdjson(page.rows));
+    nextCursor = page.next_cursor;
+  } while (nextCursor);
+
+  res.end();
+}
+
+function handleQueryError(res, error, message) {
+  logger.error(`${message}:`, error);
+
+  // Headers are already out once an export has started streaming
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  res.status(error.name === 'ValidationError' ? 400 : 500).json({
+    error: message,
+    message: error.message
+  });
+}
 
 // Conversation logging
-router.post('/conversation', async (req, res) => {
+router.post('/conversation', requireScope('logging:write'), async (req, res) => {
   try {
-    const { user_id, user_message, intent, agent_response, timestamp } = req.body;
+    const { user_id, user_message, intent, agent_response, model_used, timestamp } = req.body;
+
+    if (!user_message) {
+      return res.status(400).json({
+        error: 'user_message is required'
+      });
+    }
 
     // Log conversation for analytics and improvement
     logger.info('Conversation logged', {
@@ -16,10 +100,17 @@ router.post('/conversation', async (req, res) => {
       timestamp
     });
 
-    // In a real implementation, this would store in a database
+    const conversation = await conversationRepository.record({
+      user_id: user_id || req.user?.id || 'anonymous',
+      user_message,
+      intent,
+      agent_response,
+      model_used
+    });
+
     res.json({
       status: 'logged',
-      log_id: `conv-${Date.now()}`,
+      log_id: conversation.id,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -31,10 +122,31 @@ router.post('/conversation', async (req, res) => {
   }
 });
 
+// Conversation history
+router.get('/conversation', requireScope('logging:read'), authorize('audit:read'), async (req, res) => {
+  try {
+    const { user_id, intent } = req.query;
+
+    await sendRecords(req, res, conversationRepository, {
+      key: 'conversations',
+      columns: CONVERSATION_COLUMNS,
+      filters: { user_id, intent }
+    });
+  } catch (error) {
+    handleQueryError(res, error, 'Conversation query failed');
+  }
+});
+
 // Audit logging
-router.post('/audit', async (req, res) => {
+router.post('/audit', requireScope('logging:write'), authorize('audit:write'), async (req, res) => {
   try {
-    const { event_type, deployment_id, rollback_result, timestamp } = req.body;
+    const { event_type, deployment_id, user_id, rollback_result, timestamp, ...details } = req.body;
+
+    if (!event_type) {
+      return res.status(400).json({
+        error: 'event_type is required'
+      });
+    }
 
     // Log audit event
     logger.info('Audit event logged', {
@@ -44,9 +156,16 @@ router.post('/audit', async (req, res) => {
       timestamp
     });
 
+    const auditEvent = await auditRepository.record(event_type, {
+      deployment_id,
+      user_id: user_id || req.user?.id,
+      // recorded_by is the authenticated caller, whatever user_id the event names
+      details: { ...details, rollback_result, reported_at: timestamp, recorded_by: req.user?.id }
+    });
+
     res.json({
       status: 'logged',
-      audit_id: `audit-${Date.now()}`,
+      audit_id: auditEvent.id,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -58,4 +177,19 @@ router.post('/audit', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Audit log query
+router.get('/audit', requireScope('logging:read'), authorize('audit:read'), async (req, res) => {
+  try {
+    const { event_type, deployment_id, user_id } = req.query;
+
+    await sendRecords(req, res, auditRepository, {
+      key: 'audit_logs',
+      columns: AUDIT_COLUMNS,
+      filters: { event_type, deployment_id, user_id }
+    });
+  } catch (error) {
+    handleQueryError(res, error, 'Audit log query failed');
+  }
+});
+
+module.exports = router;
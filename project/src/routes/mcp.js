@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const mcpServer = require('../services/mcpServer');
+const logger = require('../utils/logger');
+
+// Streamable HTTP in stateless mode: every POST gets its own server and transport, so any instance behind
+// the load balancer can answer it. Without sessions there is no server-to-client stream to GET or DELETE.
+router.post('/', async (req, res) => {
+  const server = mcpServer.create({ user: req.user, transport: 'http' });
+  const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+  res.on('close', () => {
+    transport.close();
+    server.close();
+  });
+
+  try {
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    logger.error('MCP request error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        jsonrpc: '2.0',
+        error: { code: -32603, message: 'Internal server error' },
+        id: null
+      });
+    }
+  }
+});
+
+const methodNotAllowed = (req, res) => {
+  res.status(405).json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message: 'Method not allowed: this server is stateless, send requests with POST' },
+    id: null
+  });
+};
+
+router.get('/', methodNotAllowed);
+router.delete('/', methodNotAllowed);
+
+module.exports = router;
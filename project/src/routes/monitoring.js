@@ -1,42 +1,85 @@
 const express = require('express');
 const router = express.Router();
+const deploymentRegistry = require('../services/deploymentRegistry');
+const authorize = require('../middleware/authorize');
 const logger = require('../utils/logger');
 
 // Get active deployments
 router.get('/deployments', async (req, res) => {
   try {
-    // In a real implementation, this would fetch from Kubernetes or deployment database
-    const mockDeployments = [
-      {
-        deployment_id: 'deploy-1704110400000',
-        service_name: 'user-service',
-        environment: 'production',
-        service_url: 'https://api.example.com/users',
-        status: 'healthy',
-        last_check: new Date().toISOString()
-      },
-      {
-        deployment_id: 'deploy-1704110300000',
-        service_name: 'order-service',
-        environment: 'staging',
-        service_url: 'https://staging-api.example.com/orders',
-        status: 'healthy',
-        last_check: new Date().toISOString()
-      }
-    ];
+    const { environment, status, repository, cursor, limit } = req.query;
+
+    const { rows, next_cursor } = await deploymentRegistry.list({
+      environment,
+      status,
+      repository,
+      cursor,
+      limit
+    });
 
     res.json({
-      deployments: mockDeployments,
-      total: mockDeployments.length,
+      deployments: rows,
+      total: rows.length,
+      next_cursor,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     logger.error('Error fetching deployments:', error);
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       error: 'Failed to fetch deployments',
       message: error.message
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Get a single deployment with its history
+router.get('/deployments/:deployment_id', async (req, res) => {
+  try {
+    const deployment = await deploymentRegistry.get(req.params.deployment_id);
+
+    if (!deployment) {
+      return res.status(404).json({
+        error: 'Deployment not found',
+        deployment_id: req.params.deployment_id
+      });
+    }
+
+    res.json(deployment);
+  } catch (error) {
+    logger.error('Error fetching deployment:', error);
+    res.status(500).json({
+      error: 'Failed to fetch deployment',
+      message: error.message
+    });
+  }
+});
+
+// Update deployment status, health or metadata
+router.patch('/deployments/:deployment_id', authorize('deployments:update', { deploymentId: req => req.params.deployment_id }), async (req, res) => {
+  try {
+    const { reason, ...changes } = req.body;
+
+    const deployment = await deploymentRegistry.update(req.params.deployment_id, changes, {
+      event: changes.status ? 'status_changed' : 'updated',
+      userId: req.user?.id,
+      details: { reason }
+    });
+
+    if (!deployment) {
+      return res.status(404).json({
+        error: 'Deployment not found',
+        deployment_id: req.params.deployment_id
+      });
+    }
+
+    res.json(deployment);
+  } catch (error) {
+    logger.error('Error updating deployment:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      error: 'Failed to update deployment',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,10 @@ const express = require('express');
 const router = express.Router();
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { requireScope } = require('../middleware/apiKeyAuth');
 
 // Slack notification
-router.post('/slack', async (req, res) => {
+router.post('/slack', requireScope('notifications:send'), async (req, res) => {
   try {
     const { channel, message, deployment_url } = req.body;
 
@@ -40,7 +41,7 @@ router.post('/slack', async (req, res) => {
 });
 
 // PagerDuty notification
-router.post('/pagerduty', async (req, res) => {
+router.post('/pagerduty', requireScope('notifications:send'), async (req, res) => {
   try {
     const { routing_key, event_action, dedup_key, payload } = req.body;
 
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const githubWebhookService = require('../services/githubWebhookService');
+const logger = require('../utils/logger');
+
+// GitHub signs the exact bytes it sends, so this router is mounted before the JSON body parser and
+// reads the raw body itself
+router.post('/github', express.raw({ type: '*/*', limit: '25mb' }), async (req, res) => {
+  try {
+    const event = req.get('X-GitHub-Event');
+    const deliveryId = req.get('X-GitHub-Delivery');
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    githubWebhookService.verifySignature(rawBody, req.get('X-Hub-Signature-256'));
+
+    if (!event || !deliveryId) {
+      return res.status(400).json({
+        error: 'X-GitHub-Event and X-GitHub-Delivery headers are required'
+      });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Webhook payload must be JSON (content type application/json)',
+        message: error.message
+      });
+    }
+
+    if (event === 'ping') {
+      return res.json({
+        status: 'pong',
+        delivery_id: deliveryId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const delivery = await githubWebhookService.handle({ event, deliveryId, payload });
+
+    res.status(delivery.status === 'dispatched' && !delivery.duplicate ? 202 : 200).json({
+      delivery_id: delivery.delivery_id,
+      event: delivery.event,
+      action: delivery.action,
+      status: delivery.duplicate ? 'duplicate' : delivery.status,
+      jobs: delivery.jobs.map(job => ({ ...job, status_url: `/jobs/${job.job_id}` })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('GitHub webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'GitHub webhook failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+// Output of /agent/build-predictor
+module.exports = {
+  type: 'object',
+  properties: {
+    success_probability: { type: 'number', minimum: 0, maximum: 100 },
+    estimated_duration: { type: 'string' },
+    potential_issues: { type: 'array', items: { type: 'string' } },
+    resource_requirements: {
+      type: 'object',
+      properties: {
+        cpu: { type: 'string', enum: ['low', 'medium', 'high'] },
+        memory: { type: 'string', enum: ['low', 'medium', 'high'] }
+      },
+      required: ['cpu', 'memory']
+    },
+    optimization_suggestions: { type: 'array', items: { type: 'string' } },
+    confidence_score: { type: 'number', minimum: 0, maximum: 1 }
+  },
+  required: ['success_probability', 'estimated_duration', 'potential_issues', 'resource_requirements', 'confidence_score']
+};
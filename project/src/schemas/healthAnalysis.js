@@ -0,0 +1,9 @@
+// Output of /agent/monitor/health-check
+module.exports = {
+  type: 'object',
+  properties: {
+    health_status: { type: 'string', enum: ['healthy', 'degraded', 'unhealthy'] },
+    analysis: { type: 'string' }
+  },
+  required: ['health_status', 'analysis']
+};
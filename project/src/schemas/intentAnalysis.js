@@ -0,0 +1,25 @@
+// Output of /llm/intent-analysis
+module.exports = {
+  type: 'object',
+  properties: {
+    intent: {
+      type: 'string',
+      enum: ['deploy', 'monitor', 'rollback', 'build', 'test', 'security', 'general']
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    entities: {
+      type: 'object',
+      properties: {
+        repository: { type: 'string' },
+        environment: { type: 'string' },
+        service: { type: 'string' },
+        branch: { type: 'string' },
+        deployment_id: { type: 'string' },
+        action: { type: 'string' }
+      }
+    },
+    parameters: { type: 'object' },
+    suggested_workflow: { type: 'string' }
+  },
+  required: ['intent', 'confidence', 'entities', 'suggested_workflow']
+};
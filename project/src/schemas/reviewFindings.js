@@ -0,0 +1,28 @@
+// Findings of /agent/code-review, located by file and line range in the new version of the changed files
+const { SEVERITIES } = require('../config/reviewPolicy');
+
+const CATEGORIES = ['security', 'bug', 'performance', 'quality', 'testing', 'documentation'];
+
+module.exports = {
+  type: 'object',
+  properties: {
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          category: { type: 'string', enum: CATEGORIES },
+          severity: { type: 'string', enum: SEVERITIES },
+          title: { type: 'string' },
+          file: { type: ['string', 'null'] },
+          start_line: { type: ['integer', 'null'], minimum: 1 },
+          end_line: { type: ['integer', 'null'], minimum: 1 },
+          rationale: { type: 'string' },
+          suggested_fix: { type: 'string' }
+        },
+        required: ['category', 'severity', 'title', 'file', 'start_line', 'end_line', 'rationale', 'suggested_fix']
+      }
+    }
+  },
+  required: ['findings']
+};
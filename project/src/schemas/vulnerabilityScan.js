@@ -0,0 +1,26 @@
+// Output of /agent/security/vulnerability-scan
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+module.exports = {
+  type: 'object',
+  properties: {
+    risk_level: { type: 'string', enum: SEVERITIES },
+    vulnerabilities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          severity: { type: 'string', enum: SEVERITIES },
+          description: { type: 'string' },
+          file: { type: 'string' },
+          line: { type: ['integer', 'null'] },
+          recommendation: { type: 'string' }
+        },
+        required: ['title', 'severity', 'description', 'recommendation']
+      }
+    },
+    summary: { type: 'string' }
+  },
+  required: ['risk_level', 'vulnerabilities', 'summary']
+};
@@ -0,0 +1,92 @@
+const rbacConfig = require('../config/rbac');
+const kubernetesConfig = require('../config/kubernetes');
+const deploymentRegistry = require('./deploymentRegistry');
+const auditRepository = require('../repositories/auditRepository');
+const logger = require('../utils/logger');
+
+function rank(role) {
+  return rbacConfig.roles.indexOf(role);
+}
+
+// Checks permissions from src/config/rbac.js against the user's JWT claims
+class AccessControl {
+  // The highest known role in the `role` or `roles` claims, or the default role
+  roleOf(user) {
+    const claimed = [user?.role, ...(Array.isArray(user?.roles) ? user.roles : [])].filter(role => rank(role) !== -1);
+    if (claimed.length === 0) {
+      return rbacConfig.defaultRole;
+    }
+    return claimed.reduce((highest, role) => (rank(role) > rank(highest) ? role : highest));
+  }
+
+  // An unknown environment needs the strictest role of the rule, so it can't be used to get around it
+  requiredRole(permission, environment) {
+    const rule = rbacConfig.permissions[permission];
+    if (!rule) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+    if (typeof rule === 'string') {
+      return rule;
+    }
+    if (environment && rule[environment]) {
+      return rule[environment];
+    }
+    if (environment && rule.default) {
+      return rule.default;
+    }
+    return Object.values(rule).reduce((strictest, role) => (rank(role) > rank(strictest) ? role : strictest));
+  }
+
+  can(user, permission, environment) {
+    return rank(this.roleOf(user)) >= rank(this.requiredRole(permission, environment));
+  }
+
+  // The kubernetes_config field naming a different namespace or context than the environment deploys to
+  // (src/config/kubernetes.js), or null. Otherwise a developer could deploy to production's namespace
+  // while the check and the registry only see "staging".
+  targetMismatch(environment, kubernetes = {}) {
+    const target = environment ? kubernetesConfig.targetFor(environment) : {};
+    for (const field of ['namespace', 'context']) {
+      if (kubernetes?.[field] && kubernetes[field] !== target[field]) {
+        return field;
+      }
+    }
+    return null;
+  }
+
+  // Throws a 403 ForbiddenError and records access_denied in the audit log when the user lacks the permission
+  // or kubernetes_config points outside the environment. With only a deployment_id, the environment is the deployment's.
+  async authorize(user, permission, { environment, deployment_id, kubernetes_config, source } = {}) {
+    if (!environment && deployment_id) {
+      environment = (await deploymentRegistry.get(deployment_id))?.environment;
+    }
+
+    const role = this.roleOf(user);
+    const requiredRole = this.requiredRole(permission, environment);
+    const mismatch = this.targetMismatch(environment, kubernetes_config);
+    if (rank(role) >= rank(requiredRole) && !mismatch) {
+      return;
+    }
+
+    const details = { permission, environment: environment || null, role, required_role: requiredRole };
+    if (mismatch) {
+      details.kubernetes_config = { [mismatch]: kubernetes_config[mismatch] };
+    }
+    logger.warn('Access denied', { user_id: user?.id, ...details, source });
+    await auditRepository.record('access_denied', {
+      deployment_id,
+      user_id: user?.id,
+      details: { ...details, source }
+    });
+
+    const error = new Error(mismatch
+      ? `kubernetes_config.${mismatch} "${kubernetes_config[mismatch]}" is not where ${environment || 'an unspecified environment'} deploys to`
+      : `${permission}${environment ? ` in ${environment}` : ''} requires the ${requiredRole} role (you have ${role})`);
+    error.name = 'ForbiddenError';
+    error.statusCode = 403;
+    error.details = details;
+    throw error;
+  }
+}
+
+module.exports = new AccessControl();
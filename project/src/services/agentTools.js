@@ -0,0 +1,191 @@
+const Ajv = require('ajv');
+const devopsService = require('./devopsService');
+const deploymentRegistry = require('./deploymentRegistry');
+const agentOperations = require('./agentOperations');
+const accessControl = require('./accessControl');
+const { isInternalHost, internalAddressError } = require('../utils/addressGuard');
+
+// PR diffs are cut to this many characters before they go back to the model
+const MAX_DIFF_CHARS = 20000;
+
+// DevOpsService operations the /agent/chat model can call. Destructive tools only run after the user
+// confirms them; `describe` turns their input into the sentence the user is asked to confirm.
+const TOOLS = {
+  listDeployments: {
+    description: 'List active deployments, newest first. Use it to find the deployment_id and service_url of a service before checking or rolling it back.',
+    parameters: {
+      type: 'object',
+      properties: {
+        service: { type: 'string', description: 'Service name, e.g. checkout-service' },
+        repository: { type: 'string', description: 'Repository as owner/name' },
+        environment: { type: 'string', enum: ['development', 'staging', 'production'] },
+        status: { type: 'string', description: 'Comma-separated statuses, or "all"; defaults to deploying,deployed' }
+      }
+    },
+    async run({ service, repository, environment, status }) {
+      const { rows } = await deploymentRegistry.list({ service_name: service, repository, environment, status, limit: 20 });
+      return rows.map(deployment => ({
+        deployment_id: deployment.deployment_id,
+        service: deployment.service_name,
+        repository: deployment.repository,
+        environment: deployment.environment,
+        status: deployment.status,
+        image_tag: deployment.image_tag,
+        service_url: deployment.service_url,
+        created_at: deployment.created_at
+      }));
+    }
+  },
+
+  performHealthCheck: {
+    description: 'Call a service and report response time, status code and error rate. Give the deployment_id of a registered deployment or the public service_url of a service.',
+    parameters: {
+      type: 'object',
+      properties: {
+        deployment_id: { type: 'string' },
+        service_url: { type: 'string' }
+      }
+    },
+    // A registered service_url was given by whoever deployed; one the model picks may only reach public addresses
+    async run({ deployment_id, service_url }) {
+      if (service_url) {
+        const { protocol, hostname } = new URL(service_url);
+        if (!['http:', 'https:'].includes(protocol)) {
+          throw new Error('service_url must use http or https');
+        }
+        if (isInternalHost(hostname)) {
+          throw internalAddressError(hostname);
+        }
+        return { service_url, ...(await devopsService.performHealthCheck(service_url, undefined, { publicOnly: true })) };
+      }
+      if (!deployment_id) {
+        throw new Error('deployment_id or service_url is required');
+      }
+
+      const deployment = await deploymentRegistry.get(deployment_id);
+      if (!deployment) {
+        throw new Error(`Deployment ${deployment_id} is not registered`);
+      }
+      if (!deployment.service_url) {
+        throw new Error(`Deployment ${deployment_id} has no service_url`);
+      }
+      return { service_url: deployment.service_url, ...(await devopsService.performHealthCheck(deployment.service_url)) };
+    }
+  },
+
+  performRollback: {
+    destructive: true,
+    description: 'Roll a deployment back to its previous (or a given) revision. Requires user confirmation.',
+    parameters: {
+      type: 'object',
+      properties: {
+        deployment_id: { type: 'string' },
+        rollback_strategy: { type: 'string', enum: ['gradual', 'immediate'] },
+        to_revision: { type: 'integer' },
+        reason: { type: 'string' }
+      },
+      required: ['deployment_id', 'reason']
+    },
+    describe({ deployment_id, rollback_strategy = 'gradual', to_revision, reason }) {
+      const target = to_revision ? `revision ${to_revision}` : 'its previous revision';
+      return `Roll back deployment ${deployment_id} to ${target} (${rollback_strategy}): ${reason}`;
+    },
+    async run({ deployment_id, rollback_strategy = 'gradual', to_revision, reason }, { userId, user }) {
+      await accessControl.authorize(user, 'rollback', { deployment_id, source: 'agent_chat:performRollback' });
+      return agentOperations.rollback(
+        { deployment_id, rollback_strategy, to_revision, reason, llm_analysis: false },
+        { userId }
+      );
+    }
+  },
+
+  fetchPRDiff: {
+    description: 'Fetch the unified diff of a GitHub pull request.',
+    parameters: {
+      type: 'object',
+      properties: {
+        repository: { type: 'string', description: 'owner/name' },
+        pr_number: { type: 'integer' }
+      },
+      required: ['repository', 'pr_number']
+    },
+    async run({ repository, pr_number }) {
+      const diff = await devopsService.fetchPRDiff(repository, pr_number);
+      const text = typeof diff === 'string' ? diff : JSON.stringify(diff);
+      return {
+        repository,
+        pr_number,
+        diff: text.slice(0, MAX_DIFF_CHARS),
+        truncated: text.length > MAX_DIFF_CHARS
+      };
+    }
+  },
+
+  analyzeCosts: {
+    description: 'Estimate the monthly cloud cost of a deployment configuration, with a breakdown and savings suggestions.',
+    parameters: {
+      type: 'object',
+      properties: {
+        cloud_provider: { type: 'string', enum: ['aws', 'gcp', 'azure'] },
+        deployment_config: {
+          type: 'object',
+          properties: {
+            instances: { type: 'integer' },
+            storage_gb: { type: 'number' }
+          }
+        }
+      },
+      required: ['cloud_provider']
+    },
+    async run({ cloud_provider, deployment_config = {} }) {
+      return devopsService.analyzeCosts(deployment_config, cloud_provider);
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = Object.fromEntries(
+  Object.entries(TOOLS).map(([name, tool]) => [name, ajv.compile(tool.parameters)])
+);
+
+class AgentTools {
+  // Definitions in the shape llmService.generateWithTools expects
+  definitions() {
+    return Object.entries(TOOLS).map(([name, tool]) => ({
+      name,
+      description: tool.description,
+      parameters: tool.parameters
+    }));
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(TOOLS, name);
+  }
+
+  isDestructive(name) {
+    return this.has(name) && Boolean(TOOLS[name].destructive);
+  }
+
+  describe(name, input) {
+    return TOOLS[name].describe ? TOOLS[name].describe(input) : `Run ${name}`;
+  }
+
+  // Problems with a call, as messages the model can act on; empty when the call can run
+  validate(name, input) {
+    if (!this.has(name)) {
+      return [`unknown tool ${name}; available tools are ${Object.keys(TOOLS).join(', ')}`];
+    }
+    if (input === null || typeof input !== 'object') {
+      return ['arguments must be a JSON object'];
+    }
+    const validate = validators[name];
+    return validate(input) ? [] : validate.errors.map(e => `${e.instancePath || '/'} ${e.message}`);
+  }
+
+  async run(name, input, context = {}) {
+    return TOOLS[name].run(input, context);
+  }
+}
+
+module.exports = new AgentTools();
+module.exports.MAX_DIFF_CHARS = MAX_DIFF_CHARS;
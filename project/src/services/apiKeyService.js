@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const apiKeyRepository = require('../repositories/apiKeyRepository');
+const auditRepository = require('../repositories/auditRepository');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'mcp_';
+
+// What a key can be used for; routes declare the scope they need with requireScope
+const SCOPES = ['notifications:send', 'logging:read', 'logging:write'];
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function keyError(name, statusCode, message) {
+  const error = new Error(message);
+  error.name = name;
+  error.statusCode = statusCode;
+  return error;
+}
+
+// The stored record without its hash
+function present(record) {
+  const { id, key_hash, ...key } = record;
+  return key;
+}
+
+function isActive(record, now = new Date()) {
+  return !record.revoked_at && (!record.expires_at || new Date(record.expires_at) > now);
+}
+
+// Scoped service API keys for callers such as n8n that can't mint JWTs. Keys look like mcp_<random>
+// and only their SHA-256 hash is stored, so a key can't be shown again after it is issued.
+class ApiKeyService {
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  validate({ name, scopes, expires_at }) {
+    const problems = [];
+    if (!name || typeof name !== 'string') {
+      problems.push('name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      problems.push(`scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+    } else {
+      const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+      if (unknown.length > 0) {
+        problems.push(`unknown scopes: ${unknown.join(', ')} (expected ${SCOPES.join(', ')})`);
+      }
+    }
+    if (expires_at !== undefined && expires_at !== null) {
+      const date = new Date(expires_at);
+      if (Number.isNaN(date.getTime()) || date <= new Date()) {
+        problems.push('expires_at must be a future ISO 8601 timestamp');
+      }
+    }
+
+    if (problems.length > 0) {
+      throw keyError('ValidationError', 400, problems.join('; '));
+    }
+  }
+
+  // Returns the key record plus the key itself, which is only available here
+  async issue({ name, scopes, expires_at }, userId) {
+    this.validate({ name, scopes, expires_at });
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = await apiKeyRepository.create({
+      key_id: `key-${crypto.randomUUID()}`,
+      name,
+      key_prefix: key.slice(0, 12),
+      key_hash: hashKey(key),
+      scopes: [...new Set(scopes)],
+      created_by: userId,
+      expires_at: expires_at ? new Date(expires_at) : null
+    });
+
+    await auditRepository.record('api_key_issued', {
+      user_id: userId,
+      details: { key_id: record.key_id, name, scopes: record.scopes }
+    });
+    logger.info('API key issued', { key_id: record.key_id, name, scopes: record.scopes });
+
+    return { ...present(record), key };
+  }
+
+  // The active key record for a presented key, or null; every successful use is counted
+  async authenticate(key, route) {
+    const record = await apiKeyRepository.findByHash(hashKey(key));
+    if (!record || !isActive(record)) {
+      return null;
+    }
+
+    await apiKeyRepository.recordUsage(record.key_id, route);
+    return present(record);
+  }
+
+  async list({ cursor, limit } = {}) {
+    const { rows, next_cursor } = await apiKeyRepository.list({ cursor, limit });
+    return { rows: rows.map(present), next_cursor };
+  }
+
+  async get(keyId) {
+    const record = await apiKeyRepository.findByKeyId(keyId);
+    return record ? present(record) : null;
+  }
+
+  // Issues a new key with the same name, scopes and expiry and revokes the old one
+  async rotate(keyId, userId) {
+    const record = await this.findActive(keyId);
+    const rotated = await this.issue({ name: record.name, scopes: record.scopes, expires_at: record.expires_at }, userId);
+
+    await apiKeyRepository.update(keyId, { revoked_at: new Date(), rotated_to: rotated.key_id });
+    await auditRepository.record('api_key_rotated', {
+      user_id: userId,
+      details: { key_id: keyId, rotated_to: rotated.key_id }
+    });
+
+    return rotated;
+  }
+
+  async revoke(keyId, userId) {
+    await this.findActive(keyId);
+    const revoked = await apiKeyRepository.update(keyId, { revoked_at: new Date() });
+
+    await auditRepository.record('api_key_revoked', { user_id: userId, details: { key_id: keyId } });
+    logger.info('API key revoked', { key_id: keyId });
+
+    return present(revoked);
+  }
+
+  async findActive(keyId) {
+    const record = await apiKeyRepository.findByKeyId(keyId);
+    if (!record) {
+      throw keyError('NotFoundError', 404, `API key ${keyId} not found`);
+    }
+    if (!isActive(record)) {
+      throw keyError('ConflictError', 409, `API key ${keyId} is already revoked or expired`);
+    }
+    return record;
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.SCOPES = SCOPES;
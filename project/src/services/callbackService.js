@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { isInternalHost, publicOnlyLookup } = require('../utils/addressGuard');
+const logger = require('../utils/logger');
+
+function validationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+// Entries are exact host names or "*.example.com" for any subdomain
+function hostAllowed(host, allowedHosts) {
+  return allowedHosts.some(allowed => (
+    allowed.startsWith('*.') ? host.endsWith(allowed.slice(1)) : host === allowed
+  ));
+}
+
+function blockedAddressError(host) {
+  return validationError(`callback_url host ${host} resolves to an internal address`);
+}
+
+class CallbackService {
+  constructor() {
+    this.signingSecret = process.env.CALLBACK_SIGNING_SECRET;
+    this.allowedHosts = (process.env.CALLBACK_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+    this.maxAttempts = parseInt(process.env.CALLBACK_MAX_ATTEMPTS) || 5;
+    this.retryDelayMs = parseInt(process.env.CALLBACK_RETRY_DELAY_MS) || 1000;
+    this.timeoutMs = parseInt(process.env.CALLBACK_TIMEOUT_MS) || 10000;
+  }
+
+  validate(callbackUrl) {
+    if (!this.signingSecret) {
+      const error = new Error('Callbacks are not configured: set CALLBACK_SIGNING_SECRET');
+      error.statusCode = 503;
+      throw error;
+    }
+
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (error) {
+      throw validationError('callback_url must be an absolute URL');
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw validationError('callback_url must use http or https');
+    }
+    if (this.allowedHosts.length > 0) {
+      if (!hostAllowed(url.hostname.toLowerCase(), this.allowedHosts)) {
+        throw validationError(`callback_url host ${url.hostname} is not allowed`);
+      }
+      return;
+    }
+
+    // Without an allowlist, internal hosts are refused here by name or IP and, for other names,
+    // by the resolved address when delivering
+    if (isInternalHost(url.hostname)) {
+      throw blockedAddressError(url.hostname);
+    }
+  }
+
+  // The signature covers the timestamp too, so receivers can reject replays of old deliveries
+  sign(timestamp, body) {
+    const digest = crypto.createHmac('sha256', this.signingSecret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  isRetryable(error) {
+    if (error.code === 'EINTERNALADDRESS') {
+      return false;
+    }
+    const status = error.response?.status;
+    return !status || status === 408 || status === 429 || status >= 500;
+  }
+
+  // Resolves with the outcome instead of throwing; callers fire this without waiting on the response
+  async deliver(callbackUrl, payload) {
+    try {
+      this.validate(callbackUrl);
+    } catch (error) {
+      logger.error('Callback refused', { callbackUrl, error: error.message });
+      return { delivered: false, attempts: 0, error: error.message };
+    }
+
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify(payload);
+    let lastError = null;
+    let attempts = 0;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      attempts = attempt;
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+
+      try {
+        const response = await axios.post(callbackUrl, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-MCP-Delivery': deliveryId,
+            'X-MCP-Timestamp': timestamp,
+            'X-MCP-Signature-256': this.sign(timestamp, body)
+          },
+          timeout: this.timeoutMs,
+          maxRedirects: 0,
+          ...(this.allowedHosts.length === 0 && { lookup: publicOnlyLookup })
+        });
+
+        logger.info('Callback delivered', { callbackUrl, deliveryId, attempt });
+        return { delivered: true, delivery_id: deliveryId, attempts: attempt, status_code: response.status };
+      } catch (error) {
+        lastError = error;
+        logger.warn('Callback attempt failed', { callbackUrl, deliveryId, attempt, error: error.message });
+
+        if (!this.isRetryable(error) || attempt === this.maxAttempts) {
+          break;
+        }
+        // Exponential backoff: 1x, 2x, 4x, ... the base delay
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * 2 ** (attempt - 1)));
+      }
+    }
+
+    logger.error('Callback delivery failed', { callbackUrl, deliveryId, error: lastError.message });
+    return {
+      delivered: false,
+      delivery_id: deliveryId,
+      attempts,
+      status_code: lastError.response?.status,
+      error: lastError.message
+    };
+  }
+}
+
+module.exports = new CallbackService();
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const llmConfig = require('../config/llm');
+const llmService = require('./llmService');
+const agentTools = require('./agentTools');
+const promptRegistry = require('./promptRegistry');
+const conversationMemory = require('./conversationMemory');
+const auditRepository = require('../repositories/auditRepository');
+const logger = require('../utils/logger');
+
+function chatError(name, statusCode, message) {
+  const error = new Error(message);
+  error.name = name;
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Tool arguments worth remembering for follow-ups, named like the intent analysis entities
+const ENTITY_FIELDS = ['repository', 'environment', 'service', 'deployment_id'];
+
+function toolEntities(inputs) {
+  const entities = {};
+  for (const input of inputs) {
+    for (const field of ENTITY_FIELDS) {
+      if (input?.[field]) {
+        entities[field] = input[field];
+      }
+    }
+  }
+  return entities;
+}
+
+function addUsage(total, usage) {
+  return {
+    input_tokens: total.input_tokens + (usage?.input_tokens ?? usage?.prompt_tokens ?? 0),
+    output_tokens: total.output_tokens + (usage?.output_tokens ?? usage?.completion_tokens ?? 0)
+  };
+}
+
+// The /agent/chat loop: the model calls DevOps tools until it can answer. A destructive tool call pauses
+// the loop; the conversation so far is stored on the session behind a confirmation token and the loop
+// resumes once the user confirms or declines it.
+class ChatAgent {
+  constructor() {
+    this.maxSteps = llmConfig.agent.maxSteps;
+    this.confirmationTtlSeconds = llmConfig.agent.confirmationTtlSeconds;
+  }
+
+  async chat(session, message, { model, userId, user } = {}) {
+    if (session.pending_action) {
+      throw chatError('ConflictError', 409,
+        `Waiting for confirmation of "${session.pending_action.description}"; confirm or decline it first`);
+    }
+
+    const { transcript, entities } = conversationMemory.context(session);
+    const rendered = await promptRegistry.render('agent_chat', {
+      message,
+      conversation: transcript,
+      known_entities: entities
+    });
+
+    const state = {
+      system: rendered.system,
+      prompt: { name: rendered.name, version: rendered.version },
+      messages: [{ role: 'user', content: rendered.prompt }],
+      tool_calls: []
+    };
+
+    const outcome = await this.run(state, { model, userId, user });
+    return this.finish(session, outcome, [{ role: 'user', content: message }]);
+  }
+
+  // `approve` true runs the held tool call, false tells the model the user declined it
+  async confirm(session, confirmationToken, approve, { model, userId, user } = {}) {
+    const pending = session.pending_action;
+    if (!pending || pending.confirmation_token !== confirmationToken) {
+      throw chatError('NotFoundError', 404, 'No action is waiting for this confirmation token');
+    }
+
+    // Cleared before the tool runs, so a repeated confirmation can't run it twice
+    await conversationMemory.setPendingAction(session, null);
+    if (new Date(pending.expires_at) <= new Date()) {
+      throw chatError('ConfirmationExpiredError', 410, `Confirmation for "${pending.description}" expired; ask again`);
+    }
+
+    const { call, state } = pending;
+    await auditRepository.record(approve ? 'agent_action_confirmed' : 'agent_action_declined', {
+      deployment_id: call.input?.deployment_id,
+      user_id: userId,
+      details: { tool: call.name, input: call.input, session_id: session.session_id }
+    });
+
+    if (approve) {
+      await this.execute(state, call, { userId, user });
+    } else {
+      state.messages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify({ declined: true, message: 'The user declined this action.' })
+      });
+      state.tool_calls.push({ tool: call.name, input: call.input, status: 'declined' });
+    }
+
+    const outcome = await this.run(state, { model, userId, user });
+    return this.finish(session, outcome, []);
+  }
+
+  // Runs one tool call as the user and appends its result (or error, including a denied permission) for the model
+  async execute(state, call, { userId, user }) {
+    const errors = agentTools.validate(call.name, call.input);
+    let entry;
+    if (errors.length > 0) {
+      entry = { tool: call.name, input: call.input, status: 'failed', error: `Invalid call: ${errors.join('; ')}` };
+    } else {
+      try {
+        const output = await agentTools.run(call.name, call.input, { userId, user });
+        entry = { tool: call.name, input: call.input, status: 'completed', output };
+      } catch (error) {
+        logger.error(`Agent tool ${call.name} error:`, error);
+        entry = { tool: call.name, input: call.input, status: 'failed', error: error.message };
+      }
+    }
+
+    state.tool_calls.push(entry);
+    state.messages.push({
+      role: 'tool',
+      tool_call_id: call.id,
+      content: JSON.stringify(entry.status === 'completed' ? entry.output : { error: entry.error })
+    });
+  }
+
+  skip(state, call, reason) {
+    state.tool_calls.push({ tool: call.name, input: call.input, status: 'skipped', error: reason });
+    state.messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify({ error: reason }) });
+  }
+
+  async run(state, { model, userId, user }) {
+    const tools = agentTools.definitions();
+    let usage = { input_tokens: 0, output_tokens: 0 };
+    let result = null;
+
+    for (let step = 1; step <= this.maxSteps; step++) {
+      result = await llmService.generateWithTools(state.messages, tools, {
+        model,
+        systemPrompt: state.system,
+        maxTokens: 2000,
+        temperature: 0.2
+      });
+      usage = addUsage(usage, result.usage);
+      state.messages.push({ role: 'assistant', content: result.content, tool_calls: result.tool_calls });
+
+      if (result.tool_calls.length === 0) {
+        return { status: 'completed', reply: result.content, state, result, usage };
+      }
+
+      // Other calls of the same step run first; only one destructive call can wait for confirmation
+      let held = null;
+      for (const call of result.tool_calls) {
+        if (!agentTools.isDestructive(call.name) || agentTools.validate(call.name, call.input).length > 0) {
+          // Invalid destructive calls never reach the user; execute reports the problems to the model
+          await this.execute(state, call, { userId, user });
+        } else if (!held) {
+          held = call;
+        } else {
+          this.skip(state, call, `Not run: ${held.name} is already waiting for confirmation; call this again afterwards`);
+        }
+      }
+
+      if (held) {
+        return { status: 'confirmation_required', reply: result.content, held, state, result, usage };
+      }
+    }
+
+    return {
+      status: 'max_steps',
+      reply: result.content || `Stopped after ${this.maxSteps} steps without a final answer.`,
+      state,
+      result,
+      usage
+    };
+  }
+
+  // Stores the held call (if any) and the turns, and builds the response body
+  async finish(session, outcome, turns) {
+    const { status, state, result, usage, held } = outcome;
+    let reply = outcome.reply;
+    let pendingAction = null;
+
+    if (held) {
+      const description = agentTools.describe(held.name, held.input);
+      pendingAction = {
+        confirmation_token: `confirm-${crypto.randomUUID()}`,
+        description,
+        tool: held.name,
+        input: held.input,
+        expires_at: new Date(Date.now() + this.confirmationTtlSeconds * 1000).toISOString()
+      };
+      await conversationMemory.setPendingAction(session, { ...pendingAction, call: held, state });
+      reply = reply || `Please confirm: ${description}`;
+      logger.info('Agent action waiting for confirmation', { session_id: session.session_id, tool: held.name });
+    }
+
+    const updated = await conversationMemory.record(session, [...turns, {
+      role: 'assistant',
+      content: reply,
+      entities: toolEntities([...state.tool_calls.map(entry => entry.input), held?.input])
+    }]);
+
+    return {
+      session_id: updated.session_id,
+      status,
+      reply,
+      tool_calls: state.tool_calls,
+      pending_action: pendingAction,
+      model_used: result.model,
+      provider: result.provider,
+      prompt: state.prompt,
+      usage
+    };
+  }
+}
+
+module.exports = new ChatAgent();
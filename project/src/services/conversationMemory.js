@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const llmConfig = require('../config/llm');
+const llmService = require('./llmService');
+const conversationSessionRepository = require('../repositories/conversationSessionRepository');
+const logger = require('../utils/logger');
+
+// Rough estimate (about four characters per token); only used to decide when to summarise
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function countTokens(summary, turns) {
+  return estimateTokens(summary) + turns.reduce((sum, turn) => sum + turn.tokens, 0);
+}
+
+// Later mentions win; empty values never overwrite something already resolved
+function mergeEntities(known, entities) {
+  const merged = { ...known };
+  for (const [name, value] of Object.entries(entities || {})) {
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      merged[name] = value;
+    }
+  }
+  return merged;
+}
+
+// Per-user chat sessions: the recent turns verbatim, older turns folded into a summary, and the
+// entities (service, deployment, environment, ...) resolved so far, so follow-ups like "now roll
+// that back" can be understood.
+class ConversationMemory {
+  constructor() {
+    this.tokenWindow = llmConfig.conversation.tokenWindow;
+  }
+
+  async start(userId) {
+    const session = await conversationSessionRepository.create({
+      session_id: `session-${crypto.randomUUID()}`,
+      user_id: userId,
+      summary: null,
+      entities: {},
+      turns: [],
+      token_count: 0
+    });
+
+    logger.info('Conversation session started', { session_id: session.session_id, user_id: userId });
+    return session;
+  }
+
+  // Sessions belonging to another user are reported as missing
+  async get(sessionId, userId) {
+    const session = await conversationSessionRepository.findBySessionId(sessionId);
+    if (!session || session.user_id !== userId) {
+      return null;
+    }
+    return session;
+  }
+
+  async list(userId, { cursor, limit } = {}) {
+    return conversationSessionRepository.list({ where: { user_id: userId }, cursor, limit });
+  }
+
+  async clear(session) {
+    return conversationSessionRepository.update(session.session_id, {
+      summary: null,
+      entities: {},
+      turns: [],
+      token_count: 0,
+      pending_action: null
+    });
+  }
+
+  // An /agent/chat tool call waiting for the user's confirmation; null clears it
+  async setPendingAction(session, pendingAction) {
+    return conversationSessionRepository.update(session.session_id, { pending_action: pendingAction });
+  }
+
+  // What the intent, response and chat prompts get to see
+  context(session) {
+    const lines = session.turns.map(turn => `${turn.role}: ${turn.content}`);
+    if (session.summary) {
+      lines.unshift(`Summary of earlier messages: ${session.summary}`);
+    }
+
+    return {
+      transcript: lines.length > 0 ? lines.join('\n') : 'None (this is the first message)',
+      entities: session.entities || {}
+    };
+  }
+
+  // Appends turns ({role, content, intent, entities}) and summarises older turns when over the window.
+  // A user turn repeating the last recorded turn is skipped, so calling intent analysis and then
+  // response generation for the same message stores it once.
+  async record(session, turns) {
+    let entities = session.entities || {};
+    let history = [...session.turns];
+
+    for (const turn of turns) {
+      const last = history[history.length - 1];
+      if (turn.role === 'user' && last?.role === 'user' && last.content === turn.content) {
+        entities = mergeEntities(entities, turn.entities);
+        continue;
+      }
+
+      history.push({
+        role: turn.role,
+        content: turn.content,
+        intent: turn.intent || null,
+        tokens: estimateTokens(turn.content),
+        created_at: new Date().toISOString()
+      });
+      entities = mergeEntities(entities, turn.entities);
+    }
+
+    let summary = session.summary;
+    if (countTokens(summary, history) > this.tokenWindow) {
+      ({ summary, turns: history } = await this.compact(summary, history));
+    }
+
+    return conversationSessionRepository.update(session.session_id, {
+      summary,
+      entities,
+      turns: history,
+      token_count: countTokens(summary, history)
+    });
+  }
+
+  // Keeps the newest turns that fit in half the window (at least the last one) and summarises the rest.
+  // If summarisation fails the older turns are dropped, keeping the previous summary.
+  async compact(summary, turns) {
+    let kept = 0;
+    let tokens = 0;
+    while (kept < turns.length && (kept === 0 || tokens + turns[turns.length - 1 - kept].tokens <= this.tokenWindow / 2)) {
+      tokens += turns[turns.length - 1 - kept].tokens;
+      kept++;
+    }
+
+    const older = turns.slice(0, turns.length - kept);
+    const recent = turns.slice(turns.length - kept);
+    if (older.length === 0) {
+      return { summary, turns: recent };
+    }
+
+    try {
+      const result = await llmService.generateFromTemplate('conversation_summary', {
+        summary: summary || 'None',
+        turns: older.map(turn => `${turn.role}: ${turn.content}`).join('\n')
+      }, {
+        maxTokens: 500,
+        temperature: 0.2
+      });
+      return { summary: result.content.trim(), turns: recent };
+    } catch (error) {
+      logger.error('Conversation summary error:', error);
+      return { summary, turns: recent };
+    }
+  }
+}
+
+module.exports = new ConversationMemory();
+module.exports.estimateTokens = estimateTokens;
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const deploymentRepository = require('../repositories/deploymentRepository');
+const deploymentHistoryRepository = require('../repositories/deploymentHistoryRepository');
+const logger = require('../utils/logger');
+
+const DEPLOYMENT_STATUSES = ['deploying', 'deployed', 'failed', 'rolled_back', 'superseded'];
+const ACTIVE_STATUSES = ['deploying', 'deployed'];
+const UPDATABLE_FIELDS = ['status', 'health_status', 'image_tag', 'deployment_url', 'service_url', 'metadata'];
+
+class DeploymentRegistry {
+  async register(deployment, userId) {
+    const {
+      deployment_id = `deploy-${crypto.randomUUID()}`,
+      repository,
+      environment,
+      status = 'deployed',
+      metadata = {}
+    } = deployment;
+
+    logger.info('Registering deployment', { deployment_id, repository, environment });
+
+    const record = await deploymentRepository.create({
+      ...deployment,
+      deployment_id,
+      status,
+      service_name: deployment.service_name || repository.split('/').pop(),
+      service_url: deployment.service_url || deployment.deployment_url || null,
+      deployment_url: deployment.deployment_url || deployment.service_url || null,
+      created_by: userId,
+      metadata
+    });
+
+    // A deployment still rolling out (canary, blue-green) only replaces the live one once it reaches deployed
+    const previous = status === 'deployed' ? await this.supersedePrevious(record, userId) : [];
+
+    await deploymentHistoryRepository.record(deployment_id, 'registered', {
+      status,
+      image_tag: record.image_tag,
+      user_id: userId,
+      details: { previous_deployments: previous.map(d => d.deployment_id) }
+    });
+
+    return record;
+  }
+
+  // Earlier active deployments of the same service and environment are replaced by this one
+  async supersedePrevious(record, userId) {
+    const { rows } = await deploymentRepository.list({
+      where: { repository: record.repository, environment: record.environment, status: ACTIVE_STATUSES },
+      limit: 100
+    });
+    const previous = rows.filter(d => d.deployment_id !== record.deployment_id);
+
+    for (const superseded of previous) {
+      await this.update(superseded.deployment_id, { status: 'superseded' }, {
+        event: 'superseded',
+        userId,
+        details: { superseded_by: record.deployment_id }
+      });
+    }
+
+    return previous;
+  }
+
+  async list({ environment, status, repository, service_name, cursor, limit } = {}) {
+    return deploymentRepository.list({
+      where: {
+        environment,
+        repository,
+        service_name,
+        status: status === 'all' ? undefined : (status ? status.split(',') : ACTIVE_STATUSES)
+      },
+      cursor,
+      limit
+    });
+  }
+
+  async get(deploymentId) {
+    const deployment = await deploymentRepository.findByDeploymentId(deploymentId);
+    if (!deployment) {
+      return null;
+    }
+
+    const history = await deploymentHistoryRepository.forDeployment(deploymentId);
+    return { ...deployment, history };
+  }
+
+  async update(deploymentId, changes, { event = 'updated', userId, details = {} } = {}) {
+    if (changes.status && !DEPLOYMENT_STATUSES.includes(changes.status)) {
+      const error = new Error(`status must be one of: ${DEPLOYMENT_STATUSES.join(', ')}`);
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    const existing = await deploymentRepository.findByDeploymentId(deploymentId);
+    if (!existing) {
+      return null;
+    }
+
+    const updates = {};
+    for (const field of UPDATABLE_FIELDS) {
+      if (changes[field] !== undefined) {
+        updates[field] = changes[field];
+      }
+    }
+    if (updates.metadata) {
+      updates.metadata = { ...existing.metadata, ...updates.metadata };
+    }
+    if (updates.health_status) {
+      updates.last_check_at = new Date();
+    }
+
+    const updated = await deploymentRepository.update(deploymentId, updates);
+
+    if (updates.status === 'deployed' && existing.status !== 'deployed') {
+      await this.supersedePrevious(updated, userId);
+    }
+
+    await deploymentHistoryRepository.record(deploymentId, event, {
+      status: updated.status,
+      image_tag: updated.image_tag,
+      user_id: userId,
+      details: { ...details, changes: updates }
+    });
+
+    return updated;
+  }
+}
+
+module.exports = new DeploymentRegistry();
+module.exports.DEPLOYMENT_STATUSES = DEPLOYMENT_STATUSES;
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
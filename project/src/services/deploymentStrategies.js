@@ -0,0 +1,349 @@
+const devopsService = require('./devopsService');
+const deploymentRegistry = require('./deploymentRegistry');
+const { NAME_LABEL } = require('./manifestGenerator');
+const logger = require('../utils/logger');
+
+const DEPLOYMENT_STRATEGIES = ['rolling', 'canary', 'blue_green'];
+
+const CANARY_DEFAULTS = {
+  steps: [10, 25, 50, 100],
+  step_interval_seconds: 60,
+  max_error_rate: 5,
+  max_response_time_ms: null,
+  health_check_url: null
+};
+
+const BLUE_GREEN_DEFAULTS = {
+  verification_seconds: 60,
+  max_error_rate: 5,
+  max_response_time_ms: null,
+  preview_url: null,
+  scale_down_previous: true
+};
+
+function validationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Copy of a generated Deployment under another name. Its pods take that name as their `app` label and the
+// Deployment selects on it, so neither the original Deployment's selector nor this one's overlap; `labels`
+// are added to both. With serviceTraffic off, the pods also drop NAME_LABEL so the generated Service
+// doesn't send them traffic until its selector is pointed at them.
+function deploymentVariant(deployment, name, labels, { serviceTraffic = true } = {}) {
+  const variant = JSON.parse(JSON.stringify(deployment));
+  const podLabels = { ...variant.spec.template.metadata.labels, app: name, ...labels };
+  if (!serviceTraffic) {
+    delete podLabels[NAME_LABEL];
+  }
+
+  variant.metadata.name = name;
+  variant.metadata.labels = { ...variant.metadata.labels, app: name, ...labels };
+  variant.spec.selector.matchLabels = { app: name, ...labels };
+  variant.spec.template.metadata.labels = podLabels;
+  return variant;
+}
+
+class DeploymentStrategies {
+  validate(strategy, settings = {}) {
+    if (!DEPLOYMENT_STRATEGIES.includes(strategy)) {
+      throw validationError(`strategy must be one of: ${DEPLOYMENT_STRATEGIES.join(', ')}`);
+    }
+
+    if (strategy === 'canary' && settings.steps !== undefined) {
+      const { steps } = settings;
+      const valid = Array.isArray(steps) &&
+        steps.length > 0 &&
+        steps.every((weight, index) => typeof weight === 'number' && weight > 0 && weight <= 100 && (index === 0 || weight > steps[index - 1])) &&
+        steps[steps.length - 1] === 100;
+      if (!valid) {
+        throw validationError('strategy_config.steps must be increasing traffic weights ending at 100');
+      }
+    }
+  }
+
+  // Runs a progressive strategy to completion. Failures are recorded on the deployment rather than thrown,
+  // since callers follow the rollout through the deployment record rather than the request that started it.
+  async run(strategy, deployment, options) {
+    const progress = { strategy, state: 'in_progress', started_at: new Date().toISOString() };
+
+    try {
+      if (strategy === 'canary') {
+        await this.runCanary(deployment, progress, options);
+      } else {
+        await this.runBlueGreen(deployment, progress, options);
+      }
+    } catch (error) {
+      logger.error(`${strategy} deployment failed:`, error);
+      progress.state = progress.state === 'in_progress' ? 'failed' : progress.state;
+      progress.error = error.message;
+      await this.updateProgress(deployment, progress, {
+        status: 'failed',
+        event: 'rollout_failed',
+        userId: options.userId,
+        onProgress: options.onProgress,
+        details: { error: error.message }
+      }).catch(updateError => logger.error('Error recording deployment failure:', updateError));
+    }
+
+    return progress;
+  }
+
+  async updateProgress(deployment, progress, { status, event, userId, details, metadata, onProgress } = {}) {
+    progress.updated_at = new Date().toISOString();
+    await deploymentRegistry.update(deployment.deployment_id, {
+      status,
+      metadata: { ...metadata, rollout: progress }
+    }, { event, userId, details });
+
+    if (onProgress) {
+      onProgress(event, progress);
+    }
+  }
+
+  async checkGate(url, settings, replicas) {
+    const failures = [];
+    let health = null;
+
+    if (replicas.ready < replicas.desired) {
+      failures.push(`${replicas.ready} of ${replicas.desired} replicas ready`);
+    }
+
+    // Without a URL (health_check_url/preview_url, or a service_url the deploy was given) there is nothing
+    // real to probe, so only readiness gates the step
+    if (url) {
+      const result = await devopsService.performHealthCheck(url);
+      health = {
+        status_code: result.status_code,
+        error_rate: result.error_rate,
+        response_time: result.response_time
+      };
+
+      if (health.status_code >= 400) {
+        failures.push(`health check returned ${health.status_code}`);
+      }
+      if (health.error_rate > settings.max_error_rate) {
+        failures.push(`error rate ${health.error_rate}% above ${settings.max_error_rate}%`);
+      }
+      if (settings.max_response_time_ms && health.response_time > settings.max_response_time_ms) {
+        failures.push(`response time ${health.response_time}ms above ${settings.max_response_time_ms}ms`);
+      }
+    }
+
+    return { passed: failures.length === 0, health, failures, checked_at: new Date().toISOString() };
+  }
+
+  waitForRollout(client, namespace, name) {
+    return client.waitForRollout(namespace, name, {
+      timeoutMs: devopsService.rolloutTimeoutMs,
+      intervalMs: devopsService.rolloutPollMs
+    });
+  }
+
+  // Canary pods run next to the stable ones behind the same Service, so traffic is shared by replica count.
+  // Each step moves replicas from stable to canary, waits, then checks the gate before moving on.
+  async runCanary(deployment, progress, options) {
+    const { kubernetesConfig = {}, environment, imageTag, repository, ref, overlays, settings, userId, onProgress } = options;
+    const update = changes => this.updateProgress(deployment, progress, { userId, onProgress, ...changes });
+    const canary = { ...CANARY_DEFAULTS, ...settings };
+    const client = devopsService.getKubernetesClient(kubernetesConfig);
+    const namespace = kubernetesConfig.namespace || environment;
+    const manifests = await devopsService.generateK8sManifests(repository, imageTag, { environment, ref, overlays });
+    const name = manifests.deployment.metadata.name;
+    const canaryName = `${name}-canary`;
+
+    const stable = await client.find('Deployment', namespace, name);
+    if (!stable) {
+      throw new Error(`Canary needs a running ${namespace}/${name}; deploy it with the rolling strategy first`);
+    }
+    const total = stable.spec.replicas || 1;
+
+    Object.assign(progress, {
+      namespace,
+      canary_weight: 0,
+      steps: canary.steps.map(weight => ({ weight, status: 'pending' }))
+    });
+    await update({
+      event: 'canary_started',
+      metadata: { namespace, deployment_name: name }
+    });
+
+    await this.prepareStableForCanary(client, namespace, stable, manifests);
+    const canaryDeployment = deploymentVariant(manifests.deployment, canaryName, { track: 'canary' });
+
+    try {
+      for (const step of progress.steps) {
+        const canaryReplicas = Math.min(total, Math.max(1, Math.round(total * step.weight / 100)));
+        step.status = 'in_progress';
+
+        await client.apply({ ...canaryDeployment, spec: { ...canaryDeployment.spec, replicas: canaryReplicas } }, namespace);
+        const { replicas } = await this.waitForRollout(client, namespace, canaryName);
+        await client.scale(namespace, name, total - canaryReplicas);
+
+        step.replicas = { canary: canaryReplicas, stable: total - canaryReplicas };
+        progress.canary_weight = Math.round(canaryReplicas / total * 100);
+
+        await sleep(canary.step_interval_seconds * 1000);
+        step.gate = await this.checkGate(canary.health_check_url || deployment.service_url, canary, replicas);
+        step.status = step.gate.passed ? 'passed' : 'failed';
+
+        await update({
+          event: 'canary_step',
+          details: { weight: step.weight, gate: step.gate }
+        });
+
+        if (!step.gate.passed) {
+          throw new Error(`Canary gate failed at ${step.weight}%: ${step.gate.failures.join('; ')}`);
+        }
+      }
+    } catch (error) {
+      await this.abortCanary(client, namespace, name, canaryName, total);
+      progress.state = 'rolled_back';
+      progress.canary_weight = 0;
+      throw error;
+    }
+
+    // Promote: the stable Deployment takes the new version and its replicas back, then the canary is removed
+    await devopsService.applyManifests(client, manifests, namespace);
+    if (manifests.deployment.spec.replicas === undefined) {
+      await client.scale(namespace, name, total);
+    }
+    const { replicas } = await this.waitForRollout(client, namespace, name);
+    await client.delete('Deployment', namespace, canaryName);
+
+    progress.state = 'completed';
+    progress.replicas = replicas;
+    await update({ status: 'deployed', event: 'canary_promoted' });
+  }
+
+  // Canary pods only get traffic through the Service's NAME_LABEL selector. A stable Deployment from before
+  // that label existed gets it on its pods first (a rollout of the same version), then the Service moves over.
+  async prepareStableForCanary(client, namespace, stable, manifests) {
+    const nameLabel = manifests.deployment.spec.template.metadata.labels[NAME_LABEL];
+    if (stable.spec.template.metadata?.labels?.[NAME_LABEL] !== nameLabel) {
+      await client.patch('Deployment', namespace, stable.metadata.name, {
+        spec: { template: { metadata: { labels: { [NAME_LABEL]: nameLabel } } } }
+      });
+      await this.waitForRollout(client, namespace, stable.metadata.name);
+    }
+    await client.apply(manifests.service, namespace);
+  }
+
+  async abortCanary(client, namespace, name, canaryName, replicas) {
+    logger.warn('Rolling back canary', { namespace, name });
+    await client.scale(namespace, name, replicas);
+    await this.waitForRollout(client, namespace, name);
+    await client.delete('Deployment', namespace, canaryName);
+  }
+
+  // Points the Service, the HPA and the PDB at one color. Switching back passes the Service's earlier
+  // selector, which may predate the per-color `app` labels.
+  async switchTraffic(client, namespace, manifests, color, selector = null) {
+    const { service, hpa, pdb, ingress } = JSON.parse(JSON.stringify(manifests));
+    const name = manifests.deployment.metadata.name;
+    if (color) {
+      service.spec.selector = { app: `${name}-${color}`, color };
+      if (hpa) {
+        hpa.spec.scaleTargetRef.name = `${name}-${color}`;
+      }
+    }
+    if (selector) {
+      service.spec.selector = selector;
+    }
+    // Color pods don't carry the name label the generated PDB selects on
+    if (pdb && (color || selector)) {
+      pdb.spec.selector = { matchLabels: service.spec.selector };
+    }
+    await devopsService.applyManifests(client, { service, hpa, pdb, ingress }, namespace);
+  }
+
+  // The new version comes up as a second Deployment ("blue" or "green") whose pods the Service doesn't
+  // select, while it keeps pointing at the current one; traffic moves over in a single selector switch.
+  async runBlueGreen(deployment, progress, options) {
+    const { kubernetesConfig = {}, environment, imageTag, repository, ref, overlays, settings, userId, onProgress } = options;
+    const update = changes => this.updateProgress(deployment, progress, { userId, onProgress, ...changes });
+    const blueGreen = { ...BLUE_GREEN_DEFAULTS, ...settings };
+    const client = devopsService.getKubernetesClient(kubernetesConfig);
+    const namespace = kubernetesConfig.namespace || environment;
+    const manifests = await devopsService.generateK8sManifests(repository, imageTag, { environment, ref, overlays });
+    const name = manifests.deployment.metadata.name;
+
+    const service = await client.find('Service', namespace, manifests.service.metadata.name);
+    const previousSelector = service?.spec?.selector || null;
+    const activeColor = previousSelector?.color || null;
+    const targetColor = activeColor === 'blue' ? 'green' : 'blue';
+    const targetName = `${name}-${targetColor}`;
+
+    Object.assign(progress, { namespace, phase: 'deploying', active_color: activeColor, target_color: targetColor });
+    await update({
+      event: 'blue_green_started',
+      metadata: { namespace, deployment_name: targetName }
+    });
+
+    if (manifests.configmap) {
+      await client.apply(manifests.configmap, namespace);
+    }
+    await client.apply(deploymentVariant(manifests.deployment, targetName, { color: targetColor }, { serviceTraffic: false }), namespace);
+    const { replicas } = await this.waitForRollout(client, namespace, targetName);
+
+    progress.phase = 'verifying_preview';
+    progress.preview_gate = await this.checkGate(blueGreen.preview_url, blueGreen, replicas);
+    if (!progress.preview_gate.passed) {
+      // The Service doesn't select the new color's pods yet, so scaling it down is the whole rollback
+      await client.scale(namespace, targetName, 0);
+      progress.state = 'rolled_back';
+      throw new Error(`Preview gate failed: ${progress.preview_gate.failures.join('; ')}`);
+    }
+
+    await this.switchTraffic(client, namespace, manifests, targetColor);
+    progress.phase = 'verifying';
+    progress.active_color = targetColor;
+    await update({
+      event: 'traffic_switched',
+      details: { from: activeColor, to: targetColor }
+    });
+
+    await sleep(blueGreen.verification_seconds * 1000);
+    progress.verification_gate = await this.checkGate(deployment.service_url, blueGreen, replicas);
+    if (!progress.verification_gate.passed) {
+      await this.switchTraffic(client, namespace, manifests, activeColor, previousSelector);
+      await client.scale(namespace, targetName, 0);
+      progress.active_color = activeColor;
+      progress.state = 'rolled_back';
+      throw new Error(`Verification gate failed after switching traffic: ${progress.verification_gate.failures.join('; ')}`);
+    }
+
+    // The previous color is kept at zero replicas so a later rollback only has to scale it up and switch back
+    const previousName = activeColor ? `${name}-${activeColor}` : name;
+    const previous = await client.find('Deployment', namespace, previousName);
+    if (previous && blueGreen.scale_down_previous) {
+      await client.scale(namespace, previousName, 0);
+    }
+
+    progress.state = 'completed';
+    progress.phase = 'done';
+    progress.replicas = replicas;
+    await update({
+      status: 'deployed',
+      event: 'blue_green_completed',
+      metadata: {
+        blue_green: {
+          service: manifests.service.metadata.name,
+          hpa: manifests.hpa?.metadata.name || null,
+          pdb: manifests.pdb?.metadata.name || null,
+          previous_deployment: previous ? previousName : null,
+          previous_replicas: previous?.spec?.replicas ?? null,
+          previous_selector: previousSelector
+        }
+      }
+    });
+  }
+}
+
+module.exports = new DeploymentStrategies();
+module.exports.DEPLOYMENT_STRATEGIES = DEPLOYMENT_STRATEGIES;
@@ -1,11 +1,36 @@
 const axios = require('axios');
+const yaml = require('js-yaml');
+const { KubernetesClient, getRevision } = require('./kubernetesClient');
+const { DockerClient } = require('./dockerClient');
+const manifestGenerator = require('./manifestGenerator');
+const { NAME_LABEL } = require('./manifestGenerator');
+const { stripTarballRoot } = require('../utils/tarball');
+const { publicOnlyLookup } = require('../utils/addressGuard');
+const deploymentRegistry = require('./deploymentRegistry');
+const githubAppAuth = require('./githubAppAuth');
+const kubernetesTargets = require('../config/kubernetes');
 const logger = require('../utils/logger');
 
+// Order in which generated manifests are applied, so referenced objects exist first
+const MANIFEST_APPLY_ORDER = ['ConfigMap', 'Service', 'Deployment', 'HorizontalPodAutoscaler', 'PodDisruptionBudget', 'Ingress'];
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+const SECRET_NAME_PATTERN = /(PASSWORD|PASSWD|SECRET|TOKEN|API_?KEY|PRIVATE_?KEY|CREDENTIALS?)/i;
+
 class DevOpsService {
   constructor() {
     this.githubToken = process.env.GITHUB_TOKEN;
     this.dockerRegistry = process.env.DOCKER_REGISTRY_URL;
+    this.dockerClient = new DockerClient();
     this.kubernetesConfig = process.env.KUBERNETES_CONFIG_PATH;
+    this.rolloutTimeoutMs = parseInt(process.env.KUBERNETES_ROLLOUT_TIMEOUT_MS) || 5 * 60 * 1000;
+    this.rolloutPollMs = parseInt(process.env.KUBERNETES_ROLLOUT_POLL_MS) || 2000;
+    // Build contexts are held in memory, so both the download and its unpacked size are capped
+    this.buildContextMaxBytes = parseInt(process.env.DOCKER_BUILD_CONTEXT_MAX_BYTES) || 500 * 1024 * 1024;
+  }
+
+  getKubernetesClient(kubernetesConfig = {}) {
+    return KubernetesClient.fromKubeConfig(this.kubernetesConfig, kubernetesConfig.context);
   }
 
   async fetchPRDiff(repository, prNumber, diffUrl) {
@@ -40,6 +65,29 @@ class DevOpsService {
     }
   }
 
+  // Files changed by a pull request, without removed ones (up to 100, GitHub's page size)
+  async fetchPRFiles(repository, prNumber) {
+    try {
+      const response = await axios.get(
+        `https://api.github.com/repos/${repository}/pulls/${prNumber}/files`,
+        {
+          params: { per_page: 100 },
+          headers: {
+            'Authorization': `token ${this.githubToken}`,
+            'Accept': 'application/vnd.github.v3+json'
+          }
+        }
+      );
+
+      return response.data
+        .filter(file => file.status !== 'removed')
+        .map(file => ({ filename: file.filename, status: file.status }));
+    } catch (error) {
+      logger.error('Error fetching PR files:', error);
+      throw new Error(`Failed to fetch PR files: ${error.message}`);
+    }
+  }
+
   async fetchRepositoryContent(repository, branch = 'main') {
     try {
       logger.info('Fetching repository content', { repository, branch });
@@ -325,7 +373,8 @@ class DevOpsService {
     }
   }
 
-  async performHealthCheck(serviceUrl, metrics) {
+  // publicOnly refuses URLs that resolve to internal addresses, for URLs the caller doesn't vouch for
+  async performHealthCheck(serviceUrl, metrics, { publicOnly = false } = {}) {
     try {
       logger.info('Performing health check', { serviceUrl });
       
@@ -341,11 +390,18 @@ class DevOpsService {
       if (serviceUrl && serviceUrl.startsWith('http')) {
         try {
           const start = Date.now();
-          const response = await axios.get(serviceUrl, { timeout: 5000 });
+          const response = await axios.get(serviceUrl, {
+            timeout: 5000,
+            // A redirect could lead back inside
+            ...(publicOnly && { lookup: publicOnlyLookup, maxRedirects: 0 })
+          });
           healthData.response_time = Date.now() - start;
           healthData.status_code = response.status;
           healthData.error_rate = 0;
         } catch (error) {
+          if (error.code === 'EINTERNALADDRESS') {
+            throw error;
+          }
           healthData.status_code = error.response?.status || 500;
           healthData.error_rate = 100;
           healthData.response_time = 5000;
@@ -354,6 +410,9 @@ class DevOpsService {
       
       return healthData;
     } catch (error) {
+      if (error.code === 'EINTERNALADDRESS') {
+        throw error;
+      }
       logger.error('Error performing health check:', error);
       return {
         response_time: 5000,
@@ -426,85 +485,279 @@ class DevOpsService {
     }
   }
 
-  async performRollback(deploymentId, strategy) {
+  async performRollback(deploymentId, strategy = 'gradual', options = {}) {
+    const startTime = Date.now();
+    const completedSteps = [];
+    const recordStep = (step, details = {}) => {
+      completedSteps.push({
+        step,
+        status: 'completed',
+        ...details,
+        timestamp: new Date().toISOString()
+      });
+    };
+
     try {
       logger.info('Performing rollback', { deploymentId, strategy });
-      
-      // Simulate rollback process
-      const steps = [
-        'Identifying previous stable version',
-        'Preparing rollback configuration',
-        'Updating deployment manifests',
-        'Rolling back application containers',
-        'Verifying rollback success',
-        'Updating load balancer configuration'
-      ];
-      
-      const completedSteps = [];
-      const startTime = Date.now();
-      
-      // Simulate step execution
-      for (const step of steps) {
-        completedSteps.push({
-          step,
-          status: 'completed',
-          timestamp: new Date().toISOString()
-        });
-        
-        // Add small delay to simulate work
-        await new Promise(resolve => setTimeout(resolve, 100));
+
+      const record = await deploymentRegistry.get(deploymentId);
+      if (!record) {
+        throw new Error(`Deployment ${deploymentId} is not registered`);
       }
-      
-      const duration = Date.now() - startTime;
-      
+
+      const namespace = record.metadata?.namespace || kubernetesTargets.targetFor(record.environment).namespace;
+      const name = record.metadata?.deployment_name || manifestGenerator.appName(record.repository);
+      const client = this.getKubernetesClient({ context: record.metadata?.kube_context });
+
+      if (record.metadata?.blue_green) {
+        const switched = await this.switchBlueGreenBack(client, namespace, name, record.metadata.blue_green, recordStep);
+        const healthCheckPassed = await this.verifyRollback(record, switched.replicas, recordStep);
+        return {
+          success: healthCheckPassed,
+          steps: completedSteps,
+          duration: `${Math.round((Date.now() - startTime) / 1000)}s`,
+          ...switched,
+          health_check_passed: healthCheckPassed
+        };
+      }
+
+      // Identify the revision to return to from the Deployment's ReplicaSet history
+      const deployment = await client.getDeployment(namespace, name);
+      const currentRevision = getRevision(deployment);
+      const revisions = await client.listRevisions(deployment);
+      const target = options.revision
+        ? revisions.find(r => r.revision === parseInt(options.revision))
+        : revisions.find(r => r.revision < currentRevision);
+
+      if (!target) {
+        throw new Error(options.revision
+          ? `Revision ${options.revision} not found for ${namespace}/${name}`
+          : `No previous revision available for ${namespace}/${name}`);
+      }
+
+      const currentImage = deployment.spec.template.spec.containers[0]?.image;
+      const targetImage = target.replicaSet.spec.template.spec.containers[0]?.image;
+      recordStep('Identified previous stable revision', {
+        from_revision: currentRevision,
+        to_revision: target.revision,
+        from_image: currentImage,
+        to_image: targetImage
+      });
+
+      // gradual replaces one pod at a time; immediate tears down the current pods and switches at once
+      const template = JSON.parse(JSON.stringify(target.replicaSet.spec.template));
+      delete template.metadata?.labels?.['pod-template-hash'];
+      // Older revisions may predate the label the Service selects on; keep the current one so it still does
+      const nameLabel = deployment.spec.template.metadata?.labels?.[NAME_LABEL];
+      if (nameLabel) {
+        template.metadata = { ...template.metadata, labels: { ...template.metadata?.labels, [NAME_LABEL]: nameLabel } };
+      }
+      const rollbackStrategy = strategy === 'immediate'
+        ? { type: 'Recreate' }
+        : { type: 'RollingUpdate', rollingUpdate: { maxSurge: 1, maxUnavailable: 0 } };
+
+      await client.patch('Deployment', namespace, name, [
+        { op: 'replace', path: '/spec/template', value: template },
+        { op: 'replace', path: '/spec/strategy', value: rollbackStrategy }
+      ], 'application/json-patch+json');
+      recordStep('Applied previous pod template', { strategy: rollbackStrategy.type });
+
+      let lastReplicas = null;
+      const { replicas } = await client.waitForRollout(namespace, name, {
+        timeoutMs: this.rolloutTimeoutMs,
+        intervalMs: this.rolloutPollMs,
+        onProgress: progress => {
+          if (strategy !== 'immediate' && lastReplicas && progress.updated !== lastReplicas.updated) {
+            recordStep('Replaced pods with previous revision', { replicas: progress });
+          }
+          lastReplicas = progress;
+        }
+      });
+      recordStep('Rollout completed', { replicas });
+
+      // Restore the deployment's own strategy; this does not trigger another rollout
+      if (deployment.spec.strategy) {
+        await client.patch('Deployment', namespace, name, [
+          { op: 'replace', path: '/spec/strategy', value: deployment.spec.strategy }
+        ], 'application/json-patch+json');
+        recordStep('Restored deployment strategy');
+      }
+
+      const healthCheckPassed = await this.verifyRollback(record, replicas, recordStep);
+
       return {
-        success: true,
+        success: healthCheckPassed,
         steps: completedSteps,
-        duration: `${Math.round(duration / 1000)}s`,
-        rollback_version: 'v1.2.3',
-        health_check_passed: true
+        duration: `${Math.round((Date.now() - startTime) / 1000)}s`,
+        rollback_version: targetImage,
+        previous_version: currentImage,
+        revision: target.revision,
+        replicas,
+        health_check_passed: healthCheckPassed
       };
     } catch (error) {
       logger.error('Error performing rollback:', error);
       return {
         success: false,
-        steps: [],
-        duration: '0s',
+        steps: completedSteps,
+        duration: `${Math.round((Date.now() - startTime) / 1000)}s`,
         error: error.message
       };
     }
   }
-  async postReviewComment(repository, prNumber, reviewResult) {
-    try {
-      const comment = `## 🤖 AI Code Review
 
-**Status:** ${reviewResult.status === 'approved' ? '✅ Approved' : '⚠️ Changes Requested'}
-**Risk Level:** ${reviewResult.risk_level}
+  // Blue-green deploys leave the previous color at zero replicas: it is scaled back up, the Service, HPA and
+  // PDB are pointed back at it, and then the current color is scaled down
+  async switchBlueGreenBack(client, namespace, name, blueGreen, recordStep) {
+    const { service, hpa, pdb, previous_deployment: previousName, previous_replicas, previous_selector: selector } = blueGreen;
+    if (!previousName || !selector) {
+      throw new Error(`No previous deployment to switch ${namespace}/${name} back to`);
+    }
 
-### Analysis
-${reviewResult.analysis}
+    const current = await client.getDeployment(namespace, name);
+    const previous = await client.getDeployment(namespace, previousName);
+    const currentImage = current.spec.template.spec.containers[0]?.image;
+    const previousImage = previous.spec.template.spec.containers[0]?.image;
+    recordStep('Identified previous color', {
+      from_deployment: name,
+      to_deployment: previousName,
+      from_image: currentImage,
+      to_image: previousImage
+    });
 
-### Recommendations
-${reviewResult.suggestions.length > 0 ? reviewResult.suggestions.join('\n- ') : 'No specific recommendations at this time.'}
+    await client.scale(namespace, previousName, previous_replicas || current.spec.replicas || 1);
+    const { replicas } = await client.waitForRollout(namespace, previousName, {
+      timeoutMs: this.rolloutTimeoutMs,
+      intervalMs: this.rolloutPollMs
+    });
+    recordStep('Scaled previous color back up', { deployment: previousName, replicas });
 
----
-*Generated by MCP DevOps AI at ${reviewResult.timestamp}*`;
+    // JSON patches replace the selectors whole; a merge patch would keep the current color's keys
+    await client.patch('Service', namespace, service, [
+      { op: 'replace', path: '/spec/selector', value: selector }
+    ], 'application/json-patch+json');
+    if (hpa) {
+      await client.patch('HorizontalPodAutoscaler', namespace, hpa, [
+        { op: 'replace', path: '/spec/scaleTargetRef/name', value: previousName }
+      ], 'application/json-patch+json');
+    }
+    if (pdb) {
+      await client.patch('PodDisruptionBudget', namespace, pdb, [
+        { op: 'replace', path: '/spec/selector', value: { matchLabels: selector } }
+      ], 'application/json-patch+json');
+    }
+    recordStep('Switched traffic back', { service, selector });
 
-      await axios.post(
-        `https://api.github.com/repos/${repository}/issues/${prNumber}/comments`,
-        { body: comment },
-        {
-          headers: {
-            'Authorization': `token ${this.githubToken}`,
-            'Accept': 'application/vnd.github.v3+json'
-          }
-        }
-      );
+    await client.scale(namespace, name, 0);
+    recordStep('Scaled down current color', { deployment: name });
 
-      logger.info('Posted review comment', { repository, prNumber });
-    } catch (error) {
-      logger.error('Error posting review comment:', error);
+    return { rollback_version: previousImage, previous_version: currentImage, replicas };
+  }
+
+  // Without a service URL, ready replicas are the health check
+  async verifyRollback(record, replicas, recordStep) {
+    let healthCheckPassed = replicas.ready === replicas.desired;
+    if (record.service_url) {
+      const health = await this.performHealthCheck(record.service_url);
+      healthCheckPassed = healthCheckPassed && health.status_code < 400 && health.error_rate < 5;
+      recordStep('Verified service health', { health });
+    }
+    return healthCheckPassed;
+  }
+
+  // app: authenticate as the GitHub App installation instead of with GITHUB_TOKEN (see githubAppAuth)
+  async githubRequest(method, url, { data, params, app = false, repository } = {}) {
+    const token = app ? `Bearer ${await githubAppAuth.installationToken(repository)}` : `token ${this.githubToken}`;
+    return axios({
+      method,
+      url,
+      data,
+      params,
+      headers: {
+        'Authorization': token,
+        'Accept': 'application/vnd.github.v3+json'
+      }
+    });
+  }
+
+  async githubApi(method, path, options = {}) {
+    const response = await this.githubRequest(method, `https://api.github.com${path}`, options);
+    return response.data;
+  }
+
+  // Every page of a list endpoint, following the Link header's rel="next" URL (which keeps the query)
+  async githubApiAll(path, { params } = {}) {
+    const items = [];
+    let url = `https://api.github.com${path}`;
+    let pageParams = { per_page: 100, ...params };
+
+    while (url) {
+      const response = await this.githubRequest('get', url, { params: pageParams });
+      items.push(...response.data);
+      url = response.headers?.link?.match(/<([^>]+)>;\s*rel="next"/)?.[1] || null;
+      pageParams = undefined;
     }
+    return items;
+  }
+
+  async getPullRequest(repository, prNumber) {
+    return this.githubApi('get', `/repos/${repository}/pulls/${prNumber}`);
+  }
+
+  async listIssueComments(repository, prNumber) {
+    return this.githubApiAll(`/repos/${repository}/issues/${prNumber}/comments`);
+  }
+
+  async createIssueComment(repository, prNumber, body) {
+    return this.githubApi('post', `/repos/${repository}/issues/${prNumber}/comments`, { data: { body } });
+  }
+
+  async updateIssueComment(repository, commentId, body) {
+    return this.githubApi('patch', `/repos/${repository}/issues/comments/${commentId}`, { data: { body } });
+  }
+
+  async listReviews(repository, prNumber) {
+    return this.githubApiAll(`/repos/${repository}/pulls/${prNumber}/reviews`);
+  }
+
+  // review is { commit_id, event: COMMENT|REQUEST_CHANGES|APPROVE, body, comments: [{ path, position, body }] }
+  async createReview(repository, prNumber, review) {
+    return this.githubApi('post', `/repos/${repository}/pulls/${prNumber}/reviews`, { data: review });
+  }
+
+  async dismissReview(repository, prNumber, reviewId, message) {
+    return this.githubApi('put', `/repos/${repository}/pulls/${prNumber}/reviews/${reviewId}/dismissals`, { data: { message } });
+  }
+
+  async listReviewComments(repository, prNumber) {
+    return this.githubApiAll(`/repos/${repository}/pulls/${prNumber}/comments`);
+  }
+
+  async updateReviewComment(repository, commentId, body) {
+    return this.githubApi('patch', `/repos/${repository}/pulls/comments/${commentId}`, { data: { body } });
+  }
+
+  // Collapses a comment as outdated; minimizing is only available through GraphQL, which answers errors with a 200
+  async minimizeComment(nodeId) {
+    const result = await this.githubApi('post', '/graphql', {
+      data: {
+        query: 'mutation($id: ID!) { minimizeComment(input: {subjectId: $id, classifier: OUTDATED}) { minimizedComment { isMinimized } } }',
+        variables: { id: nodeId }
+      }
+    });
+    if (result.errors?.length) {
+      throw new Error(result.errors.map(error => error.message).join('; '));
+    }
+    return result.data.minimizeComment.minimizedComment;
+  }
+
+  // The Checks API only accepts GitHub App tokens; personal access tokens get a 403
+  async createCheckRun(repository, checkRun) {
+    return this.githubApi('post', `/repos/${repository}/check-runs`, { data: checkRun, app: true, repository });
+  }
+
+  async updateCheckRun(repository, checkRunId, checkRun) {
+    return this.githubApi('patch', `/repos/${repository}/check-runs/${checkRunId}`, { data: checkRun, app: true, repository });
   }
 
   async createTestFile(repository, filename, content) {
@@ -563,18 +816,60 @@ ${reviewResult.suggestions.length > 0 ? reviewResult.suggestions.join('\n- ') :
     }
   }
 
-  async buildDockerImage(repository, imageTag) {
+  getImageReference(repository, commitSha) {
+    const name = (this.dockerRegistry ? `${this.dockerRegistry}/${repository}` : repository).toLowerCase();
+    return { image: name, tag: commitSha.substring(0, 8), reference: `${name}:${commitSha.substring(0, 8)}` };
+  }
+
+  getRegistryAuth() {
+    return {
+      username: process.env.DOCKER_USERNAME,
+      password: process.env.DOCKER_PASSWORD,
+      serveraddress: this.dockerRegistry
+    };
+  }
+
+  async fetchRepositoryTarball(repository, commitSha) {
     try {
-      logger.info('Building Docker image', { repository, imageTag });
-      
-      // In a real implementation, this would trigger Docker build
-      // Simulating build process
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
+      logger.info('Fetching repository tarball', { repository, commitSha });
+
+      const response = await axios.get(
+        `https://api.github.com/repos/${repository}/tarball/${commitSha}`,
+        {
+          headers: {
+            'Authorization': `token ${this.githubToken}`,
+            'Accept': 'application/vnd.github.v3+json'
+          },
+          responseType: 'arraybuffer',
+          maxContentLength: this.buildContextMaxBytes
+        }
+      );
+
+      return Buffer.from(response.data);
+    } catch (error) {
+      logger.error('Error fetching repository tarball:', error);
+      throw new Error(`Failed to fetch repository tarball: ${error.message}`);
+    }
+  }
+
+  async buildDockerImage(repository, imageTag, options = {}) {
+    const { commitSha, dockerfile, buildArgs, onLog } = options;
+
+    try {
+      logger.info('Building Docker image', { repository, imageTag, commitSha });
+
+      const startTime = Date.now();
+      const context = await stripTarballRoot(await this.fetchRepositoryTarball(repository, commitSha), {
+        maxBytes: this.buildContextMaxBytes
+      });
+      const build = await this.dockerClient.build(context, { tag: imageTag, dockerfile, buildArgs, onLog });
+
       return {
         image_tag: imageTag,
+        image_id: build.image_id,
         build_status: 'success',
-        build_time: '2m 34s'
+        build_time: `${Math.round((Date.now() - startTime) / 1000)}s`,
+        logs: build.logs
       };
     } catch (error) {
       logger.error('Error building Docker image:', error);
@@ -582,63 +877,195 @@ ${reviewResult.suggestions.length > 0 ? reviewResult.suggestions.join('\n- ') :
     }
   }
 
-  async generateK8sManifests(repository, imageTag) {
+  async pushDockerImage(image, tag, options = {}) {
     try {
-      // Generate basic Kubernetes manifests
-      const appName = repository.split('/')[1];
-      
-      const manifests = {
-        deployment: {
-          apiVersion: 'apps/v1',
-          kind: 'Deployment',
-          metadata: { name: appName },
-          spec: {
-            replicas: 3,
-            selector: { matchLabels: { app: appName } },
-            template: {
-              metadata: { labels: { app: appName } },
-              spec: {
-                containers: [{
-                  name: appName,
-                  image: imageTag,
-                  ports: [{ containerPort: 8080 }]
-                }]
-              }
+      const push = await this.dockerClient.push(image, tag, {
+        auth: this.getRegistryAuth(),
+        onLog: options.onLog
+      });
+
+      return {
+        image_tag: `${image}:${tag}`,
+        digest: push.digest,
+        push_status: 'success',
+        logs: push.logs
+      };
+    } catch (error) {
+      logger.error('Error pushing Docker image:', error);
+      throw error;
+    }
+  }
+
+  // Checks the image configuration and history for risky settings; it does not look up CVEs in the packages
+  async scanDockerImage(imageTag) {
+    try {
+      logger.info('Scanning Docker image', { imageTag });
+
+      const image = await this.dockerClient.inspectImage(imageTag);
+      const history = await this.dockerClient.imageHistory(imageTag);
+      const config = image.Config || {};
+      const findings = [];
+
+      const user = config.User || '';
+      if (!user || user === 'root' || user === '0' || user.startsWith('0:')) {
+        findings.push({
+          title: 'Container runs as root',
+          severity: 'medium',
+          recommendation: 'Add a USER instruction that switches to an unprivileged user'
+        });
+      }
+
+      for (const variable of config.Env || []) {
+        const [name, value] = variable.split('=');
+        if (SECRET_NAME_PATTERN.test(name) && value) {
+          findings.push({
+            title: `Secret baked into image environment: ${name}`,
+            severity: 'high',
+            recommendation: 'Inject secrets at runtime through Kubernetes Secrets instead of ENV'
+          });
+        }
+      }
+
+      for (const layer of history || []) {
+        const match = (layer.CreatedBy || '').match(/\b(?:ARG|ENV)\s+(\w+)=\S+/);
+        if (match && SECRET_NAME_PATTERN.test(match[1])) {
+          findings.push({
+            title: `Secret passed as build argument or ENV: ${match[1]}`,
+            severity: 'high',
+            recommendation: 'Use BuildKit secret mounts; build arguments are recorded in image history'
+          });
+        }
+      }
+
+      if (!config.Healthcheck) {
+        findings.push({
+          title: 'No HEALTHCHECK defined',
+          severity: 'low',
+          recommendation: 'Define a HEALTHCHECK or rely on Kubernetes probes'
+        });
+      }
+
+      const ageDays = (Date.now() - new Date(image.Created).getTime()) / 86400000;
+      if (ageDays > 90) {
+        findings.push({
+          title: `Image is ${Math.floor(ageDays)} days old`,
+          severity: 'medium',
+          recommendation: 'Rebuild regularly to pick up base image security patches'
+        });
+      }
+
+      if (image.Size > 1024 * 1024 * 1024) {
+        findings.push({
+          title: `Large image (${Math.round(image.Size / 1048576)} MB)`,
+          severity: 'low',
+          recommendation: 'Use a slimmer base image or a multi-stage build'
+        });
+      }
+
+      const riskLevel = findings.reduce(
+        (highest, finding) => SEVERITY_ORDER.indexOf(finding.severity) > SEVERITY_ORDER.indexOf(highest) ? finding.severity : highest,
+        'low'
+      );
+
+      return {
+        image_tag: imageTag,
+        image_id: image.Id,
+        risk_level: riskLevel,
+        configuration_findings: findings
+      };
+    } catch (error) {
+      logger.error('Error scanning Docker image:', error);
+      throw error;
+    }
+  }
+
+  // Overlays from deploy/base.yaml and deploy/<environment>.yaml in the target repository, when present
+  async fetchDeployOverlays(repository, ref, environment) {
+    const overlays = [];
+    const names = environment ? ['base', environment] : ['base'];
+
+    for (const name of names) {
+      for (const extension of ['yaml', 'yml']) {
+        try {
+          const response = await axios.get(
+            `https://api.github.com/repos/${repository}/contents/deploy/${name}.${extension}`,
+            {
+              params: ref ? { ref } : undefined,
+              headers: {
+                'Authorization': `token ${this.githubToken}`,
+                'Accept': 'application/vnd.github.v3.raw'
+              },
+              responseType: 'text'
             }
-          }
-        },
-        service: {
-          apiVersion: 'v1',
-          kind: 'Service',
-          metadata: { name: `${appName}-service` },
-          spec: {
-            selector: { app: appName },
-            ports: [{ port: 80, targetPort: 8080 }],
-            type: 'LoadBalancer'
+          );
+          overlays.push(yaml.load(response.data) || {});
+          break;
+        } catch (error) {
+          if (error.response?.status !== 404) {
+            logger.warn(`Could not fetch deploy/${name}.${extension}:`, error.message);
           }
         }
-      };
+      }
+    }
+
+    return overlays;
+  }
+
+  async generateK8sManifests(repository, imageTag, options = {}) {
+    try {
+      const { environment, ref, overlays } = options;
+      const repoOverlays = await this.fetchDeployOverlays(repository, ref, environment);
 
-      return manifests;
+      return manifestGenerator.generate(repository, imageTag, {
+        environment,
+        overlays: [...repoOverlays, ...(overlays ? [overlays] : [])]
+      });
     } catch (error) {
       logger.error('Error generating K8s manifests:', error);
       throw error;
     }
   }
 
-  async deployToKubernetes(kubernetesConfig, environment, imageTag) {
+  async applyManifests(client, manifests, namespace) {
+    const ordered = Object.values(manifests)
+      .filter(Boolean)
+      .sort((a, b) => MANIFEST_APPLY_ORDER.indexOf(a.kind) - MANIFEST_APPLY_ORDER.indexOf(b.kind));
+
+    for (const manifest of ordered) {
+      await client.apply(manifest, namespace);
+    }
+    return ordered;
+  }
+
+  async deployToKubernetes(kubernetesConfig = {}, environment, imageTag, repository, options = {}) {
     try {
-      logger.info('Deploying to Kubernetes', { environment, imageTag });
-      
-      // In a real implementation, this would apply K8s manifests
-      // Simulating deployment
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
+      const client = this.getKubernetesClient(kubernetesConfig);
+      const namespace = kubernetesConfig.namespace || environment;
+
+      logger.info('Deploying to Kubernetes', { environment, namespace, imageTag });
+
+      // The Service goes last: Deployments created before its selector moved to NAME_LABEL only get that
+      // label on their pods through this rollout, so switching earlier would leave it without endpoints
+      const { service, ...generated } = await this.generateK8sManifests(repository, imageTag, { ...options, environment });
+      const manifests = await this.applyManifests(client, generated, namespace);
+
+      const deploymentName = generated.deployment.metadata.name;
+      const startTime = Date.now();
+      const { replicas } = await client.waitForRollout(namespace, deploymentName, {
+        timeoutMs: (kubernetesConfig.rollout_timeout_seconds * 1000) || this.rolloutTimeoutMs,
+        intervalMs: this.rolloutPollMs
+      });
+      manifests.push(...await this.applyManifests(client, { service }, namespace));
+
       return {
         deployment_status: 'success',
         environment,
+        namespace,
+        deployment_name: deploymentName,
         image_tag: imageTag,
-        replicas: 3
+        applied: manifests.map(m => `${m.kind}/${m.metadata.name}`),
+        replicas,
+        rollout_duration: `${Math.round((Date.now() - startTime) / 1000)}s`
       };
     } catch (error) {
       logger.error('Error deploying to Kubernetes:', error);
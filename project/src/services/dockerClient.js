@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// Docker Engine API responses for build and push are streams of JSON messages, one per line
+function readJsonStream(stream, onMessage) {
+  return new Promise((resolve, reject) => {
+    let buffered = '';
+
+    const flush = line => {
+      if (!line.trim()) return;
+      try {
+        onMessage(JSON.parse(line));
+      } catch (error) {
+        onMessage({ stream: line });
+      }
+    };
+
+    stream.on('data', chunk => {
+      buffered += chunk.toString('utf8');
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(flush);
+    });
+    stream.on('end', () => {
+      flush(buffered);
+      resolve();
+    });
+    stream.on('error', reject);
+  });
+}
+
+function connectionOptions(host) {
+  if (!host || host.startsWith('unix://')) {
+    return {
+      baseURL: 'http://localhost',
+      socketPath: host ? host.slice('unix://'.length) : '/var/run/docker.sock'
+    };
+  }
+
+  const address = host.replace(/^tcp:\/\//, '');
+  const certPath = process.env.DOCKER_CERT_PATH;
+  if (!certPath) {
+    return { baseURL: `http://${address}` };
+  }
+
+  return {
+    baseURL: `https://${address}`,
+    httpsAgent: new https.Agent({
+      ca: fs.readFileSync(path.join(certPath, 'ca.pem')),
+      cert: fs.readFileSync(path.join(certPath, 'cert.pem')),
+      key: fs.readFileSync(path.join(certPath, 'key.pem')),
+      rejectUnauthorized: process.env.DOCKER_TLS_VERIFY !== '0'
+    })
+  };
+}
+
+class DockerClient {
+  constructor(host = process.env.DOCKER_HOST) {
+    this.http = axios.create({
+      ...connectionOptions(host),
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+  }
+
+  async streamRequest(method, url, { onMessage, ...options }) {
+    let response;
+    try {
+      response = await this.http.request({ method, url, responseType: 'stream', ...options });
+    } catch (error) {
+      throw await this.toError(error, `${method.toUpperCase()} ${url}`);
+    }
+    await readJsonStream(response.data, onMessage);
+  }
+
+  async toError(error, operation) {
+    let message = error.message;
+    const data = error.response?.data;
+    if (data && typeof data.on === 'function') {
+      let body = '';
+      await readJsonStream(data, msg => { body = msg.message || msg.stream || body; });
+      message = body || message;
+    } else if (data?.message) {
+      message = data.message;
+    }
+
+    const wrapped = new Error(`Docker Engine ${operation} failed: ${message}`);
+    wrapped.statusCode = error.response?.status;
+    return wrapped;
+  }
+
+  async build(context, { tag, dockerfile = 'Dockerfile', buildArgs = {}, onLog } = {}) {
+    const logs = [];
+    let imageId = null;
+    let buildError = null;
+
+    logger.info('Starting Docker build', { tag, dockerfile, contextBytes: context.length });
+
+    await this.streamRequest('post', '/build', {
+      params: { t: tag, dockerfile, buildargs: JSON.stringify(buildArgs), rm: true, forcerm: true },
+      headers: { 'Content-Type': 'application/x-tar' },
+      data: context,
+      onMessage: message => {
+        if (message.error) {
+          buildError = message.errorDetail?.message || message.error;
+        }
+        if (message.aux?.ID) {
+          imageId = message.aux.ID;
+        }
+
+        const line = (message.stream || message.status || message.error || '').replace(/\n$/, '');
+        if (line) {
+          logs.push(line);
+          if (onLog) onLog({ phase: 'build', message: line });
+        }
+      }
+    });
+
+    if (buildError) {
+      const error = new Error(`Docker build failed: ${buildError}`);
+      error.logs = logs;
+      throw error;
+    }
+
+    return { image_id: imageId, logs };
+  }
+
+  async push(image, tag, { auth, onLog } = {}) {
+    const logs = [];
+    let digest = null;
+    let pushError = null;
+
+    logger.info('Pushing Docker image', { image, tag });
+
+    await this.streamRequest('post', `/images/${image}/push`, {
+      params: { tag },
+      headers: {
+        'X-Registry-Auth': Buffer.from(JSON.stringify(auth || {})).toString('base64url')
+      },
+      onMessage: message => {
+        if (message.error) {
+          pushError = message.errorDetail?.message || message.error;
+        }
+        if (message.aux?.Digest) {
+          digest = message.aux.Digest;
+        }
+
+        // Layer progress updates are too chatty to keep; keep status transitions only
+        if (message.progressDetail && Object.keys(message.progressDetail).length > 0) {
+          return;
+        }
+        const line = [message.id, message.status || message.error].filter(Boolean).join(': ');
+        if (line) {
+          logs.push(line);
+          if (onLog) onLog({ phase: 'push', message: line });
+        }
+      }
+    });
+
+    if (pushError) {
+      const error = new Error(`Docker push failed: ${pushError}`);
+      error.logs = logs;
+      throw error;
+    }
+
+    return { digest, logs };
+  }
+
+  async inspectImage(name) {
+    try {
+      const response = await this.http.get(`/images/${name}/json`);
+      return response.data;
+    } catch (error) {
+      throw await this.toError(error, `inspect ${name}`);
+    }
+  }
+
+  async imageHistory(name) {
+    try {
+      const response = await this.http.get(`/images/${name}/history`);
+      return response.data;
+    } catch (error) {
+      throw await this.toError(error, `history ${name}`);
+    }
+  }
+}
+
+module.exports = {
+  DockerClient,
+  readJsonStream
+};
@@ -0,0 +1,67 @@
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+
+// Refresh installation tokens this long before GitHub expires them (they last an hour)
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Installation tokens for a GitHub App, which the Checks API requires (personal access tokens get a 403).
+// The app is identified by GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY (PEM, "\n" escapes allowed); its
+// installation comes from GITHUB_APP_INSTALLATION_ID or is looked up for each repository.
+class GithubAppAuth {
+  constructor() {
+    this.appId = process.env.GITHUB_APP_ID;
+    this.privateKey = process.env.GITHUB_APP_PRIVATE_KEY?.replace(/\\n/g, '\n');
+    this.installationId = process.env.GITHUB_APP_INSTALLATION_ID;
+    this.installations = new Map();
+    this.tokens = new Map();
+  }
+
+  isConfigured() {
+    return Boolean(this.appId && this.privateKey);
+  }
+
+  // Backdated a minute against clock drift; GitHub allows at most ten minutes
+  appJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    return jwt.sign({ iat: now - 60, exp: now + 9 * 60, iss: this.appId }, this.privateKey, { algorithm: 'RS256' });
+  }
+
+  async appApi(method, path) {
+    const response = await axios({
+      method,
+      url: `https://api.github.com${path}`,
+      headers: {
+        'Authorization': `Bearer ${this.appJwt()}`,
+        'Accept': 'application/vnd.github.v3+json'
+      }
+    });
+    return response.data;
+  }
+
+  async installationToken(repository) {
+    if (!this.isConfigured()) {
+      const error = new Error('Check runs need a GitHub App: set GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY');
+      error.name = 'ConfigurationError';
+      throw error;
+    }
+
+    let installationId = this.installationId || this.installations.get(repository);
+    if (!installationId) {
+      installationId = (await this.appApi('get', `/repos/${repository}/installation`)).id;
+      this.installations.set(repository, installationId);
+    }
+
+    const cached = this.tokens.get(String(installationId));
+    if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+      return cached.token;
+    }
+
+    const { token, expires_at } = await this.appApi('post', `/app/installations/${installationId}/access_tokens`);
+    this.tokens.set(String(installationId), { token, expiresAt: new Date(expires_at).getTime() });
+    logger.info('GitHub App installation token issued', { installationId, expires_at });
+    return token;
+  }
+}
+
+module.exports = new GithubAppAuth();
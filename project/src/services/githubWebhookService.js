@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const webhookRules = require('../config/webhookRules');
+const jobQueue = require('./jobQueue');
+// Registers the agent job handlers the rules dispatch to
+require('./agentOperations');
+const webhookDeliveryRepository = require('../repositories/webhookDeliveryRepository');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+
+// Jobs queued from webhooks (and their LLM usage) are attributed to this user
+const WEBHOOK_USER = 'github-webhook';
+
+// What each agent needs from the event before it can run
+const REQUIRED_FIELDS = {
+  code_review: ['pr_number'],
+  test_writer: ['pr_number'],
+  build_predictor: ['commit_sha']
+};
+
+function webhookError(name, statusCode, message) {
+  const error = new Error(message);
+  error.name = name;
+  error.statusCode = statusCode;
+  return error;
+}
+
+function globMatch(patterns, value) {
+  return typeof value === 'string' && patterns.some(pattern => {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(value);
+  });
+}
+
+// Receives GitHub webhooks and queues agent jobs for them according to src/config/webhookRules.js
+class GithubWebhookService {
+  constructor() {
+    this.secret = process.env.GITHUB_WEBHOOK_SECRET;
+    this.rules = webhookRules.rules;
+    this.commentAssociations = webhookRules.commentAssociations;
+  }
+
+  // X-Hub-Signature-256 is "sha256=" and the HMAC-SHA256 of the raw request body keyed with the webhook secret
+  verifySignature(rawBody, signature) {
+    if (!this.secret) {
+      throw webhookError('ConfigurationError', 503, 'GitHub webhooks are not configured: set GITHUB_WEBHOOK_SECRET');
+    }
+
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex')}`);
+    const received = Buffer.from(signature || '');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw webhookError('SignatureError', 401, 'Invalid X-Hub-Signature-256 signature');
+    }
+  }
+
+  // The fields rules match on and agents need, or null for events that never dispatch anything
+  // (deleted branches, tags, comments on plain issues, comments from bots such as our own reviews
+  // or from commenters whose association with the repository isn't allowed to run agents)
+  parse(event, payload) {
+    const repository = payload.repository?.full_name;
+
+    switch (event) {
+      case 'pull_request': {
+        const pr = payload.pull_request || {};
+        return {
+          event,
+          action: payload.action,
+          repository,
+          pr_number: payload.number ?? pr.number,
+          branch: pr.head?.ref,
+          base_branch: pr.base?.ref,
+          commit_sha: pr.head?.sha,
+          draft: Boolean(pr.draft)
+        };
+      }
+      case 'push': {
+        if (payload.deleted || !payload.ref?.startsWith('refs/heads/')) {
+          return null;
+        }
+        return {
+          event,
+          action: null,
+          repository,
+          branch: payload.ref.slice('refs/heads/'.length),
+          commit_sha: payload.after
+        };
+      }
+      case 'check_suite': {
+        const suite = payload.check_suite || {};
+        return {
+          event,
+          action: payload.action,
+          repository,
+          pr_number: suite.pull_requests?.[0]?.number,
+          branch: suite.head_branch,
+          commit_sha: suite.head_sha,
+          conclusion: suite.conclusion
+        };
+      }
+      case 'issue_comment': {
+        if (!payload.issue?.pull_request || payload.sender?.type === 'Bot' ||
+          !this.commentAssociations.includes(payload.comment?.author_association)) {
+          return null;
+        }
+        return {
+          event,
+          action: payload.action,
+          repository,
+          pr_number: payload.issue.number,
+          comment: payload.comment?.body || ''
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  matches(rule, parsed) {
+    return rule.event === parsed.event &&
+      (!rule.actions || rule.actions.includes(parsed.action)) &&
+      (!rule.repositories || globMatch(rule.repositories, parsed.repository)) &&
+      (!rule.branches || globMatch(rule.branches, parsed.branch)) &&
+      (!rule.conclusions || rule.conclusions.includes(parsed.conclusion)) &&
+      (!rule.comment || new RegExp(rule.comment).test(parsed.comment)) &&
+      (!parsed.draft || rule.drafts === true);
+  }
+
+  jobPayload(agent, parsed, params = {}) {
+    const { repository, pr_number, branch, commit_sha } = parsed;
+    if (REQUIRED_FIELDS[agent].some(field => parsed[field] === undefined || parsed[field] === null)) {
+      return null;
+    }
+
+    switch (agent) {
+      case 'code_review':
+      case 'test_writer':
+        return { repository, pr_number, ...params };
+      case 'build_predictor':
+        return { repository, branch, commit_sha, ...params };
+    }
+  }
+
+  // Queues a job per matching rule (at most one per agent) and records the delivery, so GitHub
+  // redelivering the same X-GitHub-Delivery answers with the jobs queued the first time
+  async handle({ event, deliveryId, payload }) {
+    const previous = await webhookDeliveryRepository.findByDeliveryId(deliveryId);
+    if (previous) {
+      logger.info('Duplicate GitHub webhook delivery', { delivery_id: deliveryId, event });
+      return { ...previous, duplicate: true };
+    }
+
+    const parsed = this.parse(event, payload);
+    const jobs = [];
+
+    for (const rule of parsed ? this.rules.filter(r => this.matches(r, parsed)) : []) {
+      const jobPayload = this.jobPayload(rule.agent, parsed, rule.params);
+      if (!jobPayload || jobs.some(job => job.agent === rule.agent)) {
+        continue;
+      }
+
+      const jobType = webhookRules.AGENTS[rule.agent];
+      const context = { userId: WEBHOOK_USER, team: null, route: '/webhooks/github' };
+      const job = await requestContext.run(context, () => jobQueue.enqueue(jobType, jobPayload, { userId: WEBHOOK_USER }));
+      jobs.push({ agent: rule.agent, job_type: jobType, job_id: job.job_id });
+    }
+
+    logger.info('GitHub webhook handled', {
+      delivery_id: deliveryId,
+      event,
+      action: parsed?.action,
+      repository: parsed?.repository,
+      jobs: jobs.map(job => job.job_id)
+    });
+
+    const delivery = await webhookDeliveryRepository.record({
+      delivery_id: deliveryId,
+      event,
+      action: parsed?.action ?? payload.action ?? null,
+      repository: payload.repository?.full_name ?? null,
+      status: jobs.length > 0 ? 'dispatched' : 'ignored',
+      jobs
+    });
+    return { ...delivery, duplicate: false };
+  }
+}
+
+module.exports = new GithubWebhookService();
+module.exports.WEBHOOK_USER = WEBHOOK_USER;
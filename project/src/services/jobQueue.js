@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const os = require('os');
+const redis = require('../config/redis');
+const callbackService = require('./callbackService');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+const QUEUE_KEY = 'jobs:queue';
+const PROCESSING_KEY_PREFIX = 'jobs:processing:';
+const WORKER_KEY_PREFIX = 'jobs:workers:';
+const WORKER_TTL_SECONDS = 30;
+const JOB_TTL_SECONDS = parseInt(process.env.JOB_TTL_SECONDS) || 7 * 24 * 60 * 60;
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+// Jobs expire after JOB_TTL_SECONDS like in Redis, and past maxJobs the oldest finished ones are dropped.
+// A Map keeps insertion order and every save re-inserts, so the least recently saved job comes first.
+class MemoryJobStore {
+  constructor(maxJobs = parseInt(process.env.JOB_MEMORY_MAX_JOBS) || 1000) {
+    this.maxJobs = maxJobs;
+    this.reset();
+  }
+
+  reset() {
+    this.jobs = new Map();
+    this.eventLists = new Map();
+    this.queue = [];
+    this.waiters = [];
+  }
+
+  async save(job) {
+    this.jobs.delete(job.job_id);
+    this.jobs.set(job.job_id, { job: { ...job }, expiresAt: Date.now() + JOB_TTL_SECONDS * 1000 });
+    this.evict();
+  }
+
+  async get(jobId) {
+    const entry = this.jobs.get(jobId);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return null;
+    }
+    return { ...entry.job };
+  }
+
+  evict() {
+    const now = Date.now();
+    for (const [jobId, entry] of this.jobs) {
+      const expired = entry.expiresAt <= now;
+      if (!expired && this.jobs.size <= this.maxJobs) {
+        break;
+      }
+      if (expired || FINISHED_STATUSES.includes(entry.job.status)) {
+        this.jobs.delete(jobId);
+        this.eventLists.delete(jobId);
+      }
+    }
+  }
+
+  async appendEvent(jobId, event) {
+    if (!this.eventLists.has(jobId)) {
+      this.eventLists.set(jobId, []);
+    }
+    this.eventLists.get(jobId).push(event);
+  }
+
+  async events(jobId) {
+    return this.eventLists.get(jobId) || [];
+  }
+
+  async push(jobId) {
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter(jobId);
+    } else {
+      this.queue.push(jobId);
+    }
+  }
+
+  async pop() {
+    if (this.queue.length > 0) {
+      return this.queue.shift();
+    }
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  // In memory, the jobs of a stopped process are gone with it
+  async ack() {}
+
+  async heartbeat() {}
+
+  async recover() {
+    return [];
+  }
+}
+
+// Jobs are JSON strings with a TTL; the queue is a list shared by every server instance. A popped job
+// stays in its worker's processing list until it is finished, and workers keep a heartbeat key alive,
+// so the jobs of a process that stopped mid-job can be put back on the queue.
+class RedisJobStore {
+  constructor() {
+    this.client = redis.getClient();
+    this.connections = new Map();
+  }
+
+  key(jobId) {
+    return `jobs:${jobId}`;
+  }
+
+  async save(job) {
+    await this.client.set(this.key(job.job_id), JSON.stringify(job), 'EX', JOB_TTL_SECONDS);
+  }
+
+  async get(jobId) {
+    const data = await this.client.get(this.key(jobId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  async appendEvent(jobId, event) {
+    const key = `${this.key(jobId)}:events`;
+    await this.client.rpush(key, JSON.stringify(event));
+    await this.client.expire(key, JOB_TTL_SECONDS);
+  }
+
+  async events(jobId) {
+    const events = await this.client.lrange(`${this.key(jobId)}:events`, 0, -1);
+    return events.map(event => JSON.parse(event));
+  }
+
+  async push(jobId) {
+    await this.client.lpush(QUEUE_KEY, jobId);
+  }
+
+  // BLMOVE holds its connection while it waits, so every worker gets its own
+  connection(workerId) {
+    if (!this.connections.has(workerId)) {
+      this.connections.set(workerId, redis.duplicate());
+    }
+    return this.connections.get(workerId);
+  }
+
+  async pop(workerId) {
+    return this.connection(workerId).blmove(QUEUE_KEY, `${PROCESSING_KEY_PREFIX}${workerId}`, 'RIGHT', 'LEFT', 5);
+  }
+
+  async ack(workerId, jobId) {
+    await this.client.lrem(`${PROCESSING_KEY_PREFIX}${workerId}`, 1, jobId);
+  }
+
+  async heartbeat(workerIds) {
+    for (const workerId of workerIds) {
+      await this.client.set(`${WORKER_KEY_PREFIX}${workerId}`, '1', 'EX', WORKER_TTL_SECONDS);
+    }
+  }
+
+  // Jobs in the processing list of a worker whose heartbeat expired go back to the end of the queue
+  // that is popped next
+  async recover() {
+    const recovered = [];
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', `${PROCESSING_KEY_PREFIX}*`, 'COUNT', 100);
+      cursor = next;
+      for (const key of keys) {
+        if (await this.client.exists(`${WORKER_KEY_PREFIX}${key.slice(PROCESSING_KEY_PREFIX.length)}`)) {
+          continue;
+        }
+        let jobId;
+        while ((jobId = await this.client.lmove(key, QUEUE_KEY, 'RIGHT', 'RIGHT'))) {
+          recovered.push(jobId);
+        }
+      }
+    } while (cursor !== '0');
+    return recovered;
+  }
+}
+
+class JobQueue {
+  constructor() {
+    this.handlers = {};
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+    this.store = redis.isEnabled() ? new RedisJobStore() : new MemoryJobStore();
+    this.started = false;
+    // Unique per process, so a restarted instance never takes over the processing lists of its predecessor
+    const instanceId = `${os.hostname()}-${crypto.randomUUID().slice(0, 8)}`;
+    this.workerIds = Array.from({ length: this.concurrency }, (_, index) => `${instanceId}-${index}`);
+    this.heartbeatTimer = null;
+  }
+
+  register(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  async enqueue(type, payload, { userId, callbackUrl } = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    // Carried over to the worker so LLM usage is still attributed to the requesting user, team and route
+    const { team, route } = requestContext.get();
+
+    const job = {
+      job_id: `job-${crypto.randomUUID()}`,
+      type,
+      status: 'queued',
+      payload,
+      user_id: userId || null,
+      team: team || null,
+      route: route || null,
+      callback_url: callbackUrl || null,
+      result: null,
+      error: null,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null
+    };
+
+    logger.info('Queueing job', { job_id: job.job_id, type });
+
+    await this.store.save(job);
+    await this.addEvent(job.job_id, 'status', 'Job queued');
+    await this.store.push(job.job_id);
+    this.start();
+
+    return job;
+  }
+
+  async get(jobId) {
+    return this.store.get(jobId);
+  }
+
+  // Events are numbered from 1 so pollers can ask only for what came after the last one they saw
+  async events(jobId, after = 0) {
+    const events = await this.store.events(jobId);
+    return events
+      .map((event, index) => ({ sequence: index + 1, ...event }))
+      .slice(after);
+  }
+
+  async addEvent(jobId, type, message, details) {
+    await this.store.appendEvent(jobId, {
+      type,
+      message,
+      details,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    this.heartbeatTimer = setInterval(() => this.keepAlive(), WORKER_TTL_SECONDS * 1000 / 3);
+    this.heartbeatTimer.unref();
+    // Workers only start popping once their heartbeats exist
+    this.keepAlive().then(() => {
+      for (const workerId of this.workerIds) {
+        this.work(workerId).catch(error => logger.error('Job worker stopped:', error));
+      }
+    });
+  }
+
+  stop() {
+    this.started = false;
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  // Refreshes this instance's worker heartbeats and requeues the jobs of workers that stopped mid-job,
+  // on startup and then periodically
+  async keepAlive() {
+    try {
+      await this.store.heartbeat(this.workerIds);
+      for (const jobId of await this.store.recover()) {
+        logger.warn('Requeued job left by a stopped worker', { job_id: jobId });
+        await this.addEvent(jobId, 'status', 'Job requeued after its worker stopped');
+      }
+    } catch (error) {
+      logger.error('Job worker heartbeat error:', error);
+    }
+  }
+
+  // A store error (e.g. Redis briefly unreachable) is logged and the worker carries on after a pause
+  async work(workerId) {
+    while (this.started) {
+      try {
+        const jobId = await this.store.pop(workerId);
+        if (jobId) {
+          try {
+            await this.process(jobId);
+          } finally {
+            await this.store.ack(workerId, jobId);
+          }
+        }
+      } catch (error) {
+        logger.error('Job worker error:', error);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  async process(jobId) {
+    const job = await this.store.get(jobId);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      // Expired before a worker got to it, or requeued after it was finished but before it was acknowledged
+      return;
+    }
+
+    const running = { ...job, status: 'running', started_at: new Date().toISOString() };
+    await this.store.save(running);
+    await this.addEvent(jobId, 'status', 'Job started');
+
+    const report = (message, details) => this.addEvent(jobId, 'progress', message, details)
+      .catch(error => logger.error('Error recording job progress:', error));
+
+    let finished;
+    try {
+      const context = { userId: job.user_id, team: job.team, route: job.route || `job:${job.type}` };
+      const result = await requestContext.run(context, () =>
+        this.handlers[job.type](job.payload, { jobId, userId: job.user_id, report }));
+      finished = { ...running, status: 'completed', result, finished_at: new Date().toISOString() };
+      await this.store.save(finished);
+      await this.addEvent(jobId, 'status', 'Job completed');
+    } catch (error) {
+      logger.error(`Job ${jobId} (${job.type}) failed:`, error);
+      finished = { ...running, status: 'failed', error: error.message, finished_at: new Date().toISOString() };
+      await this.store.save(finished);
+      await this.addEvent(jobId, 'status', 'Job failed', { error: error.message });
+    }
+
+    if (finished.callback_url) {
+      // Not awaited: retries can take minutes and should not hold up the next job
+      this.sendCallback(finished).catch(error => logger.error(`Error sending callback for job ${jobId}:`, error));
+    }
+  }
+
+  async sendCallback(job) {
+    const outcome = await callbackService.deliver(job.callback_url, {
+      event: `job.${job.status}`,
+      job_id: job.job_id,
+      type: job.type,
+      status: job.status,
+      result: job.result,
+      error: job.error,
+      timestamp: new Date().toISOString()
+    });
+
+    await this.addEvent(job.job_id, 'callback', outcome.delivered ? 'Callback delivered' : 'Callback failed', outcome)
+      .catch(error => logger.error('Error recording callback outcome:', error));
+  }
+}
+
+module.exports = new JobQueue();
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.MemoryJobStore = MemoryJobStore;
+module.exports.RedisJobStore = RedisJobStore;
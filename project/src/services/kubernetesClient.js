@@ -0,0 +1,251 @@
+const fs = require('fs');
+const https = require('https');
+const axios = require('axios');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+
+const FIELD_MANAGER = 'mcp-devops-server';
+const REVISION_ANNOTATION = 'deployment.kubernetes.io/revision';
+const SERVICE_ACCOUNT_DIR = '/var/run/secrets/kubernetes.io/serviceaccount';
+
+// API group paths for the kinds this server applies
+const RESOURCE_TYPES = {
+  ConfigMap: { apiPath: '/api/v1', plural: 'configmaps' },
+  Service: { apiPath: '/api/v1', plural: 'services' },
+  Deployment: { apiPath: '/apis/apps/v1', plural: 'deployments' },
+  ReplicaSet: { apiPath: '/apis/apps/v1', plural: 'replicasets' },
+  HorizontalPodAutoscaler: { apiPath: '/apis/autoscaling/v2', plural: 'horizontalpodautoscalers' },
+  PodDisruptionBudget: { apiPath: '/apis/policy/v1', plural: 'poddisruptionbudgets' },
+  Ingress: { apiPath: '/apis/networking.k8s.io/v1', plural: 'ingresses' }
+};
+
+function readFileIfSet(path) {
+  return path ? fs.readFileSync(path) : undefined;
+}
+
+function decodeIfSet(data) {
+  return data ? Buffer.from(data, 'base64') : undefined;
+}
+
+function loadInClusterConfig() {
+  return {
+    server: `https://${process.env.KUBERNETES_SERVICE_HOST}:${process.env.KUBERNETES_SERVICE_PORT || 443}`,
+    ca: fs.readFileSync(`${SERVICE_ACCOUNT_DIR}/ca.crt`),
+    token: fs.readFileSync(`${SERVICE_ACCOUNT_DIR}/token`, 'utf8').trim(),
+    namespace: fs.readFileSync(`${SERVICE_ACCOUNT_DIR}/namespace`, 'utf8').trim()
+  };
+}
+
+// Resolves cluster address and credentials from a kubeconfig file, or the pod service account when running in-cluster
+function loadKubeConfig(configPath, contextName) {
+  if (!configPath) {
+    if (process.env.KUBERNETES_SERVICE_HOST) {
+      return loadInClusterConfig();
+    }
+    throw new Error('Kubernetes not configured: set KUBERNETES_CONFIG_PATH or run inside a cluster');
+  }
+
+  const kubeconfig = yaml.load(fs.readFileSync(configPath, 'utf8'));
+  const name = contextName || kubeconfig['current-context'];
+  const context = (kubeconfig.contexts || []).find(c => c.name === name)?.context;
+  if (!context) {
+    throw new Error(`Kubernetes context "${name}" not found in ${configPath}`);
+  }
+
+  const cluster = (kubeconfig.clusters || []).find(c => c.name === context.cluster)?.cluster;
+  if (!cluster) {
+    throw new Error(`Kubernetes cluster "${context.cluster}" not found in ${configPath}`);
+  }
+  const user = (kubeconfig.users || []).find(u => u.name === context.user)?.user || {};
+
+  return {
+    server: cluster.server.replace(/\/$/, ''),
+    ca: decodeIfSet(cluster['certificate-authority-data']) || readFileIfSet(cluster['certificate-authority']),
+    insecureSkipTlsVerify: cluster['insecure-skip-tls-verify'] === true,
+    cert: decodeIfSet(user['client-certificate-data']) || readFileIfSet(user['client-certificate']),
+    key: decodeIfSet(user['client-key-data']) || readFileIfSet(user['client-key']),
+    token: user.token || (user.tokenFile ? fs.readFileSync(user.tokenFile, 'utf8').trim() : undefined),
+    username: user.username,
+    password: user.password,
+    namespace: context.namespace
+  };
+}
+
+class KubernetesClient {
+  constructor(config) {
+    this.namespace = config.namespace;
+
+    const headers = {};
+    if (config.token) {
+      headers.Authorization = `Bearer ${config.token}`;
+    }
+
+    this.http = axios.create({
+      baseURL: config.server,
+      headers,
+      auth: config.username ? { username: config.username, password: config.password } : undefined,
+      httpsAgent: new https.Agent({
+        ca: config.ca,
+        cert: config.cert,
+        key: config.key,
+        rejectUnauthorized: !config.insecureSkipTlsVerify
+      }),
+      timeout: 30000
+    });
+  }
+
+  static fromKubeConfig(configPath, contextName) {
+    return new KubernetesClient(loadKubeConfig(configPath, contextName));
+  }
+
+  resourcePath(kind, namespace, name) {
+    const type = RESOURCE_TYPES[kind];
+    if (!type) {
+      throw new Error(`Unsupported Kubernetes kind: ${kind}`);
+    }
+    return `${type.apiPath}/namespaces/${namespace}/${type.plural}${name ? `/${name}` : ''}`;
+  }
+
+  async request(method, path, options = {}) {
+    try {
+      const response = await this.http.request({ method, url: path, ...options });
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      const message = error.response?.data?.message || error.message;
+      const wrapped = new Error(`Kubernetes API ${method} ${path} failed${status ? ` (${status})` : ''}: ${message}`);
+      wrapped.statusCode = status;
+      throw wrapped;
+    }
+  }
+
+  // Server-side apply, so repeated deploys converge on the manifest instead of failing on existing objects
+  async apply(manifest, namespace) {
+    const path = this.resourcePath(manifest.kind, namespace, manifest.metadata.name);
+
+    logger.info('Applying Kubernetes manifest', { kind: manifest.kind, name: manifest.metadata.name, namespace });
+
+    return this.request('patch', path, {
+      params: { fieldManager: FIELD_MANAGER, force: true },
+      headers: { 'Content-Type': 'application/apply-patch+yaml' },
+      data: JSON.stringify({ ...manifest, metadata: { ...manifest.metadata, namespace } })
+    });
+  }
+
+  async get(kind, namespace, name) {
+    return this.request('get', this.resourcePath(kind, namespace, name));
+  }
+
+  // Like get, but resolves to null when the object does not exist
+  async find(kind, namespace, name) {
+    try {
+      return await this.get(kind, namespace, name);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getDeployment(namespace, name) {
+    return this.get('Deployment', namespace, name);
+  }
+
+  async scale(namespace, name, replicas) {
+    return this.patch('Deployment', namespace, name, { spec: { replicas } });
+  }
+
+  async delete(kind, namespace, name) {
+    try {
+      return await this.request('delete', this.resourcePath(kind, namespace, name));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async patch(kind, namespace, name, patch, contentType = 'application/merge-patch+json') {
+    return this.request('patch', this.resourcePath(kind, namespace, name), {
+      headers: { 'Content-Type': contentType },
+      data: JSON.stringify(patch)
+    });
+  }
+
+  // ReplicaSets owned by a Deployment, newest revision first
+  async listRevisions(deployment) {
+    const { namespace, uid } = deployment.metadata;
+    const labelSelector = Object.entries(deployment.spec.selector.matchLabels || {})
+      .map(([key, value]) => `${key}=${value}`)
+      .join(',');
+
+    const list = await this.request('get', this.resourcePath('ReplicaSet', namespace), {
+      params: { labelSelector }
+    });
+
+    return (list.items || [])
+      .filter(rs => (rs.metadata.ownerReferences || []).some(owner => owner.uid === uid))
+      .map(rs => ({ revision: getRevision(rs), replicaSet: rs }))
+      .sort((a, b) => b.revision - a.revision);
+  }
+
+  async waitForRollout(namespace, name, { timeoutMs = 300000, intervalMs = 2000, onProgress } = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (true) {
+      const deployment = await this.getDeployment(namespace, name);
+      const replicas = summarizeReplicas(deployment);
+      const progressing = (deployment.status?.conditions || []).find(c => c.type === 'Progressing');
+      if (onProgress) {
+        onProgress(replicas);
+      }
+
+      if (progressing?.reason === 'ProgressDeadlineExceeded') {
+        const error = new Error(`Rollout of ${namespace}/${name} exceeded its progress deadline: ${progressing.message}`);
+        error.replicas = replicas;
+        throw error;
+      }
+
+      const observed = (deployment.status?.observedGeneration || 0) >= deployment.metadata.generation;
+      if (observed &&
+        replicas.updated === replicas.desired &&
+        replicas.ready === replicas.desired &&
+        replicas.available === replicas.desired &&
+        replicas.total === replicas.desired) {
+        return { deployment, replicas };
+      }
+
+      if (Date.now() + intervalMs > deadline) {
+        const error = new Error(`Timed out waiting for rollout of ${namespace}/${name}`);
+        error.replicas = replicas;
+        throw error;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+}
+
+function getRevision(resource) {
+  return parseInt(resource.metadata.annotations?.[REVISION_ANNOTATION]) || 0;
+}
+
+function summarizeReplicas(deployment) {
+  const status = deployment.status || {};
+  return {
+    desired: deployment.spec?.replicas ?? 1,
+    total: status.replicas || 0,
+    updated: status.updatedReplicas || 0,
+    ready: status.readyReplicas || 0,
+    available: status.availableReplicas || 0
+  };
+}
+
+module.exports = {
+  KubernetesClient,
+  loadKubeConfig,
+  getRevision,
+  summarizeReplicas
+};
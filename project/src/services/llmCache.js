@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const redis = require('../config/redis');
+const llmConfig = require('../config/llm');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'llm-cache:';
+
+// Oldest entries are evicted first once maxEntries is reached (a Map keeps insertion order)
+class MemoryCacheStore {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+
+  reset() {
+    this.entries.clear();
+  }
+}
+
+class RedisCacheStore {
+  constructor() {
+    this.client = redis.getClient();
+  }
+
+  async get(key) {
+    const data = await this.client.get(key);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(key, JSON.stringify(value), 'EX', ttlSeconds);
+  }
+}
+
+// Content-addressed cache of LLM responses, so re-running an analysis on an identical diff is free
+class LLMCache {
+  constructor() {
+    this.ttlSeconds = llmConfig.cache.ttlSeconds;
+    this.store = redis.isEnabled() ? new RedisCacheStore() : new MemoryCacheStore(llmConfig.cache.maxEntries);
+  }
+
+  key({ provider, model, systemPrompt, prompt, temperature, maxTokens, structured, messages, tools }) {
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([
+        provider, model, systemPrompt, prompt, temperature, maxTokens ?? null,
+        structured ? [structured.name, structured.schema] : null,
+        messages || null,
+        tools || null
+      ]))
+      .digest('hex');
+    return `${KEY_PREFIX}${hash}`;
+  }
+
+  // Cache errors are logged and treated as a miss; the call still goes to the provider
+  async get(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      logger.error('LLM cache read error:', error);
+      return null;
+    }
+  }
+
+  async set(key, result) {
+    try {
+      await this.store.set(key, {
+        content: result.content,
+        model: result.model,
+        usage: result.usage,
+        provider: result.provider,
+        cached_at: new Date().toISOString()
+      }, this.ttlSeconds);
+    } catch (error) {
+      logger.error('LLM cache write error:', error);
+    }
+  }
+}
+
+module.exports = new LLMCache();
+module.exports.MemoryCacheStore = MemoryCacheStore;
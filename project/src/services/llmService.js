@@ -1,14 +1,155 @@
 const { Anthropic } = require('@anthropic-ai/sdk');
 const { OpenAI } = require('openai');
 const axios = require('axios');
+const Ajv = require('ajv');
+const llmConfig = require('../config/llm');
+const usageMeter = require('./usageMeter');
+const llmCache = require('./llmCache');
+const promptRegistry = require('./promptRegistry');
 const logger = require('../utils/logger');
+const buildPredictionSchema = require('../schemas/buildPrediction');
+const healthAnalysisSchema = require('../schemas/healthAnalysis');
+const intentAnalysisSchema = require('../schemas/intentAnalysis');
+const reviewFindingsSchema = require('../schemas/reviewFindings');
+const vulnerabilityScanSchema = require('../schemas/vulnerabilityScan');
+
+// Rate limits (429), timeouts and server errors (5xx, including Anthropic's 529 "overloaded") are worth
+// retrying and falling back on; anything else (bad request, auth) fails the same way everywhere
+function isRetryableError(error) {
+  const status = error.status ?? error.statusCode;
+  if (status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+  return /timeout|timed out|connection|ECONNRESET|ETIMEDOUT|overloaded/i.test(`${error.name} ${error.code} ${error.message}`);
+}
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+// Milliseconds the provider asked us to wait, from retry-after-ms or retry-after (seconds or an HTTP date)
+function retryAfterMs(error) {
+  const headers = error.headers || error.response?.headers;
+  const ms = parseFloat(getHeader(headers, 'retry-after-ms'));
+  if (!Number.isNaN(ms)) {
+    return ms;
+  }
+
+  const retryAfter = getHeader(headers, 'retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new WeakMap();
+
+function structuredOutputError(message, details) {
+  const error = new Error(message);
+  error.name = 'StructuredOutputError';
+  // The model, not the caller, produced the bad output
+  error.statusCode = 502;
+  error.details = details;
+  return error;
+}
+
+// Parses and validates model output, returning the data or a list of readable problems
+function checkStructured(content, schema) {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+  const validate = validators.get(schema);
+
+  let data;
+  try {
+    // Models without a JSON mode tend to wrap the object in a code fence
+    data = JSON.parse(content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    return { errors: [`response is not valid JSON: ${error.message}`] };
+  }
+
+  if (!validate(data)) {
+    return { errors: validate.errors.map(e => `${e.instancePath || '/'} ${e.message}`) };
+  }
+  return { data };
+}
+
+// Tool-calling conversations are kept in a provider-neutral shape so fallback can switch providers mid-loop:
+//   { role: 'user', content }
+//   { role: 'assistant', content, tool_calls: [{ id, name, input }] }
+//   { role: 'tool', tool_call_id, content }
+function toAnthropicMessages(messages) {
+  const converted = [];
+  for (const message of messages) {
+    if (message.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content };
+      const last = converted[converted.length - 1];
+      // Results of parallel calls go back together in one user message
+      if (last?.role === 'user' && Array.isArray(last.content) && last.content[0]?.type === 'tool_result') {
+        last.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block] });
+      }
+    } else if (message.role === 'assistant' && message.tool_calls?.length) {
+      converted.push({
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.tool_calls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.input }))
+        ]
+      });
+    } else {
+      converted.push({ role: message.role, content: message.content });
+    }
+  }
+  return converted;
+}
+
+function toOpenAIMessages(messages) {
+  return messages.map(message => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.tool_call_id, content: message.content };
+    }
+    if (message.role === 'assistant' && message.tool_calls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.tool_calls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.input) }
+        }))
+      };
+    }
+    return { role: message.role, content: message.content };
+  });
+}
+
+// Arguments that aren't valid JSON are passed on as null so the caller can report it back to the model
+function parseToolArguments(args) {
+  try {
+    return JSON.parse(args || '{}');
+  } catch (error) {
+    return null;
+  }
+}
 
 class LLMService {
   constructor() {
+    // Retries are handled by generateResponseWithProvider, across providers, so the SDKs don't retry on their own
     // Initialize Anthropic client
     if (process.env.ANTHROPIC_API_KEY) {
       this.anthropic = new Anthropic({
         apiKey: process.env.ANTHROPIC_API_KEY,
+        maxRetries: 0,
+        timeout: llmConfig.timeoutMs
       });
     }
 
@@ -16,45 +157,180 @@ class LLMService {
     if (process.env.OPENAI_API_KEY) {
       this.openai = new OpenAI({
         apiKey: process.env.OPENAI_API_KEY,
+        maxRetries: 0,
+        timeout: llmConfig.timeoutMs
+      });
+    }
+
+    // Initialize client for a self-hosted, OpenAI-compatible server
+    if (llmConfig.local.baseURL) {
+      this.local = new OpenAI({
+        apiKey: llmConfig.local.apiKey,
+        baseURL: llmConfig.local.baseURL,
+        maxRetries: 0,
+        timeout: llmConfig.timeoutMs
       });
     }
 
-    this.defaultModel = process.env.DEFAULT_LLM_MODEL || 'claude-3-sonnet-20240229';
+    this.defaultModel = llmConfig.defaultModel;
+  }
+
+  // Determine provider from the explicit setting, the model routing rules, or the first configured provider
+  resolveProvider(model, provider = 'auto') {
+    if (provider !== 'auto') {
+      return provider;
+    }
+    const route = llmConfig.modelRoutes.find(r => r.regex.test(model));
+    if (route) {
+      return route.provider;
+    }
+    return llmConfig.PROVIDERS.find(p => this.isConfigured(p)) || 'anthropic';
+  }
+
+  isConfigured(provider) {
+    return llmConfig.PROVIDERS.includes(provider) && Boolean(this[provider]);
+  }
+
+  // Provider/model pairs in the order they are tried: the requested model, then the configured chain
+  buildCandidates({ model, provider, fallback }) {
+    const candidates = [];
+    if (model || llmConfig.providerChain.length === 0) {
+      const requestedModel = model || this.defaultModel;
+      candidates.push({ provider: this.resolveProvider(requestedModel, provider), model: requestedModel });
+    }
+
+    if (fallback) {
+      for (const entry of llmConfig.providerChain) {
+        if (!candidates.some(c => c.provider === entry.provider && c.model === entry.model)) {
+          candidates.push(entry);
+        }
+      }
+    }
+
+    const available = candidates.filter(c => this.isConfigured(c.provider));
+    if (available.length === 0) {
+      throw new Error(`Provider ${candidates[0].provider} not available or not configured`);
+    }
+    return available;
+  }
+
+  retryDelay(error, attempt) {
+    const { baseDelayMs, maxDelayMs } = llmConfig.retry;
+    const requested = retryAfterMs(error);
+    if (requested !== null) {
+      return requested;
+    }
+    // Exponential backoff with jitter, so parallel pipeline steps don't retry in lockstep
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1)) * (0.5 + Math.random() / 2);
+  }
+
+  generateWith(provider, prompt, options) {
+    if (provider === 'anthropic') {
+      return this.generateWithAnthropic(prompt, options);
+    }
+    if (provider === 'local') {
+      return this.generateWithOpenAI(prompt, options, 'local');
+    }
+    return this.generateWithOpenAI(prompt, options);
   }
 
   async generateResponseWithProvider(prompt, options = {}) {
     const {
-      model = this.defaultModel,
+      model,
       maxTokens = 4000,
       temperature = 0.7,
       systemPrompt = null,
-      provider = 'auto'
+      provider = 'auto',
+      onToken = null,
+      structured = null,
+      messages = null,
+      tools = null,
+      fallback = true,
+      cache = false
     } = options;
 
-    // Determine provider based on model or explicit provider setting
-    let useProvider = provider;
-    if (provider === 'auto') {
-      if (model.includes('claude') || model.includes('anthropic')) {
-        useProvider = 'anthropic';
-      } else if (model.includes('gpt') || model.includes('openai')) {
-        useProvider = 'openai';
-      } else {
-        useProvider = this.anthropic ? 'anthropic' : 'openai';
-      }
-    }
-
+    let candidates;
     try {
-      if (useProvider === 'anthropic' && this.anthropic) {
-        return await this.generateWithAnthropic(prompt, { model, maxTokens, temperature, systemPrompt });
-      } else if (useProvider === 'openai' && this.openai) {
-        return await this.generateWithOpenAI(prompt, { model, maxTokens, temperature, systemPrompt });
-      } else {
-        throw new Error(`Provider ${useProvider} not available or not configured`);
-      }
+      candidates = this.buildCandidates({ model, provider, fallback });
     } catch (error) {
-      logger.error(`LLM generation error with ${useProvider}:`, error);
+      logger.error('LLM generation error:', error);
       throw new Error(`LLM generation failed: ${error.message}`);
     }
+
+    const { maxAttempts, maxDelayMs } = llmConfig.retry;
+    let attempts = 0;
+    let lastError = null;
+
+    for (const [index, candidate] of candidates.entries()) {
+      const cacheKey = cache
+        ? llmCache.key({ ...candidate, systemPrompt, prompt, temperature, maxTokens, structured, messages, tools })
+        : null;
+      const cached = cacheKey ? await llmCache.get(cacheKey) : null;
+      if (cached) {
+        const { cached_at, ...result } = cached;
+        if (onToken) onToken(result.content);
+        return { ...result, attempts, fallback_used: index > 0, cache: { hit: true, cached_at } };
+      }
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        // Checked before the first real call only, so cache hits work even once a budget is spent.
+        // Budget errors carry their own 429 status and are not retried or wrapped.
+        if (attempts === 0) {
+          await usageMeter.checkBudget();
+        }
+        attempts++;
+        let streamed = false;
+        const handleToken = onToken ? text => { streamed = true; onToken(text); } : null;
+
+        try {
+          const result = await this.generateWith(candidate.provider, prompt, {
+            model: candidate.model,
+            maxTokens,
+            temperature,
+            systemPrompt,
+            onToken: handleToken,
+            structured,
+            messages,
+            tools
+          });
+          await usageMeter.record(result);
+          if (cacheKey) {
+            // Structured output is only cached once generateStructured has validated it
+            if (structured) {
+              return { ...result, attempts, fallback_used: index > 0, cache: { hit: false }, cache_key: cacheKey };
+            }
+            await llmCache.set(cacheKey, result);
+            return { ...result, attempts, fallback_used: index > 0, cache: { hit: false } };
+          }
+          return { ...result, attempts, fallback_used: index > 0 };
+        } catch (error) {
+          lastError = error;
+          logger.warn(`LLM attempt ${attempt} with ${candidate.provider}/${candidate.model} failed`, {
+            status: error.status,
+            error: error.message
+          });
+
+          // Text already streamed to the client can't be taken back, so a partial stream is never retried
+          if (!isRetryableError(error) || streamed) {
+            logger.error(`LLM generation error with ${candidate.provider}:`, error);
+            throw new Error(`LLM generation failed: ${error.message}`);
+          }
+
+          const delay = this.retryDelay(error, attempt);
+          if (attempt === maxAttempts || delay > maxDelayMs) {
+            break;
+          }
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+
+      if (index < candidates.length - 1) {
+        logger.warn(`Falling back from ${candidate.provider}/${candidate.model} to ${candidates[index + 1].provider}/${candidates[index + 1].model}`);
+      }
+    }
+
+    logger.error('LLM generation failed on every provider:', lastError);
+    throw new Error(`LLM generation failed: ${lastError.message}`);
   }
 
   async generateWithAnthropic(prompt, options = {}) {
@@ -62,18 +338,64 @@ class LLMService {
       model = 'claude-3-sonnet-20240229',
       maxTokens = 4000,
       temperature = 0.7,
-      systemPrompt = null
+      systemPrompt = null,
+      onToken = null,
+      structured = null,
+      messages = null,
+      tools = null
     } = options;
 
-    const messages = [{ role: 'user', content: prompt }];
-    
-    const response = await this.anthropic.messages.create({
+    const request = {
       model,
       max_tokens: maxTokens,
       temperature,
       system: systemPrompt,
-      messages
-    });
+      messages: messages ? toAnthropicMessages(messages) : [{ role: 'user', content: prompt }]
+    };
+
+    if (tools) {
+      const response = await this.anthropic.messages.create({
+        ...request,
+        tools: tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters }))
+      });
+
+      return {
+        content: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        tool_calls: response.content
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, input: block.input })),
+        model: model,
+        usage: response.usage,
+        provider: 'anthropic'
+      };
+    }
+
+    // Structured output is a forced call to a tool whose input schema is the requested schema
+    if (structured) {
+      const response = await this.anthropic.messages.create({
+        ...request,
+        tools: [{ name: structured.name, description: 'Record the result.', input_schema: structured.schema }],
+        tool_choice: { type: 'tool', name: structured.name }
+      });
+      const toolUse = response.content.find(block => block.type === 'tool_use');
+
+      return {
+        content: toolUse ? JSON.stringify(toolUse.input) : response.content.map(block => block.text || '').join(''),
+        model: model,
+        usage: response.usage,
+        provider: 'anthropic'
+      };
+    }
+
+    // With onToken the completion is streamed; the final message still carries the full text and usage
+    let response;
+    if (onToken) {
+      const stream = this.anthropic.messages.stream(request);
+      stream.on('text', text => onToken(text));
+      response = await stream.finalMessage();
+    } else {
+      response = await this.anthropic.messages.create(request);
+    }
 
     return {
       content: response.content[0].text,
@@ -83,32 +405,128 @@ class LLMService {
     };
   }
 
-  async generateWithOpenAI(prompt, options = {}) {
+  // Also serves the local provider, which speaks the same API through its own client
+  async generateWithOpenAI(prompt, options = {}, provider = 'openai') {
     const {
       model = 'gpt-4',
       maxTokens = 4000,
       temperature = 0.7,
-      systemPrompt = null
+      systemPrompt = null,
+      onToken = null,
+      structured = null,
+      messages = null,
+      tools = null
     } = options;
 
-    const messages = [];
-    if (systemPrompt) {
-      messages.push({ role: 'system', content: systemPrompt });
-    }
-    messages.push({ role: 'user', content: prompt });
-
-    const response = await this.openai.chat.completions.create({
+    const request = {
       model,
-      messages,
+      messages: [
+        ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+        ...(messages ? toOpenAIMessages(messages) : [{ role: 'user', content: prompt }])
+      ],
       max_tokens: maxTokens,
       temperature
-    });
+    };
+
+    if (tools) {
+      const response = await this[provider].chat.completions.create({
+        ...request,
+        tools: tools.map(tool => ({
+          type: 'function',
+          function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+        }))
+      });
+      const message = response.choices[0].message;
+
+      return {
+        content: message.content || '',
+        tool_calls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          input: parseToolArguments(call.function.arguments)
+        })),
+        model: model,
+        usage: response.usage,
+        provider
+      };
+    }
+
+    if (structured) {
+      return this.generateStructuredWithOpenAI(request, structured, provider);
+    } else if (onToken) {
+      return this.streamWithOpenAI(request, onToken, provider);
+    }
+
+    const response = await this[provider].chat.completions.create(request);
 
     return {
       content: response.choices[0].message.content,
       model: model,
       usage: response.usage,
-      provider: 'openai'
+      provider
+    };
+  }
+
+  // JSON schema mode where the model supports it (LLM_JSON_SCHEMA_MODELS). Otherwise a forced function call
+  // on OpenAI, and json_object mode with the schema in the prompt on local servers, which rarely support
+  // forcing a tool. The content is the JSON either way; generateStructured validates it.
+  async generateStructuredWithOpenAI(request, structured, provider = 'openai') {
+    const { name, schema } = structured;
+    let mode = provider === 'local' ? 'json_object' : 'function';
+    if (llmConfig.jsonSchemaModels.some(pattern => pattern.test(request.model))) {
+      mode = 'json_schema';
+    }
+
+    if (mode === 'json_schema') {
+      request.response_format = { type: 'json_schema', json_schema: { name, schema } };
+    } else if (mode === 'function') {
+      request.tools = [{ type: 'function', function: { name, description: `Return the ${name}`, parameters: schema } }];
+      request.tool_choice = { type: 'function', function: { name } };
+    } else {
+      request.response_format = { type: 'json_object' };
+      request.messages = [
+        ...request.messages,
+        { role: 'system', content: `Respond with only a JSON object matching this JSON schema:\n${JSON.stringify(schema)}` }
+      ];
+    }
+
+    const response = await this[provider].chat.completions.create(request);
+    const message = response.choices[0].message;
+
+    return {
+      content: mode === 'function' && message.tool_calls?.length ? message.tool_calls[0].function.arguments : message.content,
+      model: request.model,
+      usage: response.usage,
+      provider
+    };
+  }
+
+  // Streamed chunks carry content deltas; usage only arrives in a last, choice-less chunk when asked for
+  async streamWithOpenAI(request, onToken, provider = 'openai') {
+    const stream = await this[provider].chat.completions.create({
+      ...request,
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    let content = '';
+    let usage = null;
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) {
+        content += text;
+        onToken(text);
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+
+    return {
+      content,
+      model: request.model,
+      usage,
+      provider
     };
   }
 
@@ -119,164 +537,157 @@ class LLMService {
     });
 
     const result = await this.generateResponseWithProvider(prompt, options);
-    logger.info('LLM response generated successfully', { provider: result.provider });
+    logger.info('LLM response generated successfully', {
+      provider: result.provider,
+      model: result.model,
+      attempts: result.attempts
+    });
     return result;
   }
 
-  async analyzeCode(code, analysisType = 'general') {
-    const systemPrompts = {
-      security: 'You are a security expert. Analyze the provided code for security vulnerabilities, potential exploits, and security best practices.',
-      performance: 'You are a performance optimization expert. Analyze the code for performance issues, bottlenecks, and optimization opportunities.',
-      quality: 'You are a code quality expert. Review the code for maintainability, readability, design patterns, and best practices.',
-      testing: 'You are a testing expert. Analyze the code and suggest comprehensive test cases, edge cases, and testing strategies.',
-      general: 'You are a senior software engineer. Provide a comprehensive code review covering security, performance, quality, and testing aspects.',
-      comprehensive: 'You are a senior software engineer and security expert. Provide a detailed analysis covering security vulnerabilities, performance issues, code quality, maintainability, and testing recommendations.'
-    };
+  // Asks for JSON matching `schema` (tool use on Anthropic, see generateStructuredWithOpenAI for the others),
+  // validates it and re-prompts once with the validation errors. Structured calls are never streamed.
+  async generateStructured(prompt, schema, options = {}) {
+    const { schemaName = 'result', onToken, ...generationOptions } = options;
+    const structured = { name: schemaName, schema };
 
-    const prompt = `Please analyze the following code:
+    const { cache_key: cacheKey, ...first } = await this.generateResponseWithProvider(prompt, { ...generationOptions, structured });
+    let result = first;
+    let check = checkStructured(result.content, schema);
 
-\`\`\`
-${code}
-\`\`\`
+    if (check.errors) {
+      logger.warn(`LLM output did not match the ${schemaName} schema, re-prompting`, { errors: check.errors });
+      const retryPrompt = `${prompt}
 
-Provide detailed analysis and recommendations.`;
+Your previous response was:
+${result.content}
 
-    return await this.generateResponseWithProvider(prompt, {
-      systemPrompt: systemPrompts[analysisType] || systemPrompts.general,
-      maxTokens: 3000,
-      ...options
-    });
-  }
+It did not match the required JSON schema:
+${check.errors.map(e => `- ${e}`).join('\n')}
 
-  async generateTests(code, testFramework = 'jest', options = {}) {
-    const systemPrompt = `You are a test automation expert. Generate comprehensive unit tests for the provided code using ${testFramework}. Include edge cases, error scenarios, and integration test suggestions.`;
+Respond again with only the corrected JSON.`;
 
-    const prompt = `Generate comprehensive tests for this code:
+      const retried = await this.generateResponseWithProvider(retryPrompt, { ...generationOptions, structured, cache: false });
+      result = { ...retried, cache: first.cache };
+      check = checkStructured(result.content, schema);
+    }
 
-\`\`\`
-${code}
-\`\`\`
+    if (check.errors) {
+      throw structuredOutputError(`LLM output did not match the ${schemaName} schema: ${check.errors.join('; ')}`, {
+        schema: schemaName,
+        validation_errors: check.errors,
+        model: result.model,
+        provider: result.provider
+      });
+    }
 
-Requirements:
-- Use ${testFramework} framework
-- Include unit tests with good coverage
-- Test edge cases and error scenarios
-- Provide clear test descriptions
-- Include setup and teardown if needed`;
+    // Stored under the original prompt, so the next identical request gets the valid output directly
+    if (cacheKey) {
+      await llmCache.set(cacheKey, result);
+    }
 
-    return await this.generateResponseWithProvider(prompt, {
-      systemPrompt,
-      maxTokens: 3000,
-      ...options
-    });
+    return { ...result, data: check.data };
   }
 
-  async predictBuildOutcome(changes, buildHistory = [], dependencyAnalysis = null, options = {}) {
-    const systemPrompt = 'You are a DevOps expert specializing in build prediction and CI/CD optimization. Analyze code changes and build history to predict build outcomes and suggest optimizations.';
+  // One step of a tool-calling conversation (see toAnthropicMessages for the message shape). Tools are
+  // { name, description, parameters } with a JSON schema; the result adds the requested tool_calls.
+  async generateWithTools(messages, tools, options = {}) {
+    return await this.generateResponseWithProvider(null, { ...options, messages, tools, onToken: null, cache: false });
+  }
 
-    let prompt = `Analyze these code changes and predict the build outcome:
+  // Renders a prompt from the registry and records which version produced the result
+  async generateFromTemplate(name, variables, options = {}) {
+    const { schema, ...generationOptions } = options;
+    const rendered = await promptRegistry.render(name, variables);
+    const renderedOptions = { systemPrompt: rendered.system, ...generationOptions };
 
-Changes:
-${JSON.stringify(changes, null, 2)}
+    const result = schema
+      ? await this.generateStructured(rendered.prompt, schema, renderedOptions)
+      : await this.generateResponse(rendered.prompt, renderedOptions);
 
-Recent build history:
-${JSON.stringify(buildHistory.slice(-10), null, 2)}`;
+    return { ...result, prompt: { name, version: rendered.version } };
+  }
 
-    if (dependencyAnalysis) {
-      prompt += `\n\nDependency Analysis:
-${JSON.stringify(dependencyAnalysis, null, 2)}`;
-    }
+  async analyzeCode(code, analysisType = 'general', options = {}) {
+    const name = promptRegistry.has(`code_analysis.${analysisType}`)
+      ? `code_analysis.${analysisType}`
+      : 'code_analysis.general';
 
-    prompt += `
+    // Webhooks re-run reviews of unchanged diffs (label changes, reopens), so results are cached by default
+    return await this.generateFromTemplate(name, { code }, {
+      maxTokens: 3000,
+      cache: true,
+      ...options
+    });
+  }
 
-Provide:
-1. Build success probability (0-100%)
-2. Potential failure points
-3. Estimated build time
-4. Resource requirements
-5. Optimization suggestions
-6. Confidence score (0.0-1.0)
+  async extractReviewFindings(analysis, diff, options = {}) {
+    return await this.generateFromTemplate('code_review_findings', { analysis, diff }, {
+      schema: reviewFindingsSchema,
+      schemaName: 'review_findings',
+      maxTokens: 3000,
+      temperature: 0.2,
+      ...options
+    });
+  }
 
-Respond in JSON format.`;
+  async generateTests(code, testFramework = 'jest', options = {}) {
+    return await this.generateFromTemplate('test_generation', { code, test_framework: testFramework }, {
+      maxTokens: 3000,
+      ...options
+    });
+  }
 
-    return await this.generateResponseWithProvider(prompt, {
-      systemPrompt,
+  async predictBuildOutcome(changes, buildHistory = [], dependencyAnalysis = null, options = {}) {
+    return await this.generateFromTemplate('build_prediction', {
+      changes,
+      build_history: buildHistory.slice(-10),
+      dependency_analysis: dependencyAnalysis || 'Not analyzed'
+    }, {
+      schema: buildPredictionSchema,
+      schemaName: 'build_prediction',
       maxTokens: 2000,
       ...options
     });
   }
 
   async analyzeVulnerabilities(repoContent, scanType = 'comprehensive', options = {}) {
-    const systemPrompt = 'You are a cybersecurity expert specializing in code vulnerability analysis. Analyze the provided code for security vulnerabilities, potential exploits, and security best practices.';
-
-    const contentSummary = repoContent.slice(0, 10).map(file => ({
+    const files = repoContent.slice(0, 10).map(file => ({
       name: file.name,
       path: file.path,
       content: file.content.substring(0, 2000) // Limit content for analysis
     }));
 
-    const prompt = `Perform a ${scanType} security vulnerability scan on this repository content:
-
-${JSON.stringify(contentSummary, null, 2)}
-
-Analyze for:
-1. SQL injection vulnerabilities
-2. Cross-site scripting (XSS) issues
-3. Authentication and authorization flaws
-4. Insecure data handling
-5. Dependency vulnerabilities
-6. Configuration security issues
-7. Input validation problems
-8. Cryptographic issues
-
-Respond in JSON format with:
-{
-  "risk_level": "low|medium|high|critical",
-  "vulnerabilities": [
-    {
-      "title": "Vulnerability name",
-      "severity": "low|medium|high|critical",
-      "description": "Description",
-      "file": "affected file",
-      "line": "line number if applicable",
-      "recommendation": "how to fix"
-    }
-  ],
-  "summary": "Overall security assessment"
-}`;
-
-    return await this.generateResponseWithProvider(prompt, {
-      systemPrompt,
+    return await this.generateFromTemplate('vulnerability_scan', { scan_type: scanType, files }, {
+      schema: vulnerabilityScanSchema,
+      schemaName: 'vulnerability_scan',
       maxTokens: 4000,
+      cache: true,
       ...options
     });
   }
 
+  // `conversation` is a session context from conversationMemory ({transcript, entities})
   async analyzeIntent(userMessage, context = {}, options = {}) {
-    const systemPrompt = 'You are an intent analysis expert for DevOps operations. Analyze user messages to determine their intent and extract relevant entities for automation workflows.';
-
-    const prompt = `Analyze this user message and extract intent and entities:
-
-Message: "${userMessage}"
-Context: ${JSON.stringify(context)}
-
-Return a JSON response with:
-{
-  "intent": "deploy|monitor|rollback|build|test|security|general",
-  "confidence": 0.0-1.0,
-  "entities": {
-    "repository": "repo name if mentioned",
-    "environment": "staging|production|development",
-    "service": "service name if mentioned",
-    "branch": "branch name if mentioned",
-    "action": "specific action requested"
-  },
-  "parameters": {},
-  "suggested_workflow": "workflow recommendation"
-}`;
-
-    return await this.generateResponseWithProvider(prompt, {
-      systemPrompt,
+    const { conversation, ...generationOptions } = options;
+    return await this.generateFromTemplate('intent_analysis', {
+      user_message: userMessage,
+      context,
+      conversation: conversation?.transcript || 'None',
+      known_entities: conversation?.entities || {}
+    }, {
+      schema: intentAnalysisSchema,
+      schemaName: 'intent_analysis',
+      maxTokens: 1000,
+      temperature: 0.3,
+      ...generationOptions
+    });
+  }
+
+  async analyzeHealth(healthData, options = {}) {
+    return await this.generateFromTemplate('health_analysis', { health_data: healthData }, {
+      schema: healthAnalysisSchema,
+      schemaName: 'health_analysis',
       maxTokens: 1000,
       temperature: 0.3,
       ...options
@@ -284,26 +695,16 @@ Return a JSON response with:
   }
 
   async generateConversationalResponse(agentResponse, originalIntent, userMessage, options = {}) {
-    const systemPrompt = 'You are a helpful DevOps assistant. Convert technical agent responses into natural, conversational language that is easy to understand while maintaining technical accuracy.';
-
-    const prompt = `Convert this technical response into a conversational format:
-
-Original user message: "${userMessage}"
-Intent: ${originalIntent}
-Agent response: ${JSON.stringify(agentResponse)}
-
-Generate a natural, helpful response that:
-1. Acknowledges the user's request
-2. Explains what was done in simple terms
-3. Provides key results or status
-4. Suggests next steps if applicable
-5. Maintains a friendly, professional tone`;
-
-    return await this.generateResponseWithProvider(prompt, {
-      systemPrompt,
+    const { conversation, ...generationOptions } = options;
+    return await this.generateFromTemplate('conversational_response', {
+      user_message: userMessage,
+      intent: originalIntent,
+      agent_response: agentResponse,
+      conversation: conversation?.transcript || 'None'
+    }, {
       maxTokens: 1500,
       temperature: 0.8,
-      ...options
+      ...generationOptions
     });
   }
 }
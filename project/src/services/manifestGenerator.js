@@ -0,0 +1,223 @@
+const yaml = require('js-yaml');
+
+// Settings every overlay starts from. Overlays from the target repository's deploy/ directory
+// and from the request are merged on top: objects merge key by key, everything else replaces.
+const DEFAULT_CONFIG = {
+  replicas: 3,
+  container_port: 8080,
+  labels: {},
+  annotations: {},
+  env: {},
+  config: {},
+  resources: {
+    requests: { cpu: '100m', memory: '128Mi' },
+    limits: { cpu: '500m', memory: '512Mi' }
+  },
+  probes: {
+    liveness: { path: '/health', initial_delay_seconds: 15, period_seconds: 20 },
+    readiness: { path: '/health', initial_delay_seconds: 5, period_seconds: 10 }
+  },
+  service: {
+    type: 'LoadBalancer',
+    port: 80
+  },
+  ingress: {
+    enabled: false,
+    host: null,
+    path: '/',
+    class_name: 'nginx',
+    tls_secret: null,
+    annotations: {}
+  },
+  autoscaling: {
+    enabled: false,
+    min_replicas: 2,
+    max_replicas: 10,
+    target_cpu_utilization: 70
+  },
+  pod_disruption_budget: {
+    enabled: true,
+    min_available: 1
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, overlay) {
+  if (!isPlainObject(overlay)) {
+    return base;
+  }
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overlay)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+  }
+  return merged;
+}
+
+const NAME_LABEL = 'app.kubernetes.io/name';
+
+// Kubernetes object names must be DNS-1123 labels
+function toResourceName(value) {
+  return value.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 63);
+}
+
+function buildProbe(probe, port) {
+  if (!probe) {
+    return undefined;
+  }
+
+  return {
+    httpGet: { path: probe.path, port: probe.port || port },
+    initialDelaySeconds: probe.initial_delay_seconds,
+    periodSeconds: probe.period_seconds,
+    timeoutSeconds: probe.timeout_seconds,
+    failureThreshold: probe.failure_threshold
+  };
+}
+
+function buildEnv(env) {
+  return Object.entries(env).map(([name, value]) => (
+    isPlainObject(value) && value.secret
+      ? { name, valueFrom: { secretKeyRef: { name: value.secret, key: value.key || name } } }
+      : { name, value: String(value) }
+  ));
+}
+
+class ManifestGenerator {
+  resolveConfig(overlays = []) {
+    return overlays.reduce((config, overlay) => deepMerge(config, overlay), DEFAULT_CONFIG);
+  }
+
+  // Name of the Deployment, Service and other resources generated for a repository
+  appName(repository) {
+    return toResourceName(repository.split('/').pop());
+  }
+
+  generate(repository, imageTag, { environment, overlays = [] } = {}) {
+    const config = this.resolveConfig(overlays);
+    const appName = this.appName(repository);
+    // The Deployment selects its pods by `app`; the Service and PDB by NAME_LABEL, which canary pods
+    // (another Deployment, with its own `app`) share with the stable ones
+    const labels = { app: appName, [NAME_LABEL]: appName, ...config.labels };
+    const port = config.container_port;
+
+    const manifests = {
+      configmap: {
+        apiVersion: 'v1',
+        kind: 'ConfigMap',
+        metadata: { name: `${appName}-config`, labels },
+        data: Object.fromEntries(
+          Object.entries({ APP_NAME: appName, ENVIRONMENT: environment, ...config.config })
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => [key, String(value)])
+        )
+      },
+      deployment: {
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name: appName, labels, annotations: config.annotations },
+        spec: {
+          // With autoscaling on, the HPA owns the replica count
+          replicas: config.autoscaling.enabled ? undefined : config.replicas,
+          selector: { matchLabels: { app: appName } },
+          template: {
+            metadata: { labels },
+            spec: {
+              containers: [{
+                name: appName,
+                image: imageTag,
+                ports: [{ containerPort: port }],
+                env: buildEnv(config.env),
+                envFrom: [{ configMapRef: { name: `${appName}-config` } }],
+                resources: config.resources,
+                livenessProbe: buildProbe(config.probes?.liveness, port),
+                readinessProbe: buildProbe(config.probes?.readiness, port)
+              }]
+            }
+          }
+        }
+      },
+      service: {
+        apiVersion: 'v1',
+        kind: 'Service',
+        metadata: { name: `${appName}-service`, labels },
+        spec: {
+          selector: { [NAME_LABEL]: appName },
+          ports: [{ port: config.service.port, targetPort: port }],
+          type: config.service.type
+        }
+      }
+    };
+
+    if (config.ingress.enabled && config.ingress.host) {
+      manifests.ingress = {
+        apiVersion: 'networking.k8s.io/v1',
+        kind: 'Ingress',
+        metadata: { name: appName, labels, annotations: config.ingress.annotations },
+        spec: {
+          ingressClassName: config.ingress.class_name,
+          tls: config.ingress.tls_secret
+            ? [{ hosts: [config.ingress.host], secretName: config.ingress.tls_secret }]
+            : undefined,
+          rules: [{
+            host: config.ingress.host,
+            http: {
+              paths: [{
+                path: config.ingress.path,
+                pathType: 'Prefix',
+                backend: { service: { name: `${appName}-service`, port: { number: config.service.port } } }
+              }]
+            }
+          }]
+        }
+      };
+    }
+
+    if (config.autoscaling.enabled) {
+      manifests.hpa = {
+        apiVersion: 'autoscaling/v2',
+        kind: 'HorizontalPodAutoscaler',
+        metadata: { name: appName, labels },
+        spec: {
+          scaleTargetRef: { apiVersion: 'apps/v1', kind: 'Deployment', name: appName },
+          minReplicas: config.autoscaling.min_replicas,
+          maxReplicas: config.autoscaling.max_replicas,
+          metrics: [{
+            type: 'Resource',
+            resource: {
+              name: 'cpu',
+              target: { type: 'Utilization', averageUtilization: config.autoscaling.target_cpu_utilization }
+            }
+          }]
+        }
+      };
+    }
+
+    if (config.pod_disruption_budget.enabled) {
+      manifests.pdb = {
+        apiVersion: 'policy/v1',
+        kind: 'PodDisruptionBudget',
+        metadata: { name: appName, labels },
+        spec: {
+          minAvailable: config.pod_disruption_budget.min_available,
+          selector: { matchLabels: { [NAME_LABEL]: appName } }
+        }
+      };
+    }
+
+    return JSON.parse(JSON.stringify(manifests));
+  }
+
+  toYaml(manifests) {
+    return Object.values(manifests)
+      .map(manifest => yaml.dump(manifest, { noRefs: true, lineWidth: -1 }))
+      .join('---\n');
+  }
+}
+
+module.exports = new ManifestGenerator();
+module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
+module.exports.NAME_LABEL = NAME_LABEL;
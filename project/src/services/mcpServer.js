@@ -0,0 +1,259 @@
+const Ajv = require('ajv');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const {
+  CallToolRequestSchema,
+  ErrorCode,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema
+} = require('@modelcontextprotocol/sdk/types.js');
+const agentOperations = require('./agentOperations');
+const deploymentRegistry = require('./deploymentRegistry');
+const accessControl = require('./accessControl');
+const auditRepository = require('../repositories/auditRepository');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+const { version } = require('../../package.json');
+
+const DEPLOYMENT_URI = /^devops:\/\/deployments\/([^/]+)$/;
+
+// The agents as MCP tools; each runs the same agentOperations method as its REST endpoint and needs
+// the same permission (see src/config/rbac.js)
+const TOOLS = {
+  code_review: {
+    description: 'Review a GitHub pull request with the code review agent and post its severity-scored findings on the PR.',
+    operation: 'codeReview',
+    annotations: { readOnlyHint: false, destructiveHint: false, openWorldHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        repository: { type: 'string', description: 'owner/name' },
+        pr_number: { type: 'integer' },
+        analysis_type: { type: 'string', enum: ['security', 'performance', 'quality', 'testing', 'general', 'comprehensive'] },
+        llm_model: { type: 'string' }
+      },
+      required: ['repository', 'pr_number']
+    }
+  },
+  vulnerability_scan: {
+    description: 'Scan a repository branch for security vulnerabilities and record the findings.',
+    operation: 'vulnerabilityScan',
+    annotations: { readOnlyHint: false, destructiveHint: false, openWorldHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        repository: { type: 'string', description: 'owner/name' },
+        branch: { type: 'string' },
+        scan_type: { type: 'string', description: 'Defaults to comprehensive' },
+        llm_model: { type: 'string' }
+      },
+      required: ['repository']
+    }
+  },
+  health_check: {
+    description: 'Check the health of a service by deployment_id or service_url and analyse the result.',
+    operation: 'healthCheck',
+    annotations: { readOnlyHint: true, openWorldHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deployment_id: { type: 'string' },
+        service_url: { type: 'string' },
+        llm_model: { type: 'string' }
+      }
+    }
+  },
+  rollback: {
+    description: 'Roll a deployment back to its previous revision, or to to_revision.',
+    operation: 'rollback',
+    permission: 'rollback',
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        deployment_id: { type: 'string' },
+        rollback_strategy: { type: 'string', enum: ['gradual', 'immediate'] },
+        to_revision: { type: 'integer' },
+        reason: { type: 'string' },
+        llm_model: { type: 'string' }
+      },
+      required: ['deployment_id', 'reason']
+    }
+  },
+  deploy: {
+    description: 'Deploy an image to Kubernetes with a rolling, canary or blue-green strategy.',
+    operation: 'deploy',
+    permission: 'deploy',
+    annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        repository: { type: 'string', description: 'owner/name' },
+        image_tag: { type: 'string' },
+        environment: { type: 'string', enum: ['development', 'staging', 'production'] },
+        branch: { type: 'string' },
+        service_url: { type: 'string' },
+        strategy: { type: 'string', enum: ['rolling', 'canary', 'blue_green'] },
+        strategy_config: { type: 'object' },
+        kubernetes_config: { type: 'object' },
+        deploy_config: { type: 'object' }
+      },
+      required: ['repository', 'image_tag', 'environment']
+    }
+  },
+  cost_analysis: {
+    description: 'Estimate the monthly cloud cost of a deployment configuration with optimisation recommendations.',
+    operation: 'costAnalysis',
+    annotations: { readOnlyHint: true, openWorldHint: false },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cloud_provider: { type: 'string', enum: ['aws', 'gcp', 'azure'] },
+        deployment_config: { type: 'object' },
+        llm_recommendations: { type: 'boolean' },
+        llm_model: { type: 'string' }
+      }
+    }
+  }
+};
+
+const RESOURCES = [
+  {
+    uri: 'devops://deployments',
+    name: 'recent-deployments',
+    description: 'The 50 most recent deployments in any status',
+    mimeType: 'application/json'
+  },
+  {
+    uri: 'devops://audit-logs',
+    name: 'audit-logs',
+    description: 'The 100 most recent audit log entries (deployments, rollbacks, confirmed agent actions)',
+    mimeType: 'application/json'
+  }
+];
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'devops://deployments/{deployment_id}',
+    name: 'deployment',
+    description: 'One deployment with its status history',
+    mimeType: 'application/json'
+  }
+];
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = Object.fromEntries(
+  Object.entries(TOOLS).map(([name, tool]) => [name, ajv.compile(tool.inputSchema)])
+);
+
+function jsonContent(uri, data) {
+  return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }] };
+}
+
+// Builds an MCP server for one client connection (stdio) or one HTTP request (streamable HTTP, stateless).
+// `user` is who the operations run as, for the audit log and LLM usage.
+class McpServerFactory {
+  create({ user, transport }) {
+    const server = new Server(
+      { name: 'mcp-devops-server', version },
+      { capabilities: { tools: {}, resources: {} } }
+    );
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: Object.entries(TOOLS).map(([name, tool]) => ({
+        name,
+        description: tool.description,
+        inputSchema: tool.inputSchema,
+        annotations: tool.annotations
+      }))
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, (request, extra) =>
+      this.callTool(request.params, extra, { user, transport }));
+
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: RESOURCES }));
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+    server.setRequestHandler(ReadResourceRequestSchema, request => this.readResource(request.params.uri, { user }));
+
+    return server;
+  }
+
+  // Failures are returned as tool errors (isError) so the client's model can see and act on them
+  async callTool({ name, arguments: args = {}, _meta }, extra, { user, transport }) {
+    const tool = TOOLS[name];
+    if (!tool) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${name}`);
+    }
+
+    const validate = validators[name];
+    if (!validate(args)) {
+      const problems = validate.errors.map(e => `${e.instancePath || '/'} ${e.message}`);
+      return { content: [{ type: 'text', text: `Invalid arguments: ${problems.join('; ')}` }], isError: true };
+    }
+
+    // Steps of long operations (deploy, rollback) become progress notifications when the client asks for them
+    let progress = 0;
+    const progressToken = _meta?.progressToken;
+    const report = progressToken === undefined ? undefined : step => {
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress: ++progress, message: step }
+      }).catch(error => logger.warn('MCP progress notification failed', { error: error.message }));
+    };
+
+    logger.info('MCP tool call', { tool: name, user_id: user?.id, transport });
+
+    try {
+      if (tool.permission) {
+        await accessControl.authorize(user, tool.permission, {
+          environment: args.environment,
+          deployment_id: args.deployment_id,
+          kubernetes_config: args.kubernetes_config,
+          source: `mcp:${name}`
+        });
+      }
+
+      const context = { userId: user?.id || null, team: user?.team || null, route: `/mcp/${name}` };
+      const result = await requestContext.run(context, () =>
+        agentOperations[tool.operation](args, { userId: user?.id, report }));
+
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      logger.error(`MCP tool ${name} error:`, error);
+      return { content: [{ type: 'text', text: `${name} failed: ${error.message}` }], isError: true };
+    }
+  }
+
+  // Deployments and the audit trail are what GET /logging/audit shows, so they need the same permission
+  async readResource(uri, { user } = {}) {
+    try {
+      await accessControl.authorize(user, 'audit:read', { source: `mcp:resource:${uri}` });
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidRequest, error.message);
+    }
+
+    if (uri === 'devops://deployments') {
+      const { rows } = await deploymentRegistry.list({ status: 'all', limit: 50 });
+      return jsonContent(uri, rows);
+    }
+
+    if (uri === 'devops://audit-logs') {
+      const { rows } = await auditRepository.list({ limit: 100 });
+      return jsonContent(uri, rows);
+    }
+
+    const match = uri.match(DEPLOYMENT_URI);
+    if (match) {
+      const deployment = await deploymentRegistry.get(decodeURIComponent(match[1]));
+      if (deployment) {
+        return jsonContent(uri, deployment);
+      }
+    }
+
+    throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+  }
+}
+
+module.exports = new McpServerFactory();
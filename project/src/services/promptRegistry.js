@@ -0,0 +1,122 @@
+const defaults = require('../prompts/defaults');
+const promptTemplateRepository = require('../repositories/promptTemplateRepository');
+const logger = require('../utils/logger');
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+function validationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+function placeholders(text) {
+  return [...(text || '').matchAll(PLACEHOLDER)].map(match => match[1]);
+}
+
+function fill(text, variables) {
+  if (text === null || text === undefined) {
+    return null;
+  }
+  return text.replace(PLACEHOLDER, (_, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  });
+}
+
+// Prompts are versioned: version 0 is the built-in default, every PUT stores the next version and
+// the newest one is used. Stored versions live in Postgres (or the in-memory store without a database).
+class PromptRegistry {
+  names() {
+    return Object.keys(defaults);
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(defaults, name);
+  }
+
+  toPrompt(name, row) {
+    const { variables, system, template } = defaults[name];
+    if (!row) {
+      return { name, version: 0, variables, system, template, created_by: null, created_at: null };
+    }
+    return {
+      name,
+      version: row.version,
+      variables,
+      system: row.system_prompt,
+      template: row.template,
+      created_by: row.created_by,
+      created_at: row.created_at
+    };
+  }
+
+  async get(name) {
+    if (!this.has(name)) {
+      return null;
+    }
+    return this.toPrompt(name, await promptTemplateRepository.latest(name));
+  }
+
+  async list() {
+    return Promise.all(this.names().map(name => this.get(name)));
+  }
+
+  // Stored versions newest first, ending with the built-in default
+  async history(name) {
+    const { rows } = await promptTemplateRepository.history(name, { limit: 100 });
+    return [...rows.map(row => this.toPrompt(name, row)), this.toPrompt(name, null)];
+  }
+
+  // Leaving out `system` keeps the current system prompt; null removes it
+  async save(name, { system, template }, userId) {
+    if (typeof template !== 'string' || template.trim() === '') {
+      throw validationError('template is required');
+    }
+    if (system !== undefined && system !== null && typeof system !== 'string') {
+      throw validationError('system must be a string or null');
+    }
+
+    const current = await this.get(name);
+    if (system === undefined) {
+      system = current.system;
+    }
+
+    const allowed = defaults[name].variables;
+    const unknown = [...new Set([...placeholders(system), ...placeholders(template)])]
+      .filter(variable => !allowed.includes(variable));
+    if (unknown.length > 0) {
+      throw validationError(`Unknown variables ${unknown.map(v => `{{${v}}}`).join(', ')}; ${name} provides ${allowed.map(v => `{{${v}}}`).join(', ')}`);
+    }
+
+    const row = await promptTemplateRepository.record({
+      name,
+      version: current.version + 1,
+      system_prompt: system,
+      template,
+      created_by: userId || null
+    });
+
+    logger.info('Prompt template updated', { name, version: row.version, user_id: userId });
+    return this.toPrompt(name, row);
+  }
+
+  async render(name, variables = {}) {
+    const prompt = await this.get(name);
+    if (!prompt) {
+      throw new Error(`Unknown prompt template: ${name}`);
+    }
+
+    return {
+      name,
+      version: prompt.version,
+      system: fill(prompt.system, variables),
+      prompt: fill(prompt.template, variables)
+    };
+  }
+}
+
+module.exports = new PromptRegistry();
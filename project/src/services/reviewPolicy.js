@@ -0,0 +1,42 @@
+const reviewPolicyConfig = require('../config/reviewPolicy');
+
+const { SEVERITIES } = reviewPolicyConfig;
+
+// Decides whether a code review approves a pull request from the severities of its findings and the
+// repository's thresholds in src/config/reviewPolicy.js
+class ReviewPolicy {
+  constructor() {
+    this.rules = reviewPolicyConfig.thresholds;
+  }
+
+  thresholdsFor(repository) {
+    const rule = this.rules.find(r => r.regex.test(repository || ''));
+    return rule ? rule.thresholds : reviewPolicyConfig.DEFAULT_THRESHOLDS;
+  }
+
+  // Changes are requested when any severity has more findings than its threshold allows; the risk
+  // level is the highest severity found
+  evaluate(repository, findings) {
+    const thresholds = this.thresholdsFor(repository);
+    const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+    for (const finding of findings) {
+      counts[finding.severity]++;
+    }
+
+    const exceeded = SEVERITIES
+      .filter(severity => thresholds[severity] !== undefined && counts[severity] > thresholds[severity])
+      .map(severity => ({ severity, count: counts[severity], allowed: thresholds[severity] }))
+      .reverse();
+    const highest = [...SEVERITIES].reverse().find(severity => counts[severity] > 0);
+
+    return {
+      status: exceeded.length > 0 ? 'changes_requested' : 'approved',
+      risk_level: highest || 'none',
+      counts,
+      thresholds,
+      exceeded
+    };
+  }
+}
+
+module.exports = new ReviewPolicy();
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const devopsService = require('./devopsService');
+const { parseDiff, findPosition } = require('../utils/diffParser');
+const logger = require('../utils/logger');
+
+// Hidden in every comment and review the server posts, so later runs find and update them
+const MARKER = '<!-- mcp-devops-review -->';
+// Added to line comments whose finding is no longer reported, so later runs leave them alone
+const RESOLVED_MARKER = '<!-- mcp-devops-review:resolved -->';
+const CHECK_RUN_NAME = 'MCP Code Review';
+// GitHub takes at most 50 annotations per check run request and 65535 characters of summary
+const ANNOTATIONS_PER_REQUEST = 50;
+const MAX_SUMMARY_CHARS = 60000;
+
+// Check run annotation level per finding severity
+const ANNOTATION_LEVELS = {
+  critical: 'failure',
+  high: 'failure',
+  medium: 'warning',
+  low: 'notice',
+  info: 'notice'
+};
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function location(finding) {
+  if (!finding.file) {
+    return '-';
+  }
+  if (!finding.start_line) {
+    return `\`${finding.file}\``;
+  }
+  return finding.end_line > finding.start_line
+    ? `\`${finding.file}:${finding.start_line}-${finding.end_line}\``
+    : `\`${finding.file}:${finding.start_line}\``;
+}
+
+// Identifies a finding across runs: the wording and severity may change, its file, category and title shouldn't
+function fingerprint(finding) {
+  const key = [finding.file, finding.category, finding.title]
+    .map(value => String(value || '').trim().toLowerCase().replace(/\s+/g, ' '))
+    .join('\n');
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+function fingerprintMarker(findingFingerprint) {
+  return `<!-- mcp-devops-review:finding=${findingFingerprint} -->`;
+}
+
+function resolvedBody(comment) {
+  const original = comment.body.replace(/\n*<!-- mcp-devops-review[^>]*-->/g, '').trim();
+  return `✅ **Resolved:** the latest AI code review no longer reports this.
+
+<details><summary>Original comment</summary>
+
+${original}
+
+</details>
+
+${MARKER}
+${RESOLVED_MARKER}`;
+}
+
+function findingBody(finding) {
+  return `**${finding.severity.toUpperCase()}** (${finding.category}): ${finding.title}
+
+${finding.rationale}
+
+**Suggested fix:** ${finding.suggested_fix}`;
+}
+
+// Why the review approved or requested changes, e.g. "1 high finding (0 allowed)"
+function verdict(review) {
+  if (review.policy.exceeded.length === 0) {
+    return 'within the repository thresholds';
+  }
+  return review.policy.exceeded
+    .map(({ severity, count, allowed }) => `${plural(count, `${severity} finding`)} (${allowed} allowed)`)
+    .join(', ');
+}
+
+function summaryComment(review, { inline }) {
+  const findings = review.findings.length > 0
+    ? `| Severity | Category | Location | Finding |
+|----------|----------|----------|---------|
+${review.findings.map(f => `| ${f.severity} | ${f.category} | ${location(f)} | ${f.title.replace(/\|/g, '\\|')} |`).join('\n')}`
+    : 'No findings.';
+
+  return `## 🤖 AI Code Review
+
+**Status:** ${review.status === 'approved' ? '✅ Approved' : '⚠️ Changes Requested'} (${verdict(review)})
+**Risk Level:** ${review.risk_level}
+**Line comments:** ${inline.length}
+
+### Findings
+${findings}
+
+### Analysis
+${review.analysis}
+
+---
+*Generated by MCP DevOps AI at ${review.timestamp}*
+${MARKER}`;
+}
+
+// Publishes a code review on the pull request: a summary comment, a pull request review with a comment
+// for each finding on lines of the diff, and a check run on the head commit with an annotation per finding.
+// Comments and reviews from earlier runs are updated instead of repeated. Each part is published on its
+// own, so one failing (e.g. the check run without GitHub App credentials) doesn't stop the others.
+class ReviewPublisher {
+  // Marks the review as in progress on the head commit; the returned context is passed to publish or fail
+  async start(repository, prNumber) {
+    const context = { head_sha: null, check_run_id: null };
+
+    try {
+      const pr = await devopsService.getPullRequest(repository, prNumber);
+      context.head_sha = pr.head?.sha || null;
+
+      const checkRun = await devopsService.createCheckRun(repository, {
+        name: CHECK_RUN_NAME,
+        head_sha: context.head_sha,
+        status: 'in_progress',
+        started_at: new Date().toISOString()
+      });
+      context.check_run_id = checkRun.id;
+    } catch (error) {
+      logger.warn('Could not start the review check run', { repository, prNumber, error: error.message });
+    }
+
+    return context;
+  }
+
+  async publish(repository, prNumber, review, { diff, head_sha = null, check_run_id = null } = {}) {
+    const files = parseDiff(diff);
+    const inline = [];
+    for (const finding of review.findings) {
+      // Comments sit on the last line of the finding's range that the diff shows
+      for (let line = finding.end_line; finding.file && line >= finding.start_line; line--) {
+        const position = findPosition(files, finding.file, line);
+        if (position) {
+          inline.push({ path: finding.file, line, position, body: findingBody(finding), fingerprint: fingerprint(finding) });
+          break;
+        }
+      }
+    }
+
+    const publication = {
+      summary_comment_id: null,
+      review_id: null,
+      comments_posted: 0,
+      comments_updated: 0,
+      comments_resolved: 0,
+      comments_outside_diff: review.findings.length - inline.length,
+      check_run_id,
+      errors: []
+    };
+
+    await this.step(publication, 'summary comment', () =>
+      this.upsertSummaryComment(repository, prNumber, summaryComment(review, { inline }), publication));
+    await this.step(publication, 'review', () =>
+      this.submitReview(repository, prNumber, review, inline, head_sha, publication));
+    await this.step(publication, 'check run', () =>
+      this.completeCheckRun(repository, review, head_sha, publication));
+
+    logger.info('Published code review', { repository, prNumber, ...publication });
+    return publication;
+  }
+
+  // Closes the check run started for a review that then failed
+  async fail(repository, { check_run_id }, error) {
+    if (!check_run_id) {
+      return;
+    }
+
+    try {
+      await devopsService.updateCheckRun(repository, check_run_id, {
+        status: 'completed',
+        conclusion: 'neutral',
+        completed_at: new Date().toISOString(),
+        output: { title: 'Review failed', summary: error.message }
+      });
+    } catch (updateError) {
+      logger.warn('Could not close the review check run', { repository, check_run_id, error: updateError.message });
+    }
+  }
+
+  async step(publication, name, fn) {
+    try {
+      await fn();
+    } catch (error) {
+      logger.warn(`Could not publish the review ${name}`, { error: error.message, status: error.response?.status });
+      publication.errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  async upsertSummaryComment(repository, prNumber, body, publication) {
+    const comments = await devopsService.listIssueComments(repository, prNumber);
+    const previous = comments.find(comment => comment.body?.includes(MARKER));
+
+    const comment = previous
+      ? await devopsService.updateIssueComment(repository, previous.id, body)
+      : await devopsService.createIssueComment(repository, prNumber, body);
+    publication.summary_comment_id = comment.id;
+  }
+
+  // A line comment for the same finding on the same line is edited; the rest go into a new review. Our
+  // comments whose finding is no longer reported there are marked resolved. Earlier change requests are
+  // dismissed once the review approves, and not repeated while nothing is new.
+  async submitReview(repository, prNumber, review, inline, headSha, publication) {
+    const [existingComments, reviews] = await Promise.all([
+      devopsService.listReviewComments(repository, prNumber),
+      devopsService.listReviews(repository, prNumber)
+    ]);
+    const ours = existingComments.filter(comment => comment.body?.includes(MARKER) && !comment.body.includes(RESOLVED_MARKER));
+    const blocking = reviews.filter(r => r.body?.includes(MARKER) && r.state === 'CHANGES_REQUESTED');
+
+    const fresh = [];
+    const kept = new Set();
+    for (const comment of inline) {
+      const marker = fingerprintMarker(comment.fingerprint);
+      const body = `${comment.body}\n\n${MARKER}\n${marker}`;
+      const previous = ours.find(c => !kept.has(c.id) && c.path === comment.path && c.line === comment.line && c.body.includes(marker));
+      if (!previous) {
+        fresh.push({ path: comment.path, position: comment.position, body });
+        continue;
+      }
+
+      kept.add(previous.id);
+      if (previous.body !== body) {
+        await devopsService.updateReviewComment(repository, previous.id, body);
+        publication.comments_updated++;
+      }
+    }
+
+    for (const stale of ours.filter(c => !kept.has(c.id))) {
+      await this.resolveComment(repository, stale);
+      publication.comments_resolved++;
+    }
+
+    const changesRequested = review.status === 'changes_requested';
+    if (fresh.length > 0 || (changesRequested && blocking.length === 0)) {
+      const created = await devopsService.createReview(repository, prNumber, {
+        ...(headSha ? { commit_id: headSha } : {}),
+        event: changesRequested ? 'REQUEST_CHANGES' : 'COMMENT',
+        body: `AI code review: ${changesRequested ? 'changes requested' : 'no blocking issues'} (${verdict(review)}). See the summary comment for all findings.\n\n${MARKER}`,
+        comments: fresh
+      });
+      publication.review_id = created.id;
+      publication.comments_posted = fresh.length;
+    }
+
+    if (!changesRequested) {
+      for (const previous of blocking) {
+        await devopsService.dismissReview(repository, prNumber, previous.id, 'Superseded by a newer AI code review without blocking issues.');
+      }
+    }
+  }
+
+  // Minimizing is a nicety on top of the edit; it needs GraphQL access the token may not have
+  async resolveComment(repository, comment) {
+    await devopsService.updateReviewComment(repository, comment.id, resolvedBody(comment));
+    if (!comment.node_id) {
+      return;
+    }
+
+    try {
+      await devopsService.minimizeComment(comment.node_id);
+    } catch (error) {
+      logger.warn('Could not minimize a resolved review comment', { repository, comment_id: comment.id, error: error.message });
+    }
+  }
+
+  async completeCheckRun(repository, review, headSha, publication) {
+    if (!publication.check_run_id && !headSha) {
+      throw new Error('head commit of the pull request is unknown');
+    }
+
+    const annotations = review.findings
+      .filter(finding => finding.file && finding.start_line)
+      .map(finding => ({
+        path: finding.file,
+        start_line: finding.start_line,
+        end_line: finding.end_line,
+        annotation_level: ANNOTATION_LEVELS[finding.severity],
+        title: `${finding.severity} ${finding.category}: ${finding.title}`,
+        message: `${finding.rationale}\n\nSuggested fix: ${finding.suggested_fix}`
+      }));
+    const approved = review.status === 'approved';
+    const output = batch => ({
+      title: `${approved ? 'Approved' : 'Changes requested'}: ${plural(review.findings.length, 'finding')}`,
+      summary: `Risk level ${review.risk_level}, ${verdict(review)}.\n\n${review.analysis}`.slice(0, MAX_SUMMARY_CHARS),
+      annotations: batch
+    });
+    const completed = {
+      status: 'completed',
+      conclusion: approved ? 'success' : 'failure',
+      completed_at: new Date().toISOString(),
+      output: output(annotations.slice(0, ANNOTATIONS_PER_REQUEST))
+    };
+
+    if (publication.check_run_id) {
+      await devopsService.updateCheckRun(repository, publication.check_run_id, completed);
+    } else {
+      const checkRun = await devopsService.createCheckRun(repository, { name: CHECK_RUN_NAME, head_sha: headSha, ...completed });
+      publication.check_run_id = checkRun.id;
+    }
+
+    // Annotations sent in later updates are added to the ones already on the check run
+    for (let offset = ANNOTATIONS_PER_REQUEST; offset < annotations.length; offset += ANNOTATIONS_PER_REQUEST) {
+      await devopsService.updateCheckRun(repository, publication.check_run_id, {
+        output: output(annotations.slice(offset, offset + ANNOTATIONS_PER_REQUEST))
+      });
+    }
+  }
+}
+
+module.exports = new ReviewPublisher();
+module.exports.MARKER = MARKER;
+module.exports.fingerprint = fingerprint;
@@ -0,0 +1,127 @@
+const llmConfig = require('../config/llm');
+const llmUsageRepository = require('../repositories/llmUsageRepository');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+
+function budgetExceededError(status) {
+  const error = new Error(`LLM ${status.period} budget of $${status.limit_usd} for ${status.scope} ${status.id} exceeded`);
+  error.name = 'BudgetExceededError';
+  error.statusCode = 429;
+  error.details = status;
+  return error;
+}
+
+// Records tokens and estimated cost of every LLM call against the user, team and route it was made for
+class UsageMeter {
+  // Anthropic reports input/output tokens, OpenAI-compatible servers prompt/completion tokens
+  tokens(usage = {}) {
+    return {
+      input_tokens: usage?.input_tokens ?? usage?.prompt_tokens ?? 0,
+      output_tokens: usage?.output_tokens ?? usage?.completion_tokens ?? 0
+    };
+  }
+
+  price(provider, model) {
+    if (provider === 'local') {
+      return { input: 0, output: 0 };
+    }
+    const prefix = Object.keys(llmConfig.pricing)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? llmConfig.pricing[prefix] : null;
+  }
+
+  cost(provider, model, usage) {
+    const price = this.price(provider, model);
+    if (!price) {
+      logger.warn(`No LLM pricing for model ${model}, recording cost as 0`);
+      return 0;
+    }
+    const { input_tokens, output_tokens } = this.tokens(usage);
+    return (input_tokens * price.input + output_tokens * price.output) / 1e6;
+  }
+
+  async record(result) {
+    const { userId, team, route } = requestContext.get();
+    try {
+      await llmUsageRepository.record({
+        user_id: userId || null,
+        team: team || null,
+        route: route || null,
+        provider: result.provider,
+        model: result.model,
+        ...this.tokens(result.usage),
+        cost_usd: this.cost(result.provider, result.model, result.usage)
+      });
+    } catch (error) {
+      // A metering failure should not fail the call that was already paid for
+      logger.error('Error recording LLM usage:', error);
+    }
+  }
+
+  periodStart(period, now = new Date()) {
+    return period === 'daily'
+      ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+
+  periodEnd(period, now = new Date()) {
+    return period === 'daily'
+      ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  }
+
+  // Budgets that apply to a user and team: a rule for the exact id wins over the "*" rule for the same scope and period
+  budgetsFor({ userId, team }) {
+    const subjects = { user: userId, team };
+    const applicable = [];
+
+    for (const scope of ['user', 'team']) {
+      if (!subjects[scope]) continue;
+      for (const period of ['daily', 'monthly']) {
+        const rules = llmConfig.budgets.filter(b => b.scope === scope && b.period === period);
+        const rule = rules.find(b => b.id === subjects[scope]) || rules.find(b => b.id === '*');
+        if (rule) {
+          applicable.push({ ...rule, subject: subjects[scope] });
+        }
+      }
+    }
+    return applicable;
+  }
+
+  async budgetStatus(context = requestContext.get()) {
+    const now = new Date();
+    return Promise.all(this.budgetsFor(context).map(async budget => {
+      const field = budget.scope === 'user' ? 'user_id' : 'team';
+      const [totals] = await llmUsageRepository.totals({
+        where: { [field]: budget.subject },
+        since: this.periodStart(budget.period, now)
+      });
+      const spent = totals?.cost_usd || 0;
+
+      return {
+        scope: budget.scope,
+        id: budget.subject,
+        period: budget.period,
+        limit_usd: budget.limit_usd,
+        spent_usd: spent,
+        remaining_usd: Math.max(0, budget.limit_usd - spent),
+        resets_at: this.periodEnd(budget.period, now).toISOString()
+      };
+    }));
+  }
+
+  // Called before each LLM call; throws once the user or their team has used up a budget
+  async checkBudget(context = requestContext.get()) {
+    if (llmConfig.budgets.length === 0) {
+      return;
+    }
+
+    const exceeded = (await this.budgetStatus(context)).find(status => status.spent_usd >= status.limit_usd);
+    if (exceeded) {
+      throw budgetExceededError(exceeded);
+    }
+  }
+}
+
+module.exports = new UsageMeter();
@@ -0,0 +1,53 @@
+const dns = require('dns');
+const net = require('net');
+
+// Keeps requests to URLs that come from outside (callback URLs, the chat model's tool calls) away from
+// the server's own network
+
+// Loopback, private, link-local (cloud metadata), CGNAT and unspecified ranges
+const blockedAddresses = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+  .forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+function isInternalAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return blockedAddresses.check(mapped[1], 'ipv4');
+  }
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// By name or IP literal; other names are only known to be internal once they are resolved
+function isInternalHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  return host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) !== 0 && isInternalAddress(host));
+}
+
+function internalAddressError(hostname) {
+  const error = new Error(`host ${hostname} resolves to an internal address`);
+  error.name = 'ValidationError';
+  error.code = 'EINTERNALADDRESS';
+  return error;
+}
+
+// Used as the socket's DNS lookup, so the address that is checked is the one connected to
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.some(entry => isInternalAddress(entry.address))) {
+      return callback(internalAddressError(hostname));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isInternalAddress,
+  isInternalHost,
+  internalAddressError,
+  publicOnlyLookup
+};
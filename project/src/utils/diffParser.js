@@ -0,0 +1,113 @@
+// Parses the unified diffs GitHub returns for pull requests (Accept: application/vnd.github.v3.diff)
+// into files, hunks and lines, keeping each line's "position": the number of lines below the file's
+// first @@ header, which is how the pull request review API addresses lines in the diff. Later @@
+// headers count as positions too, so positions keep increasing until the next file.
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+function stripPrefix(path) {
+  if (path === '/dev/null') {
+    return null;
+  }
+  return path.replace(/^[ab]\//, '');
+}
+
+function parseDiff(diff) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let position = 0;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of (diff || '').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      const [, oldPath, newPath] = line.match(/^diff --git a\/(.+) b\/(.+)$/) || [];
+      file = { path: newPath || null, old_path: oldPath || null, status: 'modified', binary: false, hunks: [] };
+      files.push(file);
+      hunk = null;
+      position = 0;
+      continue;
+    }
+    if (!file) {
+      continue;
+    }
+
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      // The first header is position 0; every later one takes a position of its own
+      if (file.hunks.length > 0) {
+        position++;
+      }
+      oldLine = parseInt(header[1]);
+      newLine = parseInt(header[3]);
+      hunk = {
+        old_start: oldLine,
+        old_lines: header[2] === undefined ? 1 : parseInt(header[2]),
+        new_start: newLine,
+        new_lines: header[4] === undefined ? 1 : parseInt(header[4]),
+        lines: []
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk) {
+      // Extended headers between "diff --git" and the first hunk
+      if (line.startsWith('new file mode')) {
+        file.status = 'added';
+      } else if (line.startsWith('deleted file mode')) {
+        file.status = 'deleted';
+      } else if (line.startsWith('rename from ')) {
+        file.status = 'renamed';
+        file.old_path = line.slice('rename from '.length);
+      } else if (line.startsWith('rename to ')) {
+        file.path = line.slice('rename to '.length);
+      } else if (line.startsWith('Binary files ')) {
+        file.binary = true;
+      } else if (line.startsWith('--- ')) {
+        file.old_path = stripPrefix(line.slice(4));
+      } else if (line.startsWith('+++ ')) {
+        const path = stripPrefix(line.slice(4));
+        if (path) {
+          file.path = path;
+        }
+      }
+      continue;
+    }
+
+    if (line.startsWith('+')) {
+      hunk.lines.push({ type: 'add', content: line.slice(1), old_line: null, new_line: newLine++, position: ++position });
+    } else if (line.startsWith('-')) {
+      hunk.lines.push({ type: 'del', content: line.slice(1), old_line: oldLine++, new_line: null, position: ++position });
+    } else if (line.startsWith(' ')) {
+      hunk.lines.push({ type: 'context', content: line.slice(1), old_line: oldLine++, new_line: newLine++, position: ++position });
+    } else if (line.startsWith('\\')) {
+      // "\ No newline at end of file" takes a position but can't be commented on
+      position++;
+    }
+  }
+
+  return files;
+}
+
+// The diff position of a line of the new version of `path`, or null when that line is not in the diff
+function findPosition(files, path, line) {
+  const file = files.find(f => f.path === path);
+  if (!file) {
+    return null;
+  }
+
+  for (const hunk of file.hunks) {
+    const match = hunk.lines.find(l => l.type !== 'del' && l.new_line === line);
+    if (match) {
+      return match.position;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseDiff,
+  findPosition
+};
@@ -0,0 +1,49 @@
+// Serializers for streaming record exports (CSV and newline-delimited JSON)
+
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// Spreadsheets run cells starting with these as formulas; text cells get a leading ' so they stay text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsv(value) {
+  let text = formatValue(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvHeader(columns) {
+  return columns.map(escapeCsv).join(',') + '\n';
+}
+
+function toCsvRows(rows, columns) {
+  return rows.map(row => columns.map(column => escapeCsv(row[column])).join(',') + '\n').join('');
+}
+
+function toNdjson(rows) {
+  return rows.map(row => JSON.stringify(row) + '\n').join('');
+}
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  toCsvHeader,
+  toCsvRows,
+  toNdjson
+};
@@ -16,6 +16,8 @@ const logger = winston.createLogger({
 
 if (process.env.NODE_ENV !== 'production') {
   logger.add(new winston.transports.Console({
+    // Set by the stdio MCP entry point, whose stdout is reserved for the protocol
+    stderrLevels: process.env.LOG_TO_STDERR === 'true' ? Object.keys(winston.config.npm.levels) : [],
     format: winston.format.combine(
       winston.format.colorize(),
       winston.format.simple()
@@ -0,0 +1,18 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Who a piece of work is being done for (user, team, route), available anywhere below the request
+// or job that started it without threading it through every call
+const storage = new AsyncLocalStorage();
+
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+function get() {
+  return storage.getStore() || {};
+}
+
+module.exports = {
+  run,
+  get
+};
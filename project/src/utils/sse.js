@@ -0,0 +1,48 @@
+// Server-Sent Events for streamed LLM responses. Clients receive "token" events as text is
+// generated, then a single "done" event with the same body the JSON response would have had
+// (including usage), or an "error" event.
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+function wantsStream(req) {
+  return req.query.stream === 'true' || req.body?.stream === true;
+}
+
+function openStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stops nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  // Comment lines keep proxies from closing the connection while the model is still thinking
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': keep-alive\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+  res.on('close', () => clearInterval(heartbeat));
+
+  const close = (event, data) => {
+    send(event, data);
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  return {
+    token: text => send('token', { text }),
+    done: body => close('done', body),
+    error: body => close('error', body)
+  };
+}
+
+module.exports = {
+  wantsStream,
+  openStream
+};
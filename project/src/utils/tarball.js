@@ -0,0 +1,65 @@
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const tar = require('tar-stream');
+
+// Rewrites GitHub source tarballs into Docker build contexts. GitHub wraps every
+// path in an "<owner>-<repo>-<sha>/" directory, which would put the Dockerfile
+// one level below the context root, so that first path component is removed.
+
+function stripFirstComponent(path) {
+  const index = path.indexOf('/');
+  return index === -1 ? '' : path.slice(index + 1);
+}
+
+// maxBytes caps the total size of the files, which a small compressed archive can expand far beyond
+async function stripTarballRoot(archive, { maxBytes = Infinity } = {}) {
+  const gzipped = archive[0] === 0x1f && archive[1] === 0x8b;
+  const extract = tar.extract();
+  const pack = tar.pack();
+  const chunks = [];
+  let size = 0;
+
+  // Long names arrive already joined from their PAX or GNU headers, and the packer writes
+  // new PAX headers for the ones still too long. Pax records are dropped with the old paths
+  // they carry; GitHub's global header only holds the commit id.
+  extract.on('entry', (header, stream, next) => {
+    size += header.size || 0;
+    if (size > maxBytes) {
+      // The entry fails along with the extract, which reports the error
+      stream.on('error', () => {});
+      next(new Error(`Build context is larger than ${maxBytes} bytes`));
+      return;
+    }
+
+    const name = stripFirstComponent(header.name);
+    if (!name) {
+      // The wrapping directory itself
+      stream.resume();
+      stream.on('end', next);
+      return;
+    }
+
+    // Hard links point at another path in the archive; symlink targets are relative to the link and stay as they are
+    const linkname = header.type === 'link' ? stripFirstComponent(header.linkname) : header.linkname;
+    stream.pipe(pack.entry({ ...header, name, linkname, pax: undefined }, next));
+  });
+  extract.on('finish', () => pack.finalize());
+
+  await Promise.all([
+    pipeline(Readable.from([archive]), ...(gzipped ? [zlib.createGunzip()] : []), extract).catch(error => {
+      pack.destroy(error);
+      throw error;
+    }),
+    pipeline(pack, async function* collect(source) {
+      for await (const chunk of source) {
+        chunks.push(chunk);
+      }
+    })
+  ]);
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  stripTarballRoot
+};
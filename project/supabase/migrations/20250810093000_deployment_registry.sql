@@ -0,0 +1,26 @@
+-- Deployment registry: service metadata on deployments and a per-deployment history
+
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS service_name VARCHAR(255);
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS service_url VARCHAR(500);
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS branch VARCHAR(255);
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS health_status VARCHAR(50);
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS last_check_at TIMESTAMP;
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS created_by VARCHAR(255);
+ALTER TABLE deployments ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'::jsonb;
+
+-- History of status changes for each deployment
+CREATE TABLE IF NOT EXISTS deployment_history (
+    id SERIAL PRIMARY KEY,
+    deployment_id VARCHAR(255) NOT NULL REFERENCES deployments(deployment_id) ON DELETE CASCADE,
+    event VARCHAR(100) NOT NULL,
+    status VARCHAR(50),
+    image_tag VARCHAR(255),
+    user_id VARCHAR(255),
+    details JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_deployments_repository_environment ON deployments(repository, environment);
+CREATE INDEX IF NOT EXISTS idx_deployment_history_deployment_id ON deployment_history(deployment_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_deployment_id ON audit_logs(deployment_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id);
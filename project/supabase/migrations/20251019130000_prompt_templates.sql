@@ -0,0 +1,13 @@
+-- Versioned prompt templates; the highest version of each name is the active one.
+-- Version 0 of every prompt is the built-in default in src/prompts/defaults.js and is not stored.
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    version INTEGER NOT NULL,
+    system_prompt TEXT,
+    template TEXT NOT NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (name, version)
+);
@@ -0,0 +1,15 @@
+-- Multi-turn conversation sessions: recent turns, a summary of older ones and the entities resolved so far
+
+CREATE TABLE IF NOT EXISTS conversation_sessions (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) NOT NULL UNIQUE,
+    user_id VARCHAR(255) NOT NULL,
+    summary TEXT,
+    entities JSONB DEFAULT '{}'::jsonb,
+    turns JSONB DEFAULT '[]'::jsonb,
+    token_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_sessions_user_id ON conversation_sessions(user_id);
@@ -0,0 +1,3 @@
+-- Tool calls from /agent/chat that wait for the user's confirmation, with the conversation to resume
+
+ALTER TABLE conversation_sessions ADD COLUMN IF NOT EXISTS pending_action JSONB;
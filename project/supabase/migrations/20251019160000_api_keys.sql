@@ -0,0 +1,20 @@
+-- Scoped service API keys (e.g. for n8n). Only the SHA-256 hash of a key is stored; the key itself is
+-- shown once when it is issued or rotated.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    key_id VARCHAR(255) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    key_prefix VARCHAR(32) NOT NULL,
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    scopes JSONB DEFAULT '[]'::jsonb,
+    created_by VARCHAR(255),
+    expires_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    rotated_to VARCHAR(255),
+    usage_count INTEGER DEFAULT 0,
+    last_used_at TIMESTAMP,
+    last_used_route VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
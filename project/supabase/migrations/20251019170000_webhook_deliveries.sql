@@ -0,0 +1,14 @@
+-- GitHub webhook deliveries, keyed by X-GitHub-Delivery so redelivered events are not dispatched twice
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    delivery_id VARCHAR(255) NOT NULL UNIQUE,
+    event VARCHAR(100) NOT NULL,
+    action VARCHAR(100),
+    repository VARCHAR(255),
+    status VARCHAR(50) NOT NULL,
+    jobs JSONB DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_repository ON webhook_deliveries(repository);
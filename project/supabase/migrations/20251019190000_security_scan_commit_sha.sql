@@ -0,0 +1,4 @@
+-- Image configuration scans (scan_type 'image_config') belong to a commit rather than a branch
+
+ALTER TABLE security_scans ADD COLUMN IF NOT EXISTS commit_sha VARCHAR(64);
+ALTER TABLE security_scans ALTER COLUMN branch DROP NOT NULL;
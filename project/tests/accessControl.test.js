@@ -0,0 +1,88 @@
+const memoryStore = require('../src/repositories/memoryStore');
+const auditRepository = require('../src/repositories/auditRepository');
+const deploymentRegistry = require('../src/services/deploymentRegistry');
+const accessControl = require('../src/services/accessControl');
+const { parsePermissions, parseDefaultRole } = require('../src/config/rbac');
+const kubernetesConfig = require('../src/config/kubernetes');
+
+describe('AccessControl', () => {
+  beforeEach(() => {
+    memoryStore.reset();
+  });
+
+  it('should take the highest known role from the JWT claims', () => {
+    expect(accessControl.roleOf({ role: 'developer' })).toBe('developer');
+    expect(accessControl.roleOf({ roles: ['viewer', 'operator', 'release-manager'] })).toBe('operator');
+    expect(accessControl.roleOf({ id: 'n8n' })).toBe('viewer');
+    expect(accessControl.roleOf(undefined)).toBe('viewer');
+  });
+
+  it('should require a stronger role for production deploys and rollbacks', () => {
+    const developer = { id: 'bob', role: 'developer' };
+    const operator = { id: 'carol', role: 'operator' };
+
+    expect(accessControl.can(developer, 'deploy', 'staging')).toBe(true);
+    expect(accessControl.can(developer, 'deploy', 'production')).toBe(false);
+    expect(accessControl.can(operator, 'rollback', 'production')).toBe(true);
+    expect(accessControl.can({ role: 'viewer' }, 'deploy', 'development')).toBe(false);
+    // Without a known environment the strictest rule applies
+    expect(accessControl.can(developer, 'rollback', undefined)).toBe(false);
+    expect(accessControl.can(operator, 'prompts:write')).toBe(false);
+    expect(accessControl.can({ role: 'admin' }, 'prompts:write')).toBe(true);
+  });
+
+  it('should check rollbacks against the environment of the deployment and audit denials', async () => {
+    await deploymentRegistry.register({ deployment_id: 'deploy-1', repository: 'acme/api', environment: 'staging' }, 'carol');
+    await deploymentRegistry.register({ deployment_id: 'deploy-2', repository: 'acme/api', environment: 'production' }, 'carol');
+    const developer = { id: 'bob', role: 'developer' };
+
+    await expect(accessControl.authorize(developer, 'rollback', { deployment_id: 'deploy-1' })).resolves.toBeUndefined();
+    await expect(accessControl.authorize(developer, 'rollback', { deployment_id: 'deploy-2', source: 'POST /agent/rollback' }))
+      .rejects.toMatchObject({ name: 'ForbiddenError', statusCode: 403, details: { required_role: 'operator' } });
+
+    const { rows } = await auditRepository.list({ where: { event_type: 'access_denied' } });
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      deployment_id: 'deploy-2',
+      user_id: 'bob',
+      details: { permission: 'rollback', environment: 'production', role: 'developer', required_role: 'operator', source: 'POST /agent/rollback' }
+    });
+  });
+
+  it('should refuse a namespace or context outside the environment', async () => {
+    const developer = { id: 'bob', role: 'developer' };
+    kubernetesConfig.environments.production = { namespace: 'prod', context: 'prod-cluster' };
+
+    try {
+      await expect(accessControl.authorize(developer, 'deploy', { environment: 'staging', kubernetes_config: { namespace: 'staging' } }))
+        .resolves.toBeUndefined();
+      await expect(accessControl.authorize(developer, 'deploy', {
+        environment: 'staging',
+        kubernetes_config: { namespace: 'prod', context: 'prod-cluster' },
+        source: 'POST /agent/deploy'
+      })).rejects.toMatchObject({ statusCode: 403, details: { environment: 'staging', kubernetes_config: { namespace: 'prod' } } });
+      await expect(accessControl.authorize({ role: 'admin' }, 'deploy', { environment: 'staging', kubernetes_config: { context: 'prod-cluster' } }))
+        .rejects.toThrow('kubernetes_config.context "prod-cluster" is not where staging deploys to');
+      await expect(accessControl.authorize({ role: 'operator' }, 'deploy', { environment: 'production', kubernetes_config: { namespace: 'prod', context: 'prod-cluster' } }))
+        .resolves.toBeUndefined();
+    } finally {
+      delete kubernetesConfig.environments.production;
+    }
+
+    const { rows } = await auditRepository.list({ where: { event_type: 'access_denied' } });
+    expect(rows).toHaveLength(2);
+    expect(kubernetesConfig.targetFor('staging')).toEqual({ namespace: 'staging', context: null });
+    expect(() => kubernetesConfig.parseEnvironments('{"production": {"cluster": "x"}}')).toThrow('Invalid KUBERNETES_ENVIRONMENTS');
+  });
+
+  it('should merge and validate RBAC_PERMISSIONS and RBAC_DEFAULT_ROLE', () => {
+    const permissions = parsePermissions('{"deploy": {"production": "admin", "default": "developer"}, "scan": "developer"}');
+    expect(permissions.deploy.production).toBe('admin');
+    expect(permissions.scan).toBe('developer');
+    expect(permissions.rollback.production).toBe('operator');
+
+    expect(() => parsePermissions('{"deploy": "root"}')).toThrow('Invalid RBAC rule for "deploy"');
+    expect(() => parsePermissions('{bad')).toThrow('Invalid RBAC_PERMISSIONS');
+    expect(() => parseDefaultRole('superuser')).toThrow('Invalid RBAC_DEFAULT_ROLE');
+  });
+});
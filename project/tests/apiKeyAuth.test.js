@@ -0,0 +1,57 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const memoryStore = require('../src/repositories/memoryStore');
+const apiKeyService = require('../src/services/apiKeyService');
+const { apiKeyAuth, requireScope } = require('../src/middleware/apiKeyAuth');
+
+function app() {
+  const server = express();
+  server.use(apiKeyAuth);
+  server.post('/notifications/slack', requireScope('notifications:send'), (req, res) => res.json({ user: req.user }));
+  return server;
+}
+
+describe('apiKeyAuth', () => {
+  beforeEach(() => {
+    memoryStore.reset();
+  });
+
+  it('should accept API keys in either header and limit them to their scopes', async () => {
+    const sender = await apiKeyService.issue({ name: 'n8n', scopes: ['notifications:send'] }, 'admin-1');
+    const reader = await apiKeyService.issue({ name: 'grafana', scopes: ['logging:read'] }, 'admin-1');
+
+    const bearer = await request(app()).post('/notifications/slack').set('Authorization', `Bearer ${sender.key}`);
+    expect(bearer.status).toBe(200);
+    expect(bearer.body.user).toEqual({ id: `api-key:${sender.key_id}`, name: 'n8n', scopes: ['notifications:send'] });
+
+    const header = await request(app()).post('/notifications/slack').set('X-API-Key', sender.key);
+    expect(header.status).toBe(200);
+
+    const missingScope = await request(app()).post('/notifications/slack').set('X-API-Key', reader.key);
+    expect(missingScope.status).toBe(403);
+    expect(missingScope.body).toMatchObject({ required_scope: 'notifications:send' });
+  });
+
+  it('should refuse revoked API keys', async () => {
+    const { key, key_id } = await apiKeyService.issue({ name: 'n8n', scopes: ['notifications:send'] }, 'admin-1');
+    await apiKeyService.revoke(key_id, 'admin-1');
+
+    const response = await request(app()).post('/notifications/slack').set('X-API-Key', key);
+
+    expect(response.status).toBe(401);
+    expect(response.body).toMatchObject({ error: 'Invalid API key' });
+  });
+
+  it('should fall back to JWTs, which scopes do not limit', async () => {
+    const token = jwt.sign({ id: 'alice', role: 'operator' }, process.env.JWT_SECRET);
+
+    const response = await request(app()).post('/notifications/slack').set('Authorization', `Bearer ${token}`);
+    expect(response.status).toBe(200);
+    expect(response.body.user).toMatchObject({ id: 'alice', role: 'operator' });
+
+    const invalid = await request(app()).post('/notifications/slack').set('Authorization', 'Bearer not-a-jwt');
+    expect(invalid.status).toBe(401);
+    expect(invalid.body).toMatchObject({ error: 'Invalid token' });
+  });
+});
@@ -0,0 +1,76 @@
+const memoryStore = require('../src/repositories/memoryStore');
+const auditRepository = require('../src/repositories/auditRepository');
+const apiKeyRepository = require('../src/repositories/apiKeyRepository');
+const apiKeyService = require('../src/services/apiKeyService');
+const { requireScope } = require('../src/middleware/apiKeyAuth');
+
+describe('ApiKeyService', () => {
+  beforeEach(() => {
+    memoryStore.reset();
+  });
+
+  it('should issue a key that is only stored as a hash', async () => {
+    const issued = await apiKeyService.issue({ name: 'n8n', scopes: ['notifications:send', 'logging:write'] }, 'admin-1');
+
+    expect(issued.key).toMatch(/^mcp_[A-Za-z0-9_-]{43}$/);
+    expect(issued).toMatchObject({ name: 'n8n', key_prefix: issued.key.slice(0, 12), usage_count: 0, created_by: 'admin-1' });
+    expect(issued.key_hash).toBeUndefined();
+
+    const stored = await apiKeyRepository.findByKeyId(issued.key_id);
+    expect(stored.key_hash).toHaveLength(64);
+    expect(JSON.stringify(stored)).not.toContain(issued.key);
+
+    const { rows } = await auditRepository.list({ where: { event_type: 'api_key_issued' } });
+    expect(rows[0].details).toEqual({ key_id: issued.key_id, name: 'n8n', scopes: ['notifications:send', 'logging:write'] });
+  });
+
+  it('should reject unknown scopes and past expiry dates', async () => {
+    await expect(apiKeyService.issue({ name: 'n8n', scopes: ['agents:deploy'] }, 'admin-1'))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('unknown scopes: agents:deploy') });
+    await expect(apiKeyService.issue({ scopes: [], expires_at: '2020-01-01T00:00:00Z' }, 'admin-1'))
+      .rejects.toThrow('name is required; scopes must be a non-empty list of: notifications:send, logging:read, logging:write; expires_at must be a future ISO 8601 timestamp');
+  });
+
+  it('should count each use of an active key', async () => {
+    const { key, key_id } = await apiKeyService.issue({ name: 'n8n', scopes: ['logging:write'] }, 'admin-1');
+
+    expect(await apiKeyService.authenticate(key, 'POST /logging/audit')).toMatchObject({ key_id, scopes: ['logging:write'] });
+    await apiKeyService.authenticate(key, 'POST /logging/conversation');
+    expect(await apiKeyService.authenticate('mcp_not-a-real-key', 'POST /logging/audit')).toBeNull();
+
+    expect(await apiKeyService.get(key_id)).toMatchObject({ usage_count: 2, last_used_route: 'POST /logging/conversation' });
+  });
+
+  it('should stop accepting a key once it is rotated, revoked or expired', async () => {
+    const original = await apiKeyService.issue({ name: 'n8n', scopes: ['logging:read'] }, 'admin-1');
+
+    const rotated = await apiKeyService.rotate(original.key_id, 'admin-1');
+    expect(rotated).toMatchObject({ name: 'n8n', scopes: ['logging:read'] });
+    expect(await apiKeyService.authenticate(original.key, 'GET /logging/audit')).toBeNull();
+    expect(await apiKeyService.get(original.key_id)).toMatchObject({ rotated_to: rotated.key_id, revoked_at: expect.any(Date) });
+    await expect(apiKeyService.rotate(original.key_id, 'admin-1')).rejects.toMatchObject({ statusCode: 409 });
+
+    await apiKeyService.revoke(rotated.key_id, 'admin-1');
+    expect(await apiKeyService.authenticate(rotated.key, 'GET /logging/audit')).toBeNull();
+    await expect(apiKeyService.revoke('key-unknown', 'admin-1')).rejects.toMatchObject({ statusCode: 404 });
+
+    const expiring = await apiKeyService.issue({ name: 'ci', scopes: ['logging:read'], expires_at: new Date(Date.now() + 60000) }, 'admin-1');
+    await apiKeyRepository.update(expiring.key_id, { expires_at: new Date(Date.now() - 1000) });
+    expect(await apiKeyService.authenticate(expiring.key, 'GET /logging/audit')).toBeNull();
+  });
+
+  it('should only limit API key requests to their scopes', () => {
+    const middleware = requireScope('notifications:send');
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    middleware({ user: { id: 'alice' } }, res, next);
+    middleware({ apiKey: { scopes: ['notifications:send'] } }, res, next);
+    expect(next).toHaveBeenCalledTimes(2);
+
+    middleware({ apiKey: { scopes: ['logging:read'] } }, res, next);
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ required_scope: 'notifications:send' }));
+  });
+});
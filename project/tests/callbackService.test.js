@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const http = require('http');
+const callbackService = require('../src/services/callbackService');
+const jobQueue = require('../src/services/jobQueue');
+
+// Receiver that answers with the queued status codes in order, then 200
+function startReceiver(statuses = []) {
+  const deliveries = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      deliveries.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, deliveries, url: `http://127.0.0.1:${server.address().port}/resume` }));
+  });
+}
+
+describe('CallbackService', () => {
+  let receiver;
+
+  beforeEach(() => {
+    callbackService.signingSecret = 'test-callback-secret';
+    callbackService.allowedHosts = ['127.0.0.1'];
+    callbackService.retryDelayMs = 5;
+  });
+
+  afterEach(() => {
+    receiver?.server.close();
+  });
+
+  it('should sign the timestamp and body with HMAC-SHA256', async () => {
+    receiver = await startReceiver();
+
+    const outcome = await callbackService.deliver(receiver.url, { status: 'completed' });
+    const [delivery] = receiver.deliveries;
+    const expected = crypto.createHmac('sha256', 'test-callback-secret')
+      .update(`${delivery.headers['x-mcp-timestamp']}.${delivery.body}`)
+      .digest('hex');
+
+    expect(outcome).toMatchObject({ delivered: true, attempts: 1, status_code: 200 });
+    expect(JSON.parse(delivery.body)).toEqual({ status: 'completed' });
+    expect(delivery.headers['x-mcp-signature-256']).toBe(`sha256=${expected}`);
+    expect(delivery.headers['x-mcp-delivery']).toBe(outcome.delivery_id);
+  });
+
+  it('should retry server errors with the same delivery id', async () => {
+    receiver = await startReceiver([503, 500]);
+
+    const outcome = await callbackService.deliver(receiver.url, { status: 'completed' });
+
+    expect(outcome).toMatchObject({ delivered: true, attempts: 3 });
+    expect(new Set(receiver.deliveries.map(d => d.headers['x-mcp-delivery'])).size).toBe(1);
+  });
+
+  it('should not retry client errors', async () => {
+    receiver = await startReceiver([404]);
+
+    const outcome = await callbackService.deliver(receiver.url, { status: 'completed' });
+
+    expect(outcome).toMatchObject({ delivered: false, attempts: 1, status_code: 404 });
+  });
+
+  it('should validate the callback URL against the allowlist', () => {
+    callbackService.allowedHosts = ['n8n.example.com', '*.internal.example.com'];
+
+    expect(() => callbackService.validate('https://n8n.example.com/webhook-waiting/1')).not.toThrow();
+    expect(() => callbackService.validate('https://flows.internal.example.com/resume')).not.toThrow();
+    expect(() => callbackService.validate('https://evil.example.org/')).toThrow('is not allowed');
+    expect(() => callbackService.validate('file:///etc/passwd')).toThrow('must use http or https');
+
+    callbackService.signingSecret = undefined;
+    expect(() => callbackService.validate('https://n8n.example.com/')).toThrow('CALLBACK_SIGNING_SECRET');
+  });
+
+  it('should refuse internal hosts when no allowlist is set', async () => {
+    callbackService.allowedHosts = [];
+
+    expect(() => callbackService.validate('https://n8n.example.com/webhook-waiting/1')).not.toThrow();
+    expect(() => callbackService.validate('http://169.254.169.254/latest/meta-data/')).toThrow('internal address');
+    expect(() => callbackService.validate('http://localhost:3000/')).toThrow('internal address');
+    expect(() => callbackService.validate('http://10.0.0.12/')).toThrow('internal address');
+    expect(() => callbackService.validate('http://[::ffff:127.0.0.1]/')).toThrow('internal address');
+    expect(() => callbackService.validate('http://[fd00::1]/')).toThrow('internal address');
+  });
+
+  it('should not deliver to names that resolve to internal addresses', async () => {
+    receiver = await startReceiver();
+    callbackService.allowedHosts = [];
+    const url = receiver.url.replace('127.0.0.1', 'localtest.internal');
+    const lookup = jest.spyOn(require('dns'), 'lookup')
+      .mockImplementation((hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+    const outcome = await callbackService.deliver(url, { status: 'completed' });
+    lookup.mockRestore();
+
+    expect(outcome).toMatchObject({ delivered: false, attempts: 1 });
+    expect(outcome.error).toContain('internal address');
+    expect(receiver.deliveries).toHaveLength(0);
+  });
+
+  it('should post job results to the callback when the job finishes', async () => {
+    receiver = await startReceiver();
+    jobQueue.register('test_callback', async payload => ({ deployed: payload.image_tag }));
+
+    const { job_id } = await jobQueue.enqueue('test_callback', { image_tag: 'acme/api:v2' }, { callbackUrl: receiver.url });
+    for (let i = 0; i < 100 && receiver.deliveries.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    expect(JSON.parse(receiver.deliveries[0].body)).toMatchObject({
+      event: 'job.completed',
+      job_id,
+      status: 'completed',
+      result: { deployed: 'acme/api:v2' }
+    });
+  });
+});
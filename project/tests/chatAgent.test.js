@@ -0,0 +1,176 @@
+const memoryStore = require('../src/repositories/memoryStore');
+const auditRepository = require('../src/repositories/auditRepository');
+const llmService = require('../src/services/llmService');
+const devopsService = require('../src/services/devopsService');
+const deploymentRegistry = require('../src/services/deploymentRegistry');
+const conversationMemory = require('../src/services/conversationMemory');
+const chatAgent = require('../src/services/chatAgent');
+
+jest.mock('@anthropic-ai/sdk');
+jest.mock('openai');
+
+const MODEL = 'claude-3-5-sonnet-20240620';
+const OPERATOR = { id: 'alice', role: 'operator' };
+
+function toolUse(id, name, input) {
+  return { content: [{ type: 'tool_use', id, name, input }], usage: { input_tokens: 100, output_tokens: 20 } };
+}
+
+function text(reply) {
+  return { content: [{ type: 'text', text: reply }], usage: { input_tokens: 100, output_tokens: 20 } };
+}
+
+describe('ChatAgent', () => {
+  let create;
+  let session;
+
+  beforeEach(async () => {
+    memoryStore.reset();
+    jest.restoreAllMocks();
+    create = jest.fn();
+    llmService.anthropic = { messages: { create } };
+
+    await deploymentRegistry.register({
+      deployment_id: 'deploy-7',
+      repository: 'acme/checkout-service',
+      environment: 'production',
+      service_url: 'https://checkout.example.com'
+    }, 'alice');
+    jest.spyOn(devopsService, 'performHealthCheck').mockResolvedValue({ status_code: 200, error_rate: 7.4, response_time: 180 });
+    jest.spyOn(devopsService, 'performRollback').mockResolvedValue({
+      success: true,
+      steps: [],
+      duration: '12s',
+      rollback_version: 'checkout:1.4.2',
+      health_check_passed: true
+    });
+
+    session = await conversationMemory.start('alice');
+  });
+
+  async function askToRollBack() {
+    create
+      .mockResolvedValueOnce(toolUse('call-1', 'listDeployments', { service: 'checkout-service', environment: 'production' }))
+      .mockResolvedValueOnce(toolUse('call-2', 'performHealthCheck', { deployment_id: 'deploy-7' }))
+      .mockResolvedValueOnce(toolUse('call-3', 'performRollback', { deployment_id: 'deploy-7', reason: 'error rate 7.4% is over 5%' }));
+
+    return chatAgent.chat(session, 'check checkout-service and roll back if error rate is over 5%', { model: MODEL, userId: 'alice' });
+  }
+
+  it('should run read-only tools and hold a rollback for confirmation', async () => {
+    const result = await askToRollBack();
+
+    expect(result.status).toBe('confirmation_required');
+    expect(result.tool_calls.map(call => call.tool)).toEqual(['listDeployments', 'performHealthCheck']);
+    expect(result.tool_calls[0].output[0]).toMatchObject({ deployment_id: 'deploy-7', service: 'checkout-service' });
+    expect(result.pending_action).toMatchObject({
+      tool: 'performRollback',
+      input: { deployment_id: 'deploy-7' },
+      description: 'Roll back deployment deploy-7 to its previous revision (gradual): error rate 7.4% is over 5%'
+    });
+    expect(result.pending_action.confirmation_token).toMatch(/^confirm-/);
+    expect(devopsService.performRollback).not.toHaveBeenCalled();
+    expect(result.usage).toEqual({ input_tokens: 300, output_tokens: 60 });
+
+    // Tool results go back to the model as tool_result blocks answering each tool_use
+    expect(create.mock.calls[2][0].messages[4]).toEqual({
+      role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: 'call-2', content: expect.stringContaining('"error_rate":7.4') }]
+    });
+  });
+
+  it('should run the held rollback once confirmed and let the model finish', async () => {
+    const { pending_action } = await askToRollBack();
+    create.mockResolvedValueOnce(text('Error rate was 7.4%, so I rolled checkout-service back to checkout:1.4.2.'));
+
+    const current = await conversationMemory.get(session.session_id, 'alice');
+    const result = await chatAgent.confirm(current, pending_action.confirmation_token, true, { model: MODEL, userId: 'alice', user: OPERATOR });
+
+    expect(result.status).toBe('completed');
+    expect(result.reply).toMatch(/rolled checkout-service back/);
+    expect(result.pending_action).toBeNull();
+    expect(devopsService.performRollback).toHaveBeenCalledWith('deploy-7', 'gradual', { revision: undefined });
+    expect(create.mock.calls[3][0].messages[6].content[0]).toMatchObject({ type: 'tool_result', tool_use_id: 'call-3' });
+
+    const { rows } = await auditRepository.list({ where: { deployment_id: 'deploy-7' } });
+    expect(rows.map(row => row.event_type)).toEqual(['rollback', 'agent_action_confirmed']);
+
+    const stored = await conversationMemory.get(session.session_id, 'alice');
+    expect(stored.pending_action).toBeNull();
+    expect(stored.entities).toMatchObject({ service: 'checkout-service', deployment_id: 'deploy-7' });
+    await expect(chatAgent.confirm(stored, pending_action.confirmation_token, true, { model: MODEL, userId: 'alice' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should refuse the rollback when the user may not roll back production', async () => {
+    const { pending_action } = await askToRollBack();
+    create.mockResolvedValueOnce(text('You are not allowed to roll back production deployments.'));
+
+    const current = await conversationMemory.get(session.session_id, 'alice');
+    const result = await chatAgent.confirm(current, pending_action.confirmation_token, true, {
+      model: MODEL,
+      userId: 'alice',
+      user: { id: 'alice', role: 'developer' }
+    });
+
+    expect(result.tool_calls[2]).toMatchObject({
+      tool: 'performRollback',
+      status: 'failed',
+      error: 'rollback in production requires the operator role (you have developer)'
+    });
+    expect(devopsService.performRollback).not.toHaveBeenCalled();
+
+    const { rows } = await auditRepository.list({ where: { event_type: 'access_denied' } });
+    expect(rows[0]).toMatchObject({ deployment_id: 'deploy-7', user_id: 'alice' });
+  });
+
+  it('should tell the model when the user declines', async () => {
+    const { pending_action } = await askToRollBack();
+    create.mockResolvedValueOnce(text('Okay, I left checkout-service as it is.'));
+
+    const current = await conversationMemory.get(session.session_id, 'alice');
+    const result = await chatAgent.confirm(current, pending_action.confirmation_token, false, { model: MODEL, userId: 'alice' });
+
+    expect(result.tool_calls[2]).toMatchObject({ tool: 'performRollback', status: 'declined' });
+    expect(create.mock.calls[3][0].messages[6].content[0].content).toContain('declined');
+    expect(devopsService.performRollback).not.toHaveBeenCalled();
+  });
+
+  it('should refuse new messages while an action waits for confirmation', async () => {
+    await askToRollBack();
+
+    const current = await conversationMemory.get(session.session_id, 'alice');
+    await expect(chatAgent.chat(current, 'what is the cpu usage?', { model: MODEL, userId: 'alice' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('should report invalid tool calls back to the model instead of asking for confirmation', async () => {
+    create
+      .mockResolvedValueOnce(toolUse('call-1', 'performRollback', { deployment_id: 'deploy-7' }))
+      .mockResolvedValueOnce(text('I need a reason before rolling back.'));
+
+    const result = await chatAgent.chat(session, 'roll back checkout', { model: MODEL, userId: 'alice' });
+
+    expect(result.status).toBe('completed');
+    expect(result.pending_action).toBeNull();
+    expect(result.tool_calls[0]).toMatchObject({ status: 'failed', error: "Invalid call: / must have required property 'reason'" });
+  });
+
+  it('should only health-check public addresses when the model picks the URL', async () => {
+    const lookup = jest.spyOn(require('dns'), 'lookup')
+      .mockImplementation((hostname, options, callback) => callback(null, [{ address: '10.0.0.12', family: 4 }]));
+    devopsService.performHealthCheck.mockRestore();
+    create
+      .mockResolvedValueOnce(toolUse('call-1', 'performHealthCheck', { service_url: 'http://169.254.169.254/latest/meta-data/' }))
+      .mockResolvedValueOnce(toolUse('call-2', 'performHealthCheck', { service_url: 'http://metadata.example.com/' }))
+      .mockResolvedValueOnce(text('Both addresses are internal, so I did not check them.'));
+
+    const result = await chatAgent.chat(session, 'check the metadata service', { model: MODEL, userId: 'alice' });
+
+    expect(result.tool_calls).toMatchObject([
+      { tool: 'performHealthCheck', status: 'failed', error: 'host 169.254.169.254 resolves to an internal address' },
+      { tool: 'performHealthCheck', status: 'failed', error: 'host metadata.example.com resolves to an internal address' }
+    ]);
+    expect(lookup).toHaveBeenCalledWith('metadata.example.com', expect.anything(), expect.any(Function));
+  });
+});
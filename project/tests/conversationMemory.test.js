@@ -0,0 +1,107 @@
+const memoryStore = require('../src/repositories/memoryStore');
+const conversationMemory = require('../src/services/conversationMemory');
+const llmService = require('../src/services/llmService');
+
+jest.mock('@anthropic-ai/sdk');
+jest.mock('openai');
+
+function intentResponse(intent, entities) {
+  return {
+    content: [{ type: 'tool_use', name: 'intent_analysis', input: { intent, confidence: 0.9, entities, suggested_workflow: intent } }],
+    usage: {}
+  };
+}
+
+describe('ConversationMemory', () => {
+  beforeEach(() => {
+    memoryStore.reset();
+    conversationMemory.tokenWindow = 4000;
+  });
+
+  it('should carry entities from earlier turns into follow-up intent analysis', async () => {
+    const create = jest.fn()
+      .mockResolvedValueOnce(intentResponse('deploy', { service: 'payments-api', environment: 'production', deployment_id: 'deploy-42' }))
+      .mockResolvedValueOnce(intentResponse('rollback', { action: 'rollback', service: '' }));
+    llmService.anthropic = { messages: { create } };
+
+    let session = await conversationMemory.start('alice');
+    for (const message of ['Deploy payments-api to production', 'now roll that back']) {
+      const result = await llmService.analyzeIntent(message, {}, {
+        model: 'claude-3-haiku-20240307',
+        conversation: conversationMemory.context(session)
+      });
+      session = await conversationMemory.record(session, [
+        { role: 'user', content: message, intent: result.data.intent, entities: result.data.entities }
+      ]);
+    }
+
+    const followUp = create.mock.calls[1][0].messages[0].content;
+    expect(followUp).toContain('user: Deploy payments-api to production');
+    expect(followUp).toContain('"deployment_id": "deploy-42"');
+    expect(session.entities).toEqual({
+      service: 'payments-api',
+      environment: 'production',
+      deployment_id: 'deploy-42',
+      action: 'rollback'
+    });
+    expect(session.turns.map(turn => turn.intent)).toEqual(['deploy', 'rollback']);
+  });
+
+  it('should not store the same user message twice', async () => {
+    let session = await conversationMemory.start('alice');
+    session = await conversationMemory.record(session, [{ role: 'user', content: 'Deploy api' }]);
+    session = await conversationMemory.record(session, [
+      { role: 'user', content: 'Deploy api' },
+      { role: 'assistant', content: 'Deploying api to staging.' }
+    ]);
+
+    expect(session.turns.map(turn => turn.role)).toEqual(['user', 'assistant']);
+  });
+
+  it('should summarise older turns once the token window is exceeded', async () => {
+    const create = jest.fn().mockResolvedValue({
+      content: [{ type: 'text', text: 'User deployed payments-api to production as deploy-42.' }],
+      usage: {}
+    });
+    llmService.anthropic = { messages: { create } };
+    conversationMemory.tokenWindow = 50;
+
+    let session = await conversationMemory.start('alice');
+    for (let i = 1; i <= 4; i++) {
+      session = await conversationMemory.record(session, [{ role: 'user', content: `message ${i} `.repeat(6) }]);
+    }
+
+    expect(create.mock.calls[0][0].messages[0].content).toContain('user: message 1');
+    expect(session.summary).toBe('User deployed payments-api to production as deploy-42.');
+    expect(session.turns.length).toBeLessThan(4);
+    expect(session.turns[session.turns.length - 1].content).toMatch(/^message 4/);
+    expect(session.token_count).toBeLessThanOrEqual(50);
+    expect(conversationMemory.context(session).transcript).toMatch(/^Summary of earlier messages: User deployed/);
+  });
+
+  it('should drop older turns when summarising fails', async () => {
+    llmService.anthropic = { messages: { create: jest.fn().mockRejectedValue(new Error('invalid x-api-key')) } };
+    conversationMemory.tokenWindow = 20;
+
+    let session = await conversationMemory.start('alice');
+    session = await conversationMemory.record(session, [
+      { role: 'user', content: 'Deploy payments-api to production please' },
+      { role: 'assistant', content: 'Deployment deploy-42 started for payments-api' }
+    ]);
+
+    expect(session.summary).toBeNull();
+    expect(session.turns.map(turn => turn.role)).toEqual(['assistant']);
+  });
+
+  it('should only return sessions to their owner and clear them in place', async () => {
+    let session = await conversationMemory.start('alice');
+    session = await conversationMemory.record(session, [
+      { role: 'user', content: 'Deploy api', entities: { service: 'api' } }
+    ]);
+
+    expect(await conversationMemory.get(session.session_id, 'bob')).toBeNull();
+
+    const cleared = await conversationMemory.clear(await conversationMemory.get(session.session_id, 'alice'));
+    expect(cleared).toMatchObject({ session_id: session.session_id, summary: null, entities: {}, turns: [], token_count: 0 });
+  });
+});
@@ -0,0 +1,80 @@
+const memoryStore = require('../src/repositories/memoryStore');
+const auditRepository = require('../src/repositories/auditRepository');
+const devopsService = require('../src/services/devopsService');
+const deploymentRegistry = require('../src/services/deploymentRegistry');
+const agentOperations = require('../src/services/agentOperations');
+
+describe('DeploymentRegistry', () => {
+  beforeEach(() => {
+    memoryStore.reset();
+    jest.restoreAllMocks();
+  });
+
+  it('should supersede earlier active deployments of the same service', async () => {
+    await deploymentRegistry.register({
+      deployment_id: 'deploy-1',
+      repository: 'acme/api',
+      environment: 'production',
+      image_tag: 'acme/api:v1'
+    }, 'alice');
+    await deploymentRegistry.register({
+      deployment_id: 'deploy-2',
+      repository: 'acme/api',
+      environment: 'production',
+      image_tag: 'acme/api:v2'
+    }, 'alice');
+
+    const { rows } = await deploymentRegistry.list({ environment: 'production' });
+    const first = await deploymentRegistry.get('deploy-1');
+
+    expect(rows.map(d => d.deployment_id)).toEqual(['deploy-2']);
+    expect(first.status).toBe('superseded');
+    expect(first.history.map(h => h.event)).toEqual(['superseded', 'registered']);
+    // No URL is made up when the deploy didn't give one
+    expect(first.service_url).toBeNull();
+  });
+
+  it('should give deployments registered together distinct ids', async () => {
+    const deployments = await Promise.all([1, 2, 3].map(i =>
+      deploymentRegistry.register({ repository: `acme/service-${i}`, environment: 'staging' })));
+
+    expect(new Set(deployments.map(d => d.deployment_id)).size).toBe(3);
+    expect(deployments[0].deployment_id).toMatch(/^deploy-[0-9a-f-]{36}$/);
+  });
+
+  it('should record status changes in the deployment history', async () => {
+    await deploymentRegistry.register({
+      deployment_id: 'deploy-1',
+      repository: 'acme/api',
+      environment: 'staging'
+    });
+
+    await deploymentRegistry.update('deploy-1', { status: 'rolled_back' }, { event: 'rollback', userId: 'bob' });
+    const deployment = await deploymentRegistry.get('deploy-1');
+
+    expect(deployment.status).toBe('rolled_back');
+    expect(deployment.history[0]).toMatchObject({ event: 'rollback', user_id: 'bob', status: 'rolled_back' });
+  });
+
+  it('should reject unknown statuses', async () => {
+    await expect(deploymentRegistry.update('deploy-1', { status: 'exploded' }))
+      .rejects.toMatchObject({ name: 'ValidationError' });
+  });
+
+  it('should register rolling deploys that fail, with an audit event', async () => {
+    jest.spyOn(devopsService, 'deployToKubernetes').mockRejectedValue(new Error('Rollout of staging/api timed out'));
+
+    await expect(agentOperations.deploy({ repository: 'acme/api', environment: 'staging', image_tag: 'acme/api:v3' }, { userId: 'alice' }))
+      .rejects.toThrow('Rollout of staging/api timed out');
+
+    const { rows } = await deploymentRegistry.list({ status: 'all' });
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      status: 'failed',
+      image_tag: 'acme/api:v3',
+      metadata: { strategy: 'rolling', namespace: 'staging', error: 'Rollout of staging/api timed out' }
+    });
+    const { rows: events } = await auditRepository.list({ where: { deployment_id: rows[0].deployment_id } });
+    expect(events).toMatchObject([{ event_type: 'deployment', user_id: 'alice', details: { status: 'failed' } }]);
+  });
+});
@@ -0,0 +1,272 @@
+const devopsService = require('../src/services/devopsService');
+const deploymentRegistry = require('../src/services/deploymentRegistry');
+const deploymentStrategies = require('../src/services/deploymentStrategies');
+const memoryStore = require('../src/repositories/memoryStore');
+
+// In-memory stand-in for KubernetesClient: every rollout is immediately ready at the requested size
+function fakeCluster(objects = {}) {
+  const calls = [];
+
+  const client = {
+    objects,
+    calls,
+    apply: async manifest => {
+      const key = `${manifest.kind}/${manifest.metadata.name}`;
+      calls.push(['apply', key]);
+      const existing = objects[key];
+      objects[key] = JSON.parse(JSON.stringify(manifest));
+      if (existing && manifest.spec && manifest.spec.replicas === undefined && existing.spec.replicas !== undefined) {
+        objects[key].spec.replicas = existing.spec.replicas;
+      }
+    },
+    find: async (kind, namespace, name) => objects[`${kind}/${name}`] || null,
+    getDeployment: async (namespace, name) => objects[`Deployment/${name}`],
+    // JSON patch replace operations, or the pod label merge patch the strategies send
+    patch: async (kind, namespace, name, patch) => {
+      calls.push(['patch', `${kind}/${name}`]);
+      if (Array.isArray(patch)) {
+        for (const { path, value } of patch) {
+          const keys = path.split('/').slice(1);
+          const parent = keys.slice(0, -1).reduce((node, key) => node[key], objects[`${kind}/${name}`]);
+          parent[keys[keys.length - 1]] = value;
+        }
+        return;
+      }
+      const template = objects[`${kind}/${name}`].spec.template;
+      template.metadata.labels = { ...template.metadata.labels, ...patch.spec.template.metadata.labels };
+    },
+    scale: async (namespace, name, replicas) => {
+      calls.push(['scale', name, replicas]);
+      objects[`Deployment/${name}`].spec.replicas = replicas;
+    },
+    delete: async (kind, namespace, name) => {
+      calls.push(['delete', `${kind}/${name}`]);
+      delete objects[`${kind}/${name}`];
+    },
+    waitForRollout: async (namespace, name) => {
+      const desired = objects[`Deployment/${name}`].spec.replicas;
+      return { replicas: { desired, total: desired, updated: desired, ready: desired, available: desired } };
+    }
+  };
+
+  return client;
+}
+
+function existingDeployment(name, replicas, image, labels = {}) {
+  return {
+    kind: 'Deployment',
+    metadata: { name },
+    spec: {
+      replicas,
+      selector: { matchLabels: { app: 'api', ...labels } },
+      template: { metadata: { labels: { app: 'api', ...labels } }, spec: { containers: [{ name: 'api', image }] } }
+    }
+  };
+}
+
+async function registerDeployment(overrides = {}) {
+  return deploymentRegistry.register({
+    deployment_id: 'deploy-2',
+    repository: 'acme/api',
+    environment: 'production',
+    status: 'deploying',
+    image_tag: 'acme/api:v2',
+    ...overrides
+  });
+}
+
+describe('DeploymentStrategies', () => {
+  let cluster;
+
+  beforeEach(async () => {
+    memoryStore.reset();
+    jest.spyOn(devopsService, 'fetchDeployOverlays').mockResolvedValue([]);
+    jest.spyOn(devopsService, 'getKubernetesClient').mockImplementation(() => cluster);
+
+    await deploymentRegistry.register({
+      deployment_id: 'deploy-1',
+      repository: 'acme/api',
+      environment: 'production',
+      image_tag: 'acme/api:v1'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should reject unknown strategies and malformed canary steps', () => {
+    expect(() => deploymentStrategies.validate('big_bang')).toThrow('strategy must be one of');
+    expect(() => deploymentStrategies.validate('canary', { steps: [50, 25, 100] })).toThrow('increasing traffic weights');
+    expect(() => deploymentStrategies.validate('canary', { steps: [10, 50] })).toThrow('ending at 100');
+    expect(() => deploymentStrategies.validate('canary', { steps: [10, 100] })).not.toThrow();
+  });
+
+  it('should shift canary replicas step by step and promote', async () => {
+    cluster = fakeCluster({ 'Deployment/api': existingDeployment('api', 4, 'acme/api:v1') });
+    const deployment = await registerDeployment();
+
+    const progress = await deploymentStrategies.run('canary', deployment, {
+      environment: 'production',
+      imageTag: 'acme/api:v2',
+      repository: 'acme/api',
+      settings: { steps: [25, 50, 100], step_interval_seconds: 0 }
+    });
+    const record = await deploymentRegistry.get('deploy-2');
+
+    expect(progress.state).toBe('completed');
+    expect(progress.steps.map(s => s.replicas)).toEqual([
+      { canary: 1, stable: 3 },
+      { canary: 2, stable: 2 },
+      { canary: 4, stable: 0 }
+    ]);
+    expect(cluster.objects['Deployment/api-canary']).toBeUndefined();
+    expect(cluster.objects['Deployment/api'].spec.template.spec.containers[0].image).toBe('acme/api:v2');
+    // The stable pods got the label the Service now selects on before any canary pod came up
+    expect(cluster.calls.slice(0, 3)).toEqual([['patch', 'Deployment/api'], ['apply', 'Service/api-service'], ['apply', 'Deployment/api-canary']]);
+    expect(cluster.objects['Service/api-service'].spec.selector).toEqual({ 'app.kubernetes.io/name': 'api' });
+    expect(record.status).toBe('deployed');
+    expect(record.metadata.rollout.state).toBe('completed');
+    expect((await deploymentRegistry.get('deploy-1')).status).toBe('superseded');
+  });
+
+  it('should roll the canary back when a gate fails', async () => {
+    cluster = fakeCluster({ 'Deployment/api': existingDeployment('api', 4, 'acme/api:v1') });
+    jest.spyOn(devopsService, 'performHealthCheck')
+      .mockResolvedValueOnce({ status_code: 200, error_rate: 1, response_time: 120 })
+      .mockResolvedValueOnce({ status_code: 200, error_rate: 12, response_time: 130 });
+    const deployment = await registerDeployment({ service_url: 'http://api.internal/health' });
+
+    const progress = await deploymentStrategies.run('canary', deployment, {
+      environment: 'production',
+      imageTag: 'acme/api:v2',
+      repository: 'acme/api',
+      settings: { steps: [25, 50, 100], step_interval_seconds: 0 }
+    });
+    const record = await deploymentRegistry.get('deploy-2');
+
+    expect(progress.state).toBe('rolled_back');
+    expect(progress.error).toBe('Canary gate failed at 50%: error rate 12% above 5%');
+    expect(progress.steps.map(s => s.status)).toEqual(['passed', 'failed', 'pending']);
+    expect(cluster.objects['Deployment/api'].spec.replicas).toBe(4);
+    expect(cluster.objects['Deployment/api-canary']).toBeUndefined();
+    expect(record.status).toBe('failed');
+    expect((await deploymentRegistry.get('deploy-1')).status).toBe('deployed');
+  });
+
+  it('should bring up the idle color and switch the service selector', async () => {
+    cluster = fakeCluster({
+      'Deployment/api-blue': existingDeployment('api-blue', 3, 'acme/api:v1', { color: 'blue' }),
+      'Service/api-service': { kind: 'Service', metadata: { name: 'api-service' }, spec: { selector: { app: 'api', color: 'blue' } } }
+    });
+    const deployment = await registerDeployment();
+
+    const progress = await deploymentStrategies.run('blue_green', deployment, {
+      environment: 'production',
+      imageTag: 'acme/api:v2',
+      repository: 'acme/api',
+      settings: { verification_seconds: 0 }
+    });
+
+    expect(progress).toMatchObject({ state: 'completed', active_color: 'green', target_color: 'green' });
+    expect(cluster.objects['Service/api-service'].spec.selector).toEqual({ app: 'api-green', color: 'green' });
+    expect(cluster.objects['Deployment/api-green'].spec.selector.matchLabels).toEqual({ app: 'api-green', color: 'green' });
+    expect(cluster.objects['Deployment/api-blue'].spec.replicas).toBe(0);
+    expect(cluster.objects['PodDisruptionBudget/api'].spec.selector.matchLabels).toEqual({ app: 'api-green', color: 'green' });
+    expect((await deploymentRegistry.get('deploy-2')).status).toBe('deployed');
+  });
+
+  it('should roll a blue-green deploy back by scaling the previous color up and switching back', async () => {
+    cluster = fakeCluster({
+      'Deployment/api-blue': existingDeployment('api-blue', 3, 'acme/api:v1', { color: 'blue' }),
+      'Service/api-service': { kind: 'Service', metadata: { name: 'api-service' }, spec: { selector: { app: 'api', color: 'blue' } } }
+    });
+    const deployment = await registerDeployment();
+    await deploymentStrategies.run('blue_green', deployment, {
+      environment: 'production',
+      imageTag: 'acme/api:v2',
+      repository: 'acme/api',
+      settings: { verification_seconds: 0 }
+    });
+
+    const result = await devopsService.performRollback('deploy-2');
+
+    expect(result).toMatchObject({ success: true, rollback_version: 'acme/api:v1', previous_version: 'acme/api:v2' });
+    expect(cluster.objects['Deployment/api-blue'].spec.replicas).toBe(3);
+    expect(cluster.objects['Deployment/api-green'].spec.replicas).toBe(0);
+    expect(cluster.objects['Service/api-service'].spec.selector).toEqual({ app: 'api', color: 'blue' });
+    expect(cluster.objects['PodDisruptionBudget/api'].spec.selector.matchLabels).toEqual({ app: 'api', color: 'blue' });
+    // The Service comes back only once the previous color is up
+    const order = cluster.calls.slice(cluster.calls.findIndex(call => call[1] === 'api-blue' && call[2] === 3));
+    expect(order.map(call => call.slice(1).join(' '))).toEqual([
+      'api-blue 3', 'Service/api-service', 'PodDisruptionBudget/api', 'api-green 0'
+    ]);
+  });
+
+  it('should switch traffic back when verification fails', async () => {
+    cluster = fakeCluster({
+      'Deployment/api-blue': existingDeployment('api-blue', 3, 'acme/api:v1', { color: 'blue' }),
+      'Service/api-service': { kind: 'Service', metadata: { name: 'api-service' }, spec: { selector: { app: 'api', color: 'blue' } } }
+    });
+    jest.spyOn(devopsService, 'performHealthCheck').mockResolvedValue({ status_code: 503, error_rate: 100, response_time: 5000 });
+    const deployment = await registerDeployment({ service_url: 'http://api.internal/health' });
+
+    const progress = await deploymentStrategies.run('blue_green', deployment, {
+      environment: 'production',
+      imageTag: 'acme/api:v2',
+      repository: 'acme/api',
+      settings: { verification_seconds: 0 }
+    });
+
+    expect(progress).toMatchObject({ state: 'rolled_back', active_color: 'blue' });
+    expect(cluster.objects['Service/api-service'].spec.selector).toEqual({ app: 'api', color: 'blue' });
+    expect(cluster.objects['Deployment/api-green'].spec.replicas).toBe(0);
+    expect(cluster.objects['Deployment/api-blue'].spec.replicas).toBe(3);
+    expect((await deploymentRegistry.get('deploy-2')).status).toBe('failed');
+  });
+
+  it('should give canary pods their own selector that the stable one does not match', async () => {
+    cluster = fakeCluster({ 'Deployment/api': existingDeployment('api', 4, 'acme/api:v1', { 'app.kubernetes.io/name': 'api' }) });
+    const applied = [];
+    const apply = cluster.apply;
+    cluster.apply = async manifest => {
+      applied.push(JSON.parse(JSON.stringify(manifest)));
+      await apply(manifest);
+    };
+    const deployment = await registerDeployment();
+
+    await deploymentStrategies.run('canary', deployment, {
+      environment: 'production',
+      imageTag: 'acme/api:v2',
+      repository: 'acme/api',
+      settings: { steps: [100], step_interval_seconds: 0 }
+    });
+
+    const canary = applied.find(m => m.metadata.name === 'api-canary');
+    expect(canary.spec.selector.matchLabels).toEqual({ app: 'api-canary', track: 'canary' });
+    expect(canary.spec.template.metadata.labels).toMatchObject({ app: 'api-canary', track: 'canary', 'app.kubernetes.io/name': 'api' });
+    // Already labelled, so the stable Deployment is left alone
+    expect(cluster.calls).not.toContainEqual(['patch', 'Deployment/api']);
+  });
+
+  it('should keep a first blue-green deploy out of the service until traffic is switched', async () => {
+    cluster = fakeCluster({
+      'Deployment/api': existingDeployment('api', 3, 'acme/api:v1'),
+      'Service/api-service': { kind: 'Service', metadata: { name: 'api-service' }, spec: { selector: { app: 'api' } } }
+    });
+    jest.spyOn(devopsService, 'performHealthCheck').mockResolvedValue({ status_code: 200, error_rate: 0, response_time: 80 });
+    const deployment = await registerDeployment();
+
+    const progress = await deploymentStrategies.run('blue_green', deployment, {
+      environment: 'production',
+      imageTag: 'acme/api:v2',
+      repository: 'acme/api',
+      settings: { verification_seconds: 0, preview_url: 'http://api-blue.internal/health' }
+    });
+
+    expect(progress).toMatchObject({ state: 'completed', active_color: 'blue' });
+    expect(cluster.objects['Deployment/api-blue'].spec.template.metadata.labels).toEqual({ app: 'api-blue', color: 'blue' });
+    expect(cluster.objects['Service/api-service'].spec.selector).toEqual({ app: 'api-blue', color: 'blue' });
+    expect(cluster.objects['Deployment/api'].spec.replicas).toBe(0);
+  });
+});
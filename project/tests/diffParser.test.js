@@ -0,0 +1,86 @@
+const { parseDiff, findPosition } = require('../src/utils/diffParser');
+
+const DIFF = `diff --git a/src/app.js b/src/app.js
+index 1111111..2222222 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -1,3 +1,5 @@
+ const express = require('express');
++const helmet = require('helmet');
+ const app = express();
+-app.listen(3000);
++app.use(helmet());
++app.listen(process.env.PORT);
+@@ -20,3 +22,3 @@ function start() {
+   connect();
+-  retry();
++  retry({ attempts: 3 });
+ }
+diff --git a/docs/setup.md b/docs/setup.md
+new file mode 100644
+index 0000000..3333333
+--- /dev/null
++++ b/docs/setup.md
+@@ -0,0 +1,2 @@
++# Setup
++Run npm install
+\\ No newline at end of file
+diff --git a/old-name.txt b/new-name.txt
+similarity index 100%
+rename from old-name.txt
+rename to new-name.txt
+diff --git a/logo.png b/logo.png
+index 4444444..5555555 100644
+Binary files a/logo.png and b/logo.png differ
+`;
+
+describe('diffParser', () => {
+  const files = parseDiff(DIFF);
+
+  it('should parse files with their status', () => {
+    expect(files.map(({ path, old_path, status, binary }) => ({ path, old_path, status, binary }))).toEqual([
+      { path: 'src/app.js', old_path: 'src/app.js', status: 'modified', binary: false },
+      { path: 'docs/setup.md', old_path: null, status: 'added', binary: false },
+      { path: 'new-name.txt', old_path: 'old-name.txt', status: 'renamed', binary: false },
+      { path: 'logo.png', old_path: 'logo.png', status: 'modified', binary: true }
+    ]);
+  });
+
+  it('should number lines on both sides and count positions across hunks', () => {
+    const [first, second] = files[0].hunks;
+
+    expect(first).toMatchObject({ old_start: 1, old_lines: 3, new_start: 1, new_lines: 5 });
+    expect(first.lines.map(l => [l.type, l.old_line, l.new_line, l.position])).toEqual([
+      ['context', 1, 1, 1],
+      ['add', null, 2, 2],
+      ['context', 2, 3, 3],
+      ['del', 3, null, 4],
+      ['add', null, 4, 5],
+      ['add', null, 5, 6]
+    ]);
+    // The second @@ header is position 7
+    expect(second.lines.map(l => [l.type, l.old_line, l.new_line, l.position])).toEqual([
+      ['context', 20, 22, 8],
+      ['del', 21, null, 9],
+      ['add', null, 23, 10],
+      ['context', 22, 24, 11]
+    ]);
+  });
+
+  it('should find the position of new-file lines in the diff', () => {
+    expect(findPosition(files, 'src/app.js', 2)).toBe(2);
+    expect(findPosition(files, 'src/app.js', 23)).toBe(10);
+    expect(findPosition(files, 'src/app.js', 24)).toBe(11);
+    expect(findPosition(files, 'docs/setup.md', 2)).toBe(2);
+
+    // Outside any hunk, a removed line's old number, or a file that isn't in the diff
+    expect(findPosition(files, 'src/app.js', 12)).toBeNull();
+    expect(findPosition(files, 'src/app.js', 21)).toBeNull();
+    expect(findPosition(files, 'src/other.js', 1)).toBeNull();
+  });
+
+  it('should return no files for an empty diff', () => {
+    expect(parseDiff('')).toEqual([]);
+    expect(parseDiff(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,90 @@
+const http = require('http');
+const { DockerClient } = require('../src/services/dockerClient');
+
+// Stand-in for the Docker Engine API that answers build and push with canned JSON message streams
+function startStubEngine(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body: Buffer.concat(chunks) });
+
+      const messages = responses[url.pathname] || [];
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(messages.map(message => JSON.stringify(message)).join('\r\n'));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, host: `tcp://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+describe('DockerClient', () => {
+  let engine;
+
+  afterEach(() => {
+    engine.server.close();
+  });
+
+  it('should stream build logs and return the image id', async () => {
+    engine = await startStubEngine({
+      '/build': [
+        { stream: 'Step 1/2 : FROM node:18\n' },
+        { stream: 'Step 2/2 : COPY . .\n' },
+        { aux: { ID: 'sha256:abc' } }
+      ]
+    });
+    const client = new DockerClient(engine.host);
+    const streamed = [];
+
+    const result = await client.build(Buffer.from('context'), {
+      tag: 'registry.local/acme/api:abc12345',
+      onLog: log => streamed.push(log.message)
+    });
+
+    expect(result.image_id).toBe('sha256:abc');
+    expect(streamed).toEqual(['Step 1/2 : FROM node:18', 'Step 2/2 : COPY . .']);
+    expect(engine.requests[0].query.get('t')).toBe('registry.local/acme/api:abc12345');
+    expect(engine.requests[0].headers['content-type']).toBe('application/x-tar');
+  });
+
+  it('should fail the build when the engine reports an error', async () => {
+    engine = await startStubEngine({
+      '/build': [
+        { stream: 'Step 1/2 : RUN npm test\n' },
+        { error: 'The command returned a non-zero code: 1', errorDetail: { message: 'The command returned a non-zero code: 1' } }
+      ]
+    });
+    const client = new DockerClient(engine.host);
+
+    await expect(client.build(Buffer.from('context'), { tag: 'acme/api:1' }))
+      .rejects.toMatchObject({
+        message: 'Docker build failed: The command returned a non-zero code: 1',
+        logs: ['Step 1/2 : RUN npm test', 'The command returned a non-zero code: 1']
+      });
+  });
+
+  it('should push with registry credentials and report the digest', async () => {
+    engine = await startStubEngine({
+      '/images/registry.local/acme/api/push': [
+        { status: 'The push refers to repository [registry.local/acme/api]' },
+        { id: 'a1', status: 'Pushing', progressDetail: { current: 1, total: 2 } },
+        { id: 'a1', status: 'Pushed', progressDetail: {} },
+        { aux: { Tag: 'abc12345', Digest: 'sha256:def', Size: 1 } }
+      ]
+    });
+    const client = new DockerClient(engine.host);
+
+    const result = await client.push('registry.local/acme/api', 'abc12345', {
+      auth: { username: 'ci', password: 'secret', serveraddress: 'registry.local' }
+    });
+    const auth = JSON.parse(Buffer.from(engine.requests[0].headers['x-registry-auth'], 'base64url').toString());
+
+    expect(result.digest).toBe('sha256:def');
+    expect(result.logs).toEqual(['The push refers to repository [registry.local/acme/api]', 'a1: Pushed']);
+    expect(auth).toEqual({ username: 'ci', password: 'secret', serveraddress: 'registry.local' });
+  });
+});
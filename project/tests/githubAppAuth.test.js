@@ -0,0 +1,69 @@
+jest.mock('axios');
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const githubAppAuth = require('../src/services/githubAppAuth');
+const devopsService = require('../src/services/devopsService');
+
+describe('GitHub API access', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+
+  beforeEach(() => {
+    axios.mockReset();
+    githubAppAuth.appId = '1234';
+    githubAppAuth.privateKey = privateKey;
+    githubAppAuth.installationId = undefined;
+    githubAppAuth.installations.clear();
+    githubAppAuth.tokens.clear();
+    devopsService.githubToken = 'ghp_personal';
+  });
+
+  it('should follow the Link header through every page of comments', async () => {
+    axios
+      .mockResolvedValueOnce({
+        data: [{ id: 1 }, { id: 2 }],
+        headers: { link: '<https://api.github.com/repositories/9/issues/7/comments?per_page=100&page=2>; rel="next", <https://api.github.com/repositories/9/issues/7/comments?per_page=100&page=2>; rel="last"' }
+      })
+      .mockResolvedValueOnce({ data: [{ id: 3 }], headers: {} });
+
+    const comments = await devopsService.listIssueComments('acme/api', 7);
+
+    expect(comments.map(c => c.id)).toEqual([1, 2, 3]);
+    expect(axios.mock.calls.map(([request]) => [request.url, request.params])).toEqual([
+      ['https://api.github.com/repos/acme/api/issues/7/comments', { per_page: 100 }],
+      ['https://api.github.com/repositories/9/issues/7/comments?per_page=100&page=2', undefined]
+    ]);
+  });
+
+  it('should create check runs with a cached installation token', async () => {
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    axios.mockImplementation(async ({ url }) => {
+      if (url.endsWith('/repos/acme/api/installation')) return { data: { id: 55 } };
+      if (url.endsWith('/app/installations/55/access_tokens')) return { data: { token: 'ghs_installation', expires_at: expiresAt } };
+      return { data: { id: 701 } };
+    });
+
+    await devopsService.createCheckRun('acme/api', { name: 'MCP Code Review', head_sha: 'abc123' });
+    await devopsService.updateCheckRun('acme/api', 701, { status: 'completed' });
+
+    const [lookup, exchange, create, update] = axios.mock.calls.map(([request]) => request);
+    const appToken = lookup.headers.Authorization.replace('Bearer ', '');
+    expect(jwt.verify(appToken, publicKey, { algorithms: ['RS256'] })).toMatchObject({ iss: '1234' });
+    expect(exchange).toMatchObject({ method: 'post', url: 'https://api.github.com/app/installations/55/access_tokens' });
+    expect(create.headers.Authorization).toBe('Bearer ghs_installation');
+    expect(update.headers.Authorization).toBe('Bearer ghs_installation');
+    expect(axios).toHaveBeenCalledTimes(4);
+  });
+
+  it('should refuse check runs without GitHub App credentials', async () => {
+    githubAppAuth.appId = undefined;
+
+    await expect(devopsService.createCheckRun('acme/api', { head_sha: 'abc123' })).rejects.toThrow('GITHUB_APP_ID');
+    expect(axios).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const memoryStore = require('../src/repositories/memoryStore');
+const jobQueue = require('../src/services/jobQueue');
+const githubWebhookService = require('../src/services/githubWebhookService');
+const { parseRules, parseCommentAssociations } = require('../src/config/webhookRules');
+
+const SECRET = 'webhook-secret';
+
+function pullRequest(action, overrides = {}) {
+  return {
+    action,
+    number: 42,
+    pull_request: { head: { ref: 'feature/login', sha: 'a1b2c3d4e5' }, base: { ref: 'main' }, draft: false, ...overrides },
+    repository: { full_name: 'acme/checkout-service' },
+    sender: { login: 'alice', type: 'User' }
+  };
+}
+
+describe('GithubWebhookService', () => {
+  let enqueue;
+
+  beforeEach(() => {
+    memoryStore.reset();
+    jest.restoreAllMocks();
+    githubWebhookService.secret = SECRET;
+    let sequence = 0;
+    enqueue = jest.spyOn(jobQueue, 'enqueue').mockImplementation(async type => ({ job_id: `job-${++sequence}`, type }));
+  });
+
+  describe('verifySignature', () => {
+    const body = Buffer.from('{"zen":"Keep it logically awesome."}');
+    const signature = `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`;
+
+    it('should accept the HMAC of the raw body', () => {
+      expect(() => githubWebhookService.verifySignature(body, signature)).not.toThrow();
+    });
+
+    it('should reject missing, malformed and mismatched signatures', () => {
+      for (const bad of [undefined, 'sha256=abc', signature.replace(/.$/, c => (c === '0' ? '1' : '0')), `sha1=${signature.slice(7)}`]) {
+        expect(() => githubWebhookService.verifySignature(body, bad)).toThrow(expect.objectContaining({ statusCode: 401 }));
+      }
+      expect(() => githubWebhookService.verifySignature(Buffer.from('{"zen":"tampered"}'), signature))
+        .toThrow('Invalid X-Hub-Signature-256 signature');
+    });
+
+    it('should refuse webhooks until a secret is configured', () => {
+      githubWebhookService.secret = undefined;
+      expect(() => githubWebhookService.verifySignature(body, signature)).toThrow(expect.objectContaining({ statusCode: 503 }));
+    });
+  });
+
+  it('should queue a code review and test generation for an opened pull request', async () => {
+    const delivery = await githubWebhookService.handle({ event: 'pull_request', deliveryId: 'delivery-1', payload: pullRequest('opened') });
+
+    expect(delivery).toMatchObject({ status: 'dispatched', action: 'opened', repository: 'acme/checkout-service', duplicate: false });
+    expect(delivery.jobs).toEqual([
+      { agent: 'code_review', job_type: 'code_review', job_id: 'job-1' },
+      { agent: 'test_writer', job_type: 'test_generation', job_id: 'job-2' }
+    ]);
+    expect(enqueue).toHaveBeenCalledWith('code_review', { repository: 'acme/checkout-service', pr_number: 42 }, { userId: 'github-webhook' });
+  });
+
+  it('should not dispatch a delivery twice', async () => {
+    await githubWebhookService.handle({ event: 'pull_request', deliveryId: 'delivery-1', payload: pullRequest('synchronize') });
+    const redelivered = await githubWebhookService.handle({ event: 'pull_request', deliveryId: 'delivery-1', payload: pullRequest('synchronize') });
+
+    expect(redelivered).toMatchObject({ duplicate: true, status: 'dispatched', jobs: [{ agent: 'code_review', job_id: 'job-1' }] });
+    expect(enqueue).toHaveBeenCalledTimes(1);
+  });
+
+  it('should skip draft pull requests, tags, plain issues, bot comments and comments from outsiders', async () => {
+    const ignored = [
+      ['pull_request', pullRequest('opened', { draft: true })],
+      ['push', { ref: 'refs/tags/v1.0.0', after: 'a1b2c3', repository: { full_name: 'acme/api' } }],
+      ['push', { ref: 'refs/heads/feature/x', after: 'a1b2c3', repository: { full_name: 'acme/api' } }],
+      ['issue_comment', { action: 'created', issue: { number: 7 }, comment: { body: '/review' }, repository: { full_name: 'acme/api' } }],
+      ['issue_comment', {
+        action: 'created',
+        issue: { number: 7, pull_request: {} },
+        comment: { body: '/review please', author_association: 'MEMBER' },
+        sender: { type: 'Bot' },
+        repository: { full_name: 'acme/api' }
+      }],
+      ['issue_comment', {
+        action: 'created',
+        issue: { number: 7, pull_request: {} },
+        comment: { body: '/tests', author_association: 'NONE' },
+        sender: { type: 'User' },
+        repository: { full_name: 'acme/api' }
+      }],
+      ['release', { action: 'published', repository: { full_name: 'acme/api' } }]
+    ];
+
+    for (const [index, [event, payload]] of ignored.entries()) {
+      const delivery = await githubWebhookService.handle({ event, deliveryId: `delivery-${index}`, payload });
+      expect(delivery).toMatchObject({ status: 'ignored', jobs: [] });
+    }
+    expect(enqueue).not.toHaveBeenCalled();
+  });
+
+  it('should run agents from comment commands, pushes and check suites', async () => {
+    await githubWebhookService.handle({
+      event: 'issue_comment',
+      deliveryId: 'delivery-1',
+      payload: {
+        action: 'created',
+        issue: { number: 7, pull_request: {} },
+        comment: { body: '/review security', author_association: 'COLLABORATOR' },
+        sender: { type: 'User' },
+        repository: { full_name: 'acme/api' }
+      }
+    });
+    await githubWebhookService.handle({
+      event: 'push',
+      deliveryId: 'delivery-2',
+      payload: { ref: 'refs/heads/main', after: 'f00d', repository: { full_name: 'acme/api' } }
+    });
+    await githubWebhookService.handle({
+      event: 'check_suite',
+      deliveryId: 'delivery-3',
+      payload: { action: 'requested', check_suite: { head_branch: 'feature/x', head_sha: 'beef', pull_requests: [] }, repository: { full_name: 'acme/api' } }
+    });
+
+    expect(enqueue.mock.calls.map(([type, payload]) => [type, payload])).toEqual([
+      ['code_review', { repository: 'acme/api', pr_number: 7 }],
+      ['build_prediction', { repository: 'acme/api', branch: 'main', commit_sha: 'f00d' }],
+      ['build_prediction', { repository: 'acme/api', branch: 'feature/x', commit_sha: 'beef' }]
+    ]);
+  });
+
+  it('should match custom rules on repositories and branches and pass their params', async () => {
+    githubWebhookService.rules = parseRules(JSON.stringify([
+      { event: 'pull_request', actions: ['opened'], repositories: ['acme/payments-*'], agent: 'code_review', params: { analysis_type: 'security' } }
+    ]));
+
+    try {
+      await githubWebhookService.handle({ event: 'pull_request', deliveryId: 'delivery-1', payload: pullRequest('opened') });
+      const payload = pullRequest('opened');
+      payload.repository.full_name = 'acme/payments-api';
+      await githubWebhookService.handle({ event: 'pull_request', deliveryId: 'delivery-2', payload });
+    } finally {
+      githubWebhookService.rules = parseRules();
+    }
+
+    expect(enqueue).toHaveBeenCalledTimes(1);
+    expect(enqueue).toHaveBeenCalledWith('code_review', { repository: 'acme/payments-api', pr_number: 42, analysis_type: 'security' }, expect.anything());
+  });
+
+  it('should reject invalid rules', () => {
+    expect(() => parseRules('[{"event": "deployment", "agent": "code_review"}]')).toThrow('Invalid webhook rule');
+    expect(() => parseRules('[{"event": "push", "agent": "deployer"}]')).toThrow('Invalid webhook rule');
+    expect(() => parseRules('[{"event": "issue_comment", "agent": "code_review", "comment": "(unclosed"}]')).toThrow('Invalid regular expression');
+    expect(parseCommentAssociations('owner, contributor')).toEqual(['OWNER', 'CONTRIBUTOR']);
+    expect(() => parseCommentAssociations('OWNER,ADMIN')).toThrow('Invalid GITHUB_WEBHOOK_COMMENT_ASSOCIATIONS: ADMIN');
+    expect(() => parseRules('{"event": "push"}')).toThrow('expected a JSON list of rules');
+  });
+});
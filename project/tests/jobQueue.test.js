@@ -0,0 +1,164 @@
+const redis = require('../src/config/redis');
+const jobQueue = require('../src/services/jobQueue');
+const { MemoryJobStore, RedisJobStore } = require('../src/services/jobQueue');
+
+async function waitForJob(jobId) {
+  for (let i = 0; i < 100; i++) {
+    const job = await jobQueue.get(jobId);
+    if (job.status === 'completed' || job.status === 'failed') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+describe('JobQueue', () => {
+  beforeAll(() => {
+    jobQueue.register('test_echo', async (payload, { report }) => {
+      report('Halfway there', { value: payload.value });
+      return { echoed: payload.value };
+    });
+    jobQueue.register('test_failure', async () => {
+      throw new Error('cluster unreachable');
+    });
+  });
+
+  it('should run queued jobs and keep their result and events', async () => {
+    const queued = await jobQueue.enqueue('test_echo', { value: 42 }, { userId: 'alice' });
+    expect(queued).toMatchObject({ status: 'queued', user_id: 'alice' });
+
+    const job = await waitForJob(queued.job_id);
+    const events = await jobQueue.events(queued.job_id);
+
+    expect(job.result).toEqual({ echoed: 42 });
+    expect(job.started_at).not.toBeNull();
+    expect(events.map(e => [e.sequence, e.message])).toEqual([
+      [1, 'Job queued'],
+      [2, 'Job started'],
+      [3, 'Halfway there'],
+      [4, 'Job completed']
+    ]);
+    expect(events[2].details).toEqual({ value: 42 });
+    expect((await jobQueue.events(queued.job_id, 3)).map(e => e.message)).toEqual(['Job completed']);
+  });
+
+  it('should mark jobs failed when the handler throws', async () => {
+    const queued = await jobQueue.enqueue('test_failure', {});
+    const job = await waitForJob(queued.job_id);
+
+    expect(job).toMatchObject({ status: 'failed', error: 'cluster unreachable', result: null });
+  });
+
+  it('should keep working after a store error while finishing a job', async () => {
+    const save = jobQueue.store.save.bind(jobQueue.store);
+    const spy = jest.spyOn(jobQueue.store, 'save')
+      .mockImplementation(job => (job.status === 'failed' ? Promise.reject(new Error('connection reset')) : save(job)));
+
+    await jobQueue.enqueue('test_failure', {});
+    await new Promise(resolve => setTimeout(resolve, 20));
+    spy.mockRestore();
+
+    // Both workers are still taking jobs
+    const jobs = await Promise.all([jobQueue.enqueue('test_echo', { value: 1 }), jobQueue.enqueue('test_echo', { value: 2 })]);
+    for (const queued of jobs) {
+      expect((await waitForJob(queued.job_id)).status).toBe('completed');
+    }
+  });
+
+  it('should drop the oldest finished jobs past the in-memory limit', async () => {
+    const store = new MemoryJobStore(2);
+    await store.save({ job_id: 'job-1', status: 'completed' });
+    await store.appendEvent('job-1', { message: 'Job completed' });
+    await store.save({ job_id: 'job-2', status: 'running' });
+    await store.save({ job_id: 'job-3', status: 'failed' });
+    await store.save({ job_id: 'job-4', status: 'queued' });
+
+    expect(await store.get('job-1')).toBeNull();
+    expect(await store.events('job-1')).toEqual([]);
+    expect(await store.get('job-2')).toMatchObject({ status: 'running' });
+    expect(await store.get('job-3')).toBeNull();
+    expect(await store.get('job-4')).toMatchObject({ status: 'queued' });
+  });
+
+  it('should reject unknown job types', async () => {
+    await expect(jobQueue.enqueue('missing', {})).rejects.toThrow('Unknown job type: missing');
+  });
+});
+
+// Just the list and key commands RedisJobStore uses; every connection shares the same data
+function fakeRedis() {
+  const lists = new Map();
+  const keys = new Set();
+  const list = key => {
+    if (!lists.has(key)) {
+      lists.set(key, []);
+    }
+    return lists.get(key);
+  };
+  const move = async (source, destination, from, to) => {
+    const jobId = (from === 'RIGHT' ? list(source).pop() : list(source).shift()) ?? null;
+    if (jobId) {
+      to === 'RIGHT' ? list(destination).push(jobId) : list(destination).unshift(jobId);
+    }
+    return jobId;
+  };
+
+  return {
+    lists,
+    lpush: async (key, value) => list(key).unshift(value),
+    lrem: async (key, count, value) => list(key).splice(list(key).indexOf(value), 1),
+    lmove: move,
+    blmove: move,
+    set: async key => keys.add(key),
+    exists: async key => (keys.has(key) ? 1 : 0),
+    // Redis drops empty lists
+    scan: async (cursor, match, pattern) => ['0', [...lists.keys()]
+      .filter(key => key.startsWith(pattern.replace('*', '')) && lists.get(key).length > 0)]
+  };
+}
+
+describe('RedisJobStore', () => {
+  let client;
+
+  beforeEach(() => {
+    client = fakeRedis();
+    jest.spyOn(redis, 'getClient').mockReturnValue(client);
+    jest.spyOn(redis, 'duplicate').mockImplementation(() => ({ ...client }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep popped jobs in the worker\'s processing list until they are acknowledged', async () => {
+    const store = new RedisJobStore();
+    await store.push('job-1');
+    await store.push('job-2');
+
+    expect(await store.pop('worker-a')).toBe('job-1');
+    expect(await store.pop('worker-b')).toBe('job-2');
+    expect(await store.pop('worker-a')).toBeNull();
+    // One blocking connection per worker
+    expect(redis.duplicate).toHaveBeenCalledTimes(2);
+    expect(client.lists.get('jobs:processing:worker-a')).toEqual(['job-1']);
+
+    await store.ack('worker-a', 'job-1');
+    expect(client.lists.get('jobs:processing:worker-a')).toEqual([]);
+  });
+
+  it('should requeue the jobs of workers whose heartbeat expired, ahead of the waiting ones', async () => {
+    const store = new RedisJobStore();
+    await store.heartbeat(['worker-a']);
+    await store.push('job-1');
+    await store.push('job-2');
+    await store.push('job-3');
+    await store.pop('worker-a');
+    await store.pop('worker-b');
+
+    expect(await store.recover()).toEqual(['job-2']);
+    expect(await store.pop('worker-a')).toBe('job-2');
+    expect(client.lists.get('jobs:processing:worker-a')).toEqual(['job-2', 'job-1']);
+    expect(await store.recover()).toEqual([]);
+  });
+});
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { KubernetesClient, loadKubeConfig } = require('../src/services/kubernetesClient');
+const devopsService = require('../src/services/devopsService');
+const deploymentRegistry = require('../src/services/deploymentRegistry');
+const memoryStore = require('../src/repositories/memoryStore');
+
+// Minimal stand-in for the Kubernetes API server: records applies and reports rollout progress
+function startStubApiServer() {
+  const state = { requests: [], deployments: {}, replicaSets: [], polls: 0 };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      state.requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+
+      if (url.pathname.endsWith('/replicasets')) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ items: state.replicaSets }));
+      }
+
+      const match = url.pathname.match(/^\/apis?(?:\/[^/]+)?\/v1\/namespaces\/([^/]+)\/([^/]+)\/([^/]+)$/);
+      if (!match) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ message: 'not found' }));
+      }
+
+      const [, namespace, plural, name] = match;
+      if (req.method === 'PATCH' && req.headers['content-type'] === 'application/json-patch+json') {
+        const deployment = state.deployments[`${namespace}/${name}`];
+        for (const op of JSON.parse(body)) {
+          const [, field, key] = op.path.split('/');
+          deployment[field][key] = op.value;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify(deployment));
+      }
+
+      if (req.method === 'PATCH') {
+        const manifest = JSON.parse(body);
+        if (plural === 'deployments') {
+          state.deployments[`${namespace}/${name}`] = manifest;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify(manifest));
+      }
+
+      const manifest = state.deployments[`${namespace}/${name}`];
+      const ready = ++state.polls >= 2 ? manifest.spec.replicas : 0;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        ...manifest,
+        metadata: { generation: 1, ...manifest.metadata },
+        status: {
+          observedGeneration: 1,
+          replicas: manifest.spec.replicas,
+          updatedReplicas: manifest.spec.replicas,
+          readyReplicas: ready,
+          availableReplicas: ready
+        }
+      }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, state, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+function writeKubeconfig(dir, server) {
+  const configPath = path.join(dir, 'kubeconfig');
+  fs.writeFileSync(configPath, `
+apiVersion: v1
+kind: Config
+current-context: stub
+contexts:
+  - name: stub
+    context:
+      cluster: stub-cluster
+      user: stub-user
+      namespace: team-a
+clusters:
+  - name: stub-cluster
+    cluster:
+      server: ${server}
+users:
+  - name: stub-user
+    user:
+      token: stub-token
+`);
+  return configPath;
+}
+
+describe('KubernetesClient', () => {
+  let stub;
+  let tmpDir;
+  let configPath;
+
+  beforeEach(async () => {
+    stub = await startStubApiServer();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kube-'));
+    configPath = writeKubeconfig(tmpDir, stub.url);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    stub.server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should resolve server, token and namespace from the current context', () => {
+    const config = loadKubeConfig(configPath);
+
+    expect(config).toMatchObject({ server: stub.url, token: 'stub-token', namespace: 'team-a' });
+    expect(() => loadKubeConfig(configPath, 'missing')).toThrow('context "missing" not found');
+  });
+
+  it('should server-side apply manifests and wait for the rollout', async () => {
+    const client = KubernetesClient.fromKubeConfig(configPath);
+    await client.apply({
+      apiVersion: 'apps/v1',
+      kind: 'Deployment',
+      metadata: { name: 'api' },
+      spec: { replicas: 2 }
+    }, 'staging');
+
+    const { replicas } = await client.waitForRollout('staging', 'api', { intervalMs: 10 });
+    const [apply] = stub.state.requests;
+
+    expect(apply.method).toBe('PATCH');
+    expect(apply.path).toBe('/apis/apps/v1/namespaces/staging/deployments/api');
+    expect(apply.query.get('fieldManager')).toBe('mcp-devops-server');
+    expect(apply.headers['content-type']).toBe('application/apply-patch+yaml');
+    expect(apply.headers.authorization).toBe('Bearer stub-token');
+    expect(replicas).toMatchObject({ desired: 2, ready: 2, available: 2 });
+  });
+
+  it('should time out when replicas never become ready', async () => {
+    const client = KubernetesClient.fromKubeConfig(configPath);
+    await client.apply({ kind: 'Deployment', metadata: { name: 'api' }, spec: { replicas: 2 } }, 'staging');
+    stub.state.polls = -1000;
+
+    await expect(client.waitForRollout('staging', 'api', { timeoutMs: 50, intervalMs: 10 }))
+      .rejects.toThrow('Timed out waiting for rollout of staging/api');
+  });
+
+  it('should deploy generated manifests through DevOpsService', async () => {
+    devopsService.kubernetesConfig = configPath;
+    devopsService.rolloutPollMs = 10;
+    jest.spyOn(devopsService, 'fetchDeployOverlays').mockResolvedValue([]);
+
+    const result = await devopsService.deployToKubernetes(
+      { namespace: 'apps' },
+      'staging',
+      'acme/api:abc123',
+      'acme/api'
+    );
+
+    expect(result).toMatchObject({
+      deployment_status: 'success',
+      namespace: 'apps',
+      deployment_name: 'api',
+      replicas: { desired: 3, ready: 3 }
+    });
+    expect(stub.state.requests.filter(r => r.method === 'PATCH').map(r => r.path)).toEqual([
+      '/api/v1/namespaces/apps/configmaps/api-config',
+      '/apis/apps/v1/namespaces/apps/deployments/api',
+      '/apis/policy/v1/namespaces/apps/poddisruptionbudgets/api',
+      // Once the rollout has labelled every pod the Service selects on
+      '/api/v1/namespaces/apps/services/api-service'
+    ]);
+  });
+
+  describe('performRollback', () => {
+    const podTemplate = image => ({
+      metadata: { labels: { app: 'api', 'pod-template-hash': image.split(':')[1] } },
+      spec: { containers: [{ name: 'api', image }] }
+    });
+
+    const replicaSet = (revision, image, ownerUid = 'deploy-uid') => ({
+      metadata: {
+        name: `api-${revision}`,
+        annotations: { 'deployment.kubernetes.io/revision': String(revision) },
+        ownerReferences: [{ uid: ownerUid }]
+      },
+      spec: { template: podTemplate(image) }
+    });
+
+    beforeEach(async () => {
+      memoryStore.reset();
+      devopsService.kubernetesConfig = configPath;
+      devopsService.rolloutPollMs = 10;
+
+      stub.state.deployments['production/api'] = {
+        kind: 'Deployment',
+        metadata: {
+          name: 'api',
+          namespace: 'production',
+          uid: 'deploy-uid',
+          annotations: { 'deployment.kubernetes.io/revision': '3' }
+        },
+        spec: {
+          replicas: 2,
+          selector: { matchLabels: { app: 'api' } },
+          strategy: { type: 'RollingUpdate', rollingUpdate: { maxSurge: '25%', maxUnavailable: '25%' } },
+          template: podTemplate('acme/api:v3')
+        }
+      };
+      stub.state.replicaSets = [
+        replicaSet(1, 'acme/api:v1'),
+        replicaSet(3, 'acme/api:v3'),
+        replicaSet(2, 'acme/api:v2'),
+        replicaSet(9, 'acme/other:v9', 'other-uid')
+      ];
+
+      await deploymentRegistry.register({
+        deployment_id: 'deploy-1',
+        repository: 'acme/api',
+        environment: 'production',
+        metadata: { namespace: 'production', deployment_name: 'api' }
+      });
+    });
+
+    it('should roll back to the previous revision gradually and restore the strategy', async () => {
+      const result = await devopsService.performRollback('deploy-1', 'gradual');
+      const patches = stub.state.requests
+        .filter(r => r.headers['content-type'] === 'application/json-patch+json')
+        .map(r => JSON.parse(r.body));
+
+      expect(result).toMatchObject({
+        success: true,
+        rollback_version: 'acme/api:v2',
+        previous_version: 'acme/api:v3',
+        revision: 2,
+        health_check_passed: true
+      });
+      expect(patches[0][0].value.metadata.labels).toEqual({ app: 'api' });
+      expect(patches[0][1].value).toEqual({ type: 'RollingUpdate', rollingUpdate: { maxSurge: 1, maxUnavailable: 0 } });
+      expect(stub.state.deployments['production/api'].spec.strategy.rollingUpdate.maxSurge).toBe('25%');
+    });
+
+    it('should keep the label the service selects on when the old revision predates it', async () => {
+      stub.state.deployments['production/api'].spec.template.metadata.labels['app.kubernetes.io/name'] = 'api';
+
+      await devopsService.performRollback('deploy-1', 'gradual');
+      const [patch] = stub.state.requests.filter(r => r.headers['content-type'] === 'application/json-patch+json');
+
+      expect(JSON.parse(patch.body)[0].value.metadata.labels).toEqual({ app: 'api', 'app.kubernetes.io/name': 'api' });
+    });
+
+    it('should find the Deployment by its generated name and rely on ready replicas without a service URL', async () => {
+      await deploymentRegistry.register({ deployment_id: 'deploy-2', repository: 'acme/API', environment: 'production' });
+      const healthCheck = jest.spyOn(devopsService, 'performHealthCheck');
+
+      const result = await devopsService.performRollback('deploy-2', 'gradual');
+
+      expect(result).toMatchObject({ success: true, health_check_passed: true, rollback_version: 'acme/api:v2' });
+      expect(healthCheck).not.toHaveBeenCalled();
+    });
+
+    it('should switch at once with the immediate strategy', async () => {
+      await devopsService.performRollback('deploy-1', 'immediate');
+      const [patch] = stub.state.requests.filter(r => r.headers['content-type'] === 'application/json-patch+json');
+
+      expect(JSON.parse(patch.body)[1].value).toEqual({ type: 'Recreate' });
+    });
+
+    it('should roll back to an explicit revision', async () => {
+      const result = await devopsService.performRollback('deploy-1', 'gradual', { revision: 1 });
+
+      expect(result.rollback_version).toBe('acme/api:v1');
+    });
+
+    it('should fail without a previous revision', async () => {
+      stub.state.replicaSets = [replicaSet(3, 'acme/api:v3')];
+
+      const result = await devopsService.performRollback('deploy-1', 'gradual');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No previous revision available for production/api');
+    });
+  });
+});
@@ -1,4 +1,7 @@
+const { EventEmitter } = require('events');
+const llmConfig = require('../src/config/llm');
 const llmService = require('../src/services/llmService');
+const llmCache = require('../src/services/llmCache');
 
 // Mock the external dependencies
 jest.mock('@anthropic-ai/sdk');
@@ -29,4 +32,355 @@ describe('LLMService', () => {
       expect(true).toBe(true); // Placeholder test
     });
   });
-});
\ No newline at end of file
+
+  describe('streaming', () => {
+    it('should stream Anthropic text deltas and return the final usage', async () => {
+      llmService.anthropic = {
+        messages: {
+          stream: jest.fn(() => {
+            const stream = new EventEmitter();
+            stream.finalMessage = async () => {
+              stream.emit('text', 'Deploy ');
+              stream.emit('text', 'succeeded');
+              return { content: [{ type: 'text', text: 'Deploy succeeded' }], usage: { input_tokens: 12, output_tokens: 3 } };
+            };
+            return stream;
+          })
+        }
+      };
+      const tokens = [];
+
+      const result = await llmService.generateResponse('Summarize', {
+        model: 'claude-3-haiku-20240307',
+        onToken: text => tokens.push(text)
+      });
+
+      expect(tokens).toEqual(['Deploy ', 'succeeded']);
+      expect(result).toEqual({
+        content: 'Deploy succeeded',
+        model: 'claude-3-haiku-20240307',
+        usage: { input_tokens: 12, output_tokens: 3 },
+        provider: 'anthropic',
+        attempts: 1,
+        fallback_used: false
+      });
+    });
+
+    it('should stream OpenAI chunks and pick up usage from the last chunk', async () => {
+      const create = jest.fn(async function* () {
+        yield { choices: [{ delta: { content: 'All ' } }] };
+        yield { choices: [{ delta: { content: 'green' } }] };
+        yield { choices: [], usage: { prompt_tokens: 20, completion_tokens: 2, total_tokens: 22 } };
+      });
+      llmService.openai = { chat: { completions: { create } } };
+      const tokens = [];
+
+      const result = await llmService.generateResponse('Summarize', {
+        model: 'gpt-4o',
+        onToken: text => tokens.push(text)
+      });
+
+      expect(create.mock.calls[0][0]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+      expect(tokens).toEqual(['All ', 'green']);
+      expect(result).toMatchObject({ content: 'All green', usage: { total_tokens: 22 }, provider: 'openai' });
+    });
+  });
+
+  describe('provider fallback', () => {
+    const overloaded = (headers = {}) => Object.assign(new Error('Overloaded'), { status: 529, headers });
+    const completion = content => ({ choices: [{ message: { content } }], usage: { total_tokens: 5 } });
+
+    beforeEach(() => {
+      llmConfig.retry.baseDelayMs = 1;
+      llmConfig.providerChain = [];
+    });
+
+    afterEach(() => {
+      llmConfig.providerChain = [];
+    });
+
+    it('should retry overloaded errors and report the attempts', async () => {
+      const create = jest.fn()
+        .mockRejectedValueOnce(overloaded({ 'retry-after': '0' }))
+        .mockRejectedValueOnce(overloaded())
+        .mockResolvedValue({ content: [{ type: 'text', text: 'ok' }], usage: {} });
+      llmService.anthropic = { messages: { create } };
+
+      const result = await llmService.generateResponse('Hi', { model: 'claude-3-haiku-20240307' });
+
+      expect(create).toHaveBeenCalledTimes(3);
+      expect(result).toMatchObject({ content: 'ok', provider: 'anthropic', attempts: 3, fallback_used: false });
+    });
+
+    it('should fall back to the next provider in the chain once retries run out', async () => {
+      llmConfig.providerChain = llmConfig.parseProviderChain('anthropic:claude-3-5-sonnet-20240620,openai:gpt-4o');
+      llmService.anthropic = { messages: { create: jest.fn().mockRejectedValue(overloaded()) } };
+      llmService.openai = { chat: { completions: { create: jest.fn().mockResolvedValue(completion('from openai')) } } };
+
+      const result = await llmService.generateResponse('Hi');
+
+      expect(llmService.anthropic.messages.create).toHaveBeenCalledTimes(llmConfig.retry.maxAttempts);
+      expect(llmService.openai.chat.completions.create.mock.calls[0][0].model).toBe('gpt-4o');
+      expect(result).toMatchObject({
+        content: 'from openai',
+        provider: 'openai',
+        model: 'gpt-4o',
+        attempts: llmConfig.retry.maxAttempts + 1,
+        fallback_used: true
+      });
+    });
+
+    it('should skip straight to the fallback when retry-after is too long', async () => {
+      llmConfig.providerChain = llmConfig.parseProviderChain('openai:gpt-4o');
+      const rateLimited = Object.assign(new Error('Rate limited'), { status: 429, headers: { 'retry-after': '3600' } });
+      llmService.anthropic = { messages: { create: jest.fn().mockRejectedValue(rateLimited) } };
+      llmService.openai = { chat: { completions: { create: jest.fn().mockResolvedValue(completion('ok')) } } };
+
+      const result = await llmService.generateResponse('Hi', { model: 'claude-3-haiku-20240307' });
+
+      expect(llmService.anthropic.messages.create).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({ provider: 'openai', attempts: 2, fallback_used: true });
+    });
+
+    it('should not retry or fall back on client errors', async () => {
+      llmConfig.providerChain = llmConfig.parseProviderChain('openai:gpt-4o');
+      const badRequest = Object.assign(new Error('max_tokens too large'), { status: 400 });
+      llmService.anthropic = { messages: { create: jest.fn().mockRejectedValue(badRequest) } };
+      llmService.openai = { chat: { completions: { create: jest.fn() } } };
+
+      await expect(llmService.generateResponse('Hi', { model: 'claude-3-haiku-20240307' }))
+        .rejects.toThrow('LLM generation failed: max_tokens too large');
+      expect(llmService.anthropic.messages.create).toHaveBeenCalledTimes(1);
+      expect(llmService.openai.chat.completions.create).not.toHaveBeenCalled();
+    });
+
+    it('should not retry a stream that already sent tokens', async () => {
+      llmConfig.providerChain = llmConfig.parseProviderChain('openai:gpt-4o');
+      llmService.anthropic = {
+        messages: {
+          stream: jest.fn(() => {
+            const stream = new EventEmitter();
+            stream.finalMessage = async () => {
+              stream.emit('text', 'Partial');
+              throw overloaded();
+            };
+            return stream;
+          })
+        }
+      };
+      llmService.openai = { chat: { completions: { create: jest.fn() } } };
+
+      await expect(llmService.generateResponse('Hi', { model: 'claude-3-haiku-20240307', onToken: () => {} }))
+        .rejects.toThrow('LLM generation failed');
+      expect(llmService.anthropic.messages.stream).toHaveBeenCalledTimes(1);
+      expect(llmService.openai.chat.completions.create).not.toHaveBeenCalled();
+    });
+
+    it('should parse the provider chain', () => {
+      expect(llmConfig.parseProviderChain(' anthropic:claude-3-5-sonnet-20240620 , openai:gpt-4o ')).toEqual([
+        { provider: 'anthropic', model: 'claude-3-5-sonnet-20240620' },
+        { provider: 'openai', model: 'gpt-4o' }
+      ]);
+      expect(() => llmConfig.parseProviderChain('gpt-4o')).toThrow('expected provider:model');
+    });
+
+    it('should parse model routes with wildcards', () => {
+      const [route] = llmConfig.parseModelRoutes('llama*=local');
+
+      expect(route.regex.test('llama3.1:8b')).toBe(true);
+      expect(route.regex.test('codellama')).toBe(false);
+      expect(() => llmConfig.parseModelRoutes('llama*=ollama')).toThrow('expected pattern=anthropic|openai|local');
+    });
+  });
+
+  describe('structured output', () => {
+    const schema = require('../src/schemas/healthAnalysis');
+    const completion = content => ({ choices: [{ message: { content } }], usage: { total_tokens: 5 } });
+
+    it('should force a tool call on Anthropic and return the validated input', async () => {
+      const create = jest.fn().mockResolvedValue({
+        content: [{ type: 'tool_use', name: 'health_analysis', input: { health_status: 'degraded', analysis: 'p99 is climbing' } }],
+        usage: {}
+      });
+      llmService.anthropic = { messages: { create } };
+
+      const result = await llmService.generateStructured('Check health', schema, {
+        model: 'claude-3-haiku-20240307',
+        schemaName: 'health_analysis'
+      });
+
+      expect(create.mock.calls[0][0]).toMatchObject({
+        tools: [{ name: 'health_analysis', input_schema: schema }],
+        tool_choice: { type: 'tool', name: 'health_analysis' }
+      });
+      expect(result.data).toEqual({ health_status: 'degraded', analysis: 'p99 is climbing' });
+    });
+
+    it('should re-prompt once with the validation errors', async () => {
+      const create = jest.fn()
+        .mockResolvedValueOnce(completion('{"health_status": "fine"}'))
+        .mockResolvedValueOnce(completion('```json\n{"health_status": "healthy", "analysis": "All good"}\n```'));
+      llmService.openai = { chat: { completions: { create } } };
+
+      const result = await llmService.generateStructured('Check health', schema, { model: 'gpt-4o' });
+
+      expect(create.mock.calls[0][0].response_format).toEqual({
+        type: 'json_schema',
+        json_schema: { name: 'result', schema }
+      });
+      expect(create.mock.calls[1][0].messages[0].content).toContain('/health_status must be equal to one of the allowed values');
+      expect(result.data).toEqual({ health_status: 'healthy', analysis: 'All good' });
+    });
+
+    it('should force a function call on OpenAI models without JSON schema mode', async () => {
+      const create = jest.fn().mockResolvedValue({
+        choices: [{ message: { content: null, tool_calls: [{ id: 'call-1', type: 'function', function: { name: 'result', arguments: '{"health_status": "healthy", "analysis": "All good"}' } }] } }],
+        usage: {}
+      });
+      llmService.openai = { chat: { completions: { create } } };
+
+      const result = await llmService.generateStructured('Check health', schema, { model: 'gpt-4' });
+
+      expect(create.mock.calls[0][0].response_format).toBeUndefined();
+      expect(create.mock.calls[0][0]).toMatchObject({
+        tools: [{ type: 'function', function: { name: 'result', parameters: schema } }],
+        tool_choice: { type: 'function', function: { name: 'result' } }
+      });
+      expect(result.data).toEqual({ health_status: 'healthy', analysis: 'All good' });
+    });
+
+    it('should use json_object mode with the schema in the prompt on local servers', async () => {
+      const create = jest.fn().mockResolvedValue(completion('{"health_status": "healthy", "analysis": "All good"}'));
+      llmService.local = { chat: { completions: { create } } };
+
+      const result = await llmService.generateWithOpenAI('Check health', { model: 'llama3', structured: { name: 'result', schema } }, 'local');
+
+      const request = create.mock.calls[0][0];
+      expect(request.response_format).toEqual({ type: 'json_object' });
+      expect(request.messages[request.messages.length - 1].content).toContain('"health_status"');
+      expect(result.content).toBe('{"health_status": "healthy", "analysis": "All good"}');
+    });
+
+    it('should throw a StructuredOutputError instead of inventing defaults', async () => {
+      const create = jest.fn().mockResolvedValue(completion('The service looks healthy.'));
+      llmService.openai = { chat: { completions: { create } } };
+
+      const error = await llmService.generateStructured('Check health', schema, { model: 'gpt-4o' }).catch(e => e);
+
+      expect(create).toHaveBeenCalledTimes(2);
+      expect(error.name).toBe('StructuredOutputError');
+      expect(error.statusCode).toBe(502);
+      expect(error.details.validation_errors[0]).toMatch(/^response is not valid JSON/);
+    });
+  });
+
+  describe('tool calling', () => {
+    const tools = [{ name: 'getServiceMetrics', description: 'Metrics', parameters: { type: 'object', properties: {} } }];
+
+    it('should send the conversation and tools in OpenAI format and parse tool calls', async () => {
+      const create = jest.fn().mockResolvedValue({
+        choices: [{
+          message: {
+            content: null,
+            tool_calls: [{ id: 'call-2', type: 'function', function: { name: 'getServiceMetrics', arguments: '{"service":"api"}' } }]
+          }
+        }],
+        usage: {}
+      });
+      llmService.openai = { chat: { completions: { create } } };
+
+      const result = await llmService.generateWithTools([
+        { role: 'user', content: 'How is api doing?' },
+        { role: 'assistant', content: '', tool_calls: [{ id: 'call-1', name: 'getServiceMetrics', input: { service: 'web' } }] },
+        { role: 'tool', tool_call_id: 'call-1', content: '{"error_rate":1}' }
+      ], tools, { model: 'gpt-4o', systemPrompt: 'Be brief.' });
+
+      expect(create.mock.calls[0][0]).toMatchObject({
+        messages: [
+          { role: 'system', content: 'Be brief.' },
+          { role: 'user', content: 'How is api doing?' },
+          {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{ id: 'call-1', type: 'function', function: { name: 'getServiceMetrics', arguments: '{"service":"web"}' } }]
+          },
+          { role: 'tool', tool_call_id: 'call-1', content: '{"error_rate":1}' }
+        ],
+        tools: [{ type: 'function', function: { name: 'getServiceMetrics', parameters: { type: 'object', properties: {} } } }]
+      });
+      expect(result).toMatchObject({ content: '', tool_calls: [{ id: 'call-2', name: 'getServiceMetrics', input: { service: 'api' } }] });
+    });
+  });
+
+  describe('response cache', () => {
+    let create;
+
+    beforeEach(() => {
+      llmCache.store.reset();
+      create = jest.fn().mockResolvedValue({ content: [{ type: 'text', text: 'No issues found' }], usage: { input_tokens: 50, output_tokens: 4 } });
+      llmService.anthropic = { messages: { create } };
+    });
+
+    it('should serve repeated code analysis of the same diff from the cache', async () => {
+      const first = await llmService.analyzeCode('+ const a = 1;', 'security', { model: 'claude-3-haiku-20240307' });
+      const second = await llmService.analyzeCode('+ const a = 1;', 'security', { model: 'claude-3-haiku-20240307' });
+
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(first.cache).toEqual({ hit: false });
+      expect(second).toMatchObject({ content: 'No issues found', provider: 'anthropic', attempts: 0, cache: { hit: true } });
+      expect(second.cache.cached_at).toBeDefined();
+    });
+
+    it('should key on the prompt, system prompt, temperature and max tokens', async () => {
+      await llmService.analyzeCode('+ const a = 1;', 'security', { model: 'claude-3-haiku-20240307' });
+      await llmService.analyzeCode('+ const a = 2;', 'security', { model: 'claude-3-haiku-20240307' });
+      await llmService.analyzeCode('+ const a = 1;', 'performance', { model: 'claude-3-haiku-20240307' });
+      await llmService.analyzeCode('+ const a = 1;', 'security', { model: 'claude-3-haiku-20240307', temperature: 0 });
+      await llmService.analyzeCode('+ const a = 1;', 'security', { model: 'claude-3-haiku-20240307', maxTokens: 500 });
+
+      expect(create).toHaveBeenCalledTimes(5);
+    });
+
+    it('should only cache structured output that passed validation', async () => {
+      const schema = require('../src/schemas/healthAnalysis');
+      const options = { model: 'claude-3-haiku-20240307', schemaName: 'health_analysis', cache: true };
+      const toolUse = input => ({ content: [{ type: 'tool_use', name: 'health_analysis', input }], usage: {} });
+      create.mockReset()
+        .mockResolvedValueOnce(toolUse({ health_status: 'fine' }))
+        .mockResolvedValueOnce(toolUse({ health_status: 'fine' }))
+        .mockResolvedValueOnce(toolUse({ health_status: 'fine' }))
+        .mockResolvedValueOnce(toolUse({ health_status: 'healthy', analysis: 'All good' }));
+
+      await expect(llmService.generateStructured('Check health', schema, options)).rejects.toThrow('did not match');
+      // Neither the invalid output nor its re-prompt was cached, so this asks the model again
+      const result = await llmService.generateStructured('Check health', schema, options);
+      const cached = await llmService.generateStructured('Check health', schema, options);
+
+      expect(create).toHaveBeenCalledTimes(4);
+      expect(result).toMatchObject({ data: { health_status: 'healthy' }, cache: { hit: false } });
+      expect(result.cache_key).toBeUndefined();
+      expect(cached).toMatchObject({ data: { health_status: 'healthy', analysis: 'All good' }, cache: { hit: true } });
+    });
+
+    it('should bypass the cache with cache: false', async () => {
+      await llmService.analyzeCode('+ const a = 1;', 'security', { model: 'claude-3-haiku-20240307' });
+      const result = await llmService.analyzeCode('+ const a = 1;', 'security', { model: 'claude-3-haiku-20240307', cache: false });
+
+      expect(create).toHaveBeenCalledTimes(2);
+      expect(result.cache).toBeUndefined();
+    });
+
+    it('should expire entries and evict the oldest when full', async () => {
+      const store = new llmCache.MemoryCacheStore(2);
+
+      await store.set('a', 1, 60);
+      await store.set('b', 2, 60);
+      await store.set('c', 3, 60);
+      await store.set('d', 4, -1);
+
+      expect(await store.get('a')).toBeNull();
+      expect(await store.get('c')).toBe(3);
+      expect(await store.get('d')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const http = require('http');
+
+// Stands in for Ollama / vLLM: answers /v1/chat/completions plainly or as an SSE stream
+function startStubServer() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      requests.push({ url: req.url, headers: req.headers, body: request });
+
+      if (!request.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          id: 'chatcmpl-1',
+          object: 'chat.completion',
+          model: request.model,
+          choices: [{ index: 0, message: { role: 'assistant', content: 'Pods look healthy' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 9, completion_tokens: 3, total_tokens: 12 }
+        }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const chunks = [
+        { choices: [{ index: 0, delta: { content: 'Pods ' } }] },
+        { choices: [{ index: 0, delta: { content: 'healthy' } }] },
+        { choices: [], usage: { prompt_tokens: 9, completion_tokens: 2, total_tokens: 11 } }
+      ];
+      for (const chunk of chunks) {
+        res.write(`data: ${JSON.stringify({ id: 'chatcmpl-1', object: 'chat.completion.chunk', model: request.model, ...chunk })}\n\n`);
+      }
+      res.end('data: [DONE]\n\n');
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, port: server.address().port }));
+  });
+}
+
+describe('Local LLM provider', () => {
+  let stub;
+  let llmService;
+
+  beforeAll(async () => {
+    stub = await startStubServer();
+    // Air-gapped setup: only the local server is configured
+    process.env.LOCAL_LLM_BASE_URL = `http://127.0.0.1:${stub.port}/v1`;
+    process.env.LLM_MODEL_ROUTES = 'llama*=local,qwen*=local';
+    delete process.env.ANTHROPIC_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+    jest.resetModules();
+    llmService = require('../src/services/llmService');
+  });
+
+  afterAll(() => {
+    stub.server.close();
+    delete process.env.LOCAL_LLM_BASE_URL;
+    delete process.env.LLM_MODEL_ROUTES;
+  });
+
+  it('should route matching models to the local server', async () => {
+    const result = await llmService.generateResponse('Are the pods healthy?', {
+      model: 'llama3.1:8b',
+      systemPrompt: 'You are an SRE.'
+    });
+
+    const [request] = stub.requests.slice(-1);
+    expect(request.url).toBe('/v1/chat/completions');
+    expect(request.body.model).toBe('llama3.1:8b');
+    expect(request.body.messages[0]).toEqual({ role: 'system', content: 'You are an SRE.' });
+    expect(result).toMatchObject({
+      content: 'Pods look healthy',
+      provider: 'local',
+      model: 'llama3.1:8b',
+      usage: { total_tokens: 12 },
+      attempts: 1
+    });
+  });
+
+  it('should stream from the local server', async () => {
+    const tokens = [];
+
+    const result = await llmService.generateResponse('Are the pods healthy?', {
+      model: 'qwen2.5-coder',
+      onToken: text => tokens.push(text)
+    });
+
+    expect(tokens).toEqual(['Pods ', 'healthy']);
+    expect(result).toMatchObject({ content: 'Pods healthy', provider: 'local', usage: { total_tokens: 11 } });
+  });
+
+  it('should use the local server for unmatched models when it is the only provider', () => {
+    expect(llmService.resolveProvider('mistral-nemo')).toBe('local');
+    expect(llmService.resolveProvider('claude-3-haiku-20240307')).toBe('anthropic');
+  });
+});
@@ -0,0 +1,83 @@
+const express = require('express');
+const request = require('supertest');
+const memoryStore = require('../src/repositories/memoryStore');
+const auditRepository = require('../src/repositories/auditRepository');
+const conversationRepository = require('../src/repositories/conversationRepository');
+const loggingRoutes = require('../src/routes/logging');
+const { toCsvHeader, toCsvRows, toNdjson } = require('../src/utils/exporters');
+
+function app(user) {
+  const server = express();
+  server.use(express.json());
+  server.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  server.use('/logging', loggingRoutes);
+  return server;
+}
+
+describe('Logging routes', () => {
+  const operator = app({ id: 'carol', role: 'operator' });
+
+  beforeEach(() => {
+    memoryStore.reset();
+  });
+
+  it('should page audit events by filters and cursor', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await auditRepository.record('deployment', { deployment_id: `deploy-${i}`, user_id: 'bob', details: { i } });
+    }
+    await auditRepository.record('rollback', { deployment_id: 'deploy-1', user_id: 'alice' });
+
+    const first = await request(operator).get('/logging/audit').query({ event_type: 'deployment', limit: 2 });
+    expect(first.status).toBe(200);
+    expect(first.body.audit_logs.map(row => row.deployment_id)).toEqual(['deploy-3', 'deploy-2']);
+
+    const second = await request(operator).get('/logging/audit').query({ event_type: 'deployment', limit: 2, cursor: first.body.next_cursor });
+    expect(second.body.audit_logs.map(row => row.deployment_id)).toEqual(['deploy-1']);
+    expect(second.body.next_cursor).toBeNull();
+
+    const byUser = await request(operator).get('/logging/audit').query({ user_id: 'alice' });
+    expect(byUser.body).toMatchObject({ count: 1, audit_logs: [{ event_type: 'rollback' }] });
+
+    const invalid = await request(operator).get('/logging/audit').query({ since: 'yesterday' });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('should export every matching conversation as CSV', async () => {
+    await conversationRepository.record({ user_id: 'bob', user_message: '=HYPERLINK("https://evil.example")', intent: 'deploy' });
+    await conversationRepository.record({ user_id: 'bob', user_message: 'status?', intent: 'status' });
+
+    const response = await request(operator).get('/logging/conversation').query({ intent: 'deploy', format: 'csv' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/csv');
+    const [header, row, ...rest] = response.text.trim().split('\n');
+    expect(header).toBe('id,user_id,user_message,intent,agent_response,model_used,created_at');
+    expect(row).toContain(',"\'=HYPERLINK(""https://evil.example"")",deploy,');
+    expect(rest).toEqual([]);
+  });
+
+  it('should require audit permissions from JWT callers', async () => {
+    const viewer = app({ id: 'dave', role: 'viewer' });
+
+    expect((await request(viewer).get('/logging/audit')).status).toBe(403);
+    expect((await request(viewer).get('/logging/conversation')).status).toBe(403);
+    expect((await request(viewer).post('/logging/audit').send({ event_type: 'deployment', user_id: 'carol' })).status).toBe(403);
+    expect((await request(operator).post('/logging/audit').send({ event_type: 'deployment' })).status).toBe(200);
+  });
+});
+
+describe('exporters', () => {
+  it('should quote CSV cells and keep formulas as text', () => {
+    const rows = [{ a: 'plain', b: 'with, comma', c: { nested: '"x"' } }, { a: '+1 555', b: '@SUM(A1)', c: -5 }];
+
+    expect(toCsvHeader(['a', 'b', 'c'])).toBe('a,b,c\n');
+    expect(toCsvRows(rows, ['a', 'b', 'c'])).toBe(
+      'plain,"with, comma","{""nested"":""\\""x\\""""}"\n' +
+      "'+1 555,'@SUM(A1),-5\n"
+    );
+    expect(toNdjson([{ a: 1 }, { b: null }])).toBe('{"a":1}\n{"b":null}\n');
+  });
+});
@@ -0,0 +1,56 @@
+const yaml = require('js-yaml');
+const manifestGenerator = require('../src/services/manifestGenerator');
+
+describe('ManifestGenerator', () => {
+  it('should generate defaults without ingress or autoscaling', () => {
+    const manifests = manifestGenerator.generate('acme/My_Api', 'registry/acme/my_api:abc', { environment: 'staging' });
+    const container = manifests.deployment.spec.template.spec.containers[0];
+
+    expect(Object.keys(manifests)).toEqual(['configmap', 'deployment', 'service', 'pdb']);
+    expect(manifests.deployment.metadata.name).toBe('my-api');
+    expect(manifests.deployment.spec.replicas).toBe(3);
+    expect(container.ports).toEqual([{ containerPort: 8080 }]);
+    expect(container.readinessProbe.httpGet).toEqual({ path: '/health', port: 8080 });
+    expect(manifests.configmap.data).toEqual({ APP_NAME: 'my-api', ENVIRONMENT: 'staging' });
+    expect(manifests.service.spec.type).toBe('LoadBalancer');
+  });
+
+  it('should merge overlays in order', () => {
+    const manifests = manifestGenerator.generate('acme/api', 'acme/api:v1', {
+      overlays: [
+        { replicas: 2, resources: { limits: { memory: '1Gi' } }, service: { type: 'ClusterIP' } },
+        { replicas: 4, pod_disruption_budget: { enabled: false } }
+      ]
+    });
+
+    expect(manifests.deployment.spec.replicas).toBe(4);
+    expect(manifests.deployment.spec.template.spec.containers[0].resources.limits).toEqual({ cpu: '500m', memory: '1Gi' });
+    expect(manifests.service.spec.type).toBe('ClusterIP');
+    expect(manifests.pdb).toBeUndefined();
+  });
+
+  it('should emit ingress, autoscaling and secret env when configured', () => {
+    const manifests = manifestGenerator.generate('acme/api', 'acme/api:v1', {
+      overlays: [{
+        ingress: { enabled: true, host: 'api.example.com', tls_secret: 'api-tls' },
+        autoscaling: { enabled: true, max_replicas: 20 },
+        env: { LOG_LEVEL: 'debug', DATABASE_URL: { secret: 'api-secrets', key: 'database-url' } }
+      }]
+    });
+
+    expect(manifests.deployment.spec).not.toHaveProperty('replicas');
+    expect(manifests.hpa.spec).toMatchObject({ minReplicas: 2, maxReplicas: 20 });
+    expect(manifests.ingress.spec.tls).toEqual([{ hosts: ['api.example.com'], secretName: 'api-tls' }]);
+    expect(manifests.deployment.spec.template.spec.containers[0].env).toEqual([
+      { name: 'LOG_LEVEL', value: 'debug' },
+      { name: 'DATABASE_URL', valueFrom: { secretKeyRef: { name: 'api-secrets', key: 'database-url' } } }
+    ]);
+  });
+
+  it('should render manifests as multi-document YAML', () => {
+    const manifests = manifestGenerator.generate('acme/api', 'acme/api:v1');
+    const documents = yaml.loadAll(manifestGenerator.toYaml(manifests));
+
+    expect(documents.map(d => d.kind)).toEqual(['ConfigMap', 'Deployment', 'Service', 'PodDisruptionBudget']);
+  });
+});
@@ -0,0 +1,122 @@
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const memoryStore = require('../src/repositories/memoryStore');
+const auditRepository = require('../src/repositories/auditRepository');
+const llmUsageRepository = require('../src/repositories/llmUsageRepository');
+const llmService = require('../src/services/llmService');
+const devopsService = require('../src/services/devopsService');
+const deploymentRegistry = require('../src/services/deploymentRegistry');
+const mcpServer = require('../src/services/mcpServer');
+
+jest.mock('@anthropic-ai/sdk');
+jest.mock('openai');
+
+describe('MCP server', () => {
+  let client;
+  let server;
+
+  beforeEach(async () => {
+    memoryStore.reset();
+    jest.restoreAllMocks();
+
+    server = mcpServer.create({ user: { id: 'alice', team: 'platform' }, transport: 'test' });
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([client.connect(clientTransport), server.connect(serverTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+  });
+
+  it('should list the agents as tools with their annotations', async () => {
+    const { tools } = await client.listTools();
+
+    expect(tools.map(tool => tool.name)).toEqual([
+      'code_review', 'vulnerability_scan', 'health_check', 'rollback', 'deploy', 'cost_analysis'
+    ]);
+    expect(tools.find(tool => tool.name === 'rollback').annotations).toMatchObject({ destructiveHint: true });
+    expect(tools.find(tool => tool.name === 'rollback').inputSchema.required).toEqual(['deployment_id', 'reason']);
+  });
+
+  it('should run a tool as the connected user and report its steps as progress', async () => {
+    await deploymentRegistry.register({
+      deployment_id: 'deploy-7',
+      repository: 'acme/checkout-service',
+      environment: 'production',
+      service_url: 'https://checkout.example.com'
+    }, 'alice');
+    jest.spyOn(devopsService, 'performHealthCheck').mockResolvedValue({ status_code: 200, error_rate: 0.4, response_time: 120 });
+    llmService.anthropic = {
+      messages: {
+        create: jest.fn().mockResolvedValue({
+          content: [{ type: 'tool_use', name: 'health_analysis', input: { health_status: 'healthy', analysis: 'All good' } }],
+          usage: { input_tokens: 10, output_tokens: 5 }
+        })
+      }
+    };
+    const onprogress = jest.fn();
+
+    const result = await client.callTool(
+      { name: 'health_check', arguments: { deployment_id: 'deploy-7', llm_model: 'claude-3-haiku-20240307' } },
+      undefined,
+      { onprogress }
+    );
+
+    expect(result.isError).toBeUndefined();
+    expect(JSON.parse(result.content[0].text)).toMatchObject({
+      deployment_id: 'deploy-7',
+      service_url: 'https://checkout.example.com',
+      health_status: 'healthy'
+    });
+    expect(devopsService.performHealthCheck).toHaveBeenCalledWith('https://checkout.example.com', expect.any(Array));
+    expect(onprogress).toHaveBeenCalledWith(expect.objectContaining({ progress: 1, message: 'Checked service' }));
+    expect(await llmUsageRepository.totals({ groupBy: ['user_id', 'route'] })).toEqual([
+      expect.objectContaining({ user_id: 'alice', route: '/mcp/health_check' })
+    ]);
+  });
+
+  it('should return invalid arguments and failures as tool errors', async () => {
+    const invalid = await client.callTool({ name: 'rollback', arguments: { deployment_id: 'deploy-7' } });
+    expect(invalid).toMatchObject({ isError: true, content: [{ text: "Invalid arguments: / must have required property 'reason'" }] });
+
+    jest.spyOn(devopsService, 'analyzeCosts').mockRejectedValue(new Error('pricing API unavailable'));
+    const failed = await client.callTool({ name: 'cost_analysis', arguments: { llm_recommendations: false } });
+    expect(failed).toMatchObject({ isError: true, content: [{ text: 'cost_analysis failed: pricing API unavailable' }] });
+
+    const denied = await client.callTool({ name: 'deploy', arguments: { repository: 'acme/api', image_tag: 'v2', environment: 'production' } });
+    expect(denied).toMatchObject({
+      isError: true,
+      content: [{ text: 'deploy failed: deploy in production requires the operator role (you have viewer)' }]
+    });
+
+    await expect(client.callTool({ name: 'delete_cluster', arguments: {} })).rejects.toThrow('Unknown tool: delete_cluster');
+  });
+
+  it('should expose deployments and audit logs as resources to users with audit:read', async () => {
+    await expect(client.readResource({ uri: 'devops://audit-logs' })).rejects.toThrow('audit:read requires the operator role (you have viewer)');
+
+    await client.close();
+    server = mcpServer.create({ user: { id: 'carol', role: 'operator' }, transport: 'test' });
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([client.connect(clientTransport), server.connect(serverTransport)]);
+
+    await deploymentRegistry.register({ deployment_id: 'deploy-7', repository: 'acme/checkout-service', environment: 'production' }, 'alice');
+    await auditRepository.record('rollback', { deployment_id: 'deploy-7', user_id: 'alice', details: { reason: 'errors' } });
+
+    const { resourceTemplates } = await client.listResourceTemplates();
+    expect(resourceTemplates[0].uriTemplate).toBe('devops://deployments/{deployment_id}');
+
+    const deployments = JSON.parse((await client.readResource({ uri: 'devops://deployments' })).contents[0].text);
+    expect(deployments.map(d => d.deployment_id)).toEqual(['deploy-7']);
+
+    const deployment = JSON.parse((await client.readResource({ uri: 'devops://deployments/deploy-7' })).contents[0].text);
+    expect(deployment.history.map(h => h.event)).toEqual(['registered']);
+
+    const audit = JSON.parse((await client.readResource({ uri: 'devops://audit-logs' })).contents[0].text);
+    expect(audit.find(event => event.event_type === 'rollback')).toMatchObject({ deployment_id: 'deploy-7' });
+
+    await expect(client.readResource({ uri: 'devops://deployments/deploy-404' })).rejects.toThrow('Resource not found');
+  });
+});
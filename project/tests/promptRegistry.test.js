@@ -0,0 +1,69 @@
+const memoryStore = require('../src/repositories/memoryStore');
+const promptRegistry = require('../src/services/promptRegistry');
+const llmService = require('../src/services/llmService');
+
+jest.mock('@anthropic-ai/sdk');
+jest.mock('openai');
+
+describe('PromptRegistry', () => {
+  beforeEach(() => {
+    memoryStore.reset();
+  });
+
+  it('should render the built-in default as version 0', async () => {
+    const rendered = await promptRegistry.render('incident_response', {
+      severity: 'high',
+      incident_type: 'latency',
+      deployment_id: 'deploy-42'
+    });
+
+    expect(rendered).toMatchObject({
+      name: 'incident_response',
+      version: 0,
+      prompt: 'Create an incident response plan for a high severity latency incident affecting deployment deploy-42'
+    });
+    expect(rendered.system).toMatch(/^You are an incident response expert/);
+  });
+
+  it('should insert objects as JSON', async () => {
+    const rendered = await promptRegistry.render('vulnerability_fix', { vulnerability: { title: 'SQL injection' } });
+
+    expect(rendered.prompt).toContain('{\n  "title": "SQL injection"\n}');
+  });
+
+  it('should store new versions and use the latest', async () => {
+    await promptRegistry.save('code_analysis.security', {
+      system: 'You are a friendly security reviewer. Be concise.',
+      template: 'Review:\n{{code}}'
+    }, 'admin-1');
+    const saved = await promptRegistry.save('code_analysis.security', {
+      system: 'You are a blunt security reviewer.',
+      template: 'Review:\n{{code}}'
+    }, 'admin-1');
+
+    expect(saved).toMatchObject({ version: 2, created_by: 'admin-1' });
+    expect((await promptRegistry.history('code_analysis.security')).map(p => p.version)).toEqual([2, 1, 0]);
+    expect(await promptRegistry.render('code_analysis.security', { code: 'eval(x)' })).toMatchObject({
+      version: 2,
+      system: 'You are a blunt security reviewer.',
+      prompt: 'Review:\neval(x)'
+    });
+  });
+
+  it('should reject variables the prompt does not provide', async () => {
+    await expect(promptRegistry.save('incident_response', { template: 'Incident {{incident_id}} on {{deployment_id}}' }))
+      .rejects.toThrow('Unknown variables {{incident_id}}');
+    await expect(promptRegistry.save('incident_response', { template: '' })).rejects.toThrow('template is required');
+  });
+
+  it('should record the prompt version on LLM results', async () => {
+    const create = jest.fn().mockResolvedValue({ content: [{ type: 'text', text: 'Looks fine' }], usage: {} });
+    llmService.anthropic = { messages: { create } };
+    await promptRegistry.save('code_analysis.quality', { system: 'Be terse.', template: '{{code}}' }, 'admin-1');
+
+    const result = await llmService.analyzeCode('const x = 1;', 'quality', { model: 'claude-3-haiku-20240307', cache: false });
+
+    expect(create.mock.calls[0][0]).toMatchObject({ system: 'Be terse.', messages: [{ role: 'user', content: 'const x = 1;' }] });
+    expect(result.prompt).toEqual({ name: 'code_analysis.quality', version: 1 });
+  });
+});
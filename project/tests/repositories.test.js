@@ -0,0 +1,100 @@
+const memoryStore = require('../src/repositories/memoryStore');
+const auditRepository = require('../src/repositories/auditRepository');
+const conversationRepository = require('../src/repositories/conversationRepository');
+const deploymentRepository = require('../src/repositories/deploymentRepository');
+const securityScanRepository = require('../src/repositories/securityScanRepository');
+
+describe('Repositories (in-memory fallback)', () => {
+  beforeEach(() => {
+    memoryStore.reset();
+  });
+
+  describe('conversationRepository', () => {
+    it('should assign sequential ids and serialize object responses', async () => {
+      const first = await conversationRepository.record({
+        user_id: 'alice',
+        user_message: 'deploy api to staging',
+        intent: 'deploy',
+        agent_response: { status: 'deployed' }
+      });
+      const second = await conversationRepository.record({
+        user_id: 'alice',
+        user_message: 'thanks'
+      });
+
+      expect(first.id).toBe(1);
+      expect(second.id).toBe(2);
+      expect(first.agent_response).toBe('{"status":"deployed"}');
+      expect(await conversationRepository.findById('1')).toMatchObject({ intent: 'deploy' });
+    });
+  });
+
+  describe('auditRepository', () => {
+    it('should record events with details', async () => {
+      const event = await auditRepository.record('rollback', {
+        deployment_id: 'deploy-1',
+        user_id: 'bob',
+        details: { reason: 'error spike' }
+      });
+
+      expect(event).toMatchObject({
+        event_type: 'rollback',
+        deployment_id: 'deploy-1',
+        details: { reason: 'error spike' }
+      });
+      expect(event.created_at).toBeInstanceOf(Date);
+    });
+
+    it('should list newest first with filters and cursor pagination', async () => {
+      for (let i = 0; i < 5; i++) {
+        await auditRepository.record(i % 2 ? 'rollback' : 'deployment', { deployment_id: `deploy-${i}` });
+      }
+
+      const firstPage = await auditRepository.list({ limit: 2 });
+      const secondPage = await auditRepository.list({ limit: 2, cursor: firstPage.next_cursor });
+      const rollbacks = await auditRepository.list({ where: { event_type: 'rollback' } });
+
+      expect(firstPage.rows.map(row => row.id)).toEqual([5, 4]);
+      expect(secondPage.rows.map(row => row.id)).toEqual([3, 2]);
+      expect(rollbacks.rows.map(row => row.deployment_id)).toEqual(['deploy-3', 'deploy-1']);
+      expect(rollbacks.next_cursor).toBeNull();
+    });
+
+    it('should reject malformed cursors', async () => {
+      await expect(auditRepository.list({ cursor: 'not-a-cursor' }))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+    });
+  });
+
+  describe('deploymentRepository', () => {
+    it('should create and update deployments by deployment_id', async () => {
+      await deploymentRepository.create({
+        deployment_id: 'deploy-1',
+        repository: 'acme/api',
+        environment: 'staging',
+        status: 'deployed',
+        image_tag: 'acme/api:abc123'
+      });
+
+      const updated = await deploymentRepository.updateStatus('deploy-1', 'rolled_back');
+
+      expect(updated.status).toBe('rolled_back');
+      expect((await deploymentRepository.findByDeploymentId('deploy-1')).status).toBe('rolled_back');
+      expect(await deploymentRepository.updateStatus('missing', 'rolled_back')).toBeNull();
+    });
+  });
+
+  describe('securityScanRepository', () => {
+    it('should store vulnerabilities', async () => {
+      const scan = await securityScanRepository.record({
+        repository: 'acme/api',
+        branch: 'main',
+        scan_type: 'comprehensive',
+        risk_level: 'high',
+        vulnerabilities: [{ title: 'SQL injection', severity: 'high' }]
+      });
+
+      expect(scan.vulnerabilities).toHaveLength(1);
+    });
+  });
+});
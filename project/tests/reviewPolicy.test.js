@@ -0,0 +1,54 @@
+const reviewPolicy = require('../src/services/reviewPolicy');
+const { parseThresholds } = require('../src/config/reviewPolicy');
+
+function finding(severity) {
+  return { category: 'bug', severity, title: `${severity} issue`, file: 'src/app.js', start_line: 1, end_line: 1, rationale: '', suggested_fix: '' };
+}
+
+describe('ReviewPolicy', () => {
+  const defaultRules = reviewPolicy.rules;
+
+  afterEach(() => {
+    reviewPolicy.rules = defaultRules;
+  });
+
+  it('should request changes for high or critical findings by default', () => {
+    expect(reviewPolicy.evaluate('acme/api', [])).toMatchObject({ status: 'approved', risk_level: 'none', exceeded: [] });
+    expect(reviewPolicy.evaluate('acme/api', [finding('medium'), finding('low'), finding('medium')]))
+      .toMatchObject({ status: 'approved', risk_level: 'medium', counts: { medium: 2, low: 1, high: 0 } });
+
+    expect(reviewPolicy.evaluate('acme/api', [finding('critical'), finding('high'), finding('high')])).toMatchObject({
+      status: 'changes_requested',
+      risk_level: 'critical',
+      exceeded: [
+        { severity: 'critical', count: 1, allowed: 0 },
+        { severity: 'high', count: 2, allowed: 0 }
+      ]
+    });
+  });
+
+  it('should use the first matching repository thresholds', () => {
+    reviewPolicy.rules = parseThresholds(JSON.stringify({
+      'acme/payments-*': { critical: 0, high: 0, medium: 0 },
+      'acme/docs': { critical: 0 },
+      '*': { critical: 0, high: 1 }
+    }));
+
+    expect(reviewPolicy.evaluate('acme/payments-api', [finding('medium')]).status).toBe('changes_requested');
+    expect(reviewPolicy.evaluate('acme/docs', [finding('high'), finding('high')]).status).toBe('approved');
+    expect(reviewPolicy.evaluate('acme/api', [finding('high')]).status).toBe('approved');
+    expect(reviewPolicy.evaluate('acme/api', [finding('high'), finding('high')])).toMatchObject({
+      status: 'changes_requested',
+      thresholds: { critical: 0, high: 1 },
+      exceeded: [{ severity: 'high', count: 2, allowed: 1 }]
+    });
+  });
+
+  it('should reject invalid thresholds', () => {
+    expect(parseThresholds('')).toEqual([]);
+    expect(() => parseThresholds('{"acme/*": {"blocker": 0}}')).toThrow('Invalid CODE_REVIEW_THRESHOLDS entry "acme/*"');
+    expect(() => parseThresholds('{"acme/*": {"high": -1}}')).toThrow('Invalid CODE_REVIEW_THRESHOLDS entry');
+    expect(() => parseThresholds('["high"]')).toThrow('expected a JSON object');
+    expect(() => parseThresholds('{')).toThrow('Invalid CODE_REVIEW_THRESHOLDS');
+  });
+});
@@ -0,0 +1,225 @@
+const memoryStore = require('../src/repositories/memoryStore');
+const llmService = require('../src/services/llmService');
+const devopsService = require('../src/services/devopsService');
+const agentOperations = require('../src/services/agentOperations');
+const reviewPublisher = require('../src/services/reviewPublisher');
+const { MARKER, fingerprint } = require('../src/services/reviewPublisher');
+
+jest.mock('@anthropic-ai/sdk');
+jest.mock('openai');
+
+const DIFF = `diff --git a/src/db.js b/src/db.js
+index 1111111..2222222 100644
+--- a/src/db.js
++++ b/src/db.js
+@@ -10,3 +10,4 @@ function findUser(id) {
+   const sql = 'SELECT * FROM users';
+-  return db.query(sql);
++  const where = \` WHERE id = \${id}\`;
++  return db.query(sql + where);
+ }
+`;
+
+const INJECTION = {
+  category: 'security',
+  severity: 'high',
+  title: 'SQL injection in findUser',
+  file: 'src/db.js',
+  start_line: 12,
+  end_line: 13,
+  rationale: 'id is concatenated into the query.',
+  suggested_fix: 'Pass id as a query parameter.'
+};
+const INJECTION_COMMENT = `**HIGH** (security): SQL injection in findUser
+
+id is concatenated into the query.
+
+**Suggested fix:** Pass id as a query parameter.
+
+${MARKER}
+<!-- mcp-devops-review:finding=${fingerprint(INJECTION)} -->`;
+
+function review(overrides = {}) {
+  return {
+    status: 'changes_requested',
+    analysis: 'The query is built from user input.',
+    risk_level: 'high',
+    findings: [
+      INJECTION,
+      { ...INJECTION, category: 'quality', severity: 'low', title: 'Unused import', file: 'src/server.js', start_line: 3, end_line: 3 }
+    ],
+    policy: {
+      thresholds: { critical: 0, high: 0 },
+      counts: { info: 0, low: 1, medium: 0, high: 1, critical: 0 },
+      exceeded: [{ severity: 'high', count: 1, allowed: 0 }]
+    },
+    timestamp: '2026-10-19T12:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('ReviewPublisher', () => {
+  let github;
+
+  beforeEach(() => {
+    memoryStore.reset();
+    jest.restoreAllMocks();
+    github = {
+      getPullRequest: jest.spyOn(devopsService, 'getPullRequest').mockResolvedValue({ head: { sha: 'abc123' } }),
+      listIssueComments: jest.spyOn(devopsService, 'listIssueComments').mockResolvedValue([]),
+      createIssueComment: jest.spyOn(devopsService, 'createIssueComment').mockResolvedValue({ id: 501 }),
+      updateIssueComment: jest.spyOn(devopsService, 'updateIssueComment').mockResolvedValue({ id: 500 }),
+      listReviews: jest.spyOn(devopsService, 'listReviews').mockResolvedValue([]),
+      createReview: jest.spyOn(devopsService, 'createReview').mockResolvedValue({ id: 601 }),
+      dismissReview: jest.spyOn(devopsService, 'dismissReview').mockResolvedValue({}),
+      listReviewComments: jest.spyOn(devopsService, 'listReviewComments').mockResolvedValue([]),
+      updateReviewComment: jest.spyOn(devopsService, 'updateReviewComment').mockResolvedValue({}),
+      minimizeComment: jest.spyOn(devopsService, 'minimizeComment').mockResolvedValue({ isMinimized: true }),
+      createCheckRun: jest.spyOn(devopsService, 'createCheckRun').mockResolvedValue({ id: 701 }),
+      updateCheckRun: jest.spyOn(devopsService, 'updateCheckRun').mockResolvedValue({ id: 701 })
+    };
+  });
+
+  it('should comment on findings at diff positions and complete the check run', async () => {
+    const context = await reviewPublisher.start('acme/api', 42);
+    expect(context).toEqual({ head_sha: 'abc123', check_run_id: 701 });
+    expect(github.createCheckRun).toHaveBeenCalledWith('acme/api', expect.objectContaining({ head_sha: 'abc123', status: 'in_progress' }));
+
+    const publication = await reviewPublisher.publish('acme/api', 42, review(), { diff: DIFF, ...context });
+
+    expect(github.createReview).toHaveBeenCalledWith('acme/api', 42, expect.objectContaining({
+      commit_id: 'abc123',
+      event: 'REQUEST_CHANGES',
+      comments: [{ path: 'src/db.js', position: 5, body: INJECTION_COMMENT }]
+    }));
+
+    const summary = github.createIssueComment.mock.calls[0][2];
+    expect(summary).toContain('**Status:** ⚠️ Changes Requested (1 high finding (0 allowed))');
+    expect(summary).toContain('**Line comments:** 1');
+    expect(summary).toContain('| high | security | `src/db.js:12-13` | SQL injection in findUser |');
+    expect(summary).toContain('| low | quality | `src/server.js:3` | Unused import |');
+    expect(summary).toContain(MARKER);
+
+    expect(github.updateCheckRun).toHaveBeenCalledWith('acme/api', 701, expect.objectContaining({
+      status: 'completed',
+      conclusion: 'failure',
+      output: expect.objectContaining({
+        title: 'Changes requested: 2 findings',
+        annotations: [
+          {
+            path: 'src/db.js',
+            start_line: 12,
+            end_line: 13,
+            annotation_level: 'failure',
+            title: 'high security: SQL injection in findUser',
+            message: 'id is concatenated into the query.\n\nSuggested fix: Pass id as a query parameter.'
+          },
+          expect.objectContaining({ path: 'src/server.js', start_line: 3, annotation_level: 'notice' })
+        ]
+      })
+    }));
+
+    expect(publication).toEqual({
+      summary_comment_id: 501,
+      review_id: 601,
+      comments_posted: 1,
+      comments_updated: 0,
+      comments_resolved: 0,
+      comments_outside_diff: 1,
+      check_run_id: 701,
+      errors: []
+    });
+  });
+
+  it('should update earlier comments in place on a re-run', async () => {
+    github.listIssueComments.mockResolvedValue([{ id: 499, body: 'LGTM' }, { id: 500, body: `old summary\n${MARKER}` }]);
+    github.listReviewComments.mockResolvedValue([
+      { id: 801, path: 'src/db.js', line: 13, body: `Old wording.\n\n${MARKER}\n<!-- mcp-devops-review:finding=${fingerprint(INJECTION)} -->` },
+      { id: 802, node_id: 'PRRC_802', path: 'src/db.js', line: 13, body: `**LOW** (quality): Fixed since\n\n${MARKER}\n<!-- mcp-devops-review:finding=0123456789ab -->` },
+      { id: 803, path: 'src/db.js', line: 11, body: `Resolved already\n\n${MARKER}\n<!-- mcp-devops-review:resolved -->` },
+      { id: 804, path: 'src/db.js', line: 13, body: 'Agreed, will fix.' }
+    ]);
+    github.listReviews.mockResolvedValue([{ id: 600, state: 'CHANGES_REQUESTED', body: `AI code review\n\n${MARKER}` }]);
+
+    const publication = await reviewPublisher.publish('acme/api', 42, review(), { diff: DIFF, head_sha: 'abc123' });
+
+    expect(github.updateIssueComment).toHaveBeenCalledWith('acme/api', 500, expect.stringContaining('Changes Requested'));
+    expect(github.createIssueComment).not.toHaveBeenCalled();
+    expect(github.updateReviewComment).toHaveBeenCalledWith('acme/api', 801, INJECTION_COMMENT);
+    // The finding that is gone is marked resolved and collapsed; other comments are left alone
+    expect(github.updateReviewComment).toHaveBeenCalledWith('acme/api', 802, expect.stringContaining('**Resolved:**'));
+    expect(github.updateReviewComment.mock.calls[1][2]).toContain('**LOW** (quality): Fixed since');
+    expect(github.updateReviewComment).toHaveBeenCalledTimes(2);
+    expect(github.minimizeComment).toHaveBeenCalledWith('PRRC_802');
+    // Nothing new to say and the earlier change request still stands
+    expect(github.createReview).not.toHaveBeenCalled();
+    // Without a started check run a new one is created on the head commit
+    expect(github.createCheckRun).toHaveBeenCalledWith('acme/api', expect.objectContaining({ head_sha: 'abc123', conclusion: 'failure' }));
+    expect(publication).toMatchObject({ summary_comment_id: 500, review_id: null, comments_updated: 1, comments_resolved: 1 });
+  });
+
+  it('should keep separate comments for findings on the same line', async () => {
+    const naming = { ...INJECTION, category: 'quality', severity: 'low', title: 'Rename where', start_line: 13 };
+    github.listReviewComments.mockResolvedValue([
+      { id: 801, path: 'src/db.js', line: 13, body: INJECTION_COMMENT }
+    ]);
+
+    const publication = await reviewPublisher.publish('acme/api', 42, review({ findings: [INJECTION, naming] }), { diff: DIFF, head_sha: 'abc123' });
+
+    expect(github.updateReviewComment).not.toHaveBeenCalled();
+    expect(github.createReview.mock.calls[0][2].comments).toEqual([
+      { path: 'src/db.js', position: 5, body: expect.stringContaining(`finding=${fingerprint(naming)}`) }
+    ]);
+    expect(publication).toMatchObject({ comments_posted: 1, comments_updated: 0, comments_resolved: 0 });
+  });
+
+  it('should dismiss earlier change requests once the review approves', async () => {
+    github.listReviews.mockResolvedValue([
+      { id: 600, state: 'CHANGES_REQUESTED', body: `AI code review\n\n${MARKER}` },
+      { id: 610, state: 'CHANGES_REQUESTED', body: 'Please rename this.' }
+    ]);
+
+    await reviewPublisher.publish('acme/api', 42, review({ status: 'approved', risk_level: 'none', findings: [], policy: { thresholds: {}, counts: {}, exceeded: [] } }), { diff: DIFF, head_sha: 'abc123', check_run_id: 701 });
+
+    expect(github.dismissReview).toHaveBeenCalledTimes(1);
+    expect(github.dismissReview).toHaveBeenCalledWith('acme/api', 42, 600, expect.any(String));
+    expect(github.createReview).not.toHaveBeenCalled();
+    expect(github.updateCheckRun).toHaveBeenCalledWith('acme/api', 701, expect.objectContaining({ conclusion: 'success' }));
+  });
+
+  it('should keep publishing when one part fails', async () => {
+    const forbidden = Object.assign(new Error('Resource not accessible by personal access token'), { response: { status: 403 } });
+    github.createCheckRun.mockRejectedValue(forbidden);
+
+    const context = await reviewPublisher.start('acme/api', 42);
+    const publication = await reviewPublisher.publish('acme/api', 42, review(), { diff: DIFF, ...context });
+
+    expect(publication.review_id).toBe(601);
+    expect(publication.summary_comment_id).toBe(501);
+    expect(publication.errors).toEqual(['check run: Resource not accessible by personal access token']);
+  });
+
+  it('should review a pull request end to end and close the check run when the review fails', async () => {
+    jest.spyOn(devopsService, 'fetchPRDiff').mockResolvedValue(DIFF);
+    const create = jest.fn()
+      .mockResolvedValueOnce({ content: [{ type: 'text', text: 'No security issues found. The where clause could use a helper.' }], usage: {} })
+      .mockResolvedValueOnce({
+        content: [{ type: 'tool_use', name: 'review_findings', input: { findings: [{ ...INJECTION, category: 'quality', severity: 'low', title: 'Extract a helper', start_line: 11, end_line: null }] } }],
+        usage: {}
+      });
+    llmService.anthropic = { messages: { create } };
+
+    const result = await agentOperations.codeReview({ repository: 'acme/api', pr_number: 42, llm_model: 'claude-3-haiku-20240307', cache: false });
+
+    // Mentioning security in the analysis no longer blocks the PR; only the findings' severities count
+    expect(result).toMatchObject({ status: 'approved', risk_level: 'low', policy: { exceeded: [] } });
+    expect(result.findings).toEqual([expect.objectContaining({ title: 'Extract a helper', start_line: 11, end_line: 11 })]);
+    expect(result.publication).toMatchObject({ review_id: 601, comments_posted: 1, check_run_id: 701 });
+    expect(github.createReview.mock.calls[0][2]).toMatchObject({ event: 'COMMENT', comments: [{ path: 'src/db.js', position: 3 }] });
+
+    create.mockRejectedValue(Object.assign(new Error('invalid x-api-key'), { status: 401 }));
+    await expect(agentOperations.codeReview({ repository: 'acme/api', pr_number: 42, llm_model: 'claude-3-haiku-20240307', cache: false }))
+      .rejects.toThrow();
+    expect(github.updateCheckRun).toHaveBeenLastCalledWith('acme/api', 701, expect.objectContaining({ conclusion: 'neutral' }));
+  });
+});
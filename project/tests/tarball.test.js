@@ -0,0 +1,104 @@
+const zlib = require('zlib');
+const tar = require('tar-stream');
+const { stripTarballRoot } = require('../src/utils/tarball');
+
+function tarHeader(name, { size = 0, type = '0', prefix = '' } = {}) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  header.write('0000644\0', 100);
+  header.write(size.toString(8).padStart(11, '0'), 124);
+  header.write(type, 156);
+  header.write('ustar\0' + '00', 257);
+  header.write(prefix, 345, 155);
+  header.fill(0x20, 148, 156);
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  header.write(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+  return header;
+}
+
+function entry(name, content = '', options = {}) {
+  const data = Buffer.from(content);
+  const padded = Buffer.alloc(Math.ceil(data.length / 512) * 512);
+  data.copy(padded);
+  return [tarHeader(name, { size: data.length, ...options }), padded];
+}
+
+function tarHeaderWithLink(name, linkname, type) {
+  const header = tarHeader(name, { type });
+  header.write(linkname, 157, 100);
+  header.fill(0x20, 148, 156);
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  header.write(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+  return header;
+}
+
+async function readEntries(archive) {
+  const entries = [];
+  const extract = tar.extract();
+  extract.on('entry', (header, stream, next) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      entries.push({ path: header.name, type: header.type, linkname: header.linkname, content: Buffer.concat(chunks).toString() });
+      next();
+    });
+  });
+  await new Promise((resolve, reject) => {
+    extract.on('finish', resolve).on('error', reject);
+    extract.end(archive);
+  });
+  return entries;
+}
+
+describe('stripTarballRoot', () => {
+  it('should remove the GitHub wrapper directory from every entry', async () => {
+    const paxPath = ' path=acme-api-abc123/src/' + 'x'.repeat(120) + '.js\n';
+    const paxRecord = `${paxPath.length + 3}${paxPath}`;
+    const gnuName = `acme-api-abc123/lib/${'y'.repeat(110)}.js`;
+    const archive = zlib.gzipSync(Buffer.concat([
+      ...entry('pax_global_header', '52 comment=abc123\n', { type: 'g' }),
+      ...entry('acme-api-abc123/', '', { type: '5' }),
+      ...entry('acme-api-abc123/Dockerfile', 'FROM node:18\n'),
+      ...entry('acme-api-abc123/src/index.js', 'console.log(1)'),
+      ...entry('PaxHeader', paxRecord, { type: 'x' }),
+      ...entry('x'.repeat(100), 'long'),
+      ...entry('././@LongLink', `${gnuName}\0`, { type: 'L' }),
+      ...entry(gnuName.slice(0, 100), 'gnu'),
+      tarHeaderWithLink('acme-api-abc123/src/main.js', 'index.js', '2'),
+      tarHeaderWithLink('acme-api-abc123/src/copy.js', 'acme-api-abc123/src/index.js', '1'),
+      Buffer.alloc(1024)
+    ]));
+
+    const entries = await readEntries(await stripTarballRoot(archive));
+
+    expect(entries.map(e => [e.type, e.path])).toEqual([
+      ['file', 'Dockerfile'],
+      ['file', 'src/index.js'],
+      ['file', `src/${'x'.repeat(120)}.js`],
+      ['file', `lib/${'y'.repeat(110)}.js`],
+      ['symlink', 'src/main.js'],
+      ['link', 'src/copy.js']
+    ]);
+    expect(entries.map(e => e.content)).toEqual(['FROM node:18\n', 'console.log(1)', 'long', 'gnu', '', '']);
+    // Symlink targets are relative to the link; hard link targets are archive paths
+    expect(entries[4].linkname).toBe('index.js');
+    expect(entries[5].linkname).toBe('src/index.js');
+  });
+
+  it('should accept uncompressed archives and reject corrupt ones', async () => {
+    const entries = await readEntries(await stripTarballRoot(Buffer.concat([...entry('root/a.txt', 'a'), Buffer.alloc(1024)])));
+    expect(entries).toEqual([expect.objectContaining({ path: 'a.txt', content: 'a' })]);
+
+    const corrupt = Buffer.concat([...entry('root/a.txt', 'a'), Buffer.alloc(1024)]);
+    corrupt[150] = 0x31;
+    await expect(stripTarballRoot(corrupt)).rejects.toThrow();
+  });
+
+  it('should stop at the size limit', async () => {
+    const archive = zlib.gzipSync(Buffer.concat([...entry('root/big.bin', 'x'.repeat(64 * 1024)), Buffer.alloc(1024)]));
+
+    await expect(stripTarballRoot(archive, { maxBytes: 16 * 1024 })).rejects.toThrow('larger than 16384 bytes');
+  });
+});
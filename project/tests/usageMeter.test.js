@@ -0,0 +1,78 @@
+const llmConfig = require('../src/config/llm');
+const llmService = require('../src/services/llmService');
+const usageMeter = require('../src/services/usageMeter');
+const llmUsageRepository = require('../src/repositories/llmUsageRepository');
+const memoryStore = require('../src/repositories/memoryStore');
+const requestContext = require('../src/utils/requestContext');
+
+jest.mock('@anthropic-ai/sdk');
+jest.mock('openai');
+
+describe('UsageMeter', () => {
+  const reviewer = { userId: 'alice', team: 'platform', route: '/agent/code-review' };
+
+  beforeEach(() => {
+    memoryStore.reset();
+    llmConfig.budgets = [];
+    llmService.anthropic = {
+      messages: {
+        create: jest.fn().mockResolvedValue({
+          content: [{ type: 'text', text: 'LGTM' }],
+          usage: { input_tokens: 1000000, output_tokens: 100000 }
+        })
+      }
+    };
+  });
+
+  afterAll(() => {
+    llmConfig.budgets = [];
+  });
+
+  it('should price models by the longest matching prefix', () => {
+    expect(usageMeter.cost('openai', 'gpt-4o-mini-2024-07-18', { prompt_tokens: 1000000, completion_tokens: 0 })).toBeCloseTo(0.15);
+    expect(usageMeter.cost('openai', 'gpt-4o-2024-08-06', { prompt_tokens: 1000000, completion_tokens: 0 })).toBeCloseTo(2.5);
+    expect(usageMeter.cost('local', 'llama3.1:8b', { prompt_tokens: 1000000, completion_tokens: 0 })).toBe(0);
+  });
+
+  it('should record usage against the user, team and route of the request', async () => {
+    await requestContext.run(reviewer, () => llmService.generateResponse('Review this diff', { model: 'claude-3-5-sonnet-20240620' }));
+    await requestContext.run({ ...reviewer, route: '/llm/intent-analysis' }, () =>
+      llmService.generateResponse('Deploy api', { model: 'claude-3-haiku-20240307' }));
+
+    const byRoute = await llmUsageRepository.totals({ where: { team: 'platform' }, groupBy: ['route'] });
+
+    expect(byRoute).toEqual([
+      { route: '/agent/code-review', requests: 1, input_tokens: 1000000, output_tokens: 100000, cost_usd: 4.5 },
+      { route: '/llm/intent-analysis', requests: 1, input_tokens: 1000000, output_tokens: 100000, cost_usd: 0.375 }
+    ]);
+  });
+
+  it('should refuse calls with a 429 once a budget is used up', async () => {
+    llmConfig.budgets = llmConfig.parseBudgets(JSON.stringify([
+      { scope: 'user', id: '*', period: 'daily', limit_usd: 10 },
+      { scope: 'team', id: 'platform', period: 'monthly', limit_usd: 5 }
+    ]));
+
+    await requestContext.run(reviewer, () => llmService.generateResponse('Review this diff', { model: 'claude-3-5-sonnet-20240620' }));
+    await requestContext.run(reviewer, () => llmService.generateResponse('Review this diff', { model: 'claude-3-5-sonnet-20240620' }));
+    const error = await requestContext.run(reviewer, () =>
+      llmService.generateResponse('Review this diff', { model: 'claude-3-5-sonnet-20240620' })).catch(e => e);
+
+    expect(llmService.anthropic.messages.create).toHaveBeenCalledTimes(2);
+    expect(error.name).toBe('BudgetExceededError');
+    expect(error.statusCode).toBe(429);
+    expect(error.details).toMatchObject({ scope: 'team', id: 'platform', period: 'monthly', limit_usd: 5, spent_usd: 9 });
+  });
+
+  it('should prefer a rule for the exact id over the wildcard', () => {
+    llmConfig.budgets = llmConfig.parseBudgets(JSON.stringify([
+      { scope: 'user', id: '*', period: 'daily', limit_usd: 10 },
+      { scope: 'user', id: 'alice', period: 'daily', limit_usd: 50 }
+    ]));
+
+    expect(usageMeter.budgetsFor({ userId: 'alice' })).toEqual([
+      { scope: 'user', id: 'alice', period: 'daily', limit_usd: 50, subject: 'alice' }
+    ]);
+    expect(() => llmConfig.parseBudgets('[{"scope":"org","id":"*","period":"daily","limit_usd":1}]')).toThrow('Invalid LLM_BUDGETS entry');
+  });
+});